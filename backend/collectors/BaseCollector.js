@@ -0,0 +1,313 @@
+/*
+ * Base Collector
+ * - Every source subclasses this and is registered in collectors/index.js
+ * - collect() returns standardized content objects (content_items rows)
+ * - Settings live under user-settings.json[<collector id>] and are described
+ *   by a small schema so the API can validate them and the UI can render them
+ */
+
+const {
+	readUserSettingsSync,
+	writeUserSettings,
+	readSecretsSync,
+	writeSecrets,
+} = require("../services/userSettings");
+
+/**
+ * Standardized content object returned by collect():
+ * {
+ *   source_type: string,   // always the collector id
+ *   source_id: string,     // unique within the source
+ *   title: string|null,
+ *   url: string|null,
+ *   summary: string|null,
+ *   page_text: string|null, // fetched by the collection job when null and url is set
+ *   raw_content: string|null, // JSON string with source-specific payload
+ *   created_at: string|null,  // ISO publish time
+ *   canonical_url: string|undefined, // rel=canonical when collect() fetched
+ *                                    // the page itself; else derived from url
+ *   article: Object|null|undefined,  // fetchUrlPage()'s article, likewise
+ *   content_source: string|undefined, // "page" when page_text is the fetched
+ *                                     // page; defaults to "collector"
+ * }
+ */
+class BaseCollector {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.id - Stable id; also used as content_items.source_type
+	 * @param {string} options.name - Human readable source name
+	 * @param {string|null} options.schedule - Default cron schedule; null for
+	 *   collectors that only run on demand
+	 * @param {Object} [options.settingsSchema] - Field descriptors keyed by setting name
+	 * @param {number} [options.collectTimeoutMs] - Upper bound for a collect() call
+	 */
+	constructor({
+		id,
+		name,
+		schedule,
+		settingsSchema = {},
+		collectTimeoutMs = 30000,
+	} = {}) {
+		if (!id || typeof id !== "string") {
+			throw new Error("Collector id is required");
+		}
+		this.id = id;
+		this.name = name || id;
+		this.schedule = schedule === null ? null : schedule || "0 6 * * *";
+		this.settingsSchema = settingsSchema;
+		this.collectTimeoutMs = collectTimeoutMs;
+	}
+
+	// Returns array of standardized content objects
+	async collect() {
+		throw new Error(`Collector "${this.id}" does not implement collect()`);
+	}
+
+	// Returns cron-style schedule string (settings may override the default)
+	getSchedule() {
+		const settings = this.getSettings();
+		return typeof settings.schedule === "string" && settings.schedule.trim()
+			? settings.schedule.trim()
+			: this.schedule;
+	}
+
+	getSettingsSchema() {
+		return this.settingsSchema;
+	}
+
+	getDefaultSettings() {
+		const defaults = {};
+		for (const [key, field] of Object.entries(this.settingsSchema)) {
+			if (field && field.default !== undefined) defaults[key] = field.default;
+		}
+		return defaults;
+	}
+
+	// Read this collector's settings section with schema defaults as fallback
+	getSettings() {
+		const stored = readUserSettingsSync()[this.id];
+		const section = stored && typeof stored === "object" ? stored : {};
+		const settings = { ...this.getDefaultSettings() };
+		for (const [key, value] of Object.entries(section)) {
+			if (value !== undefined && value !== null) settings[key] = value;
+		}
+		// Secrets come from config/secrets.json, never the tracked settings file
+		const secrets = readSecretsSync()[this.id] || {};
+		for (const key of this.getSecretKeys()) {
+			settings[key] = secrets[key] || "";
+		}
+		return settings;
+	}
+
+	// Schema fields marked `secret`
+	getSecretKeys() {
+		return Object.entries(this.settingsSchema)
+			.filter(([, field]) => field && field.secret)
+			.map(([key]) => key);
+	}
+
+	/**
+	 * Split a validated settings section into what goes to the tracked
+	 * user-settings.json (with `<key>Configured` flags) and the secrets
+	 * submitted in it; secrets not in the section are left unchanged
+	 * @returns {{settings: Object, secrets: Object}}
+	 */
+	splitSecrets(section) {
+		const settings = { ...section };
+		const secrets = {};
+		for (const key of this.getSecretKeys()) {
+			if (!(key in settings)) continue;
+			const value = typeof settings[key] === "string" ? settings[key].trim() : "";
+			secrets[key] = value;
+			settings[`${key}Configured`] = Boolean(value);
+			delete settings[key];
+		}
+		return { settings, secrets };
+	}
+
+	isEnabled() {
+		return this.getSettings().enabled !== false;
+	}
+
+	/**
+	 * Validate and normalize a settings section against the schema
+	 * @param {Object} section - Settings submitted for this collector
+	 * @returns {{ok: boolean, value?: Object, error?: string}}
+	 */
+	validateSettings(section) {
+		if (!section || typeof section !== "object" || Array.isArray(section)) {
+			return { ok: false, error: `${this.id} settings must be an object` };
+		}
+		const value = { ...section };
+		for (const [key, field] of Object.entries(this.settingsSchema)) {
+			const raw = section[key];
+			if (raw === undefined) {
+				if (field.required) {
+					return { ok: false, error: `${key} is required` };
+				}
+				continue;
+			}
+			switch (field.type) {
+				case "number": {
+					const min = Number.isFinite(field.min) ? field.min : -Infinity;
+					const max = Number.isFinite(field.max) ? field.max : Infinity;
+					if (typeof raw !== "number" || raw < min || raw > max) {
+						return {
+							ok: false,
+							error: Number.isFinite(field.min) && Number.isFinite(field.max)
+								? `${key} must be a number between ${field.min} and ${field.max}`
+								: `${key} must be a number`,
+						};
+					}
+					break;
+				}
+				case "boolean":
+					if (typeof raw !== "boolean") {
+						return { ok: false, error: `${key} must be boolean` };
+					}
+					break;
+				case "string":
+					if (typeof raw !== "string") {
+						return { ok: false, error: `${key} must be a string` };
+					}
+					value[key] = raw.trim();
+					break;
+				case "string[]": {
+					if (!Array.isArray(raw) || (field.required && raw.length === 0)) {
+						return { ok: false, error: `${key} must be a non-empty array` };
+					}
+					const cleaned = raw
+						.map((v) => (typeof v === "string" ? v.trim() : ""))
+						.filter((v) => v.length > 0);
+					if (field.required && cleaned.length === 0) {
+						return {
+							ok: false,
+							error: `At least one valid ${field.itemLabel || "value"} is required`,
+						};
+					}
+					value[key] = cleaned;
+					break;
+				}
+				default:
+					break;
+			}
+		}
+		return { ok: true, value };
+	}
+
+	/**
+	 * Move secrets an older version wrote into user-settings.json over to
+	 * config/secrets.json
+	 * @returns {Promise<boolean>} Whether anything was moved
+	 */
+	async moveStoredSecrets() {
+		const stored = readUserSettingsSync()[this.id];
+		if (!stored || typeof stored !== "object") return false;
+		const keys = this.getSecretKeys().filter((key) => key in stored);
+		if (keys.length === 0) return false;
+		const secrets = {};
+		const section = {};
+		for (const key of keys) {
+			const value = typeof stored[key] === "string" ? stored[key].trim() : "";
+			if (value) secrets[key] = value;
+			// undefined drops the key from the written file
+			section[key] = undefined;
+		}
+		if (Object.keys(secrets).length > 0) {
+			await writeSecrets({ [this.id]: secrets });
+		}
+		const current = readSecretsSync()[this.id] || {};
+		for (const key of keys) section[`${key}Configured`] = Boolean(current[key]);
+		await writeUserSettings({ [this.id]: section });
+		return true;
+	}
+
+	/**
+	 * Copy of a settings section safe to send to the browser: fields marked
+	 * `secret` in the schema are blanked and reported as `<key>Configured`
+	 * @param {Object} section - Stored settings section
+	 * @returns {Object}
+	 */
+	redactSettings(section) {
+		if (!section || typeof section !== "object") return section;
+		const redacted = { ...section };
+		const secrets = readSecretsSync()[this.id] || {};
+		for (const key of this.getSecretKeys()) {
+			redacted[`${key}Configured`] = Boolean(secrets[key]);
+			redacted[key] = "";
+		}
+		return redacted;
+	}
+
+	// Fields passed to AIService.processContentItem for relevance analysis
+	buildAIInput(item) {
+		return {
+			sourceLabel: `${this.name} item`,
+			title: item.title,
+			url: item.url,
+			text: item.page_text ? String(item.page_text).slice(0, 2000) : null,
+			details: {},
+		};
+	}
+
+	// Whether the collection job writes an AI summary; highlighted items only
+	shouldSummarize(item) {
+		return Boolean(item.highlight);
+	}
+
+	// Text handed to AIService.generateSummary
+	getSummaryContent(item) {
+		return item.page_text || null;
+	}
+
+	// Context line handed to AIService.generateSummary
+	getSummaryContext(item) {
+		return `Source: ${this.name}; Title: ${item.title || ""}`;
+	}
+
+	// Extra generateSummary options ({ instructions, maxTokens }); none by default
+	getSummaryOptions() {
+		return {};
+	}
+
+	// Post-process a generated summary before it is stored; unchanged by default
+	formatSummary(item, summary) {
+		return summary;
+	}
+
+	// Runs after a collection has been inserted and scored; no-op by default
+	async afterCollection() {}
+
+	// Discussion/comments page for an item (exposed as comments_url); null if none
+	getDiscussionUrl() {
+		return null;
+	}
+
+	/**
+	 * Text the source itself has about an item, used as page_text when the
+	 * linked page is paywalled, a consent wall, an empty shell or unreachable
+	 * @returns {{text: string, source: string}|null} source names the origin
+	 *   (content_items.content_source); null when there is none
+	 */
+	getFallbackContent() {
+		return null;
+	}
+
+	// Non-AI summary used when AI processing fails; null means no summary
+	buildFallbackSummary() {
+		return null;
+	}
+
+	// Public description for GET /api/collectors
+	describe() {
+		return {
+			id: this.id,
+			name: this.name,
+			schedule: this.getSchedule(),
+			enabled: this.isEnabled(),
+			settings_schema: this.getSettingsSchema(),
+		};
+	}
+}
+
+module.exports = BaseCollector;
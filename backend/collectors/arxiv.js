@@ -0,0 +1,215 @@
+/*
+ * arXiv Collector
+ * - Pulls recent submissions for configured categories from the arXiv Atom API
+ * - Stores authors, categories and the abstract in raw_content
+ * - Uses the abstract as page_text so embeddings and keyword scoring see it
+ */
+
+const BaseCollector = require("./BaseCollector");
+const { parseFeed, asArray, textOf } = require("./feedParser");
+const { fetchWithTimeout, sleep } = require("../services/pageFetcher");
+
+const ARXIV_API_URL =
+	process.env.ARXIV_API_URL || "https://export.arxiv.org/api/query";
+const ARXIV_PAGE_SIZE = 100;
+// arXiv asks API clients to wait 3 seconds between requests
+const ARXIV_REQUEST_DELAY_MS = 3000;
+const ARXIV_TIMEOUT_MS = Number(process.env.ARXIV_TIMEOUT_MS || 30000);
+const CATEGORY_PATTERN = /^[a-z-]+(\.[A-Za-z-]+)?$/;
+
+function collapseWhitespace(text) {
+	return String(text || "")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+// "http://arxiv.org/abs/2410.01234v2" -> { id: "2410.01234", version: 2 }
+function parseArxivId(entryId) {
+	const match = String(entryId || "").match(/abs\/(.+?)(?:v(\d+))?$/);
+	if (!match) return { id: null, version: null };
+	return { id: match[1], version: match[2] ? Number(match[2]) : null };
+}
+
+function pdfLinkOf(rawEntry) {
+	const pdf = asArray(rawEntry && rawEntry.link).find(
+		(l) => l && (l["@_title"] === "pdf" || l["@_type"] === "application/pdf")
+	);
+	return pdf ? pdf["@_href"] : null;
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").arxiv || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class ArxivCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "arxiv",
+			name: "arXiv",
+			schedule: "15 6 * * *",
+			collectTimeoutMs: 2 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				categories: {
+					type: "string[]",
+					label: "Categories",
+					itemLabel: "category",
+					default: ["cs.CL", "cs.LG", "cs.SE"],
+					required: true,
+				},
+				maxItems: {
+					type: "number",
+					label: "Max Papers per Collection",
+					min: 1,
+					max: 500,
+					default: 100,
+				},
+				lookbackDays: {
+					type: "number",
+					label: "Lookback (days)",
+					min: 1,
+					max: 30,
+					default: 2,
+				},
+			},
+		});
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok || !base.value.categories) return base;
+		const invalid = base.value.categories.find(
+			(c) => !CATEGORY_PATTERN.test(c)
+		);
+		if (invalid) {
+			return {
+				ok: false,
+				error: `"${invalid}" is not an arXiv category (e.g. cs.CL)`,
+			};
+		}
+		return base;
+	}
+
+	buildQueryUrl(categories, start, maxResults) {
+		const u = new URL(ARXIV_API_URL);
+		const params = new URLSearchParams();
+		params.set(
+			"search_query",
+			categories.map((c) => `cat:${c}`).join(" OR ")
+		);
+		params.set("sortBy", "submittedDate");
+		params.set("sortOrder", "descending");
+		params.set("start", String(start));
+		params.set("max_results", String(maxResults));
+		u.search = params.toString();
+		return u;
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const categories = Array.isArray(settings.categories)
+			? settings.categories
+			: [];
+		if (categories.length === 0) return [];
+		const maxItems = Number(settings.maxItems) || 100;
+		const since =
+			Date.now() - (Number(settings.lookbackDays) || 2) * 24 * 60 * 60 * 1000;
+
+		const items = [];
+		let start = 0;
+		let reachedOlder = false;
+		while (items.length < maxItems && !reachedOlder) {
+			const pageSize = Math.min(ARXIV_PAGE_SIZE, maxItems - items.length);
+			const res = await fetchWithTimeout(
+				this.buildQueryUrl(categories, start, pageSize),
+				ARXIV_TIMEOUT_MS
+			);
+			if (!res || !res.ok) {
+				throw new Error(
+					`arXiv request failed: ${res ? `${res.status} ${res.statusText}` : "no response"}`
+				);
+			}
+			const parsed = parseFeed(await res.text());
+			for (const entry of parsed.entries) {
+				if (Date.parse(entry.published || "") < since) {
+					reachedOlder = true;
+					break;
+				}
+				const item = this.toContentItem(entry);
+				if (item) items.push(item);
+			}
+			if (parsed.entries.length < pageSize) break;
+			start += parsed.entries.length;
+			await sleep(ARXIV_REQUEST_DELAY_MS);
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] arXiv collect: ${items.length} papers for ${categories.join(
+				", "
+			)}`
+		);
+		return items;
+	}
+
+	toContentItem(entry) {
+		const { id, version } = parseArxivId(entry.id);
+		if (!id) return null;
+		const raw = entry.raw || {};
+		const abstract = collapseWhitespace(entry.summary);
+		const primary = raw["arxiv:primary_category"];
+		return {
+			source_type: this.id,
+			source_id: id,
+			title: collapseWhitespace(entry.title) || null,
+			summary: null,
+			// Versionless so revisions keep pointing at the same item
+			url: `https://arxiv.org/abs/${id}`,
+			// The abstract is the paper's own text; no page fetch needed
+			page_text: abstract || null,
+			raw_content: JSON.stringify({
+				arxiv: {
+					id,
+					version,
+					authors: entry.authors,
+					categories: entry.categories,
+					primary_category: primary ? primary["@_term"] || null : null,
+					abstract,
+					pdf_url: pdfLinkOf(raw),
+					comment: collapseWhitespace(textOf(raw["arxiv:comment"])) || null,
+					published: entry.published,
+					updated: entry.updated || null,
+				},
+			}),
+			created_at: entry.published || null,
+		};
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		const authors = Array.isArray(raw.authors) ? raw.authors : [];
+		return {
+			sourceLabel: "arXiv paper",
+			title: item.title,
+			url: item.url,
+			text: raw.abstract || item.page_text || null,
+			details: {
+				Authors: authors.length
+					? authors.slice(0, 8).join(", ") + (authors.length > 8 ? " et al." : "")
+					: null,
+				Categories: Array.isArray(raw.categories)
+					? raw.categories.join(", ")
+					: null,
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		return `Source: arXiv paper abstract; Title: ${item.title || ""}`;
+	}
+}
+
+module.exports = { ArxivCollector, parseArxivId };
@@ -0,0 +1,147 @@
+/*
+ * Feed Parser
+ * - Normalizes RSS 2.0, RSS 1.0 (RDF) and Atom documents into one entry shape
+ * - Shared by the RSS, arXiv and transcript collectors
+ */
+
+const { XMLParser } = require("fast-xml-parser");
+
+const parser = new XMLParser({
+	ignoreAttributes: false,
+	attributeNamePrefix: "@_",
+	textNodeName: "#text",
+	trimValues: true,
+	processEntities: true,
+	htmlEntities: true,
+});
+
+function asArray(value) {
+	if (value === undefined || value === null) return [];
+	return Array.isArray(value) ? value : [value];
+}
+
+// Text of an element that may be a plain string or { "#text": ..., "@_type": ... }
+function textOf(value) {
+	if (value === undefined || value === null) return null;
+	if (typeof value === "string") return value.trim() || null;
+	if (typeof value === "number") return String(value);
+	if (typeof value === "object" && value["#text"] !== undefined) {
+		return textOf(value["#text"]);
+	}
+	return null;
+}
+
+function toIsoDate(value) {
+	const text = textOf(value);
+	if (!text) return null;
+	const ms = Date.parse(text);
+	return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function atomLink(links) {
+	const list = asArray(links);
+	const alternate =
+		list.find((l) => l && (!l["@_rel"] || l["@_rel"] === "alternate")) ||
+		list[0];
+	if (!alternate) return null;
+	if (typeof alternate === "string") return alternate.trim() || null;
+	return alternate["@_href"] || null;
+}
+
+// Media file of a podcast episode (<enclosure url> / <link rel="enclosure">)
+function enclosureUrl(value) {
+	const first = asArray(value)[0];
+	return first && typeof first === "object" ? first["@_url"] || null : null;
+}
+
+function atomEnclosure(links) {
+	const link = asArray(links).find(
+		(l) => l && typeof l === "object" && l["@_rel"] === "enclosure"
+	);
+	return link ? link["@_href"] || null : null;
+}
+
+function parseRssItem(item) {
+	const guid = textOf(item.guid);
+	const link = textOf(item.link);
+	return {
+		id: guid || link || null,
+		title: textOf(item.title),
+		link,
+		published: toIsoDate(item.pubDate || item["dc:date"]),
+		summary: textOf(item.description),
+		content: textOf(item["content:encoded"]),
+		authors: [textOf(item.author), textOf(item["dc:creator"])].filter(Boolean),
+		categories: asArray(item.category).map(textOf).filter(Boolean),
+		enclosure: enclosureUrl(item.enclosure),
+	};
+}
+
+function parseAtomEntry(entry) {
+	const link = atomLink(entry.link);
+	return {
+		id: textOf(entry.id) || link || null,
+		title: textOf(entry.title),
+		link,
+		published: toIsoDate(entry.published || entry.updated),
+		updated: toIsoDate(entry.updated),
+		summary: textOf(entry.summary),
+		content: textOf(entry.content),
+		authors: asArray(entry.author)
+			.map((a) => textOf(a && typeof a === "object" ? a.name : a))
+			.filter(Boolean),
+		categories: asArray(entry.category)
+			.map((c) => (c && typeof c === "object" ? c["@_term"] : textOf(c)))
+			.filter(Boolean),
+		enclosure: atomEnclosure(entry.link),
+		// Keep the untouched entry for collectors that need extension elements
+		raw: entry,
+	};
+}
+
+/**
+ * Parse an RSS/Atom document
+ * @param {string} xml - Feed body
+ * @returns {{format: string, title: string|null, link: string|null, entries: Array}}
+ */
+function parseFeed(xml) {
+	if (!xml || typeof xml !== "string") {
+		throw new Error("Feed body is empty");
+	}
+	const doc = parser.parse(xml);
+
+	if (doc.rss && doc.rss.channel) {
+		const channel = Array.isArray(doc.rss.channel)
+			? doc.rss.channel[0]
+			: doc.rss.channel;
+		return {
+			format: "rss",
+			title: textOf(channel.title),
+			link: textOf(channel.link),
+			entries: asArray(channel.item).map(parseRssItem),
+		};
+	}
+
+	if (doc.feed) {
+		return {
+			format: "atom",
+			title: textOf(doc.feed.title),
+			link: atomLink(doc.feed.link),
+			entries: asArray(doc.feed.entry).map(parseAtomEntry),
+		};
+	}
+
+	const rdf = doc["rdf:RDF"];
+	if (rdf) {
+		return {
+			format: "rdf",
+			title: textOf(rdf.channel && rdf.channel.title),
+			link: textOf(rdf.channel && rdf.channel.link),
+			entries: asArray(rdf.item).map(parseRssItem),
+		};
+	}
+
+	throw new Error("Unrecognized feed format (expected RSS or Atom)");
+}
+
+module.exports = { parseFeed, textOf, asArray };
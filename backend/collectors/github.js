@@ -0,0 +1,278 @@
+/*
+ * GitHub Releases Collector
+ * - Watches configured repositories for new releases and tags
+ * - Release notes become page_text so they go through embeddings and
+ *   hybrid scoring like any article body
+ * - Tags without a release are only reported once a repository has a
+ *   baseline, so adding a repo does not import its whole tag history
+ */
+
+const BaseCollector = require("./BaseCollector");
+const { getCollectorState, setCollectorState } = require("../database");
+const {
+	CONTENT_CHAR_LIMIT,
+	fetchWithTimeout,
+} = require("../services/pageFetcher");
+
+const GITHUB_API_URL = (
+	process.env.GITHUB_API_URL || "https://api.github.com"
+).replace(/\/$/, "");
+const GITHUB_TIMEOUT_MS = Number(process.env.GITHUB_TIMEOUT_MS || 15000);
+const REPO_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+/**
+ * Normalize "owner/name", "github.com/owner/name" or a full GitHub URL
+ * @returns {string|null} "owner/name" or null when unrecognized
+ */
+function normalizeRepo(value) {
+	let repo = String(value || "")
+		.trim()
+		.replace(/^https?:\/\//i, "")
+		.replace(/^(www\.)?github\.com\//i, "")
+		.replace(/\.git$/i, "")
+		.replace(/\/+$/, "");
+	repo = repo.split("/").slice(0, 2).join("/");
+	return REPO_PATTERN.test(repo) ? repo : null;
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").github || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class GitHubCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "github",
+			name: "GitHub Releases",
+			schedule: "30 */6 * * *",
+			collectTimeoutMs: 3 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				repos: {
+					type: "string[]",
+					label: "Watched Repositories",
+					itemLabel: "repository",
+					default: [],
+				},
+				token: {
+					type: "string",
+					label: "Access Token",
+					default: "",
+					secret: true,
+				},
+				includeTags: {
+					type: "boolean",
+					label: "Include Tags without Releases",
+					default: true,
+				},
+				includePrereleases: {
+					type: "boolean",
+					label: "Include Pre-releases",
+					default: false,
+				},
+				maxPerRepo: {
+					type: "number",
+					label: "Max Releases per Repository",
+					min: 1,
+					max: 100,
+					default: 10,
+				},
+			},
+		});
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok || !base.value.repos) return base;
+		const repos = [];
+		for (const entry of base.value.repos) {
+			const repo = normalizeRepo(entry);
+			if (!repo) {
+				return {
+					ok: false,
+					error: `"${entry}" is not a GitHub repository (expected owner/name)`,
+				};
+			}
+			if (!repos.some((r) => r.toLowerCase() === repo.toLowerCase())) {
+				repos.push(repo);
+			}
+		}
+		return { ok: true, value: { ...base.value, repos } };
+	}
+
+	// Stored token wins; GITHUB_TOKEN is the fallback for env-based setups
+	getToken() {
+		const token = this.getSettings().token;
+		return (token && String(token).trim()) || process.env.GITHUB_TOKEN || "";
+	}
+
+	async request(path, { perPage }) {
+		const url = `${GITHUB_API_URL}${path}?per_page=${perPage}`;
+		const headers = {
+			accept: "application/vnd.github+json",
+			"x-github-api-version": "2022-11-28",
+		};
+		const token = this.getToken();
+		if (token) headers.authorization = `Bearer ${token}`;
+
+		const res = await fetchWithTimeout(url, GITHUB_TIMEOUT_MS, { headers });
+		if (!res) throw new Error("GitHub request failed: no response");
+		if (
+			(res.status === 403 || res.status === 429) &&
+			res.headers.get("x-ratelimit-remaining") === "0"
+		) {
+			const error = new Error("GitHub API rate limit exceeded");
+			error.rateLimited = true;
+			throw error;
+		}
+		if (!res.ok) {
+			throw new Error(`GitHub request failed: ${res.status} ${res.statusText}`);
+		}
+		return res.json();
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const repos = Array.isArray(settings.repos)
+			? settings.repos.map(normalizeRepo).filter(Boolean)
+			: [];
+		if (repos.length === 0) return [];
+		const maxPerRepo = Number(settings.maxPerRepo) || 10;
+		const knownTags = (await getCollectorState(this.id, "knownTags")) || {};
+		const items = [];
+
+		for (const repo of repos) {
+			try {
+				const releases = await this.request(`/repos/${repo}/releases`, {
+					perPage: maxPerRepo,
+				});
+				const releaseTags = new Set();
+				let accepted = 0;
+				for (const release of Array.isArray(releases) ? releases : []) {
+					releaseTags.add(release.tag_name);
+					if (release.draft) continue;
+					if (release.prerelease && !settings.includePrereleases) continue;
+					items.push(this.releaseToContentItem(repo, release));
+					accepted += 1;
+				}
+
+				let newTags = 0;
+				if (settings.includeTags !== false) {
+					const tags = await this.request(`/repos/${repo}/tags`, {
+						perPage: maxPerRepo,
+					});
+					const names = (Array.isArray(tags) ? tags : []).map((t) => t.name);
+					const key = repo.toLowerCase();
+					if (Array.isArray(knownTags[key])) {
+						const known = new Set(knownTags[key]);
+						for (const tag of tags) {
+							if (known.has(tag.name) || releaseTags.has(tag.name)) continue;
+							items.push(this.tagToContentItem(repo, tag));
+							newTags += 1;
+						}
+						knownTags[key] = Array.from(new Set([...names, ...known])).slice(
+							0,
+							500
+						);
+					} else {
+						// First sight of this repo: remember its tags, report nothing
+						knownTags[key] = names;
+					}
+				}
+
+				console.log(
+					`[${new Date().toISOString()}] GitHub collect: ${repo} ${accepted} releases, ${newTags} new tags`
+				);
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] GitHub repo failed (${repo}): ${
+						error.message
+					}`
+				);
+				if (error.rateLimited) break;
+			}
+		}
+
+		await setCollectorState(this.id, "knownTags", knownTags);
+		return items;
+	}
+
+	releaseToContentItem(repo, release) {
+		const label = release.name || release.tag_name;
+		const notes = String(release.body || "").trim();
+		return {
+			source_type: this.id,
+			source_id: `${repo}/releases/${release.id}`,
+			title: `${repo} ${label}`,
+			summary: null,
+			url:
+				release.html_url ||
+				`https://github.com/${repo}/releases/tag/${release.tag_name}`,
+			// Never fetch the release page; notes (or a stub) are the content
+			page_text: notes
+				? notes.slice(0, CONTENT_CHAR_LIMIT)
+				: `Release ${release.tag_name} of ${repo}.`,
+			raw_content: JSON.stringify({
+				github: {
+					repo,
+					kind: "release",
+					tag: release.tag_name,
+					name: release.name || null,
+					author: release.author ? release.author.login : null,
+					prerelease: !!release.prerelease,
+					published_at: release.published_at || null,
+				},
+			}),
+			created_at: release.published_at || release.created_at || null,
+		};
+	}
+
+	tagToContentItem(repo, tag) {
+		const sha = tag.commit ? tag.commit.sha : null;
+		return {
+			source_type: this.id,
+			source_id: `${repo}/tags/${tag.name}`,
+			title: `${repo} ${tag.name}`,
+			summary: null,
+			url: `https://github.com/${repo}/releases/tag/${encodeURIComponent(
+				tag.name
+			)}`,
+			page_text: `Tag ${tag.name} of ${repo}${
+				sha ? ` (commit ${sha.slice(0, 12)})` : ""
+			}. No release notes were published.`,
+			raw_content: JSON.stringify({
+				github: { repo, kind: "tag", tag: tag.name, sha },
+			}),
+			// The tags API has no dates; this is when the tag was first seen
+			created_at: new Date().toISOString(),
+		};
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		return {
+			sourceLabel: raw.kind === "tag" ? "GitHub tag" : "GitHub release",
+			title: item.title,
+			url: item.url,
+			text: item.page_text ? String(item.page_text).slice(0, 2000) : null,
+			details: {
+				Repository: raw.repo || null,
+				Tag: raw.tag || null,
+				"Pre-release": raw.prerelease ? "yes" : null,
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		const raw = rawOf(item);
+		return `Source: GitHub release notes for ${raw.repo || "a repository"}; Title: ${
+			item.title || ""
+		}`;
+	}
+}
+
+module.exports = { GitHubCollector, normalizeRepo };
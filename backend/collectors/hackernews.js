@@ -4,15 +4,14 @@
  * - Hydrate canonical item data via official Firebase API
  */
 
-const fs = require("fs");
-const path = require("path");
-
-const SETTINGS_FILE = path.join(
-	__dirname,
-	"..",
-	"config",
-	"user-settings.json"
-);
+const BaseCollector = require("./BaseCollector");
+const { readUserSettingsSync } = require("../services/userSettings");
+const { getAllCollectorState, setCollectorState } = require("../database");
+const {
+	extractReadableText,
+	fetchWithTimeout,
+	CONTENT_CHAR_LIMIT,
+} = require("../services/pageFetcher");
 
 // Fallback defaults (same as env vars)
 const FALLBACK_MAX_ITEMS = Number(process.env.HN_MAX_ITEMS || 50);
@@ -24,13 +23,23 @@ const FALLBACK_QUERY = (
 	.map((s) => s.trim())
 	.filter(Boolean);
 
-const FALLBACK_MIN_POINTS = Number(process.env.HN_MIN_POINTS || 0);
+const FALLBACK_MIN_POINTS = Number(process.env.HN_MIN_POINTS || 20);
+
+const HN_API_URL = "https://hacker-news.firebaseio.com/v0";
+const FIREBASE_TIMEOUT_MS = Number(process.env.HN_FIREBASE_TIMEOUT_MS || 10000);
+const SYNC_MODES = ["lists", "incremental"];
+// Incremental sync: ids scanned in parallel, and how far back a backfill may reach
+const SCAN_CONCURRENCY = Number(process.env.HN_SCAN_CONCURRENCY || 10);
+const MAX_BACKFILL_ITEMS = Number(process.env.HN_MAX_BACKFILL_ITEMS || 60000);
+// Matching stories below minPoints are rechecked until they are this old
+const PENDING_MAX_AGE_HOURS = 48;
+// Leave room inside collectTimeoutMs to save the cursor
+const SCAN_DEADLINE_MS = 8 * 60 * 1000;
 
 // Read settings from JSON file with fallbacks
 function getSettings() {
 	try {
-		const data = fs.readFileSync(SETTINGS_FILE, "utf8");
-		const settings = JSON.parse(data);
+		const settings = readUserSettingsSync();
 		return {
 			maxItems: settings.hackernews?.maxItems || FALLBACK_MAX_ITEMS,
 			keywords: settings.hackernews?.keywords || FALLBACK_QUERY,
@@ -314,7 +323,458 @@ async function discoverTopAndRecentWithMinScore(options = {}) {
 	return filtered.slice(0, mergedOptions.maxItems);
 }
 
+// HN comment HTML -> plain text, keeping paragraph breaks
+function commentText(html) {
+	return String(html || "")
+		.replace(/<p>/gi, "\n\n")
+		.replace(/<[^>]+>/g, "")
+		.replace(/&#x([0-9a-f]+);/gi, (_, hex) =>
+			String.fromCodePoint(parseInt(hex, 16))
+		)
+		.replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+		.replace(/&quot;/g, '"')
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&amp;/g, "&")
+		.trim();
+}
+
+/**
+ * Fetch a story's comment tree via `kids`, level by level in HN's ranked
+ * order, so a small budget covers the top-level discussion first
+ * @param {Object} story - Firebase story object (needs `kids`)
+ * @param {Object} [options]
+ * @param {number} [options.maxComments=40] - Total comments to fetch
+ * @param {number} [options.maxDepth=3] - Reply levels to descend
+ * @param {number} [options.concurrency=5] - Parallel item requests
+ * @returns {Promise<{comments: Array, count: number}>} Tree of
+ *   { id, by, time, text, children }
+ */
+async function fetchCommentTree(
+	story,
+	{ maxComments = 40, maxDepth = 3, concurrency = 5 } = {}
+) {
+	const roots = [];
+	let count = 0;
+	let level = (Array.isArray(story?.kids) ? story.kids : []).map((id) => ({
+		id,
+		parent: null,
+	}));
+
+	for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+		const batch = level.slice(0, Math.max(0, maxComments - count));
+		if (batch.length === 0) break;
+		const fetched = [];
+		for (let i = 0; i < batch.length; i += concurrency) {
+			const chunk = batch.slice(i, i + concurrency);
+			const results = await Promise.all(
+				chunk.map(({ id }) => fetchFirebaseItem(id))
+			);
+			fetched.push(...results);
+		}
+
+		const next = [];
+		batch.forEach(({ parent }, index) => {
+			const c = fetched[index];
+			if (!c || c.deleted || c.dead || !c.text) return;
+			const node = {
+				id: c.id,
+				by: c.by || null,
+				time: c.time || null,
+				text: commentText(c.text),
+				children: [],
+			};
+			(parent ? parent.children : roots).push(node);
+			count += 1;
+			for (const kid of Array.isArray(c.kids) ? c.kids : []) {
+				next.push({ id: kid, parent: node });
+			}
+		});
+		level = next;
+	}
+
+	return { comments: roots, count };
+}
+
+async function fetchFirebaseItem(id) {
+	try {
+		const res = await fetchWithTimeout(
+			`${HN_API_URL}/item/${id}.json`,
+			FIREBASE_TIMEOUT_MS
+		);
+		return res.ok ? await res.json() : null;
+	} catch (_) {
+		return null;
+	}
+}
+
+async function fetchMaxItemId() {
+	const res = await fetchWithTimeout(
+		`${HN_API_URL}/maxitem.json`,
+		FIREBASE_TIMEOUT_MS
+	);
+	if (!res.ok) {
+		throw new Error(`Firebase maxitem failed: ${res.status} ${res.statusText}`);
+	}
+	return Number(await res.json());
+}
+
+function matchesStoryKeywords(story, keywords) {
+	const hay = `${story.title || ""} ${story.url || ""}`.toLowerCase();
+	return (keywords || []).some((k) => hay.includes(String(k).toLowerCase()));
+}
+
+/**
+ * Walk item ids from the saved cursor up to /v0/maxitem so every story posted
+ * between runs is seen once. Stories that match the keywords but are below
+ * minPoints go on a pending list and are rechecked on later runs.
+ * @param {Object} options
+ * @param {number|null} options.lastItemId - Cursor from the previous run
+ * @param {Array<{id: number, time: number}>} options.pending - Stories to recheck
+ * @param {string[]} options.keywords
+ * @param {number} options.minPoints
+ * @param {number} options.maxScanItems - Ids scanned per run; the rest waits
+ * @returns {Promise<{stories: Array, lastItemId: number, pending: Array, scanned: number, maxItemId: number}>}
+ */
+async function discoverIncremental({
+	lastItemId,
+	pending = [],
+	keywords,
+	minPoints,
+	maxScanItems,
+}) {
+	const deadline = Date.now() + SCAN_DEADLINE_MS;
+	const maxItemId = await fetchMaxItemId();
+	let start = Number.isFinite(lastItemId)
+		? lastItemId + 1
+		: Math.max(1, maxItemId - maxScanItems + 1);
+	if (maxItemId - start + 1 > MAX_BACKFILL_ITEMS) {
+		const skipTo = maxItemId - MAX_BACKFILL_ITEMS + 1;
+		console.warn(
+			`[${new Date().toISOString()}] HN incremental: gap too large, skipping ids ${start}-${
+				skipTo - 1
+			}`
+		);
+		start = skipTo;
+	}
+	const end = Math.min(maxItemId, start + maxScanItems - 1);
+	const minTime = Date.now() / 1000 - PENDING_MAX_AGE_HOURS * 60 * 60;
+	const qualifies = (story) => Number(story.score) >= minPoints;
+
+	const stories = [];
+	const nextPending = [];
+	let cursor = start - 1;
+
+	for (
+		let id = start;
+		id <= end && Date.now() < deadline;
+		id += SCAN_CONCURRENCY
+	) {
+		const ids = [];
+		for (let i = id; i < id + SCAN_CONCURRENCY && i <= end; i++) ids.push(i);
+		const results = await Promise.all(ids.map(fetchFirebaseItem));
+		for (const item of results) {
+			if (!item || item.type !== "story" || item.dead || item.deleted) continue;
+			if (!matchesStoryKeywords(item, keywords)) continue;
+			if (qualifies(item)) {
+				stories.push(item);
+			} else if (item.time >= minTime) {
+				nextPending.push({ id: item.id, time: item.time });
+			}
+		}
+		cursor = ids[ids.length - 1];
+	}
+
+	// Recheck earlier low-score stories; keep the young ones still waiting
+	for (const entry of pending) {
+		if (Date.now() >= deadline) {
+			nextPending.push(entry);
+			continue;
+		}
+		if (entry.time < minTime) continue;
+		const item = await fetchFirebaseItem(entry.id);
+		if (!item || item.dead || item.deleted) continue;
+		if (qualifies(item)) stories.push(item);
+		else nextPending.push(entry);
+	}
+
+	return {
+		stories,
+		lastItemId: cursor,
+		pending: nextPending,
+		scanned: cursor - start + 1,
+		maxItemId,
+	};
+}
+
+function buildBasicHNSummary(item) {
+	const title = item?.title ? String(item.title).trim() : "Untitled";
+	const score = Number.isFinite(item?.score) ? item.score : null;
+	const by = item?.by ? String(item.by).trim() : null;
+	const parts = [title];
+	const meta = [];
+	if (Number.isFinite(score)) meta.push(`${score} points`);
+	if (by) meta.push(`by ${by}`);
+	if (meta.length) parts.push(`— ${meta.join(" ")}`);
+	return parts.join(" ");
+}
+
+// Map a hydrated story ({ id, firebase, algolia }) to a content_items row
+function toContentItem(it) {
+	const f = it.firebase || {};
+	const item = {
+		source_type: "hackernews",
+		source_id: String(it.id),
+		title: f.title || null,
+		summary: null,
+		raw_content: JSON.stringify({
+			firebase: f,
+			algolia: it.algolia || null,
+		}),
+		url: f.url || (f.id ? `https://news.ycombinator.com/item?id=${f.id}` : null),
+		highlight: false,
+		page_text: null,
+		created_at:
+			typeof f.time === "number" ? new Date(f.time * 1000).toISOString() : null,
+	};
+	// Self posts (Ask HN etc.) carry their own text; linked pages are fetched
+	// later, with the submitter's text as their fallback
+	if (!f.url && typeof f.text === "string" && f.text.trim().length > 0) {
+		item.page_text =
+			extractReadableText(f.text) || f.text.slice(0, CONTENT_CHAR_LIMIT);
+	}
+	return item;
+}
+
+function firebaseOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").firebase || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class HackerNewsCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "hackernews",
+			name: "Hacker News",
+			schedule: "0 6 * * *",
+			collectTimeoutMs: 10 * 60 * 1000,
+			settingsSchema: {
+				maxItems: {
+					type: "number",
+					label: "Max Items per Collection",
+					min: 1,
+					max: 100,
+					default: FALLBACK_MAX_ITEMS,
+					required: true,
+				},
+				keywords: {
+					type: "string[]",
+					label: "Keywords",
+					itemLabel: "keyword",
+					default: FALLBACK_QUERY,
+					required: true,
+				},
+				minPoints: {
+					type: "number",
+					label: "Minimum Points",
+					min: 0,
+					max: 10000,
+					default: FALLBACK_MIN_POINTS,
+				},
+				syncMode: {
+					type: "string",
+					label: "Sync Mode",
+					options: SYNC_MODES,
+					default: "lists",
+				},
+				maxScanItems: {
+					type: "number",
+					label: "Item Ids Scanned per Run (incremental)",
+					min: 100,
+					max: 50000,
+					default: 15000,
+				},
+				fetchComments: {
+					type: "boolean",
+					label: "Fetch Comment Threads",
+					default: false,
+				},
+				maxComments: {
+					type: "number",
+					label: "Comments per Story",
+					min: 5,
+					max: 200,
+					default: 40,
+				},
+				commentsMinTier: {
+					type: "number",
+					label: "Minimum Tier for Comments",
+					min: 1,
+					max: 4,
+					default: 3,
+				},
+				trackMetrics: {
+					type: "boolean",
+					label: "Track Points and Comments",
+					default: true,
+				},
+				metricsDays: {
+					type: "number",
+					label: "Track for (days)",
+					min: 1,
+					max: 14,
+					default: 3,
+				},
+			},
+		});
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok) return base;
+		if (
+			base.value.syncMode !== undefined &&
+			!SYNC_MODES.includes(base.value.syncMode)
+		) {
+			return {
+				ok: false,
+				error: `syncMode must be one of ${SYNC_MODES.join(", ")}`,
+			};
+		}
+		return base;
+	}
+
+	// Incremental mode defaults to hourly so each run scans a small id range
+	getSchedule() {
+		const settings = this.getSettings();
+		if (settings.syncMode === "incremental" && !settings.schedule) {
+			return "5 * * * *";
+		}
+		return super.getSchedule();
+	}
+
+	// Options from the caller win; scheduled runs pass none and use Settings
+	async collect(options = {}) {
+		const settings = this.getSettings();
+		this.incrementalCursor = null;
+		const maxItems = Number(options.maxItems) || Number(settings.maxItems);
+		const minPoints = Number.isFinite(options.minPoints)
+			? options.minPoints
+			: Number(settings.minPoints);
+		if (settings.syncMode === "incremental") {
+			return this.collectIncremental({
+				minPoints,
+				keywords: settings.keywords,
+				maxScanItems: Number(settings.maxScanItems) || 15000,
+			});
+		}
+		const hydrated = await discoverTopAndRecentWithMinScore({
+			maxItems,
+			minPoints,
+		});
+		console.log(
+			`[${new Date().toISOString()}] HN collect: hydrated count: ${
+				hydrated.length
+			}`
+		);
+		return hydrated.map(toContentItem);
+	}
+
+	async collectIncremental({ minPoints, keywords, maxScanItems }) {
+		const state = await getAllCollectorState(this.id);
+		const result = await discoverIncremental({
+			lastItemId: Number.isFinite(state.lastItemId) ? state.lastItemId : null,
+			pending: Array.isArray(state.pending) ? state.pending : [],
+			keywords,
+			minPoints,
+			maxScanItems,
+		});
+		// Saved by afterCollection() once the stories are inserted, so a run
+		// that fails or times out rescans the same ids next time
+		this.incrementalCursor = {
+			lastItemId: result.lastItemId,
+			pending: result.pending,
+		};
+		console.log(
+			`[${new Date().toISOString()}] HN incremental: scanned ${
+				result.scanned
+			} ids up to ${result.lastItemId} (maxitem ${result.maxItemId}, ${
+				result.maxItemId - result.lastItemId
+			} left), ${result.stories.length} stories, ${
+				result.pending.length
+			} pending`
+		);
+		return result.stories.map((story) =>
+			toContentItem({ id: story.id, firebase: story, algolia: null })
+		);
+	}
+
+	buildAIInput(item) {
+		const f = firebaseOf(item);
+		return {
+			sourceLabel: "Hacker News story",
+			title: f.title || item.title,
+			url: f.url || item.url,
+			text: f.text || null,
+			details: {
+				Score: `${f.score || 0} points`,
+				Author: f.by || "Unknown",
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		return `Source: Hacker News; Title: ${item.title || ""}`;
+	}
+
+	getFallbackContent(item) {
+		const f = firebaseOf(item);
+		if (typeof f.text !== "string" || !f.text.trim()) return null;
+		return {
+			text: extractReadableText(f.text) || f.text.slice(0, CONTENT_CHAR_LIMIT),
+			source: "hn_text",
+		};
+	}
+
+	buildFallbackSummary(item) {
+		return buildBasicHNSummary(firebaseOf(item));
+	}
+
+	// Incremental cursor, then comment threads for highlighted/high-tier
+	// stories once they are scored
+	async afterCollection() {
+		if (this.incrementalCursor) {
+			const { lastItemId, pending } = this.incrementalCursor;
+			this.incrementalCursor = null;
+			await setCollectorState(this.id, "lastItemId", lastItemId);
+			await setCollectorState(this.id, "pending", pending);
+		}
+		const settings = this.getSettings();
+		if (!settings.fetchComments) return;
+		const { runDiscussionIngestion } = require("../jobs/discussions");
+		await runDiscussionIngestion({
+			maxComments: Number(settings.maxComments) || 40,
+			minTier: Number(settings.commentsMinTier) || 3,
+		});
+	}
+
+	getDiscussionUrl(item) {
+		if (!item || !item.source_id) return null;
+		return `https://news.ycombinator.com/item?id=${encodeURIComponent(
+			String(item.source_id)
+		)}`;
+	}
+}
+
 module.exports = {
+	HackerNewsCollector,
+	toContentItem,
+	fetchCommentTree,
+	fetchFirebaseItem,
+	discoverIncremental,
 	discoverStories,
 	hydrateFirebaseItems,
 	discoverAndHydrateHN,
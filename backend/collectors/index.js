@@ -0,0 +1,61 @@
+/*
+ * Collector registry
+ * - Collectors register here once; the scheduler, the collection job and the
+ *   /api/collectors routes look them up by id instead of importing sources
+ */
+
+const BaseCollector = require("./BaseCollector");
+const { HackerNewsCollector } = require("./hackernews");
+const { RssCollector } = require("./rss");
+const { ArxivCollector } = require("./arxiv");
+const { GitHubCollector } = require("./github");
+const { LinkAggregatorCollector } = require("./linkAggregator");
+const { NewsletterCollector } = require("./newsletter");
+const { TranscriptCollector } = require("./transcripts");
+const { SocialCollector } = require("./social");
+const { ManualCollector } = require("./manual");
+
+const collectors = new Map();
+
+function registerCollector(collector) {
+	if (!(collector instanceof BaseCollector)) {
+		throw new Error("Collectors must extend BaseCollector");
+	}
+	if (collectors.has(collector.id)) {
+		throw new Error(`Collector "${collector.id}" is already registered`);
+	}
+	collectors.set(collector.id, collector);
+	return collector;
+}
+
+function getCollector(id) {
+	return collectors.get(String(id)) || null;
+}
+
+function getAllCollectors() {
+	return Array.from(collectors.values());
+}
+
+registerCollector(new HackerNewsCollector());
+registerCollector(new RssCollector());
+registerCollector(new ArxivCollector());
+registerCollector(new GitHubCollector());
+registerCollector(
+	new LinkAggregatorCollector({
+		id: "lobsters",
+		name: "Lobsters",
+		baseUrl: "https://lobste.rs",
+		tags: ["ai", "ml"],
+	})
+);
+registerCollector(new NewsletterCollector());
+registerCollector(new TranscriptCollector());
+registerCollector(new SocialCollector());
+registerCollector(new ManualCollector());
+
+module.exports = {
+	BaseCollector,
+	registerCollector,
+	getCollector,
+	getAllCollectors,
+};
@@ -0,0 +1,216 @@
+/*
+ * Link Aggregator Collector
+ * - Reads Lobsters-style JSON listings (/hottest.json, /newest.json), which
+ *   Lobsters and other sites running its software expose
+ * - Optional tag filter and minimum score
+ * - Each item keeps its discussion page as comments_url
+ * - One instance per site; see collectors/index.js for the registered ones
+ */
+
+const BaseCollector = require("./BaseCollector");
+const {
+	fetchWithTimeout,
+	rateLimitForDomain,
+} = require("../services/pageFetcher");
+
+const AGGREGATOR_TIMEOUT_MS = Number(process.env.AGGREGATOR_TIMEOUT_MS || 15000);
+const PAGE_SIZE = 25;
+const LISTINGS = ["hottest", "newest"];
+
+// /hottest.json, /page/2.json, /newest.json, /newest/page/2.json
+function listingPath(listing, page) {
+	if (listing === "newest") {
+		return page > 1 ? `/newest/page/${page}.json` : "/newest.json";
+	}
+	return page > 1 ? `/page/${page}.json` : "/hottest.json";
+}
+
+function submitterOf(story) {
+	const user = story.submitter_user;
+	if (!user) return null;
+	return typeof user === "string" ? user : user.username || null;
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").aggregator || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class LinkAggregatorCollector extends BaseCollector {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.id - Collector id / source_type
+	 * @param {string} options.name - Site name
+	 * @param {string} options.baseUrl - Site root, e.g. https://lobste.rs
+	 * @param {string[]} [options.tags] - Default tag filter
+	 */
+	constructor({ id, name, baseUrl, tags = [] }) {
+		super({
+			id,
+			name,
+			schedule: "0 */4 * * *",
+			collectTimeoutMs: 2 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				baseUrl: { type: "string", label: "Site URL", default: baseUrl },
+				listing: {
+					type: "string",
+					label: "Listing",
+					options: LISTINGS,
+					default: "hottest",
+				},
+				tags: {
+					type: "string[]",
+					label: "Tags (empty for all)",
+					itemLabel: "tag",
+					default: tags,
+				},
+				minScore: {
+					type: "number",
+					label: "Minimum Score",
+					min: 0,
+					max: 10000,
+					default: 0,
+				},
+				maxItems: {
+					type: "number",
+					label: "Max Items per Collection",
+					min: 1,
+					max: 100,
+					default: 25,
+				},
+			},
+		});
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok) return base;
+		const value = { ...base.value };
+		if (value.listing !== undefined && !LISTINGS.includes(value.listing)) {
+			return { ok: false, error: `listing must be one of ${LISTINGS.join(", ")}` };
+		}
+		if (value.baseUrl !== undefined) {
+			try {
+				const u = new URL(value.baseUrl);
+				if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error();
+				value.baseUrl = u.origin;
+			} catch (_) {
+				return { ok: false, error: "baseUrl must be an http(s) URL" };
+			}
+		}
+		if (value.tags) value.tags = value.tags.map((t) => t.toLowerCase());
+		return { ok: true, value };
+	}
+
+	getBaseUrl() {
+		return String(this.getSettings().baseUrl || "").replace(/\/+$/, "");
+	}
+
+	async fetchListing(listing, page) {
+		const url = `${this.getBaseUrl()}${listingPath(listing, page)}`;
+		await rateLimitForDomain(url);
+		const res = await fetchWithTimeout(url, AGGREGATOR_TIMEOUT_MS, {
+			headers: { accept: "application/json" },
+		});
+		if (!res || !res.ok) {
+			throw new Error(
+				`${this.name} request failed: ${
+					res ? `${res.status} ${res.statusText}` : "no response"
+				}`
+			);
+		}
+		const data = await res.json();
+		return Array.isArray(data) ? data : [];
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const maxItems = Number(settings.maxItems) || 25;
+		const minScore = Number(settings.minScore) || 0;
+		const tags = Array.isArray(settings.tags)
+			? settings.tags.map((t) => String(t).toLowerCase())
+			: [];
+		const listing = LISTINGS.includes(settings.listing)
+			? settings.listing
+			: "hottest";
+
+		const items = [];
+		// Tag filtering drops most of a page, so look a few pages deep
+		const maxPages = Math.ceil(maxItems / PAGE_SIZE) + (tags.length ? 3 : 0);
+		for (let page = 1; page <= maxPages && items.length < maxItems; page++) {
+			const stories = await this.fetchListing(listing, page);
+			for (const story of stories) {
+				if (items.length >= maxItems) break;
+				if (!story || !story.short_id || !story.title) continue;
+				if ((Number(story.score) || 0) < minScore) continue;
+				const storyTags = Array.isArray(story.tags) ? story.tags : [];
+				if (tags.length && !storyTags.some((t) => tags.includes(t))) continue;
+				items.push(this.toContentItem(story));
+			}
+			if (stories.length < PAGE_SIZE) break;
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] ${this.name} collect: ${items.length} stories from ${listing}${
+				tags.length ? ` (tags: ${tags.join(", ")})` : ""
+			}`
+		);
+		return items;
+	}
+
+	toContentItem(story) {
+		const commentsUrl =
+			story.comments_url || `${this.getBaseUrl()}/s/${story.short_id}`;
+		const description = String(story.description_plain || "").trim();
+		return {
+			source_type: this.id,
+			source_id: String(story.short_id),
+			title: story.title,
+			summary: null,
+			// Text posts have no external link; point at the discussion instead
+			url: story.url || commentsUrl,
+			page_text: !story.url && description ? description : null,
+			raw_content: JSON.stringify({
+				aggregator: {
+					site: this.getBaseUrl(),
+					short_id: story.short_id,
+					score: story.score,
+					comment_count: story.comment_count,
+					tags: story.tags || [],
+					submitter: submitterOf(story),
+					comments_url: commentsUrl,
+					description: description ? description.slice(0, 2000) : null,
+				},
+			}),
+			created_at: story.created_at || null,
+		};
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		return {
+			sourceLabel: `${this.name} story`,
+			title: item.title,
+			url: item.url,
+			text: raw.description || null,
+			details: {
+				Score: `${raw.score || 0} points`,
+				Tags: raw.tags && raw.tags.length ? raw.tags.join(", ") : null,
+				Author: raw.submitter || null,
+			},
+		};
+	}
+
+	getDiscussionUrl(item) {
+		const raw = rawOf(item);
+		if (raw.comments_url) return raw.comments_url;
+		const base = raw.site || this.getBaseUrl();
+		return item && item.source_id && base ? `${base}/s/${item.source_id}` : null;
+	}
+}
+
+module.exports = { LinkAggregatorCollector };
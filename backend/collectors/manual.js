@@ -0,0 +1,113 @@
+/*
+ * Manual Collector
+ * - Pages submitted by team members (POST /api/items/submit, bookmarklet)
+ * - Not scheduled; each submission is one collection run with { url, note }
+ * - Submitted pages are always summarized, not only when highlighted
+ */
+
+const BaseCollector = require("./BaseCollector");
+const { fetchUrlPage } = require("../services/pageFetcher");
+
+const NOTE_MAX_LENGTH = 2000;
+
+/**
+ * Validate a submitted URL and normalize it for use as source_id
+ * @param {string} value
+ * @returns {string|null} Normalized http(s) URL without fragment, or null
+ */
+function normalizeSubmittedUrl(value) {
+	if (typeof value !== "string" || !value.trim()) return null;
+	try {
+		const url = new URL(value.trim());
+		if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+		url.hash = "";
+		return url.href;
+	} catch (_) {
+		return null;
+	}
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").manual || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class ManualCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "manual",
+			name: "Submitted",
+			schedule: null,
+			collectTimeoutMs: 60000,
+		});
+	}
+
+	/**
+	 * Fetch one submitted page
+	 * @param {Object} [options]
+	 * @param {string} [options.url] - Page to add; nothing is collected without it
+	 * @param {string} [options.note] - Why it was submitted
+	 */
+	async collect({ url, note } = {}) {
+		const normalized = normalizeSubmittedUrl(url);
+		if (!normalized) return [];
+		const page = await fetchUrlPage(normalized);
+		const cleanNote =
+			typeof note === "string" && note.trim()
+				? note.trim().slice(0, NOTE_MAX_LENGTH)
+				: null;
+		const submittedAt = new Date().toISOString();
+		return [
+			{
+				source_type: this.id,
+				source_id: normalized,
+				title: (page && page.title) || normalized,
+				url: normalized,
+				summary: null,
+				// Unusable pages are left to the collection job's fallbacks
+				page_text: page && page.content_status === "ok" ? page.text : null,
+				content_source: page && page.content_status === "ok" ? "page" : undefined,
+				article: page ? page.article : null,
+				canonical_url: page ? page.canonical || page.url : undefined,
+				raw_content: JSON.stringify({
+					manual: {
+						note: cleanNote,
+						submitted_at: submittedAt,
+						fetched: Boolean(page && page.text),
+					},
+				}),
+				created_at: submittedAt,
+			},
+		];
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		return {
+			sourceLabel: "Page submitted by a team member",
+			title: item.title,
+			url: item.url,
+			text: item.page_text ? String(item.page_text).slice(0, 2000) : null,
+			details: {
+				"Submitter note": raw.note || null,
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		const raw = rawOf(item);
+		return `Source: submitted by a team member; Title: ${item.title || ""}${
+			raw.note ? `; Note: ${raw.note}` : ""
+		}`;
+	}
+
+	// Someone asked for this page, so it gets a summary whatever its relevance
+	shouldSummarize() {
+		return true;
+	}
+}
+
+module.exports = { ManualCollector, normalizeSubmittedUrl };
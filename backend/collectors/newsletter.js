@@ -0,0 +1,370 @@
+/*
+ * Newsletter Collector
+ * - Reads newsletters delivered to local Maildir directories or mbox files
+ *   (fetchmail, mbsync, getmail or a local MTA can deliver them there)
+ * - Splits each issue into its linked stories; every story is one
+ *   content_items row with the issue as provenance in raw_content.newsletter
+ * - Click-tracking redirects are resolved so stories keep their real URL
+ */
+
+const crypto = require("crypto");
+const BaseCollector = require("./BaseCollector");
+const {
+	fetchWithTimeout,
+	rateLimitForDomain,
+} = require("../services/pageFetcher");
+const { readMailbox, parseMessage } = require("../services/mail");
+
+const REDIRECT_TIMEOUT_MS = Number(
+	process.env.NEWSLETTER_REDIRECT_TIMEOUT_MS || 8000
+);
+// Anchor texts shorter than this are buttons/icons, not story titles
+const MIN_TITLE_LENGTH = 15;
+const BLURB_MAX_LENGTH = 600;
+
+// Housekeeping links every newsletter carries
+const SKIP_TEXT_PATTERN =
+	/unsubscribe|manage (your )?(preferences|subscription)|view (it )?(in|on) (your )?browser|view online|read online|forward (this )?(to a friend|email)|update your profile|privacy policy|sponsor us|advertise/i;
+const SKIP_URL_PATTERN =
+	/unsubscribe|\/preferences|\/manage|\/share\?|\/sharer|\/intent\/|\/shareArticle|mailto:|\/subscribe\b/i;
+const SOCIAL_HOSTS =
+	/(^|\.)(twitter\.com|x\.com|facebook\.com|linkedin\.com|instagram\.com|threads\.net)$/i;
+const GENERIC_TEXT_PATTERN =
+	/^(read more|read|link|here|click here|more|continue reading|source|paper|article|full story)\W*$/i;
+// Known click-tracking hosts, plus the usual click./links./email. subdomains
+const TRACKER_HOST_PATTERN =
+	/(^|\.)(list-manage\.com|mailchi\.mp|beehiiv\.com|convertkit-mail\d*\.com|ck\.page|sendgrid\.net|mandrillapp\.com|hubspotlinks\.com|rs6\.net|mlsend\.com|mailerlite\.com|createsend\d*\.com|cmail\d+\.com|substack\.com)$|^(click|clicks|links?|email|e|t|track|trk)\./i;
+
+function decodeEntities(text) {
+	return String(text || "")
+		.replace(/&nbsp;/gi, " ")
+		.replace(/&amp;/gi, "&")
+		.replace(/&lt;/gi, "<")
+		.replace(/&gt;/gi, ">")
+		.replace(/&quot;/gi, '"')
+		.replace(/&#0?39;|&apos;/gi, "'")
+		.replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+		.replace(/&#x([0-9a-f]+);/gi, (_, n) =>
+			String.fromCodePoint(parseInt(n, 16))
+		);
+}
+
+function htmlToText(html) {
+	return decodeEntities(String(html || "").replace(/<[^>]+>/g, " "))
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function isTrackingLink(url) {
+	try {
+		const u = new URL(url);
+		if (u.hostname === "substack.com") {
+			return u.pathname.startsWith("/redirect");
+		}
+		if (/(^|\.)substack\.com$/i.test(u.hostname)) return false;
+		return TRACKER_HOST_PATTERN.test(u.hostname);
+	} catch (_) {
+		return false;
+	}
+}
+
+function isStoryLink(url, text) {
+	let u;
+	try {
+		u = new URL(url);
+	} catch (_) {
+		return false;
+	}
+	if (u.protocol !== "http:" && u.protocol !== "https:") return false;
+	if (SKIP_URL_PATTERN.test(url) || SKIP_TEXT_PATTERN.test(text)) return false;
+	// Profile/share links; a post on one of these sites still passes
+	if (SOCIAL_HOSTS.test(u.hostname) && u.pathname.split("/").length <= 2) {
+		return false;
+	}
+	return true;
+}
+
+function titleFor(anchorText, blockText) {
+	if (
+		anchorText.length >= MIN_TITLE_LENGTH &&
+		!GENERIC_TEXT_PATTERN.test(anchorText)
+	) {
+		return anchorText;
+	}
+	// "Read more" style links: the surrounding paragraph names the story
+	if (blockText.length >= MIN_TITLE_LENGTH) {
+		const firstSentence = blockText.split(/(?<=[.!?])\s/)[0];
+		return firstSentence.slice(0, 160);
+	}
+	return null;
+}
+
+// HTML issue -> [{ url, title, blurb }] in reading order
+function linksFromHtml(html) {
+	const body = String(html)
+		.replace(/<head[\s\S]*?<\/head>/gi, " ")
+		.replace(/<style[\s\S]*?<\/style>/gi, " ")
+		.replace(/<script[\s\S]*?<\/script>/gi, " ");
+	const blocks = body.split(
+		/<\/(?:p|li|td|th|h[1-6]|div|tr|blockquote|section|article)>|<br\s*\/?>/i
+	);
+	const links = [];
+	const anchorPattern =
+		/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>([\s\S]*?)<\/a>/gi;
+	for (const block of blocks) {
+		const blockText = htmlToText(block);
+		let match;
+		while ((match = anchorPattern.exec(block))) {
+			const url = decodeEntities(match[1] || match[2] || "").trim();
+			const anchorText = htmlToText(match[3]);
+			if (!isStoryLink(url, anchorText)) continue;
+			const title = titleFor(anchorText, blockText);
+			if (!title) continue;
+			links.push({
+				url,
+				title,
+				blurb: blockText.slice(0, BLURB_MAX_LENGTH) || null,
+			});
+		}
+	}
+	return links;
+}
+
+// Plain-text issue: a URL with the text on its line, or the line above
+function linksFromText(text) {
+	const lines = String(text || "").split(/\r?\n/);
+	const links = [];
+	for (let i = 0; i < lines.length; i++) {
+		const urls = lines[i].match(/https?:\/\/[^\s<>)\]]+/g) || [];
+		for (const url of urls) {
+			const rest = lines[i]
+				.replace(url, "")
+				.replace(/[\s:\-–—()[\]<>]+$/g, "")
+				.trim();
+			const label =
+				rest.length >= MIN_TITLE_LENGTH ? rest : (lines[i - 1] || "").trim();
+			if (!isStoryLink(url, label)) continue;
+			const title = titleFor(label, label);
+			if (!title) continue;
+			links.push({ url, title, blurb: label.slice(0, BLURB_MAX_LENGTH) });
+		}
+	}
+	return links;
+}
+
+/**
+ * Linked stories of one parsed newsletter message
+ * @param {Object} message - From services/mail parseMessage()
+ * @returns {Array<{url: string, title: string, blurb: string|null}>}
+ */
+function extractStories(message) {
+	const links = message.html
+		? linksFromHtml(message.html)
+		: linksFromText(message.text);
+	const seen = new Set();
+	return links.filter((link) => {
+		if (seen.has(link.url)) return false;
+		seen.add(link.url);
+		return true;
+	});
+}
+
+// Follow a click-tracking redirect to the story URL; original on failure
+async function resolveRedirect(url) {
+	try {
+		await rateLimitForDomain(url);
+		let res = await fetchWithTimeout(url, REDIRECT_TIMEOUT_MS, {
+			method: "HEAD",
+		});
+		// Some trackers only answer GET; the body is not needed
+		if (!res.ok) {
+			res = await fetchWithTimeout(url, REDIRECT_TIMEOUT_MS);
+			if (res.body) res.body.cancel().catch(() => {});
+		}
+		return res.url || url;
+	} catch (_) {
+		return url;
+	}
+}
+
+function messageKey(message) {
+	if (message.messageId) return message.messageId;
+	// No Message-ID: hash what identifies an issue
+	return crypto
+		.createHash("sha1")
+		.update(`${message.from.address}|${message.subject}|${message.date}`)
+		.digest("hex")
+		.slice(0, 16);
+}
+
+function matchesSenders(message, senders) {
+	if (!senders || senders.length === 0) return true;
+	const address = String(message.from.address || "");
+	return senders.some((s) => address.includes(String(s).toLowerCase()));
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").newsletter || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class NewsletterCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "newsletter",
+			name: "Newsletters",
+			schedule: "10 * * * *",
+			collectTimeoutMs: 5 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				mailboxes: {
+					type: "string[]",
+					label: "Maildir Directories or mbox Files",
+					itemLabel: "mailbox path",
+					default: [],
+				},
+				senders: {
+					type: "string[]",
+					label: "Sender Filter",
+					itemLabel: "sender",
+					default: [],
+				},
+				lookbackDays: {
+					type: "number",
+					label: "Lookback Days",
+					min: 1,
+					max: 60,
+					default: 7,
+				},
+				maxLinksPerIssue: {
+					type: "number",
+					label: "Max Stories per Issue",
+					min: 1,
+					max: 100,
+					default: 25,
+				},
+				resolveRedirects: {
+					type: "boolean",
+					label: "Resolve Tracking Links",
+					default: true,
+				},
+			},
+		});
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const mailboxes = Array.isArray(settings.mailboxes)
+			? settings.mailboxes
+			: [];
+		if (mailboxes.length === 0) {
+			console.log(
+				`[${new Date().toISOString()}] Newsletters: no mailboxes configured`
+			);
+			return [];
+		}
+		const since =
+			Date.now() - Number(settings.lookbackDays || 7) * 24 * 60 * 60 * 1000;
+		const maxLinks = Number(settings.maxLinksPerIssue) || 25;
+
+		const items = [];
+		let issues = 0;
+		for (const mailbox of mailboxes) {
+			let raws;
+			try {
+				raws = await readMailbox(mailbox, { since });
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] Newsletters: cannot read ${mailbox}: ${error.message}`
+				);
+				continue;
+			}
+			for (const raw of raws) {
+				const message = parseMessage(raw);
+				if (!message.date || Date.parse(message.date) < since) continue;
+				if (!matchesSenders(message, settings.senders)) continue;
+				const stories = extractStories(message).slice(0, maxLinks);
+				if (stories.length === 0) continue;
+				issues += 1;
+				items.push(...(await this.toContentItems(message, stories, settings)));
+			}
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] Newsletters collect: ${items.length} stories from ${issues} issues`
+		);
+		return items;
+	}
+
+	async toContentItems(message, stories, settings) {
+		const key = messageKey(message);
+		const newsletterName =
+			message.from.name || message.from.address || "Newsletter";
+		const items = [];
+		for (let i = 0; i < stories.length; i++) {
+			const story = stories[i];
+			const url =
+				settings.resolveRedirects !== false && isTrackingLink(story.url)
+					? await resolveRedirect(story.url)
+					: story.url;
+			items.push({
+				source_type: this.id,
+				// The same story in another issue is another row with its own provenance
+				source_id: `${key}#${url}`,
+				title: story.title,
+				url,
+				summary: null,
+				page_text: null,
+				raw_content: JSON.stringify({
+					newsletter: {
+						name: newsletterName,
+						from: message.from.address,
+						subject: message.subject,
+						message_id: message.messageId,
+						date: message.date,
+						position: i + 1,
+						blurb: story.blurb,
+						original_url: url !== story.url ? story.url : null,
+					},
+				}),
+				created_at: message.date,
+			});
+		}
+		return items;
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		return {
+			sourceLabel: raw.name
+				? `Story linked from the newsletter "${raw.name}"`
+				: "Story linked from a newsletter",
+			title: item.title,
+			url: item.url,
+			text:
+				raw.blurb ||
+				(item.page_text ? String(item.page_text).slice(0, 2000) : null),
+			details: {
+				Newsletter: raw.name || null,
+				Issue: raw.subject || null,
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		const raw = rawOf(item);
+		return `Source: ${raw.name || "newsletter"} (${raw.subject || "issue"}); Title: ${
+			item.title || ""
+		}`;
+	}
+
+	// The newsletter's own blurb is better than nothing when AI fails
+	buildFallbackSummary(item) {
+		return rawOf(item).blurb || null;
+	}
+}
+
+module.exports = { NewsletterCollector, extractStories, isTrackingLink };
@@ -0,0 +1,278 @@
+/*
+ * RSS/Atom Collector
+ * - Polls each configured feed when its own poll interval has elapsed
+ * - Optional per-feed keyword pre-filter on title + summary
+ * - Uses the entry's full content as page_text when the feed carries it;
+ *   otherwise the collection job fetches the linked page
+ */
+
+const BaseCollector = require("./BaseCollector");
+const { parseFeed } = require("./feedParser");
+const { getCollectorState, setCollectorState } = require("../database");
+const {
+	extractReadableText,
+	fetchWithTimeout,
+	rateLimitForDomain,
+} = require("../services/pageFetcher");
+
+const FEED_TIMEOUT_MS = Number(process.env.RSS_FEED_TIMEOUT_MS || 15000);
+// Feed content shorter than this is treated as a teaser and the link is fetched
+const MIN_FEED_CONTENT_CHARS = Number(
+	process.env.RSS_MIN_CONTENT_CHARS || 500
+);
+const DEFAULT_POLL_INTERVAL_MINUTES = 60;
+const MIN_POLL_INTERVAL_MINUTES = 5;
+const MAX_POLL_INTERVAL_MINUTES = 7 * 24 * 60;
+
+function isHttpUrl(value) {
+	try {
+		const u = new URL(String(value));
+		return u.protocol === "http:" || u.protocol === "https:";
+	} catch (_) {
+		return false;
+	}
+}
+
+// Normalized key used to detect duplicate feeds
+function feedKey(url) {
+	try {
+		const u = new URL(String(url).trim());
+		u.hash = "";
+		return u.toString().replace(/\/$/, "").toLowerCase();
+	} catch (_) {
+		return String(url || "")
+			.trim()
+			.toLowerCase();
+	}
+}
+
+// content_items.source_id of a feed entry
+function rssSourceId(feed, entry) {
+	return `${feed.url}#${entry.id}`;
+}
+
+function matchesKeywords(entry, keywords) {
+	if (!Array.isArray(keywords) || keywords.length === 0) return true;
+	const hay = `${entry.title || ""} ${entry.summary || ""}`.toLowerCase();
+	return keywords.some((k) => hay.includes(String(k).toLowerCase()));
+}
+
+/**
+ * Validate one feed config
+ * @returns {{ok: boolean, value?: Object, error?: string}}
+ */
+function normalizeFeed(feed, index) {
+	if (!feed || typeof feed !== "object") {
+		return { ok: false, error: `feeds[${index}] must be an object` };
+	}
+	const url = typeof feed.url === "string" ? feed.url.trim() : "";
+	if (!isHttpUrl(url)) {
+		return { ok: false, error: `feeds[${index}].url must be an http(s) URL` };
+	}
+	const interval =
+		feed.pollIntervalMinutes === undefined
+			? DEFAULT_POLL_INTERVAL_MINUTES
+			: feed.pollIntervalMinutes;
+	if (
+		typeof interval !== "number" ||
+		interval < MIN_POLL_INTERVAL_MINUTES ||
+		interval > MAX_POLL_INTERVAL_MINUTES
+	) {
+		return {
+			ok: false,
+			error: `feeds[${index}].pollIntervalMinutes must be a number between ${MIN_POLL_INTERVAL_MINUTES} and ${MAX_POLL_INTERVAL_MINUTES}`,
+		};
+	}
+	if (feed.keywords !== undefined && !Array.isArray(feed.keywords)) {
+		return {
+			ok: false,
+			error: `feeds[${index}].keywords must be an array of strings`,
+		};
+	}
+	return {
+		ok: true,
+		value: {
+			url,
+			title: typeof feed.title === "string" ? feed.title.trim() : "",
+			category: typeof feed.category === "string" ? feed.category.trim() : "",
+			pollIntervalMinutes: interval,
+			keywords: (feed.keywords || [])
+				.map((k) => (typeof k === "string" ? k.trim() : ""))
+				.filter((k) => k.length > 0),
+			enabled: feed.enabled !== false,
+		},
+	};
+}
+
+class RssCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "rss",
+			name: "RSS/Atom Feeds",
+			// Runs often; each feed is only fetched when its own interval is due
+			schedule: "*/15 * * * *",
+			collectTimeoutMs: 5 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				maxItemsPerFeed: {
+					type: "number",
+					label: "Max Items per Feed",
+					min: 1,
+					max: 100,
+					default: 20,
+				},
+				feeds: { type: "feeds", label: "Feeds", default: [] },
+			},
+		});
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok) return base;
+		const value = base.value;
+		if (value.feeds === undefined) return base;
+		if (!Array.isArray(value.feeds)) {
+			return { ok: false, error: "feeds must be an array" };
+		}
+		const seen = new Set();
+		const feeds = [];
+		for (let i = 0; i < value.feeds.length; i++) {
+			const result = normalizeFeed(value.feeds[i], i);
+			if (!result.ok) return result;
+			const key = feedKey(result.value.url);
+			if (seen.has(key)) continue;
+			seen.add(key);
+			feeds.push(result.value);
+		}
+		return { ok: true, value: { ...value, feeds } };
+	}
+
+	getFeeds() {
+		const feeds = this.getSettings().feeds;
+		return Array.isArray(feeds) ? feeds.filter((f) => f && f.url) : [];
+	}
+
+	async fetchFeed(url) {
+		await rateLimitForDomain(url);
+		const res = await fetchWithTimeout(url, FEED_TIMEOUT_MS);
+		if (!res || !res.ok) {
+			throw new Error(
+				`Feed request failed: ${res ? `${res.status} ${res.statusText}` : "no response"}`
+			);
+		}
+		return parseFeed(await res.text());
+	}
+
+	async collect({ force = false } = {}) {
+		const settings = this.getSettings();
+		const maxItemsPerFeed = Number(settings.maxItemsPerFeed) || 20;
+		const lastPolled = (await getCollectorState(this.id, "lastPolled")) || {};
+		const now = Date.now();
+		const items = [];
+
+		for (const feed of this.getFeeds()) {
+			if (feed.enabled === false) continue;
+			const key = feedKey(feed.url);
+			const intervalMs =
+				(Number(feed.pollIntervalMinutes) || DEFAULT_POLL_INTERVAL_MINUTES) *
+				60 *
+				1000;
+			const last = Date.parse(lastPolled[key] || "") || 0;
+			if (!force && now - last < intervalMs) continue;
+
+			try {
+				const parsed = await this.fetchFeed(feed.url);
+				const feedTitle = feed.title || parsed.title || feed.url;
+				let accepted = 0;
+				for (const entry of parsed.entries) {
+					if (accepted >= maxItemsPerFeed) break;
+					if (!entry.id || !(entry.title || entry.link)) continue;
+					if (!matchesKeywords(entry, feed.keywords)) continue;
+					items.push(this.toContentItem(entry, feed, feedTitle));
+					accepted += 1;
+				}
+				lastPolled[key] = new Date().toISOString();
+				console.log(
+					`[${new Date().toISOString()}] RSS collect: ${accepted}/${
+						parsed.entries.length
+					} entries from ${feedTitle}`
+				);
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] RSS feed failed (${feed.url}): ${
+						error.message
+					}`
+				);
+			}
+		}
+
+		await setCollectorState(this.id, "lastPolled", lastPolled);
+		return items;
+	}
+
+	toContentItem(entry, feed, feedTitle) {
+		const fullText = extractReadableText(entry.content || entry.summary || "");
+		return {
+			source_type: this.id,
+			// guids are only unique within a feed
+			source_id: rssSourceId(feed, entry),
+			title: entry.title || entry.link,
+			summary: null,
+			url: entry.link || null,
+			page_text:
+				fullText && fullText.length >= MIN_FEED_CONTENT_CHARS ? fullText : null,
+			raw_content: JSON.stringify({
+				feed: {
+					url: feed.url,
+					title: feedTitle,
+					category: feed.category || null,
+				},
+				entry: {
+					id: entry.id,
+					title: entry.title,
+					link: entry.link,
+					published: entry.published,
+					authors: entry.authors,
+					categories: entry.categories,
+					summary: entry.summary
+						? extractReadableText(entry.summary).slice(0, 2000)
+						: null,
+				},
+			}),
+			created_at: entry.published || null,
+		};
+	}
+
+	buildAIInput(item) {
+		let raw = {};
+		try {
+			raw = JSON.parse(item.raw_content || "{}");
+		} catch (_) {
+			raw = {};
+		}
+		return {
+			sourceLabel: "feed article",
+			title: item.title,
+			url: item.url,
+			text:
+				raw.entry?.summary ||
+				(item.page_text ? String(item.page_text).slice(0, 2000) : null),
+			details: {
+				Feed: raw.feed?.title || null,
+				Author: raw.entry?.authors?.length ? raw.entry.authors.join(", ") : null,
+			},
+		};
+	}
+
+	getSummaryContext(item) {
+		let feedTitle = "";
+		try {
+			feedTitle = JSON.parse(item.raw_content || "{}").feed?.title || "";
+		} catch (_) {
+			feedTitle = "";
+		}
+		return `Source: ${feedTitle || "RSS feed"}; Title: ${item.title || ""}`;
+	}
+}
+
+module.exports = { RssCollector, feedKey, normalizeFeed };
@@ -0,0 +1,549 @@
+/*
+ * Social Collector
+ * - Follows hashtags, lists and accounts on a Mastodon-compatible
+ *   (ActivityPub) server and on the Bluesky AppView API
+ * - Only posts that link somewhere are kept; posts linking the same URL are
+ *   folded into one content_items row (source_id is the normalized URL)
+ * - Every post is recorded in social_mentions, so an item's "mentioned by
+ *   N accounts" count keeps growing after it was collected
+ * - Server URLs are settings, so a local fake server can stand in for both
+ */
+
+const BaseCollector = require("./BaseCollector");
+const {
+	fetchWithTimeout,
+	rateLimitForDomain,
+	fetchUrlPage,
+} = require("../services/pageFetcher");
+const { stripTrackingParams } = require("../services/canonicalUrl");
+const {
+	getItemIdsBySource,
+	insertSocialMentions,
+	getMentionCountsForUrls,
+} = require("../database");
+
+const SOCIAL_TIMEOUT_MS = Number(process.env.SOCIAL_TIMEOUT_MS || 15000);
+const MENTIONS_KEPT = 10;
+const POST_TEXT_MAX_LENGTH = 500;
+
+// Normalized URL used to fold posts (and as source_id)
+const normalizeLinkedUrl = stripTrackingParams;
+
+function htmlToText(html) {
+	return String(html || "")
+		.replace(/<br\s*\/?>|<\/p>/gi, "\n")
+		.replace(/<[^>]+>/g, "")
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;/g, "'")
+		.replace(/[ \t]+/g, " ")
+		.trim();
+}
+
+// Links in a Mastodon status body, minus @mentions and #hashtags
+function linksFromStatusHtml(html) {
+	const links = [];
+	const pattern = /<a\s([^>]*)>/gi;
+	let match;
+	while ((match = pattern.exec(String(html || "")))) {
+		const attrs = match[1];
+		const href = /href\s*=\s*"([^"]*)"/i.exec(attrs);
+		if (!href) continue;
+		const cls = /class\s*=\s*"([^"]*)"/i.exec(attrs);
+		if (cls && /\b(mention|hashtag)\b/.test(cls[1])) continue;
+		links.push(href[1].replace(/&amp;/g, "&"));
+	}
+	return links;
+}
+
+/**
+ * Mastodon status -> post ({ network, post_id, account, ..., links })
+ * Boosts count as a post by the original author.
+ */
+function fromMastodonStatus(status) {
+	const s = status && status.reblog ? status.reblog : status;
+	if (!s || !s.id || !s.account) return null;
+	const links = [];
+	if (s.card && s.card.url) links.push(s.card.url);
+	links.push(...linksFromStatusHtml(s.content));
+	return {
+		network: "mastodon",
+		post_id: String(s.uri || s.id),
+		account: String(s.account.acct || s.account.username || ""),
+		account_name: s.account.display_name || null,
+		post_url: s.url || s.uri || null,
+		text: htmlToText(s.content).slice(0, POST_TEXT_MAX_LENGTH),
+		posted_at: s.created_at || null,
+		card: s.card
+			? { url: s.card.url, title: s.card.title, description: s.card.description }
+			: null,
+		links,
+	};
+}
+
+// Bluesky post view -> post
+function fromBlueskyPost(post) {
+	if (!post || !post.uri || !post.author) return null;
+	const record = post.record || {};
+	const links = [];
+	const external =
+		(post.embed && post.embed.external) ||
+		(record.embed && record.embed.external) ||
+		null;
+	if (external && external.uri) links.push(external.uri);
+	for (const facet of Array.isArray(record.facets) ? record.facets : []) {
+		for (const feature of facet.features || []) {
+			if (feature && feature.$type === "app.bsky.richtext.facet#link") {
+				links.push(feature.uri);
+			}
+		}
+	}
+	const rkey = String(post.uri).split("/").pop();
+	const handle = post.author.handle || post.author.did;
+	return {
+		network: "bluesky",
+		post_id: String(post.uri),
+		account: String(handle || ""),
+		account_name: post.author.displayName || null,
+		post_url: `https://bsky.app/profile/${handle}/post/${rkey}`,
+		text: String(record.text || "").slice(0, POST_TEXT_MAX_LENGTH),
+		posted_at: record.createdAt || post.indexedAt || null,
+		card: external
+			? {
+					url: external.uri,
+					title: external.title,
+					description: external.description,
+			  }
+			: null,
+		links,
+	};
+}
+
+// "https://bsky.app/profile/<actor>/lists/<rkey>" -> at:// list URI
+function blueskyListUri(value) {
+	const text = String(value || "").trim();
+	if (text.startsWith("at://")) return text;
+	const match = /bsky\.app\/profile\/([^/]+)\/lists\/([^/?#]+)/.exec(text);
+	return match ? `at://${match[1]}/app.bsky.graph.list/${match[2]}` : null;
+}
+
+function stripPrefix(value, prefix) {
+	const text = String(value || "").trim();
+	return text.startsWith(prefix) ? text.slice(prefix.length) : text;
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").social || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class SocialCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "social",
+			name: "Social",
+			schedule: "*/30 * * * *",
+			collectTimeoutMs: 5 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				mastodonInstance: {
+					type: "string",
+					label: "Mastodon Server",
+					default: "",
+				},
+				mastodonToken: {
+					type: "string",
+					label: "Mastodon Access Token",
+					default: "",
+					secret: true,
+				},
+				mastodonHashtags: {
+					type: "string[]",
+					label: "Mastodon Hashtags",
+					itemLabel: "hashtag",
+					default: [],
+				},
+				mastodonLists: {
+					type: "string[]",
+					label: "Mastodon List IDs",
+					itemLabel: "list id",
+					default: [],
+				},
+				mastodonAccounts: {
+					type: "string[]",
+					label: "Mastodon Accounts",
+					itemLabel: "account",
+					default: [],
+				},
+				blueskyAppView: {
+					type: "string",
+					label: "Bluesky AppView",
+					default: "https://public.api.bsky.app",
+				},
+				blueskyHashtags: {
+					type: "string[]",
+					label: "Bluesky Hashtags",
+					itemLabel: "hashtag",
+					default: [],
+				},
+				blueskyLists: {
+					type: "string[]",
+					label: "Bluesky Lists",
+					itemLabel: "list",
+					default: [],
+				},
+				blueskyAccounts: {
+					type: "string[]",
+					label: "Bluesky Accounts",
+					itemLabel: "handle",
+					default: [],
+				},
+				lookbackHours: {
+					type: "number",
+					label: "Lookback Hours",
+					min: 1,
+					max: 24 * 14,
+					default: 48,
+				},
+				minMentions: {
+					type: "number",
+					label: "Minimum Accounts Mentioning a Link",
+					min: 1,
+					max: 100,
+					default: 1,
+				},
+				maxItems: {
+					type: "number",
+					label: "Max Items per Collection",
+					min: 1,
+					max: 200,
+					default: 50,
+				},
+			},
+		});
+		// acct -> Mastodon account id, resolved once per process
+		this.accountIds = new Map();
+	}
+
+	validateSettings(section) {
+		const base = super.validateSettings(section);
+		if (!base.ok) return base;
+		const value = { ...base.value };
+		for (const key of ["mastodonInstance", "blueskyAppView"]) {
+			if (!value[key]) continue;
+			try {
+				const u = new URL(value[key]);
+				if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error();
+				value[key] = u.origin;
+			} catch (_) {
+				return { ok: false, error: `${key} must be an http(s) URL` };
+			}
+		}
+		for (const key of ["mastodonHashtags", "blueskyHashtags"]) {
+			if (value[key]) value[key] = value[key].map((t) => stripPrefix(t, "#"));
+		}
+		for (const key of ["mastodonAccounts", "blueskyAccounts"]) {
+			if (value[key]) value[key] = value[key].map((a) => stripPrefix(a, "@"));
+		}
+		if (value.blueskyLists) {
+			for (const list of value.blueskyLists) {
+				if (!blueskyListUri(list)) {
+					return {
+						ok: false,
+						error: `Bluesky lists must be at:// URIs or bsky.app list links: ${list}`,
+					};
+				}
+			}
+		}
+		return { ok: true, value };
+	}
+
+	async getJson(url, headers = {}) {
+		await rateLimitForDomain(url);
+		const res = await fetchWithTimeout(url, SOCIAL_TIMEOUT_MS, {
+			headers: { accept: "application/json", ...headers },
+		});
+		if (!res || !res.ok) {
+			throw new Error(
+				`request failed: ${res ? `${res.status} ${res.statusText}` : "no response"}`
+			);
+		}
+		return res.json();
+	}
+
+	async mastodonStatuses(instance, path, token) {
+		const headers = token ? { authorization: `Bearer ${token}` } : {};
+		const data = await this.getJson(`${instance}${path}`, headers);
+		return Array.isArray(data) ? data : [];
+	}
+
+	async mastodonAccountId(instance, acct) {
+		const key = `${instance}|${acct}`;
+		if (this.accountIds.has(key)) return this.accountIds.get(key);
+		const account = await this.getJson(
+			`${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(acct)}`
+		);
+		const id = account && account.id ? String(account.id) : null;
+		if (id) this.accountIds.set(key, id);
+		return id;
+	}
+
+	// [{ label, load: async () => posts }] for every configured source
+	getSources(settings) {
+		const sources = [];
+		const list = (key) => (Array.isArray(settings[key]) ? settings[key] : []);
+
+		const instance = String(settings.mastodonInstance || "").replace(/\/+$/, "");
+		const token = settings.mastodonToken || "";
+		if (instance) {
+			const statuses = async (path) =>
+				(await this.mastodonStatuses(instance, path, token))
+					.map(fromMastodonStatus)
+					.filter(Boolean);
+			for (const tag of list("mastodonHashtags")) {
+				sources.push({
+					label: `mastodon #${tag}`,
+					load: () =>
+						statuses(`/api/v1/timelines/tag/${encodeURIComponent(tag)}?limit=40`),
+				});
+			}
+			for (const id of list("mastodonLists")) {
+				sources.push({
+					label: `mastodon list ${id}`,
+					load: () =>
+						statuses(`/api/v1/timelines/list/${encodeURIComponent(id)}?limit=40`),
+				});
+			}
+			for (const acct of list("mastodonAccounts")) {
+				sources.push({
+					label: `mastodon @${acct}`,
+					load: async () => {
+						const id = await this.mastodonAccountId(instance, acct);
+						if (!id) return [];
+						return statuses(
+							`/api/v1/accounts/${encodeURIComponent(id)}/statuses?limit=40&exclude_replies=true`
+						);
+					},
+				});
+			}
+		}
+
+		const appView = String(settings.blueskyAppView || "").replace(/\/+$/, "");
+		if (appView) {
+			const xrpc = async (method, params, field) => {
+				const query = new URLSearchParams(params).toString();
+				const data = await this.getJson(`${appView}/xrpc/${method}?${query}`);
+				const entries = Array.isArray(data && data[field]) ? data[field] : [];
+				// Feeds wrap posts ({ post }); search returns bare posts
+				return entries
+					.map((e) => fromBlueskyPost(e && e.post ? e.post : e))
+					.filter(Boolean);
+			};
+			for (const tag of list("blueskyHashtags")) {
+				sources.push({
+					label: `bluesky #${tag}`,
+					load: () =>
+						xrpc(
+							"app.bsky.feed.searchPosts",
+							{ q: `#${tag}`, sort: "latest", limit: 50 },
+							"posts"
+						),
+				});
+			}
+			for (const entry of list("blueskyLists")) {
+				const uri = blueskyListUri(entry);
+				if (!uri) continue;
+				sources.push({
+					label: `bluesky list ${entry}`,
+					load: () =>
+						xrpc("app.bsky.feed.getListFeed", { list: uri, limit: 50 }, "feed"),
+				});
+			}
+			for (const actor of list("blueskyAccounts")) {
+				sources.push({
+					label: `bluesky @${actor}`,
+					load: () =>
+						xrpc(
+							"app.bsky.feed.getAuthorFeed",
+							{ actor, filter: "posts_no_replies", limit: 50 },
+							"feed"
+						),
+				});
+			}
+		}
+		return sources;
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const sources = this.getSources(settings);
+		if (sources.length === 0) {
+			console.log(
+				`[${new Date().toISOString()}] Social: no hashtags, lists or accounts configured`
+			);
+			return [];
+		}
+		const since =
+			Date.now() - Number(settings.lookbackHours || 48) * 60 * 60 * 1000;
+
+		// Normalized URL -> { url, mentions: [], cards: [] }
+		const groups = new Map();
+		const seenPosts = new Set();
+		for (const source of sources) {
+			let posts;
+			try {
+				posts = await source.load();
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] Social: ${source.label} failed: ${error.message}`
+				);
+				continue;
+			}
+			for (const post of posts) {
+				const postKey = `${post.network}|${post.post_id}`;
+				if (seenPosts.has(postKey) || !post.account) continue;
+				seenPosts.add(postKey);
+				const time = Date.parse(post.posted_at || "");
+				if (Number.isFinite(time) && time < since) continue;
+				const urls = new Set(post.links.map(normalizeLinkedUrl).filter(Boolean));
+				for (const url of urls) {
+					if (!groups.has(url)) groups.set(url, { url, posts: [], card: null });
+					const group = groups.get(url);
+					group.posts.push(post);
+					if (!group.card && post.card && normalizeLinkedUrl(post.card.url) === url) {
+						group.card = post.card;
+					}
+				}
+			}
+		}
+
+		const urlKeys = Array.from(groups.keys());
+		await insertSocialMentions(
+			Array.from(groups.values()).flatMap((g) =>
+				g.posts.map((p) => ({ ...p, url_key: g.url }))
+			)
+		);
+		const counts = await getMentionCountsForUrls(urlKeys);
+		const stored = new Set(
+			(await getItemIdsBySource(this.id, urlKeys)).map((r) => String(r.source_id))
+		);
+
+		// Most-mentioned links first, so maxItems keeps the strongest signals
+		const minMentions = Number(settings.minMentions) || 1;
+		const candidates = Array.from(groups.values())
+			.filter((g) => !stored.has(g.url) && (counts.get(g.url) || 0) >= minMentions)
+			.sort((a, b) => (counts.get(b.url) || 0) - (counts.get(a.url) || 0))
+			.slice(0, Number(settings.maxItems) || 50);
+
+		const items = [];
+		for (const group of candidates) {
+			items.push(await this.toContentItem(group, counts.get(group.url) || 0));
+		}
+		console.log(
+			`[${new Date().toISOString()}] Social collect: ${seenPosts.size} posts from ${
+				sources.length
+			} sources linked ${groups.size} URLs, ${items.length} new items`
+		);
+		return items;
+	}
+
+	async toContentItem(group, accountCount) {
+		const posts = group.posts
+			.slice()
+			.sort((a, b) => String(a.posted_at).localeCompare(String(b.posted_at)));
+		let title = group.card && group.card.title ? group.card.title : null;
+		let pageText = null;
+		let contentSource;
+		let canonicalUrl;
+		let article = null;
+		// No link preview: the page itself has to supply a title
+		if (!title) {
+			const page = await fetchUrlPage(group.url);
+			if (page) {
+				title = page.title;
+				// Unusable pages are left to the collection job's fallbacks
+				pageText = page.content_status === "ok" ? page.text : null;
+				if (pageText) contentSource = "page";
+				canonicalUrl = page.canonical || page.url;
+				article = page.article;
+			}
+		}
+		const firstText = posts.find((p) => p.text);
+		return {
+			source_type: this.id,
+			source_id: group.url,
+			title: title || (firstText ? firstText.text.slice(0, 140) : group.url),
+			url: group.url,
+			summary: null,
+			page_text: pageText,
+			content_source: contentSource,
+			canonical_url: canonicalUrl,
+			article,
+			raw_content: JSON.stringify({
+				social: {
+					accounts: accountCount,
+					description: group.card ? group.card.description || null : null,
+					networks: Array.from(new Set(posts.map((p) => p.network))),
+					mentions: posts.slice(0, MENTIONS_KEPT).map((p) => ({
+						network: p.network,
+						account: p.account,
+						account_name: p.account_name,
+						post_url: p.post_url,
+						text: p.text,
+						posted_at: p.posted_at,
+					})),
+				},
+			}),
+			created_at: posts[0].posted_at || null,
+		};
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		const mentions = Array.isArray(raw.mentions) ? raw.mentions : [];
+		const posts = mentions
+			.map((m) => m.text)
+			.filter(Boolean)
+			.slice(0, 5)
+			.join("\n---\n");
+		return {
+			sourceLabel: "Link shared on Mastodon/Bluesky",
+			title: item.title,
+			url: item.url,
+			text:
+				[raw.description, posts].filter(Boolean).join("\n\n") ||
+				(item.page_text ? String(item.page_text).slice(0, 2000) : null),
+			details: {
+				"Mentioned by": raw.accounts ? `${raw.accounts} accounts` : null,
+			},
+		};
+	}
+
+	// The link preview's description (the page's Open Graph description)
+	getFallbackContent(item) {
+		const description = rawOf(item).description;
+		return description ? { text: description, source: "og_description" } : null;
+	}
+
+	// The first post that shared the link
+	getDiscussionUrl(item) {
+		const mentions = rawOf(item).mentions;
+		return Array.isArray(mentions) && mentions[0] ? mentions[0].post_url : null;
+	}
+
+	buildFallbackSummary(item) {
+		return rawOf(item).description || null;
+	}
+}
+
+module.exports = {
+	SocialCollector,
+	normalizeLinkedUrl,
+	fromMastodonStatus,
+	fromBlueskyPost,
+};
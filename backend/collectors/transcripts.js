@@ -0,0 +1,408 @@
+/*
+ * Transcript Collector
+ * - Watches a directory for podcast/video transcripts (.vtt, .srt, .txt),
+ *   e.g. written by yt-dlp or a local Whisper run
+ * - Metadata comes from a yt-dlp style sidecar (<name>.info.json / <name>.json)
+ *   or from the configured podcast/YouTube feeds, matched by video id,
+ *   enclosure file name, guid or title
+ * - The transcript is stored as chunked page_text ("[m:ss] text" paragraphs);
+ *   embeddings average the chunks and summaries cite chunk timestamps
+ */
+
+const fs = require("fs");
+const path = require("path");
+const BaseCollector = require("./BaseCollector");
+const { parseFeed } = require("./feedParser");
+const { getItemIdsBySource } = require("../database");
+const {
+	fetchWithTimeout,
+	rateLimitForDomain,
+} = require("../services/pageFetcher");
+const {
+	parseTranscript,
+	chunkCues,
+	formatChunks,
+	parseChunkedText,
+	sampleChunks,
+	parseTimestamp,
+} = require("../services/transcripts");
+
+const FEED_TIMEOUT_MS = Number(process.env.RSS_FEED_TIMEOUT_MS || 15000);
+const TRANSCRIPT_CHAR_LIMIT = Number(
+	process.env.TRANSCRIPT_CHAR_LIMIT || 200000
+);
+// Chunks handed to the summary, spread over the whole transcript
+const SUMMARY_MAX_CHUNKS = Number(process.env.TRANSCRIPT_SUMMARY_CHUNKS || 16);
+const TRANSCRIPT_FORMATS = { ".vtt": "vtt", ".srt": "srt", ".txt": "txt" };
+const MAX_DEPTH = 3;
+// A transcript often lands before its episode shows up in the feed
+const UNMATCHED_GRACE_HOURS = 6;
+const CITATION_PATTERN = /\[((?:\d{1,2}:)?\d{1,2}:\d{2})\](?!\()/g;
+
+function slugify(value) {
+	return String(value || "")
+		.toLowerCase()
+		.normalize("NFKD")
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+}
+
+// "talk [dQw4w9WgXcQ].en.vtt" -> "talk [dQw4w9WgXcQ]"
+function baseNameOf(file) {
+	return path
+		.basename(file, path.extname(file))
+		.replace(/\.[a-z]{2}(-[A-Za-z]+)?$/, "");
+}
+
+async function listTranscriptFiles(dir, depth = 0, files = []) {
+	let entries = [];
+	try {
+		entries = await fs.promises.readdir(dir, { withFileTypes: true });
+	} catch (_) {
+		return files;
+	}
+	for (const entry of entries) {
+		if (entry.name.startsWith(".")) continue;
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory() && depth < MAX_DEPTH) {
+			await listTranscriptFiles(full, depth + 1, files);
+		} else if (TRANSCRIPT_FORMATS[path.extname(entry.name).toLowerCase()]) {
+			files.push(full);
+		}
+	}
+	return files;
+}
+
+// yt-dlp "20241019" -> ISO date
+function uploadDateToIso(value) {
+	const d = String(value || "");
+	if (!/^\d{8}$/.test(d)) return null;
+	return `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T00:00:00.000Z`;
+}
+
+async function readJson(file) {
+	try {
+		return JSON.parse(await fs.promises.readFile(file, "utf8"));
+	} catch (_) {
+		return null;
+	}
+}
+
+// yt-dlp --write-info-json fields, or a hand-written { title, url, ... }
+async function readSidecar(file) {
+	const dir = path.dirname(file);
+	const bases = [
+		...new Set([baseNameOf(file), path.basename(file, path.extname(file))]),
+	];
+	for (const base of bases) {
+		for (const name of [`${base}.info.json`, `${base}.json`]) {
+			const info = await readJson(path.join(dir, name));
+			if (!info) continue;
+			const published =
+				uploadDateToIso(info.upload_date) ||
+				(Number.isFinite(info.timestamp)
+					? new Date(info.timestamp * 1000).toISOString()
+					: info.published || null);
+			return {
+				title: info.title || null,
+				url: info.webpage_url || info.url || info.link || null,
+				show: info.channel || info.uploader || info.show || null,
+				description: info.description || null,
+				media_url: info.media_url || null,
+				published,
+				source: "sidecar",
+			};
+		}
+	}
+	return null;
+}
+
+function youtubeIdOf(entry) {
+	const raw = entry.raw || {};
+	return raw["yt:videoId"] ? String(raw["yt:videoId"]) : null;
+}
+
+// Feed entry describing this transcript file, if any
+function matchFeedEntry(file, entries) {
+	const base = baseNameOf(file);
+	const key = base.toLowerCase();
+	const slug = slugify(base);
+	return (
+		entries.find((e) => e.videoId && base.includes(e.videoId)) ||
+		entries.find((e) => {
+			if (!e.enclosure) return false;
+			try {
+				const name = decodeURIComponent(
+					path.basename(new URL(e.enclosure).pathname)
+				);
+				return path.basename(name, path.extname(name)).toLowerCase() === key;
+			} catch (_) {
+				return false;
+			}
+		}) ||
+		entries.find((e) => e.id && String(e.id).toLowerCase().endsWith(key)) ||
+		entries.find((e) => {
+			const titleSlug = slugify(e.title);
+			return (
+				titleSlug.length >= 12 &&
+				(titleSlug === slug || slug.includes(titleSlug))
+			);
+		}) ||
+		null
+	);
+}
+
+// Link to the moment a citation points at: YouTube ?t=, media fragment #t=
+function timestampUrl(meta, seconds) {
+	if (!Number.isFinite(seconds)) return null;
+	const target = meta.url || meta.media_url;
+	if (!target) return null;
+	try {
+		const u = new URL(target);
+		if (/(^|\.)youtube\.com$|(^|\.)youtu\.be$/i.test(u.hostname)) {
+			u.searchParams.set("t", `${Math.floor(seconds)}s`);
+			return u.href;
+		}
+		if (meta.media_url) {
+			return `${meta.media_url.split("#")[0]}#t=${Math.floor(seconds)}`;
+		}
+		return null;
+	} catch (_) {
+		return null;
+	}
+}
+
+function rawOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").transcript || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+class TranscriptCollector extends BaseCollector {
+	constructor() {
+		super({
+			id: "transcripts",
+			name: "Transcripts",
+			schedule: "20 * * * *",
+			collectTimeoutMs: 5 * 60 * 1000,
+			settingsSchema: {
+				enabled: { type: "boolean", label: "Enabled", default: true },
+				directory: {
+					type: "string",
+					label: "Transcript Directory",
+					default: "",
+				},
+				feeds: {
+					type: "string[]",
+					label: "Podcast / Channel Feeds",
+					itemLabel: "feed URL",
+					default: [],
+				},
+				maxFiles: {
+					type: "number",
+					label: "Max Transcripts per Run",
+					min: 1,
+					max: 200,
+					default: 20,
+				},
+			},
+		});
+	}
+
+	async fetchFeedEntries(feeds) {
+		const entries = [];
+		for (const url of feeds) {
+			try {
+				await rateLimitForDomain(url);
+				const res = await fetchWithTimeout(url, FEED_TIMEOUT_MS);
+				if (!res || !res.ok) {
+					throw new Error(`${res ? res.status : "no response"}`);
+				}
+				const feed = parseFeed(await res.text());
+				for (const entry of feed.entries) {
+					const raw = entry.raw || {};
+					const media = raw["media:group"] || {};
+					entries.push({
+						...entry,
+						videoId: youtubeIdOf(entry),
+						show: feed.title,
+						description:
+							entry.summary ||
+							(typeof media["media:description"] === "string"
+								? media["media:description"]
+								: null),
+					});
+				}
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] Transcripts: feed ${url} failed: ${error.message}`
+				);
+			}
+		}
+		return entries;
+	}
+
+	async collect() {
+		const settings = this.getSettings();
+		const directory = String(settings.directory || "").trim();
+		if (!directory) {
+			console.log(
+				`[${new Date().toISOString()}] Transcripts: no directory configured`
+			);
+			return [];
+		}
+		const files = await listTranscriptFiles(directory);
+		const sourceIds = files.map((f) => path.relative(directory, f));
+		const known = new Set();
+		// SQLite caps bound parameters per statement; look ids up in chunks
+		for (let i = 0; i < sourceIds.length; i += 500) {
+			const rows = await getItemIdsBySource(
+				this.id,
+				sourceIds.slice(i, i + 500)
+			);
+			for (const row of rows) known.add(row.source_id);
+		}
+		const pending = files
+			.filter((f) => !known.has(path.relative(directory, f)))
+			.slice(0, Number(settings.maxFiles) || 20);
+		if (pending.length === 0) return [];
+
+		const feeds = Array.isArray(settings.feeds) ? settings.feeds : [];
+		const entries = feeds.length ? await this.fetchFeedEntries(feeds) : [];
+		const items = [];
+		for (const file of pending) {
+			try {
+				const item = await this.toContentItem(file, directory, entries, {
+					waitForFeed: feeds.length > 0,
+				});
+				if (item) items.push(item);
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] Transcripts: ${file} failed: ${error.message}`
+				);
+			}
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] Transcripts collect: ${items.length} of ${pending.length} new files`
+		);
+		return items;
+	}
+
+	async toContentItem(file, directory, entries, { waitForFeed }) {
+		const stat = await fs.promises.stat(file);
+		let meta = await readSidecar(file);
+		if (!meta) {
+			const entry = matchFeedEntry(file, entries);
+			if (entry) {
+				meta = {
+					title: entry.title,
+					url: entry.link,
+					show: entry.show,
+					description: entry.description,
+					media_url: entry.enclosure,
+					published: entry.published,
+					source: "feed",
+				};
+			}
+		}
+		if (!meta) {
+			// Give the feed time to publish the episode before falling back
+			const ageHours = (Date.now() - stat.mtimeMs) / (60 * 60 * 1000);
+			if (waitForFeed && ageHours < UNMATCHED_GRACE_HOURS) return null;
+			meta = { title: baseNameOf(file), source: "file" };
+		}
+
+		const format = TRANSCRIPT_FORMATS[path.extname(file).toLowerCase()];
+		const content = await fs.promises.readFile(file, "utf8");
+		const cues = parseTranscript(content, format);
+		if (cues.length === 0) return null;
+		const chunks = chunkCues(cues);
+		const last = cues[cues.length - 1];
+		const duration = last.end ?? last.start;
+
+		return {
+			source_type: this.id,
+			source_id: path.relative(directory, file),
+			title: meta.title || baseNameOf(file),
+			url: meta.url || null,
+			summary: null,
+			page_text: formatChunks(chunks).slice(0, TRANSCRIPT_CHAR_LIMIT),
+			raw_content: JSON.stringify({
+				transcript: {
+					file: path.relative(directory, file),
+					format,
+					metadata_source: meta.source,
+					show: meta.show || null,
+					description: meta.description
+						? String(meta.description).slice(0, 2000)
+						: null,
+					media_url: meta.media_url || null,
+					duration: Number.isFinite(duration) ? Math.round(duration) : null,
+					chunk_count: chunks.length,
+					timestamped: chunks.some((c) => c.start !== null),
+				},
+			}),
+			created_at: meta.published || new Date(stat.mtimeMs).toISOString(),
+		};
+	}
+
+	buildAIInput(item) {
+		const raw = rawOf(item);
+		const opening = parseChunkedText(item.page_text)
+			.map((c) => c.text)
+			.join(" ")
+			.slice(0, 1500);
+		return {
+			sourceLabel: "Podcast or talk transcript",
+			title: item.title,
+			url: item.url,
+			text: [raw.description, opening].filter(Boolean).join("\n\n"),
+			details: {
+				Show: raw.show || null,
+				Duration: raw.duration ? `${Math.round(raw.duration / 60)} min` : null,
+			},
+		};
+	}
+
+	// Chunks from across the whole transcript, not just its opening
+	getSummaryContent(item) {
+		const chunks = sampleChunks(
+			parseChunkedText(item.page_text),
+			SUMMARY_MAX_CHUNKS
+		);
+		return formatChunks(chunks) || null;
+	}
+
+	getSummaryContext(item) {
+		const raw = rawOf(item);
+		return `Source: ${raw.show ? `${raw.show} transcript` : "transcript"}; Title: ${
+			item.title || ""
+		}`;
+	}
+
+	getSummaryOptions(item) {
+		if (!rawOf(item).timestamped) return {};
+		return {
+			instructions:
+				"The content is a transcript in passages that start with [m:ss] timestamps. " +
+				"After each key point, cite the timestamp of the passage it comes from " +
+				"in the same [m:ss] form.",
+			maxTokens: 350,
+		};
+	}
+
+	// Turn [m:ss] citations into links to that moment of the episode/video
+	formatSummary(item, summary) {
+		const raw = rawOf(item);
+		const meta = { url: item.url, media_url: raw.media_url };
+		return String(summary || "").replace(CITATION_PATTERN, (match, stamp) => {
+			const href = timestampUrl(meta, parseTimestamp(stamp));
+			return href ? `[${stamp}](${href})` : match;
+		});
+	}
+}
+
+module.exports = { TranscriptCollector, matchFeedEntry, timestampUrl };
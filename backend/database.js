@@ -3,8 +3,17 @@ const items = require("./db/items");
 const aiUsage = require("./db/aiUsage");
 const research = require("./db/researchStatements");
 const contentFeatures = require("./db/contentFeatures");
+const contentEmbeddings = require("./db/contentEmbeddings");
 const userRatings = require("./db/userRatings");
 const favorites = require("./db/favorites");
+const collectorState = require("./db/collectorState");
+const discussions = require("./db/discussions");
+const itemMetrics = require("./db/itemMetrics");
+const socialMentions = require("./db/socialMentions");
+const storyClusters = require("./db/storyClusters");
+const fetchCache = require("./db/fetchCache");
+const domainPolicies = require("./db/domainPolicies");
+const promptTemplates = require("./db/promptTemplates");
 const { initializeDatabase: initializeDatabaseImpl } = require("./db/schema");
 
 // (removed legacy insertSampleData)
@@ -51,6 +60,8 @@ module.exports = {
 	initializeDatabase: initializeDatabaseImpl,
 	// items
 	getAllItems: items.getAllItems,
+	getItemById: items.getItemById,
+	getItemsByIds: items.getItemsByIds,
 	getItemsFiltered: items.getItemsFiltered,
 	searchItems: items.searchItems,
 	insertContentItem: items.insertContentItem,
@@ -69,14 +80,22 @@ module.exports = {
 	updateResearchStatementEmbedding: research.updateResearchStatementEmbedding,
 	// content features
 	getActiveResearchStatements: contentFeatures.getActiveResearchStatements,
-	getItemsMissingEmbeddingForStatement:
-		contentFeatures.getItemsMissingEmbeddingForStatement,
-	upsertContentFeaturesEmbedding:
-		contentFeatures.upsertContentFeaturesEmbedding,
 	getItemsMissingSimilarityForStatement:
 		contentFeatures.getItemsMissingSimilarityForStatement,
 	updateContentFeaturesSimilarityAndTier:
 		contentFeatures.updateContentFeaturesSimilarityAndTier,
+	resetSimilarityAndFinalForStatement:
+		contentFeatures.resetSimilarityAndFinalForStatement,
+	resetFeedbackForStatement: contentFeatures.resetFeedbackForStatement,
+	// content embeddings, one per item
+	getContentEmbedding: contentEmbeddings.getContentEmbedding,
+	findContentEmbeddingByHash: contentEmbeddings.findContentEmbeddingByHash,
+	getContentEmbeddingsForItems: contentEmbeddings.getContentEmbeddingsForItems,
+	upsertContentEmbedding: contentEmbeddings.upsertContentEmbedding,
+	eachContentEmbedding: contentEmbeddings.eachContentEmbedding,
+	countContentEmbeddings: contentEmbeddings.countContentEmbeddings,
+	getItemsMissingContentEmbedding:
+		contentEmbeddings.getItemsMissingContentEmbedding,
 	// feedback scoring
 	getRatedItemsWithEmbeddings: contentFeatures.getRatedItemsWithEmbeddings,
 	getItemsMissingFeedbackScoreForStatement:
@@ -94,6 +113,8 @@ module.exports = {
 		contentFeatures.updateContentFeaturesHybridScore,
 	batchUpdateContentFeaturesHybridScores:
 		contentFeatures.batchUpdateContentFeaturesHybridScores,
+	upsertContentFeaturesAiJudgments:
+		contentFeatures.upsertContentFeaturesAiJudgments,
 	// user ratings
 	upsertUserRating: userRatings.upsertUserRating,
 	getUserRatingStats: userRatings.getUserRatingStats,
@@ -102,4 +123,60 @@ module.exports = {
 	getFavoriteItems: favorites.getFavoriteItems,
 	// helper: get item ids by source
 	getItemIdsBySource: items.getItemIdsBySource,
+	// cross-source dedup by canonical URL
+	getPrimaryItemIdByCanonicalUrl: items.getPrimaryItemIdByCanonicalUrl,
+	linkDuplicateItems: items.linkDuplicateItems,
+	getItemsMissingCanonicalUrl: items.getItemsMissingCanonicalUrl,
+	updateCanonicalUrls: items.updateCanonicalUrls,
+	getDuplicatesForItems: items.getDuplicatesForItems,
+	// extracted articles (reader view)
+	getItemArticle: items.getItemArticle,
+	updateItemArticle: items.updateItemArticle,
+	// collector state
+	getCollectorState: collectorState.getCollectorState,
+	getAllCollectorState: collectorState.getAllCollectorState,
+	setCollectorState: collectorState.setCollectorState,
+	// discussion threads
+	upsertDiscussionThread: discussions.upsertDiscussionThread,
+	updateDiscussionSummary: discussions.updateDiscussionSummary,
+	getDiscussionThread: discussions.getDiscussionThread,
+	getDiscussionSummariesForItems: discussions.getDiscussionSummariesForItems,
+	getItemsNeedingDiscussion: discussions.getItemsNeedingDiscussion,
+	// item metrics (score/comment history)
+	insertMetricsSnapshot: itemMetrics.insertMetricsSnapshot,
+	upsertItemMetrics: itemMetrics.upsertItemMetrics,
+	getItemsForMetricsRefresh: itemMetrics.getItemsForMetricsRefresh,
+	getMetricsHistoryForItems: itemMetrics.getMetricsHistoryForItems,
+	getItemMetricsForItems: itemMetrics.getItemMetricsForItems,
+	// social mentions (posts linking a URL)
+	insertSocialMentions: socialMentions.insertSocialMentions,
+	getMentionCountsForUrls: socialMentions.getMentionCountsForUrls,
+	getMentionsForUrls: socialMentions.getMentionsForUrls,
+	// near-duplicate story clusters
+	getItemsForClustering: storyClusters.getItemsForClustering,
+	replaceStoryClusters: storyClusters.replaceStoryClusters,
+	getClusterMembersForItems: storyClusters.getClusterMembersForItems,
+	// page fetch cache
+	getFetchCacheEntry: fetchCache.getFetchCacheEntry,
+	upsertFetchCacheEntry: fetchCache.upsertFetchCacheEntry,
+	touchFetchCacheEntry: fetchCache.touchFetchCacheEntry,
+	getFetchFailures: fetchCache.getFetchFailures,
+	pruneFetchCache: fetchCache.pruneFetchCache,
+	// per-domain fetch policies and robots.txt
+	getDomainPolicies: domainPolicies.getDomainPolicies,
+	upsertDomainPolicy: domainPolicies.upsertDomainPolicy,
+	deleteDomainPolicy: domainPolicies.deleteDomainPolicy,
+	getRobotsTxt: domainPolicies.getRobotsTxt,
+	getRobotsTxtForOrigins: domainPolicies.getRobotsTxtForOrigins,
+	saveRobotsTxt: domainPolicies.saveRobotsTxt,
+	// versioned prompt templates
+	getPromptTemplates: promptTemplates.getPromptTemplates,
+	getPromptTemplateById: promptTemplates.getPromptTemplateById,
+	findPromptTemplate: promptTemplates.findPromptTemplate,
+	createPromptTemplate: promptTemplates.createPromptTemplate,
+	addPromptTemplateVersion: promptTemplates.addPromptTemplateVersion,
+	getPromptTemplateVersions: promptTemplates.getPromptTemplateVersions,
+	deletePromptTemplate: promptTemplates.deletePromptTemplate,
+	deletePromptTemplatesForStatement:
+		promptTemplates.deletePromptTemplatesForStatement,
 };
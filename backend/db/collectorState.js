@@ -0,0 +1,71 @@
+const { db } = require("./connection");
+
+// Small key/value store for collector bookkeeping (poll times, cursors).
+// Values are stored as JSON so callers can keep numbers, strings or objects.
+
+function getCollectorState(collectorId, key) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT state_value, updated_at
+				FROM collector_state
+				WHERE collector_id = ? AND state_key = ?
+			`;
+		db.get(sql, [String(collectorId), String(key)], (err, row) => {
+			if (err) return reject(err);
+			if (!row || row.state_value == null) return resolve(null);
+			try {
+				resolve(JSON.parse(row.state_value));
+			} catch (_) {
+				resolve(null);
+			}
+		});
+	});
+}
+
+function getAllCollectorState(collectorId) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT state_key, state_value
+				FROM collector_state
+				WHERE collector_id = ?
+			`;
+		db.all(sql, [String(collectorId)], (err, rows) => {
+			if (err) return reject(err);
+			const state = {};
+			for (const row of rows || []) {
+				try {
+					state[row.state_key] = JSON.parse(row.state_value);
+				} catch (_) {
+					state[row.state_key] = null;
+				}
+			}
+			resolve(state);
+		});
+	});
+}
+
+function setCollectorState(collectorId, key, value) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO collector_state (collector_id, state_key, state_value, updated_at)
+				VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+				ON CONFLICT(collector_id, state_key) DO UPDATE SET
+				  state_value = excluded.state_value,
+				  updated_at = CURRENT_TIMESTAMP
+			`;
+		db.run(
+			sql,
+			[String(collectorId), String(key), JSON.stringify(value ?? null)],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+module.exports = {
+	getCollectorState,
+	getAllCollectorState,
+	setCollectorState,
+};
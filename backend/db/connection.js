@@ -1,8 +1,9 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
 
-// Database file path (relative to backend/)
-const DB_PATH = path.join(__dirname, "..", "grist_mill.db");
+// Database file path (relative to backend/); tests use ":memory:"
+const DB_PATH =
+	process.env.DATABASE_PATH || path.join(__dirname, "..", "grist_mill.db");
 
 // Create database connection
 const db = new sqlite3.Database(DB_PATH, (err) => {
@@ -0,0 +1,173 @@
+const { db } = require("./connection");
+const { encodeEmbedding } = require("./embeddingBlob");
+
+// One content embedding per item (services/contentEmbeddings), shared by all
+// research statements. model and text_hash identify what was embedded, so an
+// unchanged item, or another item with the same text, is not embedded again.
+
+const ID_CHUNK = 500;
+
+function getContentEmbedding(contentItemId) {
+	return new Promise((resolve, reject) => {
+		db.get(
+			`SELECT content_item_id, model, text_hash, embedding
+			 FROM content_embeddings
+			 WHERE content_item_id = ?`,
+			[Number(contentItemId)],
+			(err, row) => {
+				if (err) return reject(err);
+				resolve(row || null);
+			}
+		);
+	});
+}
+
+// An embedding of the same text under the same model, from any item
+function findContentEmbeddingByHash(model, textHash) {
+	return new Promise((resolve, reject) => {
+		db.get(
+			`SELECT content_item_id, model, text_hash, embedding
+			 FROM content_embeddings
+			 WHERE model = ? AND text_hash = ?
+			 LIMIT 1`,
+			[String(model), String(textHash)],
+			(err, row) => {
+				if (err) return reject(err);
+				resolve(row || null);
+			}
+		);
+	});
+}
+
+/**
+ * Embeddings for the given items
+ * @param {number[]} contentItemIds
+ * @returns {Promise<Map<number, {model: string, text_hash: string, embedding: *}>>}
+ */
+async function getContentEmbeddingsForItems(contentItemIds) {
+	const ids = [...new Set((contentItemIds || []).map(Number))].filter(
+		Number.isFinite
+	);
+	const result = new Map();
+	for (let i = 0; i < ids.length; i += ID_CHUNK) {
+		const chunk = ids.slice(i, i + ID_CHUNK);
+		const rows = await new Promise((resolve, reject) => {
+			db.all(
+				`SELECT content_item_id, model, text_hash, embedding
+				 FROM content_embeddings
+				 WHERE content_item_id IN (${chunk.map(() => "?").join(",")})`,
+				chunk,
+				(err, found) => {
+					if (err) return reject(err);
+					resolve(found || []);
+				}
+			);
+		});
+		for (const row of rows) result.set(row.content_item_id, row);
+	}
+	return result;
+}
+
+/**
+ * @param {{content_item_id: number, model: string, text_hash: string, embedding: number[]|Float32Array}} entry
+ */
+function upsertContentEmbedding(entry) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO content_embeddings (content_item_id, model, text_hash, embedding, created_at, updated_at)
+				VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+				ON CONFLICT(content_item_id) DO UPDATE SET
+				  model = excluded.model,
+				  text_hash = excluded.text_hash,
+				  embedding = excluded.embedding,
+				  updated_at = CURRENT_TIMESTAMP
+			`;
+		db.run(
+			sql,
+			[
+				Number(entry.content_item_id),
+				String(entry.model || ""),
+				String(entry.text_hash || ""),
+				encodeEmbedding(entry.embedding),
+			],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+/**
+ * Stream the stored embeddings of one model, one row at a time, so the
+ * similarity index (services/embeddingIndex) is built without holding all
+ * rows at once
+ * @param {(row: {content_item_id: number, model: string, embedding: Buffer}) => void} onRow
+ * @param {Object} options
+ * @param {string} options.model - "" for rows moved over from older versions
+ * @returns {Promise<number>} Rows read
+ */
+function eachContentEmbedding(onRow, { model }) {
+	return new Promise((resolve, reject) => {
+		db.each(
+			`SELECT ce.content_item_id, ce.model, ce.embedding
+			 FROM content_embeddings ce
+			 JOIN content_items ci ON ci.id = ce.content_item_id
+			 WHERE ci.duplicate_of IS NULL AND ce.model = ?`,
+			[String(model)],
+			(err, row) => {
+				if (!err) onRow(row);
+			},
+			(err, count) => {
+				if (err) return reject(err);
+				resolve(count);
+			}
+		);
+	});
+}
+
+// Embeddings of one model that eachContentEmbedding() would read
+function countContentEmbeddings({ model }) {
+	return new Promise((resolve, reject) => {
+		db.get(
+			`SELECT COUNT(*) AS count
+			 FROM content_embeddings ce
+			 JOIN content_items ci ON ci.id = ce.content_item_id
+			 WHERE ci.duplicate_of IS NULL AND ce.model = ?`,
+			[String(model)],
+			(err, row) => {
+				if (err) return reject(err);
+				resolve(row ? row.count : 0);
+			}
+		);
+	});
+}
+
+// Newest items without a content embedding
+function getItemsMissingContentEmbedding({ limit = 100 } = {}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url
+				FROM content_items ci
+				LEFT JOIN content_embeddings ce ON ce.content_item_id = ci.id
+				WHERE ce.content_item_id IS NULL
+				  AND ci.duplicate_of IS NULL
+				ORDER BY ci.created_at DESC
+				LIMIT ?
+			`;
+		db.all(sql, [Math.max(1, Number(limit) || 100)], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+module.exports = {
+	getContentEmbedding,
+	findContentEmbeddingByHash,
+	getContentEmbeddingsForItems,
+	upsertContentEmbedding,
+	eachContentEmbedding,
+	countContentEmbeddings,
+	getItemsMissingContentEmbedding,
+};
@@ -3,7 +3,7 @@ const { db } = require("./connection");
 function getActiveResearchStatements() {
 	return new Promise((resolve, reject) => {
 		const sql = `
-				SELECT id, name, statement, embedding, keywords, negative_keywords, is_active, created_at, updated_at
+				SELECT id, name, statement, embedding, embedding_model, keywords, negative_keywords, is_active, created_at, updated_at
 				FROM research_statements
 				WHERE is_active = 1
 				ORDER BY created_at DESC
@@ -15,86 +15,44 @@ function getActiveResearchStatements() {
 	});
 }
 
-function getItemsMissingEmbeddingForStatement(
-	researchStatementId,
-	{ limit = 100 } = {}
-) {
-	return new Promise((resolve, reject) => {
-		const sql = `
-				SELECT ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url
-				FROM content_items ci
-				LEFT JOIN content_features cf
-				  ON cf.content_item_id = ci.id AND cf.research_statement_id = ?
-				WHERE cf.id IS NULL OR cf.content_embedding IS NULL
-				ORDER BY ci.created_at DESC
-				LIMIT ?
-			`;
-		db.all(
-			sql,
-			[Number(researchStatementId), Math.max(1, Number(limit) || 100)],
-			(err, rows) => {
-				if (err) return reject(err);
-				resolve(rows || []);
-			}
-		);
-	});
-}
-
-function upsertContentFeaturesEmbedding(
-	contentItemId,
-	researchStatementId,
-	embeddingVector
-) {
-	return new Promise((resolve, reject) => {
-		let payload = null;
-		try {
-			if (Array.isArray(embeddingVector)) {
-				payload = JSON.stringify(embeddingVector);
-			} else if (embeddingVector == null) {
-				payload = null;
-			} else if (typeof embeddingVector === "string") {
-				payload = embeddingVector;
-			} else {
-				payload = JSON.stringify(embeddingVector);
-			}
-		} catch (_) {
-			payload = null;
-		}
-		const sql = `
-				INSERT INTO content_features (content_item_id, research_statement_id, content_embedding, created_at, updated_at)
-				VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-				ON CONFLICT(content_item_id, research_statement_id) DO UPDATE SET
-				  content_embedding = excluded.content_embedding,
-				  updated_at = CURRENT_TIMESTAMP
-			`;
-		db.run(
-			sql,
-			[Number(contentItemId), Number(researchStatementId), payload],
-			function (err) {
-				if (err) return reject(err);
-				resolve(this.changes);
-			}
-		);
-	});
-}
-
+/**
+ * Content embeddings not yet scored for a statement, in item id order
+ * @param {number} researchStatementId
+ * @param {Object} options
+ * @param {string} options.model - Only embeddings from this model, plus rows
+ *   moved over from older versions (no model) that have `dims` dimensions
+ * @param {number} options.dims - The statement embedding's dimension
+ * @param {number} [options.afterId=0] - Cursor: the last item id of the
+ *   previous page
+ * @param {number} [options.limit=100]
+ */
 function getItemsMissingSimilarityForStatement(
 	researchStatementId,
-	{ limit = 100 } = {}
+	{ model, dims, afterId = 0, limit = 100 }
 ) {
 	return new Promise((resolve, reject) => {
 		const sql = `
-				SELECT cf.content_item_id, cf.research_statement_id, cf.content_embedding
-				FROM content_features cf
-				WHERE cf.research_statement_id = ?
-				  AND cf.content_embedding IS NOT NULL
-				  AND (cf.similarity_score IS NULL)
-				ORDER BY cf.updated_at ASC
+				SELECT ce.content_item_id, ? AS research_statement_id, ce.embedding AS content_embedding
+				FROM content_embeddings ce
+				LEFT JOIN content_features cf
+				  ON cf.content_item_id = ce.content_item_id AND cf.research_statement_id = ?
+				WHERE (cf.id IS NULL OR cf.similarity_score IS NULL)
+				  AND (ce.model = ? OR (ce.model = '' AND length(ce.embedding) = ? * 4))
+				  AND ce.content_item_id > ?
+				ORDER BY ce.content_item_id ASC
 				LIMIT ?
 			`;
+		const statementId = Number(researchStatementId);
 		db.all(
 			sql,
-			[Number(researchStatementId), Math.max(1, Number(limit) || 100)],
+			[
+				statementId,
+				statementId,
+				String(model),
+				Number(dims) || 0,
+				Number(afterId) || 0,
+				Math.max(1, Number(limit) || 100),
+			],
 			(err, rows) => {
 				if (err) return reject(err);
 				resolve(rows || []);
@@ -111,19 +69,20 @@ function updateContentFeaturesSimilarityAndTier(
 ) {
 	return new Promise((resolve, reject) => {
 		const sql = `
-				UPDATE content_features
-				SET similarity_score = ?,
-				    relevance_tier = ?,
-				    updated_at = CURRENT_TIMESTAMP
-				WHERE content_item_id = ? AND research_statement_id = ?
+				INSERT INTO content_features (content_item_id, research_statement_id, similarity_score, relevance_tier, created_at, updated_at)
+				VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+				ON CONFLICT(content_item_id, research_statement_id) DO UPDATE SET
+				  similarity_score = excluded.similarity_score,
+				  relevance_tier = excluded.relevance_tier,
+				  updated_at = CURRENT_TIMESTAMP
 			`;
 		db.run(
 			sql,
 			[
-				Number(similarityScore) || 0,
-				Number(relevanceTier) || null,
 				Number(contentItemId),
 				Number(researchStatementId),
+				Number(similarityScore) || 0,
+				Number(relevanceTier) || null,
 			],
 			function (err) {
 				if (err) return reject(err);
@@ -144,13 +103,10 @@ function getRatedItemsWithEmbeddings(
 					ur.content_item_id,
 					ur.research_statement_id,
 					ur.rating,
-					cf.content_embedding
+					ce.embedding AS content_embedding
 				FROM user_ratings ur
-				JOIN content_features cf 
-					ON cf.content_item_id = ur.content_item_id 
-					AND cf.research_statement_id = ur.research_statement_id
+				JOIN content_embeddings ce ON ce.content_item_id = ur.content_item_id
 				WHERE ur.research_statement_id = ?
-				  AND cf.content_embedding IS NOT NULL
 				ORDER BY ur.created_at DESC
 				LIMIT ?
 			`;
@@ -175,13 +131,13 @@ function getItemsMissingFeedbackScoreForStatement(
 				SELECT 
 					cf.content_item_id,
 					cf.research_statement_id,
-					cf.content_embedding
+					ce.embedding AS content_embedding
 				FROM content_features cf
+				JOIN content_embeddings ce ON ce.content_item_id = cf.content_item_id
 				LEFT JOIN user_ratings ur 
 					ON ur.content_item_id = cf.content_item_id 
 					AND ur.research_statement_id = cf.research_statement_id
 				WHERE cf.research_statement_id = ?
-				  AND cf.content_embedding IS NOT NULL
 				  AND ur.id IS NULL
 				  AND (cf.feedback_score IS NULL)
 				ORDER BY cf.updated_at ASC
@@ -348,6 +304,83 @@ function batchUpdateContentFeaturesHybridScores(updates) {
 	});
 }
 
+/**
+ * Store AI relevance judgments, one row per (item, research statement)
+ * @param {Array<{content_item_id: number, research_statement_id: number, relevance_score: number|null, relevance_explanation: string|null, highlight: boolean, prompt_version_id: number|null}>} judgments
+ */
+function upsertContentFeaturesAiJudgments(judgments) {
+	return new Promise((resolve, reject) => {
+		if (!Array.isArray(judgments) || judgments.length === 0) {
+			return resolve(0);
+		}
+
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION", (beginErr) => {
+				if (beginErr) return reject(beginErr);
+
+				const sql = `
+					INSERT INTO content_features (
+					  content_item_id, research_statement_id, ai_relevance_score,
+					  ai_relevance_explanation, ai_highlight, ai_prompt_version_id,
+					  ai_judged_at, created_at, updated_at
+					)
+					VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+					ON CONFLICT(content_item_id, research_statement_id) DO UPDATE SET
+					  ai_relevance_score = excluded.ai_relevance_score,
+					  ai_relevance_explanation = excluded.ai_relevance_explanation,
+					  ai_highlight = excluded.ai_highlight,
+					  ai_prompt_version_id = excluded.ai_prompt_version_id,
+					  ai_judged_at = excluded.ai_judged_at,
+					  updated_at = CURRENT_TIMESTAMP
+				`;
+
+				let completed = 0;
+				let failed = 0;
+
+				const stmt = db.prepare(sql);
+
+				for (const judgment of judgments) {
+					const score = Number(judgment.relevance_score);
+					stmt.run(
+						[
+							Number(judgment.content_item_id),
+							Number(judgment.research_statement_id),
+							Number.isFinite(score) ? Math.round(score) : null,
+							judgment.relevance_explanation || null,
+							judgment.highlight ? 1 : 0,
+							judgment.prompt_version_id || null,
+						],
+						function (err) {
+							if (err) {
+								console.warn(
+									`Failed to store AI judgment for item ${judgment.content_item_id}:`,
+									err
+								);
+								failed++;
+							} else {
+								completed++;
+							}
+
+							if (completed + failed === judgments.length) {
+								stmt.finalize((finalizeErr) => {
+									if (finalizeErr) {
+										db.run("ROLLBACK", () => reject(finalizeErr));
+									} else {
+										db.run("COMMIT", (commitErr) => {
+											if (commitErr) return reject(commitErr);
+											resolve(completed);
+										});
+									}
+								});
+							}
+						}
+					);
+				}
+			});
+		});
+	});
+}
+
 // Get items missing keyword scores for a research statement
 function getItemsMissingKeywordScoreForStatement(
 	researchStatementId,
@@ -470,8 +503,6 @@ function getFeatureCountsForStatement(researchStatementId) {
 
 module.exports = {
 	getActiveResearchStatements,
-	getItemsMissingEmbeddingForStatement,
-	upsertContentFeaturesEmbedding,
 	getItemsMissingSimilarityForStatement,
 	updateContentFeaturesSimilarityAndTier,
 	getRatedItemsWithEmbeddings,
@@ -481,6 +512,7 @@ module.exports = {
 	updateContentFeaturesKeywordScore,
 	updateContentFeaturesHybridScore,
 	batchUpdateContentFeaturesHybridScores,
+	upsertContentFeaturesAiJudgments,
 	getItemsMissingKeywordScoreForStatement,
 	getItemsMissingFinalScoreForStatement,
 	resetSimilarityAndFinalForStatement,
@@ -0,0 +1,135 @@
+const { db } = require("./connection");
+
+// Comment threads fetched for an item (e.g. the HN comment tree) and the AI
+// "what the discussion says" summary. comments holds the tree as JSON.
+
+function upsertDiscussionThread({
+	content_item_id,
+	source_type,
+	comments,
+	comment_count,
+}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO discussion_threads (content_item_id, source_type, comments, comment_count, fetched_at)
+				VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+				ON CONFLICT(content_item_id) DO UPDATE SET
+				  comments = excluded.comments,
+				  comment_count = excluded.comment_count,
+				  fetched_at = CURRENT_TIMESTAMP
+			`;
+		db.run(
+			sql,
+			[
+				content_item_id,
+				String(source_type),
+				JSON.stringify(comments || []),
+				Number(comment_count) || 0,
+			],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+function updateDiscussionSummary(contentItemId, summary) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				UPDATE discussion_threads
+				SET summary = ?, summarized_at = CURRENT_TIMESTAMP
+				WHERE content_item_id = ?
+			`;
+		db.run(sql, [summary || null, contentItemId], function (err) {
+			if (err) return reject(err);
+			resolve(this.changes);
+		});
+	});
+}
+
+function getDiscussionThread(contentItemId) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT content_item_id, source_type, comments, comment_count, summary, fetched_at, summarized_at
+				FROM discussion_threads
+				WHERE content_item_id = ?
+			`;
+		db.get(sql, [contentItemId], (err, row) => {
+			if (err) return reject(err);
+			if (!row) return resolve(null);
+			let comments = [];
+			try {
+				comments = JSON.parse(row.comments || "[]");
+			} catch (_) {
+				comments = [];
+			}
+			resolve({ ...row, comments });
+		});
+	});
+}
+
+// content_item_id -> summary for the given items (only rows with a summary)
+function getDiscussionSummariesForItems(contentItemIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (contentItemIds || []).filter((id) => Number.isFinite(id));
+		if (ids.length === 0) return resolve(new Map());
+		const placeholders = ids.map(() => "?").join(",");
+		const sql = `
+				SELECT content_item_id, summary, comment_count
+				FROM discussion_threads
+				WHERE summary IS NOT NULL AND content_item_id IN (${placeholders})
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			resolve(new Map((rows || []).map((r) => [r.content_item_id, r])));
+		});
+	});
+}
+
+/**
+ * Items of a source with no stored thread yet that are highlighted or reached
+ * the given relevance tier for any research statement
+ */
+function getItemsNeedingDiscussion({
+	sourceType,
+	minTier = 3,
+	since,
+	limit = 10,
+} = {}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ci.id, ci.source_id, ci.title, ci.url, ci.summary, ci.raw_content
+				FROM content_items ci
+				LEFT JOIN discussion_threads dt ON dt.content_item_id = ci.id
+				WHERE ci.source_type = ?
+				  AND dt.content_item_id IS NULL
+				  AND ci.created_at >= ?
+				  AND (
+				    ci.highlight = 1
+				    OR EXISTS (
+				      SELECT 1 FROM content_features cf
+				      WHERE cf.content_item_id = ci.id AND cf.relevance_tier >= ?
+				    )
+				  )
+				ORDER BY ci.created_at DESC
+				LIMIT ?
+			`;
+		db.all(
+			sql,
+			[String(sourceType), since, Number(minTier) || 3, Number(limit) || 10],
+			(err, rows) => {
+				if (err) return reject(err);
+				resolve(rows || []);
+			}
+		);
+	});
+}
+
+module.exports = {
+	upsertDiscussionThread,
+	updateDiscussionSummary,
+	getDiscussionThread,
+	getDiscussionSummariesForItems,
+	getItemsNeedingDiscussion,
+};
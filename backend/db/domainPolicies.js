@@ -0,0 +1,134 @@
+const { db } = require("./connection");
+
+// Per-domain fetch policies edited in Settings, and cached robots.txt files
+// (services/fetchPolicy). headers is a JSON object of extra request headers.
+
+function parsePolicy(row) {
+	let headers = {};
+	try {
+		headers = JSON.parse(row.headers || "{}") || {};
+	} catch (_) {
+		headers = {};
+	}
+	return { ...row, headers };
+}
+
+function getDomainPolicies() {
+	return new Promise((resolve, reject) => {
+		db.all(
+			"SELECT domain, access, delay_ms, headers, updated_at FROM domain_policies ORDER BY domain ASC",
+			[],
+			(err, rows) => {
+				if (err) return reject(err);
+				resolve((rows || []).map(parsePolicy));
+			}
+		);
+	});
+}
+
+/**
+ * Insert or replace the policy for a domain
+ * @param {{domain: string, access: string, delay_ms: number|null, headers: Object}} policy
+ */
+function upsertDomainPolicy(policy) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO domain_policies (domain, access, delay_ms, headers, updated_at)
+				VALUES (?, ?, ?, ?, ?)
+				ON CONFLICT(domain) DO UPDATE SET
+				  access = excluded.access,
+				  delay_ms = excluded.delay_ms,
+				  headers = excluded.headers,
+				  updated_at = excluded.updated_at
+			`;
+		db.run(
+			sql,
+			[
+				policy.domain,
+				policy.access,
+				Number.isFinite(policy.delay_ms) ? policy.delay_ms : null,
+				JSON.stringify(policy.headers || {}),
+				new Date().toISOString(),
+			],
+			(err) => {
+				if (err) return reject(err);
+				resolve();
+			}
+		);
+	});
+}
+
+function deleteDomainPolicy(domain) {
+	return new Promise((resolve, reject) => {
+		db.run("DELETE FROM domain_policies WHERE domain = ?", [domain], function (err) {
+			if (err) return reject(err);
+			resolve(this.changes);
+		});
+	});
+}
+
+function getRobotsTxt(origin) {
+	return new Promise((resolve, reject) => {
+		db.get("SELECT * FROM robots_txt WHERE origin = ?", [origin], (err, row) => {
+			if (err) return reject(err);
+			resolve(row || null);
+		});
+	});
+}
+
+// Cached robots.txt for each given origin (that has one stored)
+function getRobotsTxtForOrigins(origins) {
+	return new Promise((resolve, reject) => {
+		const list = (origins || []).filter(Boolean);
+		if (list.length === 0) return resolve([]);
+		const placeholders = list.map(() => "?").join(",");
+		db.all(
+			`SELECT origin, status, error, fetched_at, length(body) AS size FROM robots_txt WHERE origin IN (${placeholders})`,
+			list,
+			(err, rows) => {
+				if (err) return reject(err);
+				resolve(rows || []);
+			}
+		);
+	});
+}
+
+/**
+ * @param {{origin: string, status: number|null, body: string|null, error: string|null, fetched_at: string}} entry
+ */
+function saveRobotsTxt(entry) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO robots_txt (origin, status, body, error, fetched_at)
+				VALUES (?, ?, ?, ?, ?)
+				ON CONFLICT(origin) DO UPDATE SET
+				  status = excluded.status,
+				  body = excluded.body,
+				  error = excluded.error,
+				  fetched_at = excluded.fetched_at
+			`;
+		db.run(
+			sql,
+			[
+				entry.origin,
+				entry.status ?? null,
+				entry.body ?? null,
+				entry.error ?? null,
+				entry.fetched_at,
+			],
+			(err) => {
+				if (err) return reject(err);
+				resolve();
+			}
+		);
+	});
+}
+
+module.exports = {
+	getDomainPolicies,
+	upsertDomainPolicy,
+	deleteDomainPolicy,
+	getRobotsTxt,
+	getRobotsTxtForOrigins,
+	saveRobotsTxt,
+};
@@ -0,0 +1,49 @@
+// Embeddings are stored as little-endian Float32 BLOBs: 4 bytes per dimension
+// instead of ~20 characters of JSON, and read back without parsing. Rows
+// written as JSON text by older versions are converted at startup (schema.js)
+// and still decode until then.
+
+/**
+ * @param {number[]|Float32Array|string|null} vector - A JSON string is parsed first
+ * @returns {Buffer|null}
+ */
+function encodeEmbedding(vector) {
+	if (vector == null) return null;
+	const values = typeof vector === "string" ? JSON.parse(vector) : vector;
+	if (!Array.isArray(values) && !(values instanceof Float32Array)) return null;
+	const floats = Float32Array.from(values, Number);
+	const buffer = Buffer.alloc(floats.length * 4);
+	for (let i = 0; i < floats.length; i++) {
+		buffer.writeFloatLE(floats[i], i * 4);
+	}
+	return buffer;
+}
+
+/**
+ * @param {Buffer|string|number[]|null} payload - A stored embedding
+ * @returns {Float32Array|null}
+ */
+function decodeEmbedding(payload) {
+	if (payload == null) return null;
+	if (payload instanceof Float32Array) return payload;
+	if (Array.isArray(payload)) return Float32Array.from(payload, Number);
+	if (typeof payload === "string") {
+		try {
+			const parsed = JSON.parse(payload);
+			return Array.isArray(parsed) ? Float32Array.from(parsed, Number) : null;
+		} catch (_) {
+			return null;
+		}
+	}
+	if (Buffer.isBuffer(payload)) {
+		if (payload.length === 0 || payload.length % 4 !== 0) return null;
+		const floats = new Float32Array(payload.length / 4);
+		for (let i = 0; i < floats.length; i++) {
+			floats[i] = payload.readFloatLE(i * 4);
+		}
+		return floats;
+	}
+	return null;
+}
+
+module.exports = { encodeEmbedding, decodeEmbedding };
@@ -66,7 +66,7 @@ function toggleFavorite(contentItemId, isFavorite, activeResearchStatementId) {
 function getFavoriteItems({ limit = 50, offset = 0 } = {}) {
 	return new Promise((resolve, reject) => {
 		const sql = `
-			SELECT id, source_type, source_id, title, summary, page_text, raw_content, url, highlight, is_favorite, favorited_at, created_at, collected_at
+			SELECT id, source_type, source_id, title, summary, page_text, raw_content, url, highlight, is_favorite, favorited_at, created_at, collected_at, cluster_id, content_status, content_source, relevance_prompt_version_id, summary_prompt_version_id, (article IS NOT NULL) AS has_article
 			FROM content_items
 			WHERE is_favorite = 1
 			ORDER BY favorited_at DESC, created_at DESC
@@ -0,0 +1,153 @@
+const { db } = require("./connection");
+
+// Page fetch cache (services/pageFetcher): one row per requested URL with
+// the extracted result, the validators for conditional requests and, for
+// failed fetches, why they failed.
+
+function parseEntry(row) {
+	if (!row) return null;
+	const parse = (value) => {
+		if (!value) return null;
+		try {
+			return JSON.parse(value);
+		} catch (_) {
+			return null;
+		}
+	};
+	return { ...row, headers: parse(row.headers), article: parse(row.article) };
+}
+
+function getFetchCacheEntry(url) {
+	return new Promise((resolve, reject) => {
+		db.get("SELECT * FROM fetch_cache WHERE url = ?", [url], (err, row) => {
+			if (err) return reject(err);
+			resolve(parseEntry(row));
+		});
+	});
+}
+
+/**
+ * Store the outcome of a fetch. A failure keeps the last good result (and
+ * its validators) so the page can still be revalidated later.
+ * @param {Object} entry
+ * @param {string} entry.url - Requested URL (the key)
+ * @param {boolean} entry.ok - Whether text was extracted
+ * @param {string} entry.checked_at - ISO time of the request
+ */
+function upsertFetchCacheEntry(entry) {
+	return new Promise((resolve, reject) => {
+		const headers = entry.headers ? JSON.stringify(entry.headers) : null;
+		const article = entry.article ? JSON.stringify(entry.article) : null;
+		const sql = entry.ok
+			? `INSERT INTO fetch_cache (
+					  url, final_url, status, content_type, headers, etag, last_modified,
+					  title, text, canonical, article, content_status, description,
+					  error, fail_count, fetched_at, checked_at
+					) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, 0, ?, ?)
+					ON CONFLICT(url) DO UPDATE SET
+					  final_url = excluded.final_url,
+					  status = excluded.status,
+					  content_type = excluded.content_type,
+					  headers = excluded.headers,
+					  etag = excluded.etag,
+					  last_modified = excluded.last_modified,
+					  title = excluded.title,
+					  text = excluded.text,
+					  canonical = excluded.canonical,
+					  article = excluded.article,
+					  content_status = excluded.content_status,
+					  description = excluded.description,
+					  error = NULL,
+					  fail_count = 0,
+					  fetched_at = excluded.fetched_at,
+					  checked_at = excluded.checked_at`
+			: `INSERT INTO fetch_cache (
+					  url, final_url, status, content_type, headers, error, fail_count, checked_at
+					) VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+					ON CONFLICT(url) DO UPDATE SET
+					  status = excluded.status,
+					  error = excluded.error,
+					  fail_count = fetch_cache.fail_count + 1,
+					  checked_at = excluded.checked_at`;
+		const params = entry.ok
+			? [
+					entry.url,
+					entry.final_url || null,
+					entry.status || null,
+					entry.content_type || null,
+					headers,
+					entry.etag || null,
+					entry.last_modified || null,
+					entry.title || null,
+					entry.text || null,
+					entry.canonical || null,
+					article,
+					entry.content_status || null,
+					entry.description || null,
+					entry.checked_at,
+					entry.checked_at,
+			  ]
+			: [
+					entry.url,
+					entry.final_url || null,
+					entry.status || null,
+					entry.content_type || null,
+					headers,
+					entry.error || "Unknown error",
+					entry.checked_at,
+			  ];
+		db.run(sql, params, (err) => {
+			if (err) return reject(err);
+			resolve();
+		});
+	});
+}
+
+// A 304 answer: the stored result is still current
+function touchFetchCacheEntry(url, checkedAt) {
+	return new Promise((resolve, reject) => {
+		db.run(
+			"UPDATE fetch_cache SET checked_at = ?, status = 304, error = NULL, fail_count = 0 WHERE url = ?",
+			[checkedAt, url],
+			(err) => {
+				if (err) return reject(err);
+				resolve();
+			}
+		);
+	});
+}
+
+// Most recent failed fetches, for debugging
+function getFetchFailures({ limit = 100 } = {}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT url, final_url, status, content_type, error, fail_count, fetched_at, checked_at
+				FROM fetch_cache
+				WHERE error IS NOT NULL
+				ORDER BY checked_at DESC
+				LIMIT ?
+			`;
+		db.all(sql, [Math.max(1, Math.min(Number(limit) || 100, 1000))], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+// Drop entries not requested since the given ISO time
+function pruneFetchCache({ before }) {
+	return new Promise((resolve, reject) => {
+		db.run("DELETE FROM fetch_cache WHERE checked_at < ?", [before], function (err) {
+			if (err) return reject(err);
+			resolve(this.changes);
+		});
+	});
+}
+
+module.exports = {
+	getFetchCacheEntry,
+	upsertFetchCacheEntry,
+	touchFetchCacheEntry,
+	getFetchFailures,
+	pruneFetchCache,
+};
@@ -0,0 +1,124 @@
+const { db } = require("./connection");
+
+// Points/comment counts over time for items that are re-polled after
+// collection (HN stories), and the latest values + velocity per item.
+
+function insertMetricsSnapshot({
+	content_item_id,
+	score,
+	comment_count,
+	recorded_at,
+}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO item_metrics_history (content_item_id, score, comment_count, recorded_at)
+				VALUES (?, ?, ?, ?)
+			`;
+		db.run(
+			sql,
+			[
+				content_item_id,
+				Number.isFinite(score) ? score : null,
+				Number.isFinite(comment_count) ? comment_count : null,
+				recorded_at || new Date().toISOString(),
+			],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.lastID);
+			}
+		);
+	});
+}
+
+function upsertItemMetrics({ content_item_id, score, comment_count, velocity }) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				INSERT INTO item_metrics (content_item_id, score, comment_count, velocity, updated_at)
+				VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+				ON CONFLICT(content_item_id) DO UPDATE SET
+				  score = excluded.score,
+				  comment_count = excluded.comment_count,
+				  velocity = excluded.velocity,
+				  updated_at = CURRENT_TIMESTAMP
+			`;
+		db.run(
+			sql,
+			[
+				content_item_id,
+				Number.isFinite(score) ? score : null,
+				Number.isFinite(comment_count) ? comment_count : null,
+				Number.isFinite(velocity) ? velocity : null,
+			],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+// Items of a source collected since the given ISO time (refresh candidates)
+function getItemsForMetricsRefresh({ sourceType, since } = {}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT id, source_id, raw_content, created_at, collected_at
+				FROM content_items
+				WHERE source_type = ? AND created_at >= ?
+				ORDER BY created_at DESC
+			`;
+		db.all(sql, [String(sourceType), since], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+// content_item_id -> snapshots in chronological order
+function getMetricsHistoryForItems(contentItemIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (contentItemIds || []).filter((id) => Number.isFinite(id));
+		if (ids.length === 0) return resolve(new Map());
+		const placeholders = ids.map(() => "?").join(",");
+		const sql = `
+				SELECT content_item_id, score, comment_count, recorded_at
+				FROM item_metrics_history
+				WHERE content_item_id IN (${placeholders})
+				ORDER BY content_item_id, recorded_at ASC
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			const byItem = new Map();
+			for (const row of rows || []) {
+				if (!byItem.has(row.content_item_id)) byItem.set(row.content_item_id, []);
+				byItem.get(row.content_item_id).push(row);
+			}
+			resolve(byItem);
+		});
+	});
+}
+
+// content_item_id -> latest metrics row
+function getItemMetricsForItems(contentItemIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (contentItemIds || []).filter((id) => Number.isFinite(id));
+		if (ids.length === 0) return resolve(new Map());
+		const placeholders = ids.map(() => "?").join(",");
+		const sql = `
+				SELECT content_item_id, score, comment_count, velocity, updated_at
+				FROM item_metrics
+				WHERE content_item_id IN (${placeholders})
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			resolve(new Map((rows || []).map((r) => [r.content_item_id, r])));
+		});
+	});
+}
+
+module.exports = {
+	insertMetricsSnapshot,
+	upsertItemMetrics,
+	getItemsForMetricsRefresh,
+	getMetricsHistoryForItems,
+	getItemMetricsForItems,
+};
@@ -3,13 +3,14 @@ const { db } = require("./connection");
 function getAllItems({ research_statement_id } = {}) {
 	return new Promise((resolve, reject) => {
 		let query = `
-		      SELECT ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url, ci.highlight, ci.is_favorite, ci.favorited_at, ci.created_at, ci.collected_at
+		      SELECT ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url, ci.highlight, ci.is_favorite, ci.favorited_at, ci.created_at, ci.collected_at, ci.cluster_id, ci.content_status, ci.content_source, ci.relevance_prompt_version_id, ci.summary_prompt_version_id, (ci.article IS NOT NULL) AS has_article
 		`;
 
 		if (research_statement_id) {
-			query += `, ur.rating as user_rating
+			query += `, ur.rating as user_rating, cf.ai_relevance_score, cf.ai_relevance_explanation, cf.ai_highlight
 				FROM content_items ci
 				LEFT JOIN user_ratings ur ON ur.content_item_id = ci.id AND ur.research_statement_id = ?
+				LEFT JOIN content_features cf ON cf.content_item_id = ci.id AND cf.research_statement_id = ?
 			`;
 		} else {
 			query += `
@@ -17,11 +18,17 @@ function getAllItems({ research_statement_id } = {}) {
 			`;
 		}
 
+		// Merged duplicates are shown through their primary item, story
+		// cluster members through the cluster's representative
 		query += `
+		      WHERE ci.duplicate_of IS NULL
+		        AND (ci.cluster_id IS NULL OR ci.cluster_id = ci.id)
 		      ORDER BY ci.created_at DESC
 		`;
 
-		const params = research_statement_id ? [research_statement_id] : [];
+		const params = research_statement_id
+			? [research_statement_id, research_statement_id]
+			: [];
 
 		db.all(query, params, (err, rows) => {
 			if (err) {
@@ -50,7 +57,7 @@ function getItemsFiltered({
 	min_score_fallback,
 } = {}) {
 	return new Promise((resolve, reject) => {
-		const whereClauses = [];
+		const whereClauses = ["ci.duplicate_of IS NULL"];
 		const whereParams = [];
 
 		// Filters
@@ -61,11 +68,16 @@ function getItemsFiltered({
 		if (favorites_only) {
 			whereClauses.push("ci.is_favorite = 1");
 		}
+		// One card per story cluster, unless filtering could hide the
+		// representative (another source, not favorited)
+		if (!source && !favorites_only) {
+			whereClauses.push("(ci.cluster_id IS NULL OR ci.cluster_id = ci.id)");
+		}
 
 		// Base SELECT
 		let selectSQL = `
 		      SELECT 
-		        ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url, ci.highlight, ci.is_favorite, ci.favorited_at, ci.created_at, ci.collected_at
+		        ci.id, ci.source_type, ci.source_id, ci.title, ci.summary, ci.page_text, ci.raw_content, ci.url, ci.highlight, ci.is_favorite, ci.favorited_at, ci.created_at, ci.collected_at, ci.cluster_id, ci.content_status, ci.content_source, ci.relevance_prompt_version_id, ci.summary_prompt_version_id, (ci.article IS NOT NULL) AS has_article
 		`;
 		let fromSQL = `
 				FROM content_items ci
@@ -73,7 +85,7 @@ function getItemsFiltered({
 
 		const joinParams = [];
 		if (research_statement_id) {
-			selectSQL += `, ur.rating as user_rating, cf.final_score, cf.relevance_tier`;
+			selectSQL += `, ur.rating as user_rating, cf.final_score, cf.relevance_tier, cf.ai_relevance_score, cf.ai_relevance_explanation, cf.ai_highlight`;
 			fromSQL += `
 				LEFT JOIN user_ratings ur 
 				  ON ur.content_item_id = ci.id AND ur.research_statement_id = ?
@@ -104,6 +116,12 @@ function getItemsFiltered({
 		let orderSQL = "ORDER BY ci.created_at DESC";
 		if (research_statement_id && sort === "score_desc") {
 			orderSQL = `ORDER BY (cf.final_score IS NULL) ASC, cf.final_score DESC, ci.created_at DESC`;
+		} else if (sort === "rising") {
+			// Points-per-hour from the metrics refresh job; items without it last
+			fromSQL += `
+				LEFT JOIN item_metrics im ON im.content_item_id = ci.id
+			`;
+			orderSQL = `ORDER BY (im.velocity IS NULL) ASC, im.velocity DESC, ci.created_at DESC`;
 		}
 
 		const query =
@@ -142,7 +160,7 @@ function searchItems({ query, source, limit = 50, offset = 0 } = {}) {
 				.catch(reject);
 		}
 
-		const whereClauses = [];
+		const whereClauses = ["duplicate_of IS NULL"];
 		const params = [];
 
 		const searchTerm = `%${query.trim()}%`;
@@ -158,7 +176,7 @@ function searchItems({ query, source, limit = 50, offset = 0 } = {}) {
 
 		const whereSQL = `WHERE ${whereClauses.join(" AND ")}`;
 		const searchQuery = `
-				SELECT id, source_type, source_id, title, summary, page_text, raw_content, url, highlight, is_favorite, favorited_at, created_at, collected_at
+				SELECT id, source_type, source_id, title, summary, page_text, raw_content, url, highlight, is_favorite, favorited_at, created_at, collected_at, cluster_id, content_status, content_source, relevance_prompt_version_id, summary_prompt_version_id, (article IS NOT NULL) AS has_article
 				FROM content_items
 				${whereSQL}
 				ORDER BY 
@@ -180,6 +198,12 @@ function searchItems({ query, source, limit = 50, offset = 0 } = {}) {
 	});
 }
 
+// Extracted article (services/articleExtractor) -> content_items.article
+function serializeArticle(article) {
+	if (!article) return null;
+	return typeof article === "string" ? article : JSON.stringify(article);
+}
+
 function insertContentItem(item) {
 	return new Promise((resolve, reject) => {
 		const insertQuery = `
@@ -193,12 +217,19 @@ function insertContentItem(item) {
 		        url,
 		        highlight,
 		        created_at,
-		        collected_at
+		        collected_at,
+		        canonical_url,
+		        article,
+		        content_status,
+		        content_source,
+		        relevance_prompt_version_id,
+		        summary_prompt_version_id
 		      )
 		      VALUES (
 		        ?, ?, ?, ?, ?, ?, ?, ?,
 		        COALESCE(?, CURRENT_TIMESTAMP),
-		        COALESCE(?, CURRENT_TIMESTAMP)
+		        COALESCE(?, CURRENT_TIMESTAMP),
+		        ?, ?, ?, ?, ?, ?
 		      )
 		    `;
 		db.run(
@@ -214,6 +245,12 @@ function insertContentItem(item) {
 				item.highlight || false,
 				item.created_at || null,
 				item.collected_at || null,
+				item.canonical_url || null,
+				serializeArticle(item.article),
+				item.content_status || null,
+				item.content_source || null,
+				item.relevance_prompt_version_id || null,
+				item.summary_prompt_version_id || null,
 			],
 			function (err) {
 				if (err) {
@@ -240,11 +277,18 @@ function insertContentItems(items) {
 					  url,
 					  highlight,
 					  created_at,
-					  collected_at
+					  collected_at,
+					  canonical_url,
+					  article,
+					  content_status,
+					  content_source,
+					  relevance_prompt_version_id,
+					  summary_prompt_version_id
 					) VALUES (
 					  ?, ?, ?, ?, ?, ?, ?, ?,
 					  COALESCE(?, CURRENT_TIMESTAMP),
-					  COALESCE(?, CURRENT_TIMESTAMP)
+					  COALESCE(?, CURRENT_TIMESTAMP),
+					  ?, ?, ?, ?, ?, ?
 					)`
 			);
 			let insertedCount = 0;
@@ -261,6 +305,12 @@ function insertContentItems(items) {
 						item.highlight || false,
 						item.created_at || null,
 						item.collected_at || null,
+						item.canonical_url || null,
+						serializeArticle(item.article),
+						item.content_status || null,
+						item.content_source || null,
+						item.relevance_prompt_version_id || null,
+						item.summary_prompt_version_id || null,
 					],
 					function (err) {
 						if (!err && this.changes > 0) {
@@ -305,11 +355,190 @@ function getItemIdsBySource(sourceType, sourceIds) {
 	});
 }
 
+function getItemById(id) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT id, source_type, source_id, title, summary, page_text, raw_content, url, highlight, is_favorite, favorited_at, created_at, collected_at, canonical_url, duplicate_of, cluster_id, content_status, content_source, relevance_prompt_version_id, summary_prompt_version_id, (article IS NOT NULL) AS has_article
+				FROM content_items
+				WHERE id = ?
+			`;
+		db.get(sql, [id], (err, row) => {
+			if (err) return reject(err);
+			resolve(row || null);
+		});
+	});
+}
+
+// Timeline rows for the given ids (merged duplicates left out), in no
+// particular order
+function getItemsByIds(itemIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (itemIds || []).map(Number).filter(Number.isFinite);
+		if (ids.length === 0) return resolve([]);
+		const sql = `
+				SELECT id, source_type, source_id, title, summary, url, highlight, created_at, cluster_id
+				FROM content_items
+				WHERE id IN (${ids.map(() => "?").join(",")})
+				  AND duplicate_of IS NULL
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+// Stored article of an item for the reader view; null when none was extracted
+function getItemArticle(id) {
+	return new Promise((resolve, reject) => {
+		db.get("SELECT article FROM content_items WHERE id = ?", [id], (err, row) => {
+			if (err) return reject(err);
+			if (!row || !row.article) return resolve(null);
+			try {
+				resolve(JSON.parse(row.article));
+			} catch (_) {
+				resolve(null);
+			}
+		});
+	});
+}
+
+function updateItemArticle(id, article) {
+	return new Promise((resolve, reject) => {
+		db.run(
+			"UPDATE content_items SET article = ? WHERE id = ?",
+			[serializeArticle(article), id],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+// Cross-source dedup: rows sharing canonical_url are merged into the oldest
+// one (duplicate_of), which the timeline shows with every source attached
+
+// Id of the item a new row with this canonical URL would be merged into
+function getPrimaryItemIdByCanonicalUrl(canonicalUrl) {
+	return new Promise((resolve, reject) => {
+		if (!canonicalUrl) return resolve(null);
+		const sql = `
+				SELECT MIN(id) AS id
+				FROM content_items
+				WHERE canonical_url = ?
+			`;
+		db.get(sql, [String(canonicalUrl)], (err, row) => {
+			if (err) return reject(err);
+			resolve(row && row.id != null ? row.id : null);
+		});
+	});
+}
+
+// Point every newer row of a canonical URL group at the oldest row
+function linkDuplicateItems() {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				UPDATE content_items
+				SET duplicate_of = (
+				  SELECT MIN(o.id) FROM content_items o
+				  WHERE o.canonical_url = content_items.canonical_url
+				)
+				WHERE canonical_url IS NOT NULL AND canonical_url != ''
+				  AND duplicate_of IS NULL
+				  AND id > (
+				    SELECT MIN(o.id) FROM content_items o
+				    WHERE o.canonical_url = content_items.canonical_url
+				  )
+			`;
+		db.run(sql, [], function (err) {
+			if (err) return reject(err);
+			resolve(this.changes);
+		});
+	});
+}
+
+// Rows stored before canonical URLs existed
+function getItemsMissingCanonicalUrl({ limit = 500 } = {}) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT id, url
+				FROM content_items
+				WHERE canonical_url IS NULL AND url IS NOT NULL
+				ORDER BY id ASC
+				LIMIT ?
+			`;
+		db.all(sql, [Number(limit) || 500], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+// [{ id, canonical_url }]; an empty string marks a URL that has no key
+function updateCanonicalUrls(rows) {
+	return new Promise((resolve, reject) => {
+		if (!Array.isArray(rows) || rows.length === 0) return resolve(0);
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION");
+			const stmt = db.prepare(
+				"UPDATE content_items SET canonical_url = ? WHERE id = ?"
+			);
+			for (const row of rows) {
+				stmt.run([row.canonical_url, row.id]);
+			}
+			stmt.finalize((err) => {
+				if (err) {
+					db.run("ROLLBACK");
+					return reject(err);
+				}
+				db.run("COMMIT", (commitErr) => {
+					if (commitErr) return reject(commitErr);
+					resolve(rows.length);
+				});
+			});
+		});
+	});
+}
+
+// primary id -> rows merged into it, oldest first
+function getDuplicatesForItems(itemIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (itemIds || []).filter((id) => Number.isFinite(id));
+		if (ids.length === 0) return resolve(new Map());
+		const placeholders = ids.map(() => "?").join(",");
+		const sql = `
+				SELECT id, source_type, source_id, title, url, raw_content, created_at, duplicate_of
+				FROM content_items
+				WHERE duplicate_of IN (${placeholders})
+				ORDER BY id ASC
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			const byPrimary = new Map();
+			for (const row of rows || []) {
+				if (!byPrimary.has(row.duplicate_of)) byPrimary.set(row.duplicate_of, []);
+				byPrimary.get(row.duplicate_of).push(row);
+			}
+			resolve(byPrimary);
+		});
+	});
+}
+
 module.exports = {
 	getAllItems,
+	getItemById,
+	getItemsByIds,
 	getItemsFiltered,
 	searchItems,
 	insertContentItem,
 	insertContentItems,
 	getItemIdsBySource,
+	getPrimaryItemIdByCanonicalUrl,
+	linkDuplicateItems,
+	getItemsMissingCanonicalUrl,
+	updateCanonicalUrls,
+	getDuplicatesForItems,
+	getItemArticle,
+	updateItemArticle,
 };
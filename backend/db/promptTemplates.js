@@ -0,0 +1,232 @@
+const { db } = require("./connection");
+
+// Versioned prompt templates (services/promptTemplates). A template's body
+// lives in prompt_template_versions; prompt_templates.current_version points
+// at the one in use. Versions outlive their template so items keep pointing
+// at the prompt that produced them.
+
+const TEMPLATE_COLUMNS = `
+				t.id, t.kind, t.source_type, t.research_statement_id, t.current_version,
+				t.created_at, t.updated_at, v.id AS version_id, v.body
+			`;
+
+const CURRENT_VERSION_JOIN = `
+				JOIN prompt_template_versions v
+				  ON v.template_id = t.id AND v.version = t.current_version
+			`;
+
+function getPromptTemplates() {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ${TEMPLATE_COLUMNS}
+				FROM prompt_templates t
+				${CURRENT_VERSION_JOIN}
+				ORDER BY t.kind ASC, t.research_statement_id IS NOT NULL, t.source_type IS NOT NULL,
+				  t.source_type ASC, t.research_statement_id ASC
+			`;
+		db.all(sql, [], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+function getPromptTemplateById(id) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ${TEMPLATE_COLUMNS}
+				FROM prompt_templates t
+				${CURRENT_VERSION_JOIN}
+				WHERE t.id = ?
+			`;
+		db.get(sql, [Number(id)], (err, row) => {
+			if (err) return reject(err);
+			resolve(row || null);
+		});
+	});
+}
+
+/**
+ * The template that applies to an item: one scoped to the research statement
+ * beats one scoped to the source type, which beats the kind's default
+ * @param {string} kind - "relevance" or "summary"
+ * @param {string|null} sourceType
+ * @param {number|null} researchStatementId
+ */
+function findPromptTemplate(kind, sourceType, researchStatementId) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ${TEMPLATE_COLUMNS}
+				FROM prompt_templates t
+				${CURRENT_VERSION_JOIN}
+				WHERE t.kind = ?
+				  AND (t.source_type IS NULL OR t.source_type = ?)
+				  AND (t.research_statement_id IS NULL OR t.research_statement_id = ?)
+				ORDER BY t.research_statement_id IS NOT NULL DESC, t.source_type IS NOT NULL DESC
+				LIMIT 1
+			`;
+		db.get(
+			sql,
+			[
+				kind,
+				sourceType || null,
+				researchStatementId == null ? null : Number(researchStatementId),
+			],
+			(err, row) => {
+				if (err) return reject(err);
+				resolve(row || null);
+			}
+		);
+	});
+}
+
+/**
+ * Create a template with its first version
+ * @param {{kind: string, source_type: string|null, research_statement_id: number|null, body: string}} template
+ * @returns {Promise<number>} The template id
+ */
+function createPromptTemplate({ kind, source_type, research_statement_id, body }) {
+	return new Promise((resolve, reject) => {
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION", (beginErr) => {
+				if (beginErr) return reject(beginErr);
+				db.run(
+					`INSERT INTO prompt_templates (kind, source_type, research_statement_id, current_version)
+					 VALUES (?, ?, ?, 1)`,
+					[
+						kind,
+						source_type || null,
+						research_statement_id == null ? null : Number(research_statement_id),
+					],
+					function (insertErr) {
+						if (insertErr) {
+							db.run("ROLLBACK");
+							return reject(insertErr);
+						}
+						const templateId = this.lastID;
+						db.run(
+							"INSERT INTO prompt_template_versions (template_id, version, body) VALUES (?, 1, ?)",
+							[templateId, body],
+							(versionErr) => {
+								if (versionErr) {
+									db.run("ROLLBACK");
+									return reject(versionErr);
+								}
+								db.run("COMMIT", (commitErr) => {
+									if (commitErr) return reject(commitErr);
+									resolve(templateId);
+								});
+							}
+						);
+					}
+				);
+			});
+		});
+	});
+}
+
+/**
+ * Store a new body for a template and make it the current version
+ * @returns {Promise<number|null>} The new version number, null when the
+ *   template does not exist
+ */
+function addPromptTemplateVersion(templateId, body) {
+	return new Promise((resolve, reject) => {
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION", (beginErr) => {
+				if (beginErr) return reject(beginErr);
+				db.run(
+					`UPDATE prompt_templates
+					 SET current_version = current_version + 1, updated_at = CURRENT_TIMESTAMP
+					 WHERE id = ?`,
+					[Number(templateId)],
+					function (updateErr) {
+						if (updateErr) {
+							db.run("ROLLBACK");
+							return reject(updateErr);
+						}
+						if (this.changes === 0) {
+							return db.run("ROLLBACK", () => resolve(null));
+						}
+						db.run(
+							`INSERT INTO prompt_template_versions (template_id, version, body)
+							 SELECT id, current_version, ? FROM prompt_templates WHERE id = ?`,
+							[body, Number(templateId)],
+							(insertErr) => {
+								if (insertErr) {
+									db.run("ROLLBACK");
+									return reject(insertErr);
+								}
+								db.get(
+									"SELECT current_version FROM prompt_templates WHERE id = ?",
+									[Number(templateId)],
+									(getErr, row) => {
+										if (getErr) {
+											db.run("ROLLBACK");
+											return reject(getErr);
+										}
+										db.run("COMMIT", (commitErr) => {
+											if (commitErr) return reject(commitErr);
+											resolve(row ? row.current_version : null);
+										});
+									}
+								);
+							}
+						);
+					}
+				);
+			});
+		});
+	});
+}
+
+// Every stored version of a template, newest first
+function getPromptTemplateVersions(templateId) {
+	return new Promise((resolve, reject) => {
+		db.all(
+			`SELECT id, template_id, version, body, created_at
+			 FROM prompt_template_versions
+			 WHERE template_id = ?
+			 ORDER BY version DESC`,
+			[Number(templateId)],
+			(err, rows) => {
+				if (err) return reject(err);
+				resolve(rows || []);
+			}
+		);
+	});
+}
+
+// Removes the template only; its versions stay for the items that used them
+function deletePromptTemplate(id) {
+	return new Promise((resolve, reject) => {
+		db.run("DELETE FROM prompt_templates WHERE id = ?", [Number(id)], function (err) {
+			if (err) return reject(err);
+			resolve(this.changes);
+		});
+	});
+}
+
+function deletePromptTemplatesForStatement(researchStatementId) {
+	return new Promise((resolve, reject) => {
+		db.run(
+			"DELETE FROM prompt_templates WHERE research_statement_id = ?",
+			[Number(researchStatementId)],
+			function (err) {
+				if (err) return reject(err);
+				resolve(this.changes);
+			}
+		);
+	});
+}
+
+module.exports = {
+	getPromptTemplates,
+	getPromptTemplateById,
+	findPromptTemplate,
+	createPromptTemplate,
+	addPromptTemplateVersion,
+	getPromptTemplateVersions,
+	deletePromptTemplate,
+	deletePromptTemplatesForStatement,
+};
@@ -1,9 +1,20 @@
 const { db } = require("./connection");
+const { encodeEmbedding, decodeEmbedding } = require("./embeddingBlob");
+
+// Statement embeddings are stored as Float32 BLOBs but handed out as JSON text,
+// as before; there are only a handful of statements
+function withEmbeddingJson(row) {
+	if (!row || row.embedding == null || typeof row.embedding === "string") {
+		return row;
+	}
+	const floats = decodeEmbedding(row.embedding);
+	return { ...row, embedding: floats ? JSON.stringify(Array.from(floats)) : null };
+}
 
 function getAllResearchStatements() {
 	return new Promise((resolve, reject) => {
 		const query = `
-				SELECT id, name, statement, embedding, keywords, negative_keywords, is_active, created_at, updated_at
+				SELECT id, name, statement, embedding, embedding_model, keywords, negative_keywords, is_active, created_at, updated_at
 				FROM research_statements
 				ORDER BY created_at DESC
 			`;
@@ -11,7 +22,7 @@ function getAllResearchStatements() {
 			if (err) {
 				return reject(err);
 			}
-			resolve(rows || []);
+			resolve((rows || []).map(withEmbeddingJson));
 		});
 	});
 }
@@ -19,7 +30,7 @@ function getAllResearchStatements() {
 function getResearchStatementById(id) {
 	return new Promise((resolve, reject) => {
 		const query = `
-				SELECT id, name, statement, embedding, keywords, negative_keywords, is_active, created_at, updated_at
+				SELECT id, name, statement, embedding, embedding_model, keywords, negative_keywords, is_active, created_at, updated_at
 				FROM research_statements
 				WHERE id = ?
 			`;
@@ -27,7 +38,7 @@ function getResearchStatementById(id) {
 			if (err) {
 				return reject(err);
 			}
-			resolve(row || null);
+			resolve(withEmbeddingJson(row) || null);
 		});
 	});
 }
@@ -118,24 +129,16 @@ function deleteResearchStatement(id) {
 	});
 }
 
-function updateResearchStatementEmbedding(id, embeddingVector) {
+function updateResearchStatementEmbedding(id, embeddingVector, model) {
 	return new Promise((resolve, reject) => {
-		const sql = `UPDATE research_statements SET embedding = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+		const sql = `UPDATE research_statements SET embedding = ?, embedding_model = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
 		let payload = null;
 		try {
-			if (Array.isArray(embeddingVector)) {
-				payload = JSON.stringify(embeddingVector);
-			} else if (embeddingVector == null) {
-				payload = null;
-			} else if (typeof embeddingVector === "string") {
-				payload = embeddingVector;
-			} else {
-				payload = JSON.stringify(embeddingVector);
-			}
+			payload = encodeEmbedding(embeddingVector);
 		} catch (_) {
 			payload = null;
 		}
-		db.run(sql, [payload, Number(id)], function (err) {
+		db.run(sql, [payload, model || null, Number(id)], function (err) {
 			if (err) {
 				return reject(err);
 			}
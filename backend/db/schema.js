@@ -1,148 +1,551 @@
 const { db } = require("./connection");
+const { encodeEmbedding } = require("./embeddingBlob");
 
-function initializeDatabase() {
-	return new Promise((resolve, reject) => {
-		const createContentItemsTable = `
-			CREATE TABLE IF NOT EXISTS content_items (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				source_type TEXT NOT NULL,
-				source_id TEXT NOT NULL,
-				title TEXT,
-				summary TEXT,
-				page_text TEXT,
-				raw_content TEXT,
-				url TEXT,
-				highlight BOOLEAN DEFAULT 0,
-				is_favorite BOOLEAN DEFAULT 0,
-				favorited_at DATETIME,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				UNIQUE(source_type, source_id)
-			)
-		`;
-
-		const createAIUsageTable = `
-			CREATE TABLE IF NOT EXISTS ai_usage (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				date TEXT NOT NULL,
-				tokens_used INTEGER DEFAULT 0,
-				estimated_cost REAL DEFAULT 0,
-				requests_count INTEGER DEFAULT 0,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-			)
-		`;
-
-		const createAIUsageDateIndex = `
-			CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_usage_date ON ai_usage(date)
-		`;
-
-		const createResearchStatementsTable = `
-			CREATE TABLE IF NOT EXISTS research_statements (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				name VARCHAR(100) NOT NULL,
-				statement TEXT NOT NULL,
-				embedding BLOB,
-				keywords TEXT,
-				negative_keywords TEXT,
-				is_active BOOLEAN DEFAULT 1,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-			)
-		`;
-
-		const createContentFeaturesTable = `
-			CREATE TABLE IF NOT EXISTS content_features (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				content_item_id INTEGER NOT NULL,
-				research_statement_id INTEGER NOT NULL,
-				content_embedding BLOB,
-				similarity_score REAL,
-				keyword_score REAL,
-				feedback_score REAL,
-				final_score REAL,
-				relevance_tier INTEGER,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				UNIQUE(content_item_id, research_statement_id),
-				FOREIGN KEY (content_item_id) REFERENCES content_items(id),
-				FOREIGN KEY (research_statement_id) REFERENCES research_statements(id)
-			)
-		`;
-
-		const createContentFeaturesScoreIndex = `
-			CREATE INDEX IF NOT EXISTS idx_content_features_score
-			ON content_features(research_statement_id, final_score DESC)
-		`;
-
-		const createUserRatingsTable = `
-			CREATE TABLE IF NOT EXISTS user_ratings (
-				id INTEGER PRIMARY KEY AUTOINCREMENT,
-				content_item_id INTEGER NOT NULL,
-				research_statement_id INTEGER NOT NULL,
-				rating INTEGER NOT NULL,
-				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-				UNIQUE(content_item_id, research_statement_id),
-				FOREIGN KEY (content_item_id) REFERENCES content_items(id),
-				FOREIGN KEY (research_statement_id) REFERENCES research_statements(id)
-			)
-		`;
-
-		db.serialize(() => {
-			db.run(createContentItemsTable, (err) => {
-				if (err) return reject(err);
-				db.run(createAIUsageTable, (err2) => {
-					if (err2) return reject(err2);
-					db.run(createAIUsageDateIndex, (err3) => {
-						if (err3) return reject(err3);
-						db.run(createUserRatingsTable, (err4) => {
-							if (err4) return reject(err4);
-							db.run(createResearchStatementsTable, (err5) => {
-								if (err5) return reject(err5);
-								db.get(
-									"SELECT COUNT(*) as count FROM research_statements",
-									[],
-									(err6, row) => {
-										if (err6) return reject(err6);
-										const needsSeed = !row || Number(row.count) === 0;
-										const seedDefault = (next) => {
-											if (!needsSeed) return next();
-											const insertDefault = `
-											INSERT INTO research_statements (name, statement, keywords, negative_keywords, is_active)
-											VALUES (?, ?, ?, ?, 1)
-										`;
-											db.run(
-												insertDefault,
-												[
-													"AI/LLM Research",
-													"Focus on AI/LLM, developer tools, code generation, RAG/embeddings, agent systems, and practical applications improving software development workflows.",
-													JSON.stringify([]),
-													JSON.stringify([]),
-												],
-												(seedErr) => {
-													if (seedErr) return reject(seedErr);
-													next();
-												}
-											);
-										};
-
-										seedDefault(() => {
-											db.run(createContentFeaturesTable, (err7) => {
-												if (err7) return reject(err7);
-												db.run(createContentFeaturesScoreIndex, (err8) => {
-													if (err8) return reject(err8);
-													return resolve();
-												});
-											});
-										});
-									}
-								);
-							});
-						});
+// Columns added to existing tables after release; CREATE TABLE only covers
+// new databases, so older files get them through ALTER TABLE
+const ADDED_COLUMNS = [
+	// Cross-source dedup key (services/canonicalUrl) and the item it merges into
+	{ table: "content_items", column: "canonical_url", definition: "TEXT" },
+	{ table: "content_items", column: "duplicate_of", definition: "INTEGER" },
+	// Near-duplicate story cluster: the id of the cluster's representative
+	// item, which is the only member the timeline lists (jobs/storyClusters)
+	{ table: "content_items", column: "cluster_id", definition: "INTEGER" },
+	// Extracted article (services/articleExtractor) as JSON, for the reader view
+	{ table: "content_items", column: "article", definition: "TEXT" },
+	// What the linked page turned out to be (services/contentQuality: "ok",
+	// "paywall", "consent_wall", "empty_shell", "fetch_failed") and where
+	// page_text came from ("page", "archive", "collector", or a fallback
+	// snippet such as "hn_text"/"og_description")
+	{ table: "content_items", column: "content_status", definition: "TEXT" },
+	{ table: "content_items", column: "content_source", definition: "TEXT" },
+	// The same verdict for a cached page, and its meta description as a
+	// fallback when the page has no usable text
+	{ table: "fetch_cache", column: "content_status", definition: "TEXT" },
+	{ table: "fetch_cache", column: "description", definition: "TEXT" },
+	// Prompt template versions (prompt_template_versions.id) that produced
+	// the item's relevance analysis and summary
+	{
+		table: "content_items",
+		column: "relevance_prompt_version_id",
+		definition: "INTEGER",
+	},
+	{
+		table: "content_items",
+		column: "summary_prompt_version_id",
+		definition: "INTEGER",
+	},
+	// Model that produced a research statement's embedding; one from another
+	// model (or dimension) is re-embedded before it is compared
+	{
+		table: "research_statements",
+		column: "embedding_model",
+		definition: "TEXT",
+	},
+	// Per research statement AI relevance judgment (jobs/collection): score
+	// 1-10, explanation, highlight flag and the prompt template version used
+	{
+		table: "content_features",
+		column: "ai_relevance_score",
+		definition: "INTEGER",
+	},
+	{
+		table: "content_features",
+		column: "ai_relevance_explanation",
+		definition: "TEXT",
+	},
+	{
+		table: "content_features",
+		column: "ai_highlight",
+		definition: "INTEGER",
+	},
+	{
+		table: "content_features",
+		column: "ai_prompt_version_id",
+		definition: "INTEGER",
+	},
+	{
+		table: "content_features",
+		column: "ai_judged_at",
+		definition: "DATETIME",
+	},
+];
+
+const ADDED_INDEXES = [
+	`CREATE INDEX IF NOT EXISTS idx_content_items_canonical_url
+	ON content_items(canonical_url)`,
+	`CREATE INDEX IF NOT EXISTS idx_content_items_duplicate_of
+	ON content_items(duplicate_of)`,
+	`CREATE INDEX IF NOT EXISTS idx_content_items_cluster_id
+	ON content_items(cluster_id)`,
+];
+
+function addMissingColumns(done) {
+	const pending = ADDED_COLUMNS.slice();
+	const next = (err) => {
+		if (err) return done(err);
+		const col = pending.shift();
+		if (!col) {
+			const indexes = ADDED_INDEXES.slice();
+			const nextIndex = (indexErr) => {
+				if (indexErr) return done(indexErr);
+				const sql = indexes.shift();
+				if (!sql) return done(null);
+				db.run(sql, nextIndex);
+			};
+			return nextIndex(null);
+		}
+		db.all(`PRAGMA table_info(${col.table})`, [], (infoErr, rows) => {
+			if (infoErr) return done(infoErr);
+			if ((rows || []).some((r) => r.name === col.column)) return next(null);
+			db.run(
+				`ALTER TABLE ${col.table} ADD COLUMN ${col.column} ${col.definition}`,
+				next
+			);
+		});
+	};
+	next(null);
+}
+
+// RSS entries used the feed's guid alone as source_id, so feeds with guids
+// such as "1" or relative paths collided; scope older rows by feed URL the
+// way collectors/rss does now ("<feed url>#<guid>")
+function migrateRssSourceIds(done) {
+	db.run(
+		`UPDATE content_items
+		 SET source_id = json_extract(raw_content, '$.feed.url') || '#' || source_id
+		 WHERE source_type = 'rss'
+		   AND CASE WHEN json_valid(raw_content)
+		     THEN json_extract(raw_content, '$.feed.url') IS NOT NULL
+		       AND CAST(json_extract(raw_content, '$.entry.id') AS TEXT) = source_id
+		     ELSE 0 END`,
+		done
+	);
+}
+
+// Content embeddings used to live in content_features, one copy per
+// research statement; move the newest copy of each into content_embeddings.
+// Model and text hash are unknown for these, so they are stored empty and
+// the next collection re-embeds such an item only if it is processed again.
+function migrateContentEmbeddings(done) {
+	db.run(
+		`INSERT OR IGNORE INTO content_embeddings (content_item_id, model, text_hash, embedding)
+		 SELECT content_item_id, '', '', content_embedding
+		 FROM content_features
+		 WHERE content_embedding IS NOT NULL
+		 ORDER BY updated_at DESC`,
+		(err) => {
+			if (err) return done(err);
+			db.run(
+				"UPDATE content_features SET content_embedding = NULL WHERE content_embedding IS NOT NULL",
+				done
+			);
+		}
+	);
+}
+
+// Embeddings written as JSON text before they were stored as Float32 BLOBs
+// (db/embeddingBlob); converted a batch at a time. Text that does not parse
+// is dropped: the item is embedded again when it is next processed.
+const EMBEDDING_BLOB_TABLES = [
+	{ table: "content_embeddings", key: "content_item_id", nullable: false },
+	{ table: "research_statements", key: "id", nullable: true },
+];
+const EMBEDDING_BLOB_BATCH = 200;
+
+function migrateEmbeddingBlobs(done) {
+	let index = 0;
+	const next = (err) => {
+		if (err) return done(err);
+		const target = EMBEDDING_BLOB_TABLES[index++];
+		if (!target) return done(null);
+		convertBatch(target, next);
+	};
+	const convertBatch = (target, finished) => {
+		db.all(
+			`SELECT ${target.key} AS id, embedding FROM ${target.table}
+			 WHERE typeof(embedding) = 'text'
+			 LIMIT ${EMBEDDING_BLOB_BATCH}`,
+			[],
+			(err, rows) => {
+				if (err) return finished(err);
+				if (!rows || rows.length === 0) return finished(null);
+				const update = db.prepare(
+					`UPDATE ${target.table} SET embedding = ? WHERE ${target.key} = ?`
+				);
+				const drop = db.prepare(
+					target.nullable
+						? `UPDATE ${target.table} SET embedding = NULL WHERE ${target.key} = ?`
+						: `DELETE FROM ${target.table} WHERE ${target.key} = ?`
+				);
+				db.serialize(() => {
+					db.run("BEGIN TRANSACTION");
+					for (const row of rows) {
+						let blob = null;
+						try {
+							blob = encodeEmbedding(row.embedding);
+						} catch (_) {
+							blob = null;
+						}
+						if (blob && blob.length > 0) update.run([blob, row.id]);
+						else drop.run([row.id]);
+					}
+					update.finalize();
+					drop.finalize();
+					db.run("COMMIT", (commitErr) => {
+						if (commitErr) return finished(commitErr);
+						convertBatch(target, finished);
 					});
 				});
-			});
+			}
+		);
+	};
+	next(null);
+}
+
+async function initializeDatabase() {
+	const createContentItemsTable = `
+		CREATE TABLE IF NOT EXISTS content_items (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			source_type TEXT NOT NULL,
+			source_id TEXT NOT NULL,
+			title TEXT,
+			summary TEXT,
+			page_text TEXT,
+			raw_content TEXT,
+			url TEXT,
+			highlight BOOLEAN DEFAULT 0,
+			is_favorite BOOLEAN DEFAULT 0,
+			favorited_at DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			collected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			canonical_url TEXT,
+			duplicate_of INTEGER,
+			cluster_id INTEGER,
+			article TEXT,
+			content_status TEXT,
+			content_source TEXT,
+			relevance_prompt_version_id INTEGER,
+			summary_prompt_version_id INTEGER,
+			UNIQUE(source_type, source_id)
+		)
+	`;
+
+	const createAIUsageTable = `
+		CREATE TABLE IF NOT EXISTS ai_usage (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			date TEXT NOT NULL,
+			tokens_used INTEGER DEFAULT 0,
+			estimated_cost REAL DEFAULT 0,
+			requests_count INTEGER DEFAULT 0,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`;
+
+	const createAIUsageDateIndex = `
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_usage_date ON ai_usage(date)
+	`;
+
+	const createResearchStatementsTable = `
+		CREATE TABLE IF NOT EXISTS research_statements (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			name VARCHAR(100) NOT NULL,
+			statement TEXT NOT NULL,
+			embedding BLOB,
+			embedding_model TEXT,
+			keywords TEXT,
+			negative_keywords TEXT,
+			is_active BOOLEAN DEFAULT 1,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`;
+
+	const createContentFeaturesTable = `
+		CREATE TABLE IF NOT EXISTS content_features (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			content_item_id INTEGER NOT NULL,
+			research_statement_id INTEGER NOT NULL,
+			content_embedding BLOB,
+			similarity_score REAL,
+			keyword_score REAL,
+			feedback_score REAL,
+			final_score REAL,
+			relevance_tier INTEGER,
+			ai_relevance_score INTEGER,
+			ai_relevance_explanation TEXT,
+			ai_highlight INTEGER,
+			ai_prompt_version_id INTEGER,
+			ai_judged_at DATETIME,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(content_item_id, research_statement_id),
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id),
+			FOREIGN KEY (research_statement_id) REFERENCES research_statements(id)
+		)
+	`;
+
+	const createContentFeaturesScoreIndex = `
+		CREATE INDEX IF NOT EXISTS idx_content_features_score
+		ON content_features(research_statement_id, final_score DESC)
+	`;
+
+	const createUserRatingsTable = `
+		CREATE TABLE IF NOT EXISTS user_ratings (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			content_item_id INTEGER NOT NULL,
+			research_statement_id INTEGER NOT NULL,
+			rating INTEGER NOT NULL,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(content_item_id, research_statement_id),
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id),
+			FOREIGN KEY (research_statement_id) REFERENCES research_statements(id)
+		)
+	`;
+
+	const createCollectorStateTable = `
+		CREATE TABLE IF NOT EXISTS collector_state (
+			collector_id TEXT NOT NULL,
+			state_key TEXT NOT NULL,
+			state_value TEXT,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			PRIMARY KEY (collector_id, state_key)
+		)
+	`;
+
+	// Stored comment trees (e.g. HN kids) and their AI summary, one per item
+	const createDiscussionThreadsTable = `
+		CREATE TABLE IF NOT EXISTS discussion_threads (
+			content_item_id INTEGER PRIMARY KEY,
+			source_type TEXT NOT NULL,
+			comments TEXT,
+			comment_count INTEGER DEFAULT 0,
+			summary TEXT,
+			fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			summarized_at DATETIME,
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id)
+		)
+	`;
+
+	// Score/comment snapshots for re-polled items, plus the latest values
+	// and points-per-hour velocity derived from them
+	const createItemMetricsHistoryTable = `
+		CREATE TABLE IF NOT EXISTS item_metrics_history (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			content_item_id INTEGER NOT NULL,
+			score INTEGER,
+			comment_count INTEGER,
+			recorded_at DATETIME NOT NULL,
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id)
+		)
+	`;
+
+	const createItemMetricsHistoryIndex = `
+		CREATE INDEX IF NOT EXISTS idx_item_metrics_history_item
+		ON item_metrics_history(content_item_id, recorded_at)
+	`;
+
+	const createItemMetricsTable = `
+		CREATE TABLE IF NOT EXISTS item_metrics (
+			content_item_id INTEGER PRIMARY KEY,
+			score INTEGER,
+			comment_count INTEGER,
+			velocity REAL,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id)
+		)
+	`;
+
+	// One row per social post (Mastodon status, Bluesky post) linking a URL;
+	// url_key is the social item's source_id, so mentions that arrive after
+	// the item was stored still count towards it
+	const createSocialMentionsTable = `
+		CREATE TABLE IF NOT EXISTS social_mentions (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			url_key TEXT NOT NULL,
+			network TEXT NOT NULL,
+			post_id TEXT NOT NULL,
+			account TEXT NOT NULL,
+			account_name TEXT,
+			post_url TEXT,
+			text TEXT,
+			posted_at DATETIME,
+			recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(network, post_id)
+		)
+	`;
+
+	const createSocialMentionsIndex = `
+		CREATE INDEX IF NOT EXISTS idx_social_mentions_url
+		ON social_mentions(url_key)
+	`;
+
+	// Page fetch cache keyed by requested URL (services/pageFetcher): the
+	// extracted result, validators for conditional GETs and, when the last
+	// attempt failed, its status and reason
+	const createFetchCacheTable = `
+		CREATE TABLE IF NOT EXISTS fetch_cache (
+			url TEXT PRIMARY KEY,
+			final_url TEXT,
+			status INTEGER,
+			content_type TEXT,
+			headers TEXT,
+			etag TEXT,
+			last_modified TEXT,
+			title TEXT,
+			text TEXT,
+			canonical TEXT,
+			article TEXT,
+			content_status TEXT,
+			description TEXT,
+			error TEXT,
+			fail_count INTEGER DEFAULT 0,
+			fetched_at DATETIME,
+			checked_at DATETIME
+		)
+	`;
+
+	// Per-domain fetch policy set in Settings: access is "allow",
+	// "title_only" (keep items, never fetch their pages) or "deny" (drop
+	// items linking there); delay_ms overrides DOMAIN_RATE_LIMIT_MS
+	const createDomainPoliciesTable = `
+		CREATE TABLE IF NOT EXISTS domain_policies (
+			domain TEXT PRIMARY KEY,
+			access TEXT NOT NULL DEFAULT 'allow',
+			delay_ms INTEGER,
+			headers TEXT,
+			updated_at DATETIME
+		)
+	`;
+
+	// Last fetched robots.txt per origin (scheme://host[:port])
+	const createRobotsTxtTable = `
+		CREATE TABLE IF NOT EXISTS robots_txt (
+			origin TEXT PRIMARY KEY,
+			status INTEGER,
+			body TEXT,
+			error TEXT,
+			fetched_at DATETIME
+		)
+	`;
+
+	// Prompt templates (services/promptTemplates): kind is "relevance" or
+	// "summary"; source_type and research_statement_id narrow where one
+	// applies (NULL: everywhere). Edits append a row to
+	// prompt_template_versions and bump current_version; versions are never
+	// rewritten, so items can point at the exact prompt that produced them
+	const createPromptTemplatesTable = `
+		CREATE TABLE IF NOT EXISTS prompt_templates (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			kind TEXT NOT NULL,
+			source_type TEXT,
+			research_statement_id INTEGER,
+			current_version INTEGER NOT NULL DEFAULT 1,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+		)
+	`;
+
+	// One template per scope (UNIQUE would treat NULLs as distinct)
+	const createPromptTemplatesScopeIndex = `
+		CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_scope
+		ON prompt_templates(kind, COALESCE(source_type, ''), COALESCE(research_statement_id, 0))
+	`;
+
+	const createPromptTemplateVersionsTable = `
+		CREATE TABLE IF NOT EXISTS prompt_template_versions (
+			id INTEGER PRIMARY KEY AUTOINCREMENT,
+			template_id INTEGER NOT NULL,
+			version INTEGER NOT NULL,
+			body TEXT NOT NULL,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			UNIQUE(template_id, version)
+		)
+	`;
+
+	// One embedding per item, shared by every research statement; model
+	// plus text_hash say what was embedded (services/contentEmbeddings), and
+	// items with the same text under the same model reuse each other's
+	const createContentEmbeddingsTable = `
+		CREATE TABLE IF NOT EXISTS content_embeddings (
+			content_item_id INTEGER PRIMARY KEY,
+			model TEXT NOT NULL,
+			text_hash TEXT NOT NULL,
+			embedding BLOB NOT NULL,
+			created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+			FOREIGN KEY (content_item_id) REFERENCES content_items(id)
+		)
+	`;
+
+	const createContentEmbeddingsHashIndex = `
+		CREATE INDEX IF NOT EXISTS idx_content_embeddings_hash
+		ON content_embeddings(model, text_hash)
+	`;
+
+	// The default research statement for a fresh database
+	const seedDefaultStatement = (done) => {
+		db.get(
+			"SELECT COUNT(*) as count FROM research_statements",
+			[],
+			(err, row) => {
+				if (err) return done(err);
+				if (row && Number(row.count) > 0) return done(null);
+				const insertDefault = `
+				INSERT INTO research_statements (name, statement, keywords, negative_keywords, is_active)
+				VALUES (?, ?, ?, ?, 1)
+			`;
+				db.run(
+					insertDefault,
+					[
+						"AI/LLM Research",
+						"Focus on AI/LLM, developer tools, code generation, RAG/embeddings, agent systems, and practical applications improving software development workflows.",
+						JSON.stringify([]),
+						JSON.stringify([]),
+					],
+					done
+				);
+			}
+		);
+	};
+
+	const run = (sql) => (done) => db.run(sql, done);
+
+	// Run in order; each step takes a node-style callback
+	const steps = [
+		run(createContentItemsTable),
+		run(createAIUsageTable),
+		run(createAIUsageDateIndex),
+		run(createUserRatingsTable),
+		run(createResearchStatementsTable),
+		seedDefaultStatement,
+		run(createContentFeaturesTable),
+		run(createContentFeaturesScoreIndex),
+		run(createCollectorStateTable),
+		run(createDiscussionThreadsTable),
+		run(createItemMetricsHistoryTable),
+		run(createItemMetricsHistoryIndex),
+		run(createItemMetricsTable),
+		run(createSocialMentionsTable),
+		run(createSocialMentionsIndex),
+		run(createFetchCacheTable),
+		run(createDomainPoliciesTable),
+		run(createRobotsTxtTable),
+		run(createPromptTemplatesTable),
+		run(createPromptTemplatesScopeIndex),
+		run(createPromptTemplateVersionsTable),
+		run(createContentEmbeddingsTable),
+		run(createContentEmbeddingsHashIndex),
+		addMissingColumns,
+		migrateRssSourceIds,
+		migrateContentEmbeddings,
+		migrateEmbeddingBlobs,
+	];
+
+	for (const step of steps) {
+		await new Promise((resolve, reject) => {
+			step((err) => (err ? reject(err) : resolve()));
 		});
-	});
+	}
 }
 
 module.exports = { initializeDatabase };
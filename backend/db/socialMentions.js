@@ -0,0 +1,98 @@
+const { db } = require("./connection");
+
+// Social posts linking a URL, keyed by the social item's source_id (url_key).
+// Re-seeing a post is a no-op, so collectors can record every poll's posts.
+
+function insertSocialMentions(mentions) {
+	return new Promise((resolve, reject) => {
+		const rows = (mentions || []).filter(
+			(m) => m && m.url_key && m.network && m.post_id && m.account
+		);
+		if (rows.length === 0) return resolve(0);
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION");
+			const stmt = db.prepare(
+				`INSERT OR IGNORE INTO social_mentions (
+					  url_key, network, post_id, account, account_name, post_url, text, posted_at
+					) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+			);
+			let insertedCount = 0;
+			for (const m of rows) {
+				stmt.run(
+					[
+						String(m.url_key),
+						String(m.network),
+						String(m.post_id),
+						String(m.account),
+						m.account_name || null,
+						m.post_url || null,
+						m.text || null,
+						m.posted_at || null,
+					],
+					function (err) {
+						if (!err && this.changes > 0) insertedCount += 1;
+					}
+				);
+			}
+			stmt.finalize((err) => {
+				if (err) {
+					db.run("ROLLBACK");
+					return reject(err);
+				}
+				db.run("COMMIT", (commitErr) => {
+					if (commitErr) return reject(commitErr);
+					resolve(insertedCount);
+				});
+			});
+		});
+	});
+}
+
+// url_key -> number of distinct accounts that linked it
+function getMentionCountsForUrls(urlKeys) {
+	return new Promise((resolve, reject) => {
+		const keys = (urlKeys || []).map((k) => String(k));
+		if (keys.length === 0) return resolve(new Map());
+		const placeholders = keys.map(() => "?").join(",");
+		const sql = `
+				SELECT url_key, COUNT(DISTINCT network || ':' || account) AS accounts
+				FROM social_mentions
+				WHERE url_key IN (${placeholders})
+				GROUP BY url_key
+			`;
+		db.all(sql, keys, (err, rows) => {
+			if (err) return reject(err);
+			resolve(new Map((rows || []).map((r) => [r.url_key, r.accounts])));
+		});
+	});
+}
+
+// url_key -> mentions, newest first
+function getMentionsForUrls(urlKeys) {
+	return new Promise((resolve, reject) => {
+		const keys = (urlKeys || []).map((k) => String(k));
+		if (keys.length === 0) return resolve(new Map());
+		const placeholders = keys.map(() => "?").join(",");
+		const sql = `
+				SELECT url_key, network, post_id, account, account_name, post_url, text, posted_at
+				FROM social_mentions
+				WHERE url_key IN (${placeholders})
+				ORDER BY posted_at DESC
+			`;
+		db.all(sql, keys, (err, rows) => {
+			if (err) return reject(err);
+			const byUrl = new Map();
+			for (const row of rows || []) {
+				if (!byUrl.has(row.url_key)) byUrl.set(row.url_key, []);
+				byUrl.get(row.url_key).push(row);
+			}
+			resolve(byUrl);
+		});
+	});
+}
+
+module.exports = {
+	insertSocialMentions,
+	getMentionCountsForUrls,
+	getMentionsForUrls,
+};
@@ -0,0 +1,117 @@
+const { db } = require("./connection");
+
+// Near-duplicate story clusters. content_items.cluster_id holds the id of the
+// cluster's representative item (so the representative points at itself);
+// items outside any cluster have NULL.
+
+const ID_CHUNK = 500;
+
+/**
+ * Items to (re)cluster: published since the given time, plus every member of
+ * a cluster one of them belongs to, so clusters are rebuilt whole
+ * @param {Object} options
+ * @param {string} options.since - ISO time
+ */
+function getItemsForClustering({ since }) {
+	return new Promise((resolve, reject) => {
+		const sql = `
+				SELECT ci.id, ci.title, ci.summary, ci.created_at, ci.cluster_id,
+				  ce.embedding AS content_embedding, ce.model AS embedding_model,
+				  (SELECT MAX(cf.final_score) FROM content_features cf
+				   WHERE cf.content_item_id = ci.id) AS best_score
+				FROM content_items ci
+				LEFT JOIN content_embeddings ce ON ce.content_item_id = ci.id
+				WHERE ci.duplicate_of IS NULL
+				  AND (
+				    ci.created_at >= ?
+				    OR ci.cluster_id IN (
+				      SELECT cluster_id FROM content_items
+				      WHERE created_at >= ? AND cluster_id IS NOT NULL
+				    )
+				  )
+				ORDER BY ci.created_at ASC
+			`;
+		db.all(sql, [since, since], (err, rows) => {
+			if (err) return reject(err);
+			resolve(rows || []);
+		});
+	});
+}
+
+/**
+ * Replace the cluster assignment of the given items in one transaction
+ * @param {number[]} itemIds - Every item that was clustered (cleared first)
+ * @param {Array<{representative_id: number, member_ids: number[]}>} clusters
+ */
+function replaceStoryClusters(itemIds, clusters) {
+	return new Promise((resolve, reject) => {
+		const ids = (itemIds || []).filter((id) => Number.isFinite(id));
+		let failed = null;
+		const onError = (err) => {
+			if (err && !failed) failed = err;
+		};
+		db.serialize(() => {
+			db.run("BEGIN TRANSACTION", onError);
+			for (let i = 0; i < ids.length; i += ID_CHUNK) {
+				const chunk = ids.slice(i, i + ID_CHUNK);
+				db.run(
+					`UPDATE content_items SET cluster_id = NULL WHERE id IN (${chunk
+						.map(() => "?")
+						.join(",")})`,
+					chunk,
+					onError
+				);
+			}
+			for (const cluster of clusters || []) {
+				const members = cluster.member_ids.filter((id) => Number.isFinite(id));
+				db.run(
+					`UPDATE content_items SET cluster_id = ? WHERE id IN (${members
+						.map(() => "?")
+						.join(",")})`,
+					[cluster.representative_id, ...members],
+					onError
+				);
+			}
+			// Serialized: runs after every update above has reported back
+			db.get("SELECT 1", [], () => {
+				if (failed) {
+					return db.run("ROLLBACK", () => reject(failed));
+				}
+				db.run("COMMIT", (commitErr) => {
+					if (commitErr) return reject(commitErr);
+					resolve(clusters.length);
+				});
+			});
+		});
+	});
+}
+
+// representative id -> other members of its cluster, newest first
+function getClusterMembersForItems(representativeIds) {
+	return new Promise((resolve, reject) => {
+		const ids = (representativeIds || []).filter((id) => Number.isFinite(id));
+		if (ids.length === 0) return resolve(new Map());
+		const placeholders = ids.map(() => "?").join(",");
+		const sql = `
+				SELECT id, source_type, source_id, title, url, raw_content, created_at, cluster_id
+				FROM content_items
+				WHERE cluster_id IN (${placeholders}) AND id != cluster_id
+				ORDER BY created_at DESC
+			`;
+		db.all(sql, ids, (err, rows) => {
+			if (err) return reject(err);
+			const byCluster = new Map();
+			for (const row of rows || []) {
+				if (!byCluster.has(row.cluster_id)) byCluster.set(row.cluster_id, []);
+				byCluster.get(row.cluster_id).push(row);
+			}
+			resolve(byCluster);
+		});
+	});
+}
+
+module.exports = {
+	getItemsForClustering,
+	replaceStoryClusters,
+	getClusterMembersForItems,
+};
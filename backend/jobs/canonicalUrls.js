@@ -0,0 +1,40 @@
+const {
+	getItemsMissingCanonicalUrl,
+	updateCanonicalUrls,
+	linkDuplicateItems,
+} = require("../database");
+const { canonicalizeUrl } = require("../services/canonicalUrl");
+
+const BATCH_SIZE = 500;
+
+/**
+ * Give rows stored before canonical URLs existed a key derived from their
+ * url (no page fetches, so rel=canonical is only used for new items), then
+ * merge every group of rows sharing a key into its oldest row.
+ * @returns {Promise<{keyed: number, merged: number}>}
+ */
+async function backfillCanonicalUrls() {
+	let keyed = 0;
+	for (;;) {
+		const rows = await getItemsMissingCanonicalUrl({ limit: BATCH_SIZE });
+		if (rows.length === 0) break;
+		// "" marks rows whose url has no key so they are not picked up again
+		await updateCanonicalUrls(
+			rows.map((row) => ({
+				id: row.id,
+				canonical_url: canonicalizeUrl(row.url) || "",
+			}))
+		);
+		keyed += rows.length;
+		if (rows.length < BATCH_SIZE) break;
+	}
+	const merged = await linkDuplicateItems();
+	if (keyed > 0 || merged > 0) {
+		console.log(
+			`[${new Date().toISOString()}] Canonical URLs: ${keyed} items keyed, ${merged} merged into earlier items`
+		);
+	}
+	return { keyed, merged };
+}
+
+module.exports = { backfillCanonicalUrls };
@@ -0,0 +1,656 @@
+const {
+	insertContentItems,
+	getActiveResearchStatements,
+	updateContentFeaturesSimilarityAndTier,
+	getItemIdsBySource,
+	getRatedItemsWithEmbeddings,
+	updateContentFeaturesFeedbackScore,
+	updateContentFeaturesKeywordScore,
+	getItemsMissingFinalScoreForStatement,
+	batchUpdateContentFeaturesHybridScores,
+	upsertContentFeaturesAiJudgments,
+	getPrimaryItemIdByCanonicalUrl,
+	linkDuplicateItems,
+	getContentEmbeddingsForItems,
+} = require("../database");
+const { getCollector } = require("../collectors");
+const AIService = require("../services/ai");
+const {
+	fetchUrlPage,
+	fetchArchivedPage,
+} = require("../services/pageFetcher");
+const { isPartialContent } = require("../services/contentQuality");
+const { canonicalizeUrl } = require("../services/canonicalUrl");
+const { getDomainPolicy } = require("../services/fetchPolicy");
+const {
+	extractContentText,
+	ensureItemEmbedding,
+	ensureStatementEmbedding,
+	determineRelevanceTier,
+} = require("../services/contentEmbeddings");
+const { EmbeddingIndex } = require("../services/embeddingIndex");
+
+// Collector ids with a run in progress (single-process prototype)
+const runningCollectors = new Set();
+
+// SQLite caps bound parameters per statement; look ids up in chunks
+const SOURCE_ID_CHUNK = 500;
+
+async function getItemRowsBySource(sourceType, sourceIds) {
+	const rows = [];
+	for (let i = 0; i < sourceIds.length; i += SOURCE_ID_CHUNK) {
+		rows.push(
+			...(await getItemIdsBySource(
+				sourceType,
+				sourceIds.slice(i, i + SOURCE_ID_CHUNK)
+			))
+		);
+	}
+	return rows;
+}
+
+// Drop items that are already stored so polling collectors do not pay for
+// page fetches and AI calls on entries they have seen before
+async function filterNewItems(sourceType, items) {
+	const rows = await getItemRowsBySource(
+		sourceType,
+		items.map((it) => String(it.source_id))
+	);
+	const existing = new Set(rows.map((row) => String(row.source_id)));
+	const seen = new Set();
+	return items.filter((it) => {
+		const id = String(it.source_id);
+		if (existing.has(id) || seen.has(id)) return false;
+		seen.add(id);
+		return true;
+	});
+}
+
+/**
+ * page_text for an item whose page was fetched (page is null when that
+ * failed). Paywalls, consent walls, empty shells and failed fetches fall
+ * back to the local archive mirror, then to the collector's own text about
+ * the item and then to the page's meta description.
+ * @returns {Promise<{page_text: string|null, article: Object|null, content_status: string, content_source: string|null}>}
+ */
+async function resolvePageContent(collector, item, page) {
+	const status = page ? page.content_status : "fetch_failed";
+	const result = (content_source, page_text, article = null) => ({
+		page_text,
+		article,
+		content_status: status,
+		content_source,
+	});
+	if (status === "ok") return result("page", page.text, page.article);
+
+	const archived = await fetchArchivedPage(item.url);
+	const fallback = collector.getFallbackContent(item);
+	let content = result(null, null);
+	if (archived) {
+		content = result("archive", archived.text, archived.article);
+	} else if (fallback && fallback.text) {
+		content = result(fallback.source, fallback.text);
+	} else if (page && page.description) {
+		content = result("og_description", page.description);
+	} else if (page && page.text && status === "paywall") {
+		// A paywall teaser is still the start of the article
+		content = result("page", page.text, page.article);
+	}
+	console.log(
+		`[${new Date().toISOString()}] ${item.url}: ${status}, ${
+			content.content_source
+				? `using ${content.content_source} instead`
+				: "no fallback text"
+		}`
+	);
+	return content;
+}
+
+/**
+ * Run one registered collector end to end: collect, fetch page text,
+ * AI relevance + summary, insert, then embeddings/similarity, feedback and
+ * hybrid scoring for the newly collected items.
+ * @param {string} collectorId - Registered collector id (e.g. "hackernews")
+ * @param {Object} [options] - Passed through to collector.collect()
+ */
+async function runCollection(collectorId, options = {}) {
+	const collector = getCollector(collectorId);
+	if (!collector) {
+		return { success: false, error: `Unknown collector: ${collectorId}` };
+	}
+	if (runningCollectors.has(collector.id)) {
+		return {
+			success: false,
+			error: `${collector.name} collection already running`,
+		};
+	}
+	runningCollectors.add(collector.id);
+
+	console.log(
+		`[${new Date().toISOString()}] Starting ${collector.name} collection job...`
+	);
+
+	try {
+		const aiService = new AIService();
+
+		// Add timeout wrapper to prevent hanging
+		let timer = null;
+		const collected = await Promise.race([
+			collector.collect(options),
+			new Promise((_, reject) => {
+				timer = setTimeout(
+					() =>
+						reject(
+							new Error(
+								`${collector.name} discovery timeout after ${Math.round(
+									collector.collectTimeoutMs / 1000
+								)} seconds`
+							)
+						),
+					collector.collectTimeoutMs
+				);
+			}),
+		]).finally(() => clearTimeout(timer));
+
+		const fresh = await filterNewItems(collector.id, collected);
+		console.log(
+			`[${new Date().toISOString()}] ${collector.name} collect: ${
+				collected.length
+			} collected, ${fresh.length} new`
+		);
+
+		const items = [];
+		// source_ids of items another source already brought in
+		const duplicateIds = new Set();
+		let processedCount = 0;
+		let aiProcessedCount = 0;
+		let deniedCount = 0;
+		let partialCount = 0;
+		// Research statements fill the prompt templates; loaded once per run
+		const promptStatements = aiService.isAvailable()
+			? await getActiveResearchStatements().catch(() => [])
+			: [];
+
+		for (const collectedItem of fresh) {
+			const item = {
+				summary: null,
+				highlight: false,
+				page_text: null,
+				...collectedItem,
+				source_type: collector.id,
+				source_id: String(collectedItem.source_id),
+			};
+
+			// Domain policies from Settings: "deny" drops the item, "title_only"
+			// keeps it without fetching the page
+			const policy = item.url ? await getDomainPolicy(item.url) : null;
+			if (policy && policy.access === "deny") {
+				deniedCount++;
+				continue;
+			}
+
+			// Same article from another source: it is merged into the stored item
+			// after insert, so skip the page fetch and AI work
+			item.canonical_url = canonicalizeUrl(item.canonical_url || item.url);
+			if (await getPrimaryItemIdByCanonicalUrl(item.canonical_url)) {
+				duplicateIds.add(item.source_id);
+				items.push(item);
+				processedCount++;
+				continue;
+			}
+
+			// Populate page_text for items that did not bring their own; the
+			// page's rel=canonical (or redirect target) refines the dedup key
+			if (!item.page_text && item.url && (!policy || policy.access === "allow")) {
+				try {
+					const page = await fetchUrlPage(item.url);
+					Object.assign(item, await resolvePageContent(collector, item, page));
+					const pageKey = page
+						? canonicalizeUrl(page.canonical || page.url)
+						: null;
+					if (pageKey && pageKey !== item.canonical_url) {
+						item.canonical_url = pageKey;
+						if (await getPrimaryItemIdByCanonicalUrl(pageKey)) {
+							duplicateIds.add(item.source_id);
+							items.push(item);
+							processedCount++;
+							continue;
+						}
+					}
+				} catch (_) {
+					item.page_text = null;
+					item.content_status = item.content_status || "fetch_failed";
+				}
+			} else if (item.page_text) {
+				item.content_status = "ok";
+				// Collectors that fetched the page themselves say so
+				item.content_source = item.content_source || "collector";
+			}
+			if (isPartialContent(item)) partialCount++;
+
+			// Try AI processing if available
+			if (aiService.isAvailable() && item.title) {
+				try {
+					// One judgment per active research statement; the item-level
+					// verdict is the best of them
+					const aiResult = await aiService.judgeRelevance(
+						collector.buildAIInput(item),
+						{ sourceType: collector.id, statements: promptStatements }
+					);
+					item.highlight = aiResult.highlight;
+					item.relevance_prompt_version_id = aiResult.prompt_version_id;
+					item.ai_judgments = aiResult.judgments;
+					// Add AI metadata to raw_content
+					let rawContent = {};
+					try {
+						rawContent = JSON.parse(item.raw_content || "{}") || {};
+					} catch (_) {
+						rawContent = {};
+					}
+					rawContent.ai_processing = {
+						relevance_score: aiResult.relevance_score,
+						relevance_explanation: aiResult.relevance_explanation,
+						usage: aiResult.usage,
+					};
+					item.raw_content = JSON.stringify(rawContent);
+
+					// Highlighted items by default (see shouldSummarize), using page_text
+					if (collector.shouldSummarize(item)) {
+						const contentToSummarize = collector.getSummaryContent(item);
+						if (contentToSummarize && contentToSummarize.trim().length > 0) {
+							try {
+								const summaryResult = await aiService.generateSummary(
+									contentToSummarize,
+									collector.getSummaryContext(item) +
+										(isPartialContent(item)
+											? `; Note: only partial content is available (page: ${item.content_status}, text from: ${item.content_source})`
+											: ""),
+									{
+										...collector.getSummaryOptions(item),
+										sourceType: collector.id,
+										statements: promptStatements,
+									}
+								);
+								item.summary = collector.formatSummary(
+									item,
+									summaryResult.summary
+								);
+								item.summary_prompt_version_id =
+									summaryResult.prompt_version_id;
+							} catch (aiSummaryError) {
+								console.warn(
+									`[${new Date().toISOString()}] AI summary failed for ${
+										collector.id
+									} item ${item.source_id}:`,
+									aiSummaryError.message
+								);
+								item.summary = collector.buildFallbackSummary(item);
+							}
+						}
+					}
+					aiProcessedCount++;
+				} catch (aiError) {
+					console.warn(
+						`[${new Date().toISOString()}] AI processing failed for ${
+							collector.id
+						} item ${item.source_id}:`,
+						aiError.message
+					);
+					// Fall back to a basic, non-fabricated summary
+					item.summary = item.summary || collector.buildFallbackSummary(item);
+				}
+			} else {
+				// AI not available; do not fabricate summaries from titles
+			}
+
+			items.push(item);
+			processedCount++;
+		}
+
+		const inserted = await insertContentItems(items);
+		// Also merges duplicates within this batch (first inserted wins)
+		const merged = await linkDuplicateItems();
+		console.log(
+			`[${new Date().toISOString()}] ${collector.name} collection completed: ${inserted} items inserted, ${aiProcessedCount} AI processed, ${merged} merged into items from other sources${
+				deniedCount ? `, ${deniedCount} skipped by domain policy` : ""
+			}${partialCount ? `, ${partialCount} with partial content` : ""}`
+		);
+
+		// Per research statement AI judgments go to content_features
+		try {
+			const judged = items.filter(
+				(it) => Array.isArray(it.ai_judgments) && it.ai_judgments.length > 0
+			);
+			if (judged.length > 0) {
+				const rows = await getItemRowsBySource(
+					collector.id,
+					judged.map((it) => String(it.source_id))
+				);
+				const idBySourceId = new Map(
+					rows.map((row) => [String(row.source_id), row.id])
+				);
+				const judgments = judged.flatMap((it) =>
+					idBySourceId.has(String(it.source_id))
+						? it.ai_judgments.map((j) => ({
+								...j,
+								content_item_id: idBySourceId.get(String(it.source_id)),
+						  }))
+						: []
+				);
+				await upsertContentFeaturesAiJudgments(judgments);
+			}
+		} catch (judgmentError) {
+			console.warn(
+				`[${new Date().toISOString()}] Storing AI judgments failed:`,
+				judgmentError.message
+			);
+		}
+
+		// Integrate embeddings and similarity scoring for newly collected items
+		try {
+			const aiAvailable = new AIService().isAvailable();
+			if (!aiAvailable) {
+				console.warn(
+					`[${new Date().toISOString()}] Skipping embeddings: AI service unavailable`
+				);
+			} else if (items.length > duplicateIds.size) {
+				// Map source_id -> item to extract text without re-querying DB;
+				// merged duplicates are scored through the item they joined
+				const scoredItems = items.filter(
+					(it) => !duplicateIds.has(it.source_id)
+				);
+				const sourceIdToItem = new Map(
+					scoredItems.map((it) => [String(it.source_id), it])
+				);
+				const sourceIds = scoredItems.map((it) => String(it.source_id));
+				const rows = await getItemRowsBySource(collector.id, sourceIds);
+				// Fetch active research statements (only those that can be embedded
+				// with the current model will get similarity)
+				const statements = await getActiveResearchStatements();
+				const statementsWithEmbeddings = [];
+				for (const stmt of statements) {
+					const emb = await ensureStatementEmbedding(stmt);
+					if (emb) statementsWithEmbeddings.push({ ...stmt, _emb: emb });
+				}
+
+				// One embedding per item, shared by every statement below; stored
+				// embeddings are read in one query and indexed for the statements
+				const rowEmbeddings = new Map();
+				const rowIndex = new EmbeddingIndex();
+				let embedded = 0;
+				let cached = 0;
+				let simUpdates = 0;
+
+				if (statementsWithEmbeddings.length > 0) {
+					const storedEmbeddings = await getContentEmbeddingsForItems(
+						rows.map((row) => row.id)
+					);
+					for (const row of rows) {
+						const original = sourceIdToItem.get(String(row.source_id));
+						if (!original) continue;
+						const text = extractContentText(original);
+						if (!text || text.trim().length === 0) continue;
+						try {
+							const result = await ensureItemEmbedding(
+								{ ...original, id: row.id },
+								{ stored: storedEmbeddings.get(row.id) || null }
+							);
+							rowEmbeddings.set(row.id, result.embedding);
+							rowIndex.add(row.id, result.embedding);
+							if (result.cached) cached += 1;
+							else embedded += 1;
+						} catch (embedErr) {
+							console.warn(
+								`[${new Date().toISOString()}] Embedding failed for item ${
+									row.id
+								}: ${embedErr.message}`
+							);
+						}
+					}
+				}
+
+				for (const stmt of statementsWithEmbeddings) {
+					const similarities = rowIndex.similarities(
+						stmt._emb,
+						rowEmbeddings.keys()
+					);
+					for (const [itemId, sim] of similarities) {
+						try {
+							const tier = determineRelevanceTier(sim);
+							await updateContentFeaturesSimilarityAndTier(
+								itemId,
+								stmt.id,
+								sim,
+								tier
+							);
+							simUpdates += 1;
+						} catch (simErr) {
+							console.warn(
+								`[${new Date().toISOString()}] Similarity failed for item ${itemId} (stmt ${
+									stmt.id
+								}): ${simErr.message}`
+							);
+						}
+					}
+				}
+
+				console.log(
+					`[${new Date().toISOString()}] Embeddings integrated: ${embedded} embedded, ${cached} reused, similarity updates: ${simUpdates}`
+				);
+
+				// Compute feedback scores for newly added content
+				try {
+					let feedbackUpdates = 0;
+
+					for (const stmt of statementsWithEmbeddings) {
+						// Get rated items for this research statement
+						const ratedItems = await getRatedItemsWithEmbeddings(stmt.id);
+
+						if (ratedItems.length === 0) {
+							console.log(
+								`[${new Date().toISOString()}] No rated items available for statement ${
+									stmt.id
+								} - skipping feedback scoring`
+							);
+							continue;
+						}
+
+						// Newly embedded items, scored against the ratings
+						const itemsToScore = [...rowEmbeddings].map(
+							([itemId, embedding]) => ({
+								content_item_id: itemId,
+								research_statement_id: stmt.id,
+								content_embedding: embedding,
+							})
+						);
+
+						if (itemsToScore.length > 0) {
+							const {
+								batchComputeFeedbackScores,
+							} = require("../services/feedbackScoring");
+							const feedbackResults = batchComputeFeedbackScores(
+								itemsToScore,
+								ratedItems
+							);
+
+							for (const result of feedbackResults) {
+								try {
+									await updateContentFeaturesFeedbackScore(
+										result.content_item_id,
+										result.research_statement_id,
+										result.feedback_score
+									);
+									feedbackUpdates += 1;
+								} catch (updateErr) {
+									console.warn(
+										`[${new Date().toISOString()}] Failed to update feedback score for item ${
+											result.content_item_id
+										} (stmt ${stmt.id}): ${updateErr.message}`
+									);
+								}
+							}
+						}
+					}
+
+					if (feedbackUpdates > 0) {
+						console.log(
+							`[${new Date().toISOString()}] Feedback scores computed: ${feedbackUpdates} updates`
+						);
+					}
+				} catch (feedbackErr) {
+					console.warn(
+						`[${new Date().toISOString()}] Failed to compute feedback scores:`,
+						feedbackErr.message
+					);
+				}
+
+				// Compute hybrid scores (keyword + similarity + feedback) for newly added content
+				try {
+					let keywordUpdates = 0;
+					let hybridUpdates = 0;
+
+					for (const stmt of statementsWithEmbeddings) {
+						// Step 1: Compute keyword scores for newly processed items
+						const {
+							batchCalculateKeywordScores,
+						} = require("../services/keywordScoring");
+
+						const newItems = [];
+						for (const row of rows) {
+							const original = sourceIdToItem.get(String(row.source_id));
+							if (original) {
+								newItems.push({ id: row.id, ...original });
+							}
+						}
+
+						if (newItems.length > 0) {
+							const keywordResults = batchCalculateKeywordScores(
+								newItems,
+								stmt
+							);
+
+							for (const result of keywordResults) {
+								try {
+									await updateContentFeaturesKeywordScore(
+										result.content_item_id,
+										result.research_statement_id,
+										result.keyword_score
+									);
+									keywordUpdates += 1;
+								} catch (updateErr) {
+									console.warn(
+										`[${new Date().toISOString()}] Failed to update keyword score for item ${
+											result.content_item_id
+										} (stmt ${stmt.id}): ${updateErr.message}`
+									);
+								}
+							}
+						}
+
+						// Step 2: Compute hybrid scores for items that now have all component scores
+						const missingHybridItems =
+							await getItemsMissingFinalScoreForStatement(stmt.id, {
+								limit: 100,
+							});
+
+						if (missingHybridItems.length > 0) {
+							const {
+								batchCalculateHybridScores,
+							} = require("../services/hybridScoring");
+							const hybridResults =
+								batchCalculateHybridScores(missingHybridItems);
+
+							try {
+								const updateResult =
+									await batchUpdateContentFeaturesHybridScores(hybridResults);
+								hybridUpdates += updateResult.completed || 0;
+
+								if (updateResult.failed > 0) {
+									console.warn(
+										`[${new Date().toISOString()}] ${
+											updateResult.failed
+										} hybrid score updates failed for statement ${stmt.id}`
+									);
+								}
+							} catch (batchErr) {
+								console.warn(
+									`[${new Date().toISOString()}] Batch hybrid scoring failed for statement ${
+										stmt.id
+									}: ${batchErr.message}`
+								);
+							}
+						}
+					}
+
+					if (keywordUpdates > 0 || hybridUpdates > 0) {
+						console.log(
+							`[${new Date().toISOString()}] Hybrid scoring completed: ${keywordUpdates} keyword updates, ${hybridUpdates} hybrid updates`
+						);
+					}
+				} catch (hybridErr) {
+					console.warn(
+						`[${new Date().toISOString()}] Failed to compute hybrid scores:`,
+						hybridErr.message
+					);
+				}
+			}
+		} catch (embIntErr) {
+			console.error(
+				`[${new Date().toISOString()}] Failed to integrate embeddings/similarity:`,
+				embIntErr
+			);
+		}
+
+		// Group the new items with near-duplicates from other sources
+		if (inserted > 0) {
+			try {
+				const { runStoryClustering } = require("./storyClusters");
+				await runStoryClustering();
+			} catch (clusterErr) {
+				console.warn(
+					`[${new Date().toISOString()}] Story clustering failed:`,
+					clusterErr.message
+				);
+			}
+		}
+
+		try {
+			await collector.afterCollection({ inserted });
+		} catch (afterErr) {
+			console.warn(
+				`[${new Date().toISOString()}] ${collector.name} post-collection step failed:`,
+				afterErr.message
+			);
+		}
+
+		return {
+			success: true,
+			collector: collector.id,
+			inserted,
+			merged,
+			denied: deniedCount,
+			partial: partialCount,
+			processed: processedCount,
+			ai_processed: aiProcessedCount,
+			ai_available: aiService.isAvailable(),
+		};
+	} catch (error) {
+		console.error(
+			`[${new Date().toISOString()}] ${collector.name} collection failed:`,
+			error
+		);
+		return {
+			success: false,
+			collector: collector.id,
+			error: error.message,
+		};
+	} finally {
+		runningCollectors.delete(collector.id);
+	}
+}
+
+function isCollectionRunning(collectorId) {
+	return runningCollectors.has(String(collectorId));
+}
+
+module.exports = { runCollection, isCollectionRunning };
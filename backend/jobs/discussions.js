@@ -0,0 +1,123 @@
+const {
+	getItemsNeedingDiscussion,
+	upsertDiscussionThread,
+	updateDiscussionSummary,
+} = require("../database");
+const {
+	fetchCommentTree,
+	fetchFirebaseItem,
+} = require("../collectors/hackernews");
+const AIService = require("../services/ai");
+
+// Comment text handed to the model is capped to keep the prompt cheap
+const DISCUSSION_CHAR_LIMIT = Number(
+	process.env.DISCUSSION_CHAR_LIMIT || 12000
+);
+
+let running = false;
+
+// Tree -> indented "- author: text" lines in thread order
+function flattenThread(comments, depth = 0, lines = []) {
+	for (const c of comments || []) {
+		const indent = "  ".repeat(depth);
+		const text = String(c.text || "").replace(/\s+/g, " ");
+		lines.push(`${indent}- ${c.by || "anonymous"}: ${text}`);
+		flattenThread(c.children, depth + 1, lines);
+	}
+	return lines;
+}
+
+function threadToText(comments) {
+	return flattenThread(comments).join("\n").slice(0, DISCUSSION_CHAR_LIMIT);
+}
+
+// Current story object (kids change as the thread grows); stored copy as fallback
+async function loadStory(item) {
+	const story = await fetchFirebaseItem(item.source_id);
+	if (story) return story;
+	try {
+		return JSON.parse(item.raw_content || "{}").firebase || null;
+	} catch (_) {
+		return null;
+	}
+}
+
+/**
+ * Fetch and summarize comment threads for highlighted or high-tier HN
+ * stories that do not have one stored yet
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Stories per run
+ * @param {number} [options.minTier=3] - Relevance tier that qualifies a story
+ * @param {number} [options.maxComments=40] - Comments fetched per story
+ * @param {number} [options.maxDepth=3] - Reply levels fetched
+ * @param {number} [options.sinceDays=3] - Only stories newer than this
+ */
+async function runDiscussionIngestion({
+	limit = 10,
+	minTier = 3,
+	maxComments = 40,
+	maxDepth = 3,
+	sinceDays = 3,
+} = {}) {
+	if (running) {
+		return { ok: false, error: "Discussion ingestion already running" };
+	}
+	running = true;
+	try {
+		const since = new Date(
+			Date.now() - sinceDays * 24 * 60 * 60 * 1000
+		).toISOString();
+		const candidates = await getItemsNeedingDiscussion({
+			sourceType: "hackernews",
+			minTier,
+			since,
+			limit,
+		});
+		const aiService = new AIService();
+		let fetched = 0;
+		let summarized = 0;
+
+		for (const item of candidates) {
+			try {
+				const story = await loadStory(item);
+				const { comments, count } = await fetchCommentTree(story, {
+					maxComments,
+					maxDepth,
+				});
+				// No comments yet: leave it for a later run
+				if (count === 0) continue;
+				await upsertDiscussionThread({
+					content_item_id: item.id,
+					source_type: "hackernews",
+					comments,
+					comment_count: count,
+				});
+				fetched += 1;
+
+				if (!aiService.isAvailable()) continue;
+				const context = [item.title, item.summary].filter(Boolean).join(" — ");
+				const result = await aiService.summarizeDiscussion(
+					threadToText(comments),
+					context
+				);
+				await updateDiscussionSummary(item.id, result.summary);
+				summarized += 1;
+			} catch (error) {
+				console.warn(
+					`[${new Date().toISOString()}] Discussion ingestion failed for item ${
+						item.id
+					}: ${error.message}`
+				);
+			}
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] Discussion ingestion: ${fetched} threads stored, ${summarized} summarized (${candidates.length} candidates)`
+		);
+		return { ok: true, candidates: candidates.length, fetched, summarized };
+	} finally {
+		running = false;
+	}
+}
+
+module.exports = { runDiscussionIngestion, threadToText };
@@ -0,0 +1,111 @@
+const {
+	getItemsForMetricsRefresh,
+	getMetricsHistoryForItems,
+	insertMetricsSnapshot,
+	upsertItemMetrics,
+} = require("../database");
+const { fetchFirebaseItem } = require("../collectors/hackernews");
+const { computeVelocity } = require("../services/metricsVelocity");
+
+let running = false;
+
+// SQLite CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC) -> ISO string
+function toIsoTime(value) {
+	if (!value) return null;
+	const s = String(value);
+	return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(s)
+		? `${s.replace(" ", "T")}Z`
+		: s;
+}
+
+function firebaseOf(item) {
+	try {
+		return JSON.parse(item.raw_content || "{}").firebase || {};
+	} catch (_) {
+		return {};
+	}
+}
+
+/**
+ * Re-poll score and descendants of recent HN stories, append a snapshot per
+ * story and update its latest metrics and velocity
+ * @param {Object} [options]
+ * @param {number} [options.days=3] - How long after publication to keep polling
+ * @param {number} [options.concurrency=5] - Parallel Firebase requests
+ */
+async function runMetricsRefresh({ days = 3, concurrency = 5 } = {}) {
+	if (running) {
+		return { ok: false, error: "Metrics refresh already running" };
+	}
+	running = true;
+	try {
+		const since = new Date(
+			Date.now() - days * 24 * 60 * 60 * 1000
+		).toISOString();
+		const items = await getItemsForMetricsRefresh({
+			sourceType: "hackernews",
+			since,
+		});
+		const history = await getMetricsHistoryForItems(items.map((it) => it.id));
+		let refreshed = 0;
+
+		for (let i = 0; i < items.length; i += concurrency) {
+			const chunk = items.slice(i, i + concurrency);
+			const stories = await Promise.all(
+				chunk.map((it) => fetchFirebaseItem(it.source_id))
+			);
+			for (let j = 0; j < chunk.length; j++) {
+				const item = chunk[j];
+				const story = stories[j];
+				if (!story || story.deleted || story.dead) continue;
+				try {
+					const snapshots = history.get(item.id) || [];
+					// First refresh: seed with the values seen at collection time
+					if (snapshots.length === 0) {
+						const f = firebaseOf(item);
+						if (Number.isFinite(f.score)) {
+							const baseline = {
+								content_item_id: item.id,
+								score: f.score,
+								comment_count: f.descendants,
+								recorded_at: toIsoTime(item.collected_at),
+							};
+							await insertMetricsSnapshot(baseline);
+							snapshots.push(baseline);
+						}
+					}
+					const snapshot = {
+						content_item_id: item.id,
+						score: story.score,
+						comment_count: story.descendants,
+						recorded_at: new Date().toISOString(),
+					};
+					await insertMetricsSnapshot(snapshot);
+					snapshots.push(snapshot);
+					await upsertItemMetrics({
+						content_item_id: item.id,
+						score: story.score,
+						comment_count: story.descendants,
+						velocity: computeVelocity(snapshots),
+					});
+					refreshed += 1;
+				} catch (error) {
+					console.warn(
+						`[${new Date().toISOString()}] Metrics refresh failed for item ${
+							item.id
+						}: ${error.message}`
+					);
+				}
+			}
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] Metrics refresh: ${refreshed}/${items.length} HN stories updated`
+		);
+		return { ok: true, candidates: items.length, refreshed };
+	} finally {
+		running = false;
+	}
+}
+
+module.exports = { runMetricsRefresh };
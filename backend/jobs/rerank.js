@@ -7,6 +7,7 @@ const {
 	computeHybridScores,
 } = require("../scripts/compute_hybrid_scores");
 const { batchComputeFeedbackScores } = require("../services/feedbackScoring");
+const AIService = require("../services/ai");
 
 // In-memory progress state (single-process prototype)
 const progress = {
@@ -106,39 +107,41 @@ async function runRerank({ statementId, force = true, batchSize = 100 } = {}) {
 				await resetScores(stmt.id, { resetFeedback: true });
 			}
 
-			// Similarity (reuse existing script logic via DB helpers)
+			// Similarity (reuse existing script logic via DB helpers). Every
+			// item embedded by the current model is a candidate for every
+			// statement, so skip statements without an embedding and page through
+			// the candidates by item id.
 			progress.phase = "similarity";
-			let hasMoreSim = true;
+			const {
+				parseEmbeddingPayload,
+				ensureStatementEmbedding,
+				cosineSimilarity,
+				determineRelevanceTier,
+			} = require("../services/contentEmbeddings");
+			const stmtEmbedding = await ensureStatementEmbedding(stmt);
+			const model = new AIService().embeddingModelId();
+			let afterId = 0;
+			let hasMoreSim =
+				Array.isArray(stmtEmbedding) && stmtEmbedding.length > 0;
 			while (hasMoreSim) {
 				const rows = await db.getItemsMissingSimilarityForStatement(stmt.id, {
+					model,
+					dims: stmtEmbedding.length,
+					afterId,
 					limit: batchSize,
 				});
 				if (rows.length === 0) {
 					hasMoreSim = false;
 					break;
 				}
+				afterId = rows[rows.length - 1].content_item_id;
+				let batchUpdated = 0;
 				for (const row of rows) {
 					try {
-						const {
-							parseEmbeddingPayload,
-							cosineSimilarity,
-							determineRelevanceTier,
-						} = require("../services/contentEmbeddings");
 						const contentEmbedding = parseEmbeddingPayload(
 							row.content_embedding
 						);
-						if (
-							!Array.isArray(contentEmbedding) ||
-							contentEmbedding.length === 0
-						)
-							continue;
-						const stmtRow = await db.getResearchStatementById(stmt.id);
-						const stmtEmbedding =
-							require("../services/contentEmbeddings").parseEmbeddingPayload(
-								stmtRow && stmtRow.embedding
-							);
-						if (!Array.isArray(stmtEmbedding) || stmtEmbedding.length === 0)
-							continue;
+						if (!contentEmbedding) continue;
 						const sim = cosineSimilarity(contentEmbedding, stmtEmbedding);
 						const tier = determineRelevanceTier(sim);
 						await db.updateContentFeaturesSimilarityAndTier(
@@ -147,9 +150,10 @@ async function runRerank({ statementId, force = true, batchSize = 100 } = {}) {
 							sim,
 							tier
 						);
-						progress.updated += 1;
+						batchUpdated += 1;
 					} catch (_) {}
 				}
+				progress.updated += batchUpdated;
 				progress.processed += rows.length;
 			}
 
@@ -207,10 +211,6 @@ async function runRerank({ statementId, force = true, batchSize = 100 } = {}) {
 		progress.finishedAt = new Date().toISOString();
 		progress.running = false;
 		return { ok: false, error: progress.error };
-	} finally {
-		try {
-			await db.closeDatabase();
-		} catch (_) {}
 	}
 }
 
@@ -1,33 +1,60 @@
 const cron = require("node-cron");
-const { runHackerNewsCollection } = require("./hn-collection");
+const { getAllCollectors, getCollector } = require("../collectors");
+const { runCollection } = require("./collection");
 const { runRerank } = require("./rerank");
+const { runMetricsRefresh } = require("./metricsRefresh");
 
-function initializeScheduler() {
-	// Daily job - runs at 6:00 AM every day
-	cron.schedule("0 6 * * *", async () => {
+function scheduleCollector(collector) {
+	const schedule = collector.getSchedule();
+	if (!schedule) {
+		console.log(
+			`[${new Date().toISOString()}] Scheduler: ${collector.name} runs on demand only`
+		);
+		return false;
+	}
+	if (!cron.validate(schedule)) {
+		console.error(
+			`[${new Date().toISOString()}] Scheduler: invalid cron "${schedule}" for ${collector.name} - not scheduled`
+		);
+		return false;
+	}
+	cron.schedule(schedule, async () => {
+		// Checked per run so toggling "enabled" in settings needs no restart
+		if (!collector.isEnabled()) return;
 		console.log(
-			`[${new Date().toISOString()}] Daily HN collection job triggered`
+			`[${new Date().toISOString()}] Scheduled ${collector.name} collection job triggered`
 		);
 		try {
-			const result = await runHackerNewsCollection();
+			const result = await runCollection(collector.id);
 			if (result.success) {
 				console.log(
-					`[${new Date().toISOString()}] Daily HN collection completed successfully`
+					`[${new Date().toISOString()}] Scheduled ${collector.name} collection completed successfully`
 				);
 			} else {
 				console.error(
-					`[${new Date().toISOString()}] Daily HN collection failed: ${
+					`[${new Date().toISOString()}] Scheduled ${collector.name} collection failed: ${
 						result.error
 					}`
 				);
 			}
 		} catch (error) {
 			console.error(
-				`[${new Date().toISOString()}] Daily HN collection error:`,
+				`[${new Date().toISOString()}] Scheduled ${collector.name} collection error:`,
 				error
 			);
 		}
 	});
+	console.log(
+		`[${new Date().toISOString()}] Scheduler: ${collector.name} collection scheduled (cron="${schedule}")`
+	);
+	return true;
+}
+
+function initializeScheduler() {
+	// One cron job per registered collector (HN defaults to daily at 6:00 AM)
+	for (const collector of getAllCollectors()) {
+		scheduleCollector(collector);
+	}
 
 	// Optional nightly rerank job (disabled by default)
 	const enableNightlyRerank =
@@ -64,9 +91,39 @@ function initializeScheduler() {
 		});
 	}
 
-	console.log(
-		`[${new Date().toISOString()}] Scheduler initialized - HN collection job will run daily at 6:00 AM`
-	);
+	// Hourly HN score/comment refresh; toggled by hackernews.trackMetrics
+	const metricsCron = process.env.HN_METRICS_CRON || "20 * * * *";
+	if (cron.validate(metricsCron)) {
+		cron.schedule(metricsCron, async () => {
+			const hn = getCollector("hackernews");
+			const settings = hn ? hn.getSettings() : {};
+			if (!hn || settings.trackMetrics === false) return;
+			try {
+				const result = await runMetricsRefresh({
+					days: Number(settings.metricsDays) || 3,
+				});
+				if (!result.ok) {
+					console.warn(
+						`[${new Date().toISOString()}] HN metrics refresh skipped: ${result.error}`
+					);
+				}
+			} catch (error) {
+				console.error(
+					`[${new Date().toISOString()}] HN metrics refresh error:`,
+					error
+				);
+			}
+		});
+		console.log(
+			`[${new Date().toISOString()}] Scheduler: HN metrics refresh scheduled (cron="${metricsCron}")`
+		);
+	} else {
+		console.error(
+			`[${new Date().toISOString()}] Scheduler: invalid HN_METRICS_CRON "${metricsCron}" - not scheduled`
+		);
+	}
+
+	console.log(`[${new Date().toISOString()}] Scheduler initialized`);
 	if (enableNightlyRerank) {
 		console.log(
 			`[${new Date().toISOString()}] Scheduler: Nightly rerank enabled (cron="${rerankCron}")`
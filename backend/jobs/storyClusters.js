@@ -0,0 +1,75 @@
+const {
+	getItemsForClustering,
+	replaceStoryClusters,
+} = require("../database");
+const AIService = require("../services/ai");
+const { decodeEmbedding } = require("../db/embeddingBlob");
+const {
+	clusterItems,
+	pickRepresentative,
+} = require("../services/storyClustering");
+
+const CLUSTER_WINDOW_DAYS = Number(process.env.CLUSTER_WINDOW_DAYS || 3);
+
+let running = false;
+
+/**
+ * Rebuild story clusters for recently published items. Runs after every
+ * collection; older clusters are left as they are.
+ * @param {Object} [options]
+ * @param {number} [options.days] - How far back to recluster
+ * @returns {Promise<{ok: boolean, items?: number, clusters?: number, error?: string}>}
+ */
+async function runStoryClustering({ days = CLUSTER_WINDOW_DAYS } = {}) {
+	if (running) {
+		return { ok: false, error: "Story clustering already running" };
+	}
+	running = true;
+	try {
+		const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+		const rows = await getItemsForClustering({ since });
+		const byId = new Map(rows.map((row) => [row.id, row]));
+		// Embeddings from another model fall back to title matching, as in
+		// the shared similarity index; the current model fixes the dimension
+		// older rows (no model) must have
+		const ai = new AIService();
+		const model = ai.embeddingModelId();
+		const current = rows.find(
+			(row) => row.embedding_model === model && row.content_embedding
+		);
+		const currentVector = current
+			? decodeEmbedding(current.content_embedding)
+			: null;
+		const dims =
+			ai.provider.embeddingDims || (currentVector ? currentVector.length : 0);
+		const memberLists = await clusterItems(
+			rows.map((row) => ({
+				id: row.id,
+				title: row.title,
+				created_at: row.created_at,
+				embedding:
+					!row.embedding_model || row.embedding_model === model
+						? row.content_embedding
+						: null,
+			})),
+			{ dims }
+		);
+		const clusters = memberLists.map((memberIds) => ({
+			representative_id: pickRepresentative(memberIds.map((id) => byId.get(id)))
+				.id,
+			member_ids: memberIds,
+		}));
+		await replaceStoryClusters(
+			rows.map((row) => row.id),
+			clusters
+		);
+		console.log(
+			`[${new Date().toISOString()}] Story clusters: ${clusters.length} clusters over ${rows.length} items`
+		);
+		return { ok: true, items: rows.length, clusters: clusters.length };
+	} finally {
+		running = false;
+	}
+}
+
+module.exports = { runStoryClustering };
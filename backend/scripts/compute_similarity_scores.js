@@ -12,9 +12,11 @@ const {
 
 const {
 	parseEmbeddingPayload,
+	ensureStatementEmbedding,
 	cosineSimilarity,
 	determineRelevanceTier,
 } = require("../services/contentEmbeddings");
+const AIService = require("../services/ai");
 
 async function main() {
 	await initializeDatabase();
@@ -43,10 +45,10 @@ async function main() {
 		console.log(
 			`[Similarity] Processing similarity for statement #${stmt.id} - ${stmt.name}`
 		);
-		// Ensure we have a statement embedding
+		// Ensure we have a statement embedding from the current model
 		const stmtRow = await getResearchStatementById(stmt.id);
-		const stmtEmbedding = parseEmbeddingPayload(stmtRow && stmtRow.embedding);
-		if (!Array.isArray(stmtEmbedding) || stmtEmbedding.length === 0) {
+		const stmtEmbedding = await ensureStatementEmbedding(stmtRow);
+		if (!stmtEmbedding) {
 			console.warn(
 				`[Similarity] Skipping statement #${stmt.id} - missing embedding`
 			);
@@ -54,6 +56,8 @@ async function main() {
 		}
 
 		const rows = await getItemsMissingSimilarityForStatement(stmt.id, {
+			model: new AIService().embeddingModelId(),
+			dims: stmtEmbedding.length,
 			limit: batchLimit,
 		});
 		console.log(
@@ -62,9 +66,7 @@ async function main() {
 		for (const row of rows) {
 			try {
 				const contentEmbedding = parseEmbeddingPayload(row.content_embedding);
-				if (!Array.isArray(contentEmbedding) || contentEmbedding.length === 0) {
-					continue;
-				}
+				if (!contentEmbedding) continue;
 				const sim = cosineSimilarity(contentEmbedding, stmtEmbedding);
 				const tier = determineRelevanceTier(sim);
 				await updateContentFeaturesSimilarityAndTier(
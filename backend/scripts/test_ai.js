@@ -19,11 +19,15 @@ async function testAIService() {
 			'2. Set the environment variable: export OPENAI_API_KEY="your-key-here"'
 		);
 		console.log("3. Run this script again");
+		console.log(
+			"\nOr use a local OpenAI-compatible server (AI_BASE_URL, AI_CHAT_MODEL)"
+		);
+		console.log("or the offline stub (AI_PROVIDER=offline).");
 		return;
 	}
 
 	try {
-		console.log("\nTesting OpenAI connection...");
+		console.log(`\nTesting ${aiService.provider.name} connection...`);
 		const result = await aiService.testConnection();
 		console.log("✅ Connection successful!");
 		console.log("Response:", result.message);
@@ -7,6 +7,9 @@ const rateLimit = require("express-rate-limit");
 const {
 	initializeDatabase,
 	getAllItems,
+	getItemById,
+	getItemsByIds,
+	getItemIdsBySource,
 	getItemsFiltered,
 	searchItems,
 	insertContentItems,
@@ -25,12 +28,56 @@ const {
 	// favorites
 	toggleFavorite,
 	getFavoriteItems,
+	// discussion threads
+	getDiscussionThread,
+	getDiscussionSummariesForItems,
+	// item metrics
+	getItemMetricsForItems,
+	getMetricsHistoryForItems,
+	getMentionsForUrls,
+	getDuplicatesForItems,
+	getClusterMembersForItems,
+	getItemArticle,
+	updateItemArticle,
+	getFetchFailures,
+	pruneFetchCache,
+	getRobotsTxtForOrigins,
+	getPromptTemplateVersions,
+	deletePromptTemplatesForStatement,
 } = require("./database");
 const AIService = require("./services/ai");
 const { getScoringConfiguration } = require("./services/hybridScoring");
 const { initializeScheduler } = require("./jobs/scheduler");
 const { runRerank, getStatus: getRerankStatus } = require("./jobs/rerank");
-const { runHackerNewsCollection } = require("./jobs/hn-collection");
+const { runMetricsRefresh } = require("./jobs/metricsRefresh");
+const { backfillCanonicalUrls } = require("./jobs/canonicalUrls");
+const { runStoryClustering } = require("./jobs/storyClusters");
+const { isRising } = require("./services/metricsVelocity");
+const { runCollection, isCollectionRunning } = require("./jobs/collection");
+const { getCollector, getAllCollectors } = require("./collectors");
+const {
+	readUserSettings,
+	writeUserSettings,
+	writeSecrets,
+} = require("./services/userSettings");
+const { parseOpml, buildOpml } = require("./services/opml");
+const { feedKey } = require("./collectors/rss");
+const { normalizeSubmittedUrl } = require("./collectors/manual");
+const { fetchUrlPage } = require("./services/pageFetcher");
+const { contentIndex } = require("./services/embeddingIndex");
+const {
+	getDomainPolicy,
+	listDomainPolicies,
+	saveDomainPolicy,
+	removeDomainPolicy,
+} = require("./services/fetchPolicy");
+const {
+	TEMPLATE_VARIABLES,
+	listPromptTemplates,
+	addPromptTemplate,
+	updatePromptTemplate,
+	removePromptTemplate,
+} = require("./services/promptTemplates");
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -97,20 +144,133 @@ app.get("/api/health", healthLimiter, (req, res) => {
 	});
 });
 
-// Helper to derive Hacker News comments URL for items
-function getHNCommentsUrl(item) {
+// Helper to derive the discussion (comments) URL from the item's collector
+function getCommentsUrl(item) {
 	try {
-		if (!item || item.source_type !== "hackernews") return null;
-		const id = item.source_id;
-		if (!id) return null;
-		return `https://news.ycombinator.com/item?id=${encodeURIComponent(
-			String(id)
-		)}`;
+		if (!item || !item.source_type) return null;
+		const collector = getCollector(item.source_type);
+		return collector ? collector.getDiscussionUrl(item) || null : null;
 	} catch (_) {
 		return null;
 	}
 }
 
+// Add derived fields shown in the timeline: discussion link and summary,
+// plus the sources of items merged into each one (cross-source dedup)
+async function augmentItems(items) {
+	if (!Array.isArray(items)) return items;
+	let duplicates = new Map();
+	let clusters = new Map();
+	try {
+		duplicates = await getDuplicatesForItems(items.map((it) => it.id));
+	} catch (err) {
+		console.warn("Failed to load merged items:", err.message);
+	}
+	try {
+		clusters = await getClusterMembersForItems(
+			items.filter((it) => it.cluster_id === it.id).map((it) => it.id)
+		);
+	} catch (err) {
+		console.warn("Failed to load story clusters:", err.message);
+	}
+	// Each card's rows: the item itself first, then what was merged into it
+	const groups = items.map((it) => [it, ...(duplicates.get(it.id) || [])]);
+	const rows = groups.flat();
+	const ids = rows.map((row) => row.id);
+	let discussions = new Map();
+	let metrics = new Map();
+	let history = new Map();
+	let mentions = new Map();
+	try {
+		discussions = await getDiscussionSummariesForItems(ids);
+	} catch (err) {
+		console.warn("Failed to load discussion summaries:", err.message);
+	}
+	try {
+		metrics = await getItemMetricsForItems(ids);
+		history = await getMetricsHistoryForItems(
+			ids.filter((id) => metrics.has(id))
+		);
+	} catch (err) {
+		console.warn("Failed to load item metrics:", err.message);
+	}
+	try {
+		mentions = await getMentionsForUrls(
+			rows.filter((row) => row.source_type === "social").map((row) => row.source_id)
+		);
+	} catch (err) {
+		console.warn("Failed to load social mentions:", err.message);
+	}
+	return groups.map(([it, ...merged]) => {
+		const group = [it, ...merged];
+		// Prefer the item's own discussion and metrics, else a merged source's
+		const discussionRow = group.find((row) => discussions.get(row.id)?.summary);
+		const discussion = discussionRow ? discussions.get(discussionRow.id) : null;
+		const metricsRow = group.find((row) => metrics.has(row.id));
+		const m = metricsRow ? metrics.get(metricsRow.id) : null;
+		const posts = group
+			.filter((row) => row.source_type === "social")
+			.flatMap((row) => mentions.get(String(row.source_id)) || []);
+		const sources = group.map((row) => ({
+			id: row.id,
+			source_type: row.source_type,
+			url: row.url,
+			comments_url: getCommentsUrl(row),
+			created_at: row.created_at,
+		}));
+		const related = clusters.get(it.id) || [];
+		return {
+			...it,
+			comments_url:
+				sources.map((src) => src.comments_url).find(Boolean) || null,
+			sources,
+			cluster:
+				related.length > 0
+					? {
+							id: it.id,
+							size: related.length + 1,
+							items: related.map((row) => ({
+								id: row.id,
+								title: row.title,
+								url: row.url,
+								source_type: row.source_type,
+								comments_url: getCommentsUrl(row),
+								created_at: row.created_at,
+							})),
+					  }
+					: null,
+			discussion_summary: discussion ? discussion.summary : null,
+			discussion_comment_count: discussion ? discussion.comment_count : null,
+			metrics: m
+				? {
+						score: m.score,
+						comment_count: m.comment_count,
+						velocity: m.velocity,
+						rising: isRising(m.velocity),
+						score_history: (history.get(metricsRow.id) || []).map(
+							(h) => h.score
+						),
+						updated_at: m.updated_at,
+				  }
+				: null,
+			mentions:
+				posts.length > 0
+					? {
+							count: new Set(posts.map((p) => `${p.network}:${p.account}`))
+								.size,
+							posts: posts.slice(0, 20).map((p) => ({
+								network: p.network,
+								account: p.account,
+								account_name: p.account_name,
+								post_url: p.post_url,
+								posted_at: p.posted_at,
+							})),
+					  }
+					: null,
+		};
+	});
+}
+
 app.get("/api/items", generalLimiter, async (req, res) => {
 	try {
 		const {
@@ -145,15 +305,11 @@ app.get("/api/items", generalLimiter, async (req, res) => {
 				favorites_only: favorites_only === "true",
 				min_score_fallback,
 			});
-			const augmented = Array.isArray(items)
-				? items.map((it) => ({ ...it, comments_url: getHNCommentsUrl(it) }))
-				: items;
+			const augmented = await augmentItems(items);
 			return res.json(augmented);
 		}
 		const items = await getAllItems({ research_statement_id });
-		const augmented = Array.isArray(items)
-			? items.map((it) => ({ ...it, comments_url: getHNCommentsUrl(it) }))
-			: items;
+		const augmented = await augmentItems(items);
 		res.json(augmented);
 	} catch (error) {
 		console.error("Error fetching items:", error);
@@ -161,6 +317,160 @@ app.get("/api/items", generalLimiter, async (req, res) => {
 	}
 });
 
+// Stored comment tree and discussion summary for one item
+app.get("/api/items/:id/discussion", generalLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		const thread = await getDiscussionThread(id);
+		if (!thread) return res.status(404).json({ error: "Not found" });
+		res.json(thread);
+	} catch (error) {
+		console.error("Error fetching discussion:", error);
+		res.status(500).json({ error: "Failed to fetch discussion" });
+	}
+});
+
+// "More like this": nearest items by content embedding, leaving out the
+// item's own story cluster (already shown with it)
+app.get("/api/items/:id/similar", generalLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+		const item = await getItemById(id);
+		if (!item) return res.status(404).json({ error: "Not found" });
+		const index = await contentIndex();
+		const vector = index.vector(id);
+		if (!vector) return res.json([]);
+		// Room for cluster members and duplicates dropped below
+		const neighbours = index.search(vector, {
+			k: limit * 2 + 5,
+			filter: (otherId) => otherId !== id,
+		});
+		const rows = await getItemsByIds(neighbours.map((n) => n.id));
+		const byId = new Map(rows.map((row) => [row.id, row]));
+		const similar = [];
+		for (const { id: otherId, similarity } of neighbours) {
+			const row = byId.get(otherId);
+			if (!row) continue;
+			if (item.cluster_id != null && row.cluster_id === item.cluster_id) continue;
+			similar.push({ ...row, similarity });
+			if (similar.length === limit) break;
+		}
+		res.json(similar);
+	} catch (error) {
+		console.error("Error finding similar items:", error);
+		res.status(500).json({ error: "Failed to find similar items" });
+	}
+});
+
+// Extracted article for the reader view. Items stored before extraction
+// existed (or whose fetch failed) have their page fetched once on demand.
+app.get("/api/items/:id/article", userInteractionLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		const item = await getItemById(id);
+		if (!item) return res.status(404).json({ error: "Not found" });
+		let article = await getItemArticle(id);
+		if (!article && item.url) {
+			const page = await fetchUrlPage(item.url);
+			// A consent wall or app shell is not the article; a paywall teaser is
+			// at least its start
+			if (
+				page &&
+				page.article &&
+				(page.content_status === "ok" || page.content_status === "paywall")
+			) {
+				article = page.article;
+				await updateItemArticle(id, article);
+			}
+		}
+		res.json({
+			id: item.id,
+			source_type: item.source_type,
+			title: item.title,
+			url: item.url,
+			summary: item.summary,
+			created_at: item.created_at,
+			content_status: item.content_status,
+			content_source: item.content_source,
+			article,
+		});
+	} catch (error) {
+		console.error("Error fetching article:", error);
+		res.status(500).json({ error: "Failed to fetch article" });
+	}
+});
+
+// Manual submission: fetch the page, then summarize and score it like any
+// collected item. Waits for the pipeline so the caller sees the result.
+app.post("/api/items/submit", userInteractionLimiter, async (req, res) => {
+	try {
+		const url = normalizeSubmittedUrl(req.body?.url);
+		if (!url) {
+			return res.status(400).json({ error: "A valid http(s) URL is required" });
+		}
+		const note = req.body?.note;
+		if (note != null && typeof note !== "string") {
+			return res.status(400).json({ error: "note must be a string" });
+		}
+		const policy = await getDomainPolicy(url);
+		if (policy && policy.access === "deny") {
+			return res.status(403).json({
+				error: `Links to ${policy.domain} are blocked by its domain policy`,
+			});
+		}
+
+		const [existing] = await getItemIdsBySource("manual", [url]);
+		if (existing) {
+			return res.status(409).json({
+				error: "This URL has already been submitted",
+				item_id: existing.id,
+			});
+		}
+		if (isCollectionRunning("manual")) {
+			return res.status(409).json({
+				error: "Another submission is being processed, try again shortly",
+			});
+		}
+
+		console.log(
+			`[${new Date().toISOString()}] API endpoint hit: /api/items/submit (${url})`
+		);
+		const result = await runCollection("manual", { url, note });
+		if (!result.success) {
+			return res.status(500).json({ error: result.error });
+		}
+		const [row] = await getItemIdsBySource("manual", [url]);
+		const submitted = row ? await getItemById(row.id) : null;
+		if (!submitted) {
+			return res.status(500).json({ error: "Submitted item was not stored" });
+		}
+		// Already collected from another source: answer with the merged card
+		const item = submitted.duplicate_of
+			? (await getItemById(submitted.duplicate_of)) || submitted
+			: submitted;
+		const [augmented] = await augmentItems([item]);
+		res.status(201).json({
+			success: true,
+			ai_processed: result.ai_processed > 0,
+			merged: item.id !== submitted.id,
+			item: augmented,
+		});
+	} catch (error) {
+		console.error("Error submitting item:", error);
+		res.status(500).json({ error: "Failed to submit item" });
+	}
+});
+
 // Search endpoint
 app.get("/api/search", generalLimiter, async (req, res) => {
 	try {
@@ -179,9 +489,7 @@ app.get("/api/search", generalLimiter, async (req, res) => {
 			offset: Number(offset) || 0,
 		});
 
-		const augmented = Array.isArray(items)
-			? items.map((it) => ({ ...it, comments_url: getHNCommentsUrl(it) }))
-			: items;
+		const augmented = await augmentItems(items);
 
 		res.json({
 			query: query.trim(),
@@ -195,6 +503,17 @@ app.get("/api/search", generalLimiter, async (req, res) => {
 	}
 });
 
+// Recent failed page fetches with their reasons, for debugging
+app.get("/api/fetch-failures", generalLimiter, async (req, res) => {
+	try {
+		const failures = await getFetchFailures({ limit: req.query.limit });
+		res.json({ failures });
+	} catch (error) {
+		console.error("Error fetching fetch failures:", error);
+		res.status(500).json({ error: "Failed to fetch fetch failures" });
+	}
+});
+
 // AI usage and budget endpoint
 app.get("/api/usage", generalLimiter, async (req, res) => {
 	try {
@@ -297,8 +616,10 @@ app.post("/api/research-statements", strictLimiter, async (req, res) => {
 		try {
 			const aiService = new AIService();
 			if (aiService.isAvailable()) {
-				const { embedding } = await aiService.embedText(statement.trim());
-				await updateResearchStatementEmbedding(id, embedding);
+				const { embedding, model } = await aiService.embedText(
+					statement.trim()
+				);
+				await updateResearchStatementEmbedding(id, embedding, model);
 			}
 		} catch (embedErr) {
 			console.warn(
@@ -375,8 +696,10 @@ app.put("/api/research-statements/:id", strictLimiter, async (req, res) => {
 			if (typeof statement === "string" && statement.trim().length >= 10) {
 				const aiService = new AIService();
 				if (aiService.isAvailable()) {
-					const { embedding } = await aiService.embedText(statement.trim());
-					await updateResearchStatementEmbedding(id, embedding);
+					const { embedding, model } = await aiService.embedText(
+						statement.trim()
+					);
+					await updateResearchStatementEmbedding(id, embedding, model);
 					updated = await getResearchStatementById(id);
 				}
 			}
@@ -401,6 +724,8 @@ app.delete("/api/research-statements/:id", strictLimiter, async (req, res) => {
 		}
 		const changes = await deleteResearchStatement(id);
 		if (changes === 0) return res.status(404).json({ error: "Not found" });
+		// Its prompt templates go with it (their versions stay for the items)
+		await deletePromptTemplatesForStatement(id);
 		res.json({ success: true });
 	} catch (err) {
 		console.error("Error deleting research statement:", err);
@@ -439,10 +764,10 @@ app.post(
 				});
 			}
 
-			const { embedding, usage } = await aiService.embedText(
+			const { embedding, model, usage } = await aiService.embedText(
 				row.statement.trim()
 			);
-			await updateResearchStatementEmbedding(id, embedding);
+			await updateResearchStatementEmbedding(id, embedding, model);
 			const updated = await getResearchStatementById(id);
 			return res.json({ ok: true, statement: updated, usage });
 		} catch (err) {
@@ -582,9 +907,7 @@ app.get("/api/favorites", generalLimiter, async (req, res) => {
 				limit: Number(limit) || 50,
 				offset: Number(offset) || 0,
 			});
-			const augmented = Array.isArray(favorites)
-				? favorites.map((it) => ({ ...it, comments_url: getHNCommentsUrl(it) }))
-				: favorites;
+			const augmented = await augmentItems(favorites);
 			return res.json(augmented);
 		}
 
@@ -593,9 +916,7 @@ app.get("/api/favorites", generalLimiter, async (req, res) => {
 			limit: Number(limit) || 50,
 			offset: Number(offset) || 0,
 		});
-		const augmented = Array.isArray(items)
-			? items.map((it) => ({ ...it, comments_url: getHNCommentsUrl(it) }))
-			: items;
+		const augmented = await augmentItems(items);
 		res.json(augmented);
 	} catch (error) {
 		console.error("Error fetching favorites:", error);
@@ -603,48 +924,165 @@ app.get("/api/favorites", generalLimiter, async (req, res) => {
 	}
 });
 
-// Settings endpoints
-const fs = require("fs").promises;
+// Per-domain fetch policies (services/fetchPolicy), with the state of each
+// domain's cached robots.txt
+app.get("/api/domain-policies", generalLimiter, async (req, res) => {
+	try {
+		const policies = await listDomainPolicies();
+		const origins = policies.flatMap((p) => [
+			`https://${p.domain}`,
+			`https://www.${p.domain}`,
+		]);
+		const robots = await getRobotsTxtForOrigins(origins);
+		res.json({
+			policies: policies.map((p) => ({
+				...p,
+				robots:
+					robots.find((r) => r.origin === `https://${p.domain}`) ||
+					robots.find((r) => r.origin === `https://www.${p.domain}`) ||
+					null,
+			})),
+		});
+	} catch (error) {
+		console.error("Error fetching domain policies:", error);
+		res.status(500).json({ error: "Failed to fetch domain policies" });
+	}
+});
+
+// Create or update one policy; previous_domain renames an existing one
+app.put("/api/domain-policies", generalLimiter, async (req, res) => {
+	try {
+		const body = req.body || {};
+		if (body.headers != null && (typeof body.headers !== "object" || Array.isArray(body.headers))) {
+			return res.status(400).json({ error: "headers must be an object" });
+		}
+		const result = await saveDomainPolicy(body, {
+			previousDomain: body.previous_domain,
+		});
+		if (!result.ok) return res.status(400).json({ error: result.error });
+		res.json({ success: true, policy: result.policy });
+	} catch (error) {
+		console.error("Error saving domain policy:", error);
+		res.status(500).json({ error: "Failed to save domain policy" });
+	}
+});
 
-const SETTINGS_FILE = path.join(__dirname, "config", "user-settings.json");
+app.delete("/api/domain-policies/:domain", generalLimiter, async (req, res) => {
+	try {
+		const result = await removeDomainPolicy(req.params.domain);
+		if (!result.ok) {
+			return res
+				.status(result.error === "Not found" ? 404 : 400)
+				.json({ error: result.error });
+		}
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error deleting domain policy:", error);
+		res.status(500).json({ error: "Failed to delete domain policy" });
+	}
+});
+
+// Versioned prompt templates (services/promptTemplates)
+app.get("/api/prompt-templates", generalLimiter, async (req, res) => {
+	try {
+		const templates = await listPromptTemplates();
+		res.json({ templates, variables: TEMPLATE_VARIABLES });
+	} catch (error) {
+		console.error("Error fetching prompt templates:", error);
+		res.status(500).json({ error: "Failed to fetch prompt templates" });
+	}
+});
+
+// Add a template for a source type and/or research statement
+app.post("/api/prompt-templates", generalLimiter, async (req, res) => {
+	try {
+		const result = await addPromptTemplate(req.body || {});
+		if (!result.ok) {
+			return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+		}
+		res.status(201).json({ success: true, template: result.template });
+	} catch (error) {
+		console.error("Error creating prompt template:", error);
+		res.status(500).json({ error: "Failed to create prompt template" });
+	}
+});
+
+// Save a new version of a template
+app.put("/api/prompt-templates/:id", generalLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		const result = await updatePromptTemplate(id, (req.body || {}).body);
+		if (!result.ok) {
+			return res
+				.status(result.error === "Not found" ? 404 : 400)
+				.json({ error: result.error });
+		}
+		res.json({ success: true, template: result.template });
+	} catch (error) {
+		console.error("Error updating prompt template:", error);
+		res.status(500).json({ error: "Failed to update prompt template" });
+	}
+});
+
+app.get("/api/prompt-templates/:id/versions", generalLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		res.json({ versions: await getPromptTemplateVersions(id) });
+	} catch (error) {
+		console.error("Error fetching prompt template versions:", error);
+		res.status(500).json({ error: "Failed to fetch prompt template versions" });
+	}
+});
+
+app.delete("/api/prompt-templates/:id", generalLimiter, async (req, res) => {
+	try {
+		const id = Number(req.params.id);
+		if (!Number.isFinite(id) || id <= 0) {
+			return res.status(400).json({ error: "Invalid id" });
+		}
+		const result = await removePromptTemplate(id);
+		if (!result.ok) {
+			return res
+				.status(result.error === "Not found" ? 404 : 400)
+				.json({ error: result.error });
+		}
+		res.json({ success: true });
+	} catch (error) {
+		console.error("Error deleting prompt template:", error);
+		res.status(500).json({ error: "Failed to delete prompt template" });
+	}
+});
+
+// Settings endpoints
 
 // Get current settings
 app.get("/api/settings", generalLimiter, async (req, res) => {
 	try {
-		const data = await fs.readFile(SETTINGS_FILE, "utf8");
-		const settings = JSON.parse(data);
+		const settings = await readUserSettings();
+		for (const collector of getAllCollectors()) {
+			if (settings[collector.id]) {
+				settings[collector.id] = collector.redactSettings(settings[collector.id]);
+			}
+		}
 		res.json(settings);
 	} catch (error) {
 		console.error("Error reading settings:", error);
 		// Return default settings if file doesn't exist or is corrupted
-		const defaultSettings = {
-			hackernews: {
-				maxItems: 50,
-				keywords: [
-					"ai",
-					"llm",
-					"language model",
-					"gpt",
-					"openai",
-					"anthropic",
-					"claude",
-					"llama",
-					"transformer",
-					"rag",
-					"embedding",
-					"fine-tuning",
-					"copilot",
-					"cursor",
-					"code generation",
-					"agents",
-				],
-			},
-		};
+		const defaultSettings = {};
+		for (const collector of getAllCollectors()) {
+			defaultSettings[collector.id] = collector.getDefaultSettings();
+		}
 		res.json(defaultSettings);
 	}
 });
 
-// Update settings
+// Update settings (sections are merged into the stored file)
 app.put("/api/settings", generalLimiter, async (req, res) => {
 	try {
 		const newSettings = req.body;
@@ -654,46 +1092,109 @@ app.put("/api/settings", generalLimiter, async (req, res) => {
 			return res.status(400).json({ error: "Invalid settings format" });
 		}
 
-		if (newSettings.hackernews) {
-			const hn = newSettings.hackernews;
+		// Validate each collector's section against its settings schema;
+		// secrets go to the git-ignored secrets file
+		const sections = { ...newSettings };
+		const secrets = {};
+		for (const [key, section] of Object.entries(newSettings)) {
+			const collector = getCollector(key);
+			if (!collector) continue;
+			const result = collector.validateSettings(section);
+			if (!result.ok) {
+				return res.status(400).json({ error: result.error });
+			}
+			const split = collector.splitSecrets(result.value);
+			sections[key] = split.settings;
+			if (Object.keys(split.secrets).length > 0) secrets[key] = split.secrets;
+		}
 
-			// Validate maxItems
-			if (
-				typeof hn.maxItems !== "number" ||
-				hn.maxItems < 1 ||
-				hn.maxItems > 100
-			) {
-				return res
-					.status(400)
-					.json({ error: "maxItems must be a number between 1 and 100" });
+		// Write settings to file
+		await writeSecrets(secrets);
+		await writeUserSettings(sections);
+
+		res.json({ success: true, message: "Settings updated successfully" });
+	} catch (error) {
+		console.error("Error updating settings:", error);
+		res.status(500).json({ error: "Failed to update settings" });
+	}
+});
+
+// OPML import: accepts raw OPML (text/xml, application/xml, text/x-opml)
+// or JSON { opml: "<opml ...>" }; merges outlines into rss.feeds
+app.post(
+	"/api/import/opml",
+	strictLimiter,
+	express.text({
+		type: ["text/xml", "application/xml", "text/x-opml", "text/plain"],
+		limit: "2mb",
+	}),
+	async (req, res) => {
+		try {
+			const body =
+				typeof req.body === "string" ? req.body : req.body && req.body.opml;
+			if (typeof body !== "string" || body.trim().length === 0) {
+				return res.status(400).json({ error: "OPML document is required" });
 			}
 
-			// Validate keywords
-			if (!Array.isArray(hn.keywords) || hn.keywords.length === 0) {
-				return res
-					.status(400)
-					.json({ error: "keywords must be a non-empty array" });
+			let outlines;
+			try {
+				outlines = parseOpml(body);
+			} catch (parseErr) {
+				return res.status(400).json({ error: parseErr.message });
 			}
 
-			// Clean up keywords
-			hn.keywords = hn.keywords
-				.map((k) => (typeof k === "string" ? k.trim() : ""))
-				.filter((k) => k.length > 0);
+			const rss = getCollector("rss");
+			const existing = rss.getFeeds();
+			const seen = new Set(existing.map((f) => feedKey(f.url)));
+			const added = [];
+			const duplicates = [];
+			const invalid = [];
+			for (const outline of outlines) {
+				const key = feedKey(outline.url);
+				if (seen.has(key)) {
+					duplicates.push(outline.url);
+					continue;
+				}
+				const check = rss.validateSettings({ feeds: [outline] });
+				if (!check.ok) {
+					invalid.push({ url: outline.url, error: check.error });
+					continue;
+				}
+				seen.add(key);
+				added.push(check.value.feeds[0]);
+			}
 
-			if (hn.keywords.length === 0) {
-				return res
-					.status(400)
-					.json({ error: "At least one valid keyword is required" });
+			const feeds = [...existing, ...added];
+			if (added.length > 0) {
+				await writeUserSettings({ rss: { feeds } });
 			}
-		}
 
-		// Write settings to file
-		await fs.writeFile(SETTINGS_FILE, JSON.stringify(newSettings, null, 2));
+			res.json({
+				imported: added.length,
+				duplicates: duplicates.length,
+				invalid,
+				feeds,
+			});
+		} catch (error) {
+			console.error("Error importing OPML:", error);
+			res.status(500).json({ error: "Failed to import OPML" });
+		}
+	}
+);
 
-		res.json({ success: true, message: "Settings updated successfully" });
+// OPML export of configured feeds, grouped by category
+app.get("/api/export/opml", generalLimiter, (req, res) => {
+	try {
+		const xml = buildOpml(getCollector("rss").getFeeds());
+		res.set("Content-Type", "text/x-opml; charset=utf-8");
+		res.set(
+			"Content-Disposition",
+			'attachment; filename="grist-mill-feeds.opml"'
+		);
+		res.send(xml);
 	} catch (error) {
-		console.error("Error updating settings:", error);
-		res.status(500).json({ error: "Failed to update settings" });
+		console.error("Error exporting OPML:", error);
+		res.status(500).json({ error: "Failed to export OPML" });
 	}
 });
 
@@ -706,39 +1207,64 @@ app.post("/api/test", generalLimiter, (req, res) => {
 	});
 });
 
-// Manual Hacker News collection trigger
-app.post("/api/collectors/hackernews", strictLimiter, (req, res) => {
+// Collectors: list registered sources with their schedule and settings schema
+app.get("/api/collectors", generalLimiter, (req, res) => {
+	res.json(
+		getAllCollectors().map((collector) => ({
+			...collector.describe(),
+			running: isCollectionRunning(collector.id),
+		}))
+	);
+});
+
+// Manual collection trigger for any registered collector
+app.post("/api/collectors/:name", strictLimiter, (req, res) => {
+	const collector = getCollector(req.params.name);
+	if (!collector) {
+		return res.status(404).json({ error: "Unknown collector" });
+	}
 	console.log(
-		`[${new Date().toISOString()}] API endpoint hit: /api/collectors/hackernews`
+		`[${new Date().toISOString()}] API endpoint hit: /api/collectors/${
+			collector.id
+		}`
 	);
+	if (isCollectionRunning(collector.id)) {
+		return res.status(409).json({
+			error: `${collector.name} collection already running`,
+		});
+	}
 
 	// Return immediately and run collection in background
 	res.json({
 		status: "ok",
+		collector: collector.id,
 		message: "Collection started in background",
 		timestamp: new Date().toISOString(),
 	});
 
-	// Run collection in background without blocking response
-	runHackerNewsCollection()
+	// Run collection in background without blocking response; manual runs
+	// bypass per-source poll intervals
+	runCollection(collector.id, { force: true })
 		.then((result) => {
 			if (result.success) {
 				console.log(
-					`[${new Date().toISOString()}] Background HN collection completed: ${
-						result.inserted
-					} items inserted`
+					`[${new Date().toISOString()}] Background ${
+						collector.name
+					} collection completed: ${result.inserted} items inserted`
 				);
 			} else {
 				console.error(
-					`[${new Date().toISOString()}] Background HN collection failed: ${
-						result.error
-					}`
+					`[${new Date().toISOString()}] Background ${
+						collector.name
+					} collection failed: ${result.error}`
 				);
 			}
 		})
 		.catch((error) => {
 			console.error(
-				`[${new Date().toISOString()}] Background HN collection error:`,
+				`[${new Date().toISOString()}] Background ${
+					collector.name
+				} collection error:`,
 				error
 			);
 		});
@@ -752,7 +1278,9 @@ app.get("/api/ai/test", strictLimiter, async (req, res) => {
 		if (!aiService.isAvailable()) {
 			return res.status(503).json({
 				error: "AI service not available",
-				message: "OPENAI_API_KEY environment variable not set",
+				message:
+					"Set OPENAI_API_KEY, or AI_BASE_URL and AI_CHAT_MODEL, or AI_PROVIDER=offline",
+				provider: aiService.provider.describe(),
 			});
 		}
 
@@ -761,6 +1289,7 @@ app.get("/api/ai/test", strictLimiter, async (req, res) => {
 			status: "success",
 			message: result.message,
 			usage: result.usage,
+			provider: aiService.provider.describe(),
 			ai_available: true,
 		});
 	} catch (error) {
@@ -796,6 +1325,21 @@ app.get("/api/rerank/status", generalLimiter, (req, res) => {
 	res.json(getRerankStatus());
 });
 
+// Re-poll HN points/comments now instead of waiting for the hourly job
+app.post("/api/metrics/refresh", strictLimiter, async (req, res) => {
+	try {
+		const hn = getCollector("hackernews");
+		const days =
+			Number(req.body?.days) || Number(hn?.getSettings().metricsDays) || 3;
+		const result = await runMetricsRefresh({ days });
+		if (!result.ok) return res.status(409).json(result);
+		res.json(result);
+	} catch (err) {
+		console.error("Error refreshing metrics:", err);
+		res.status(500).json({ error: "Failed to refresh metrics" });
+	}
+});
+
 // (Removed temporary /api/_debug/routes dev endpoint)
 
 // Initialize database and start server
@@ -806,6 +1350,45 @@ async function startServer() {
 
 		// Removed legacy sample data insertion
 
+		for (const collector of getAllCollectors()) {
+			try {
+				if (await collector.moveStoredSecrets()) {
+					console.log(
+						`Moved ${collector.name} credentials to config/secrets.json`
+					);
+				}
+			} catch (err) {
+				console.warn(
+					`Moving ${collector.name} credentials failed:`,
+					err.message
+				);
+			}
+		}
+
+		try {
+			await backfillCanonicalUrls();
+		} catch (err) {
+			console.warn("Canonical URL backfill failed:", err.message);
+		}
+		try {
+			await runStoryClustering();
+		} catch (err) {
+			console.warn("Story clustering failed:", err.message);
+		}
+		try {
+			const days = Number(process.env.FETCH_CACHE_KEEP_DAYS || 30);
+			const pruned = await pruneFetchCache({
+				before: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+			});
+			if (pruned > 0) {
+				console.log(
+					`[${new Date().toISOString()}] Fetch cache: pruned ${pruned} entries older than ${days} days`
+				);
+			}
+		} catch (err) {
+			console.warn("Fetch cache pruning failed:", err.message);
+		}
+
 		// Initialize scheduler
 		initializeScheduler();
 
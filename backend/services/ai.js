@@ -1,35 +1,67 @@
-const OpenAI = require("openai");
 const { getTodayAiUsage, incrementAiUsage } = require("../database");
+const { getProvider } = require("./llm");
+const {
+	renderTemplate,
+	resolvePromptTemplate,
+	statementVariables,
+	loadActiveStatements,
+} = require("./promptTemplates");
+
+// Relevance score from which an item counts as highlighted
+const HIGHLIGHT_MIN_SCORE = 7;
+
+// error.code of calls refused because the daily budget is used up
+const BUDGET_EXCEEDED = "AI_BUDGET_EXCEEDED";
+
+// Appended to every relevance template: processContentItem depends on it
+const RELEVANCE_RESPONSE_FORMAT = `Provide a JSON response with the following structure:
+{
+  "relevance_score": 7,
+  "highlight": true,
+  "relevance_explanation": "Explain relevance succinctly; if highlight is false, set to empty string \"\""
+}
+
+Rules:
+- Set highlight to true if relevance_score >= ${HIGHLIGHT_MIN_SCORE}, false otherwise.
+- Do NOT create or include a content summary at this stage.
+- Always include the field relevance_explanation. When highlight is false, set it to an empty string "".
+
+Please respond with valid JSON only.`;
 
 class AIService {
-	constructor() {
-		const apiKey = process.env.OPENAI_API_KEY;
+	/**
+	 * @param {Object} [options]
+	 * @param {import("./llm").LLMProvider} [options.provider] - Defaults to the
+	 *   provider configured by the environment (services/llm)
+	 */
+	constructor({ provider = null } = {}) {
+		this.provider = provider || getProvider();
 
 		// Configure budget and pricing (defaults align with spec; can override via env)
 		this.dailyBudgetUSD = Number(process.env.AI_DAILY_BUDGET_USD || 1.0);
 		this.costPerThousandTokensUSD = Number(
-			process.env.AI_COST_PER_1K_TOKENS_USD || 0.00015
+			process.env.AI_COST_PER_1K_TOKENS_USD ||
+				this.provider.costPer1kTokensUSD ||
+				0
 		);
+	}
 
-		if (!apiKey) {
-			console.warn(
-				"Warning: OPENAI_API_KEY not found in environment variables"
+	requireProvider() {
+		if (!this.provider.isAvailable()) {
+			throw new Error(
+				`${this.provider.name} is not configured - set OPENAI_API_KEY, AI_BASE_URL and AI_CHAT_MODEL, or AI_PROVIDER=offline`
 			);
-			this.client = null;
-			return;
 		}
+	}
 
-		this.client = new OpenAI({
-			apiKey: apiKey,
-		});
+	// Name stored with embeddings; vectors from different models are not
+	// comparable
+	embeddingModelId() {
+		return this.provider.embeddingModel || this.provider.id;
 	}
 
 	async embedText(text) {
-		if (!this.client) {
-			throw new Error(
-				"OpenAI client not initialized - check OPENAI_API_KEY environment variable"
-			);
-		}
+		this.requireProvider();
 
 		const input = String(text || "").trim();
 		if (input.length === 0) {
@@ -38,41 +70,39 @@ class AIService {
 
 		try {
 			await this.checkDailyBudget();
-			const model = process.env.AI_EMBEDDING_MODEL || "text-embedding-3-small";
-			const response = await this.client.embeddings.create({
-				model,
-				input,
-			});
+			const { embedding, usage } = await this.provider.embed(input);
 
 			// Record usage if provided by API
-			await this.recordUsage(response.usage);
+			await this.recordUsage(usage);
 
-			const vector =
-				response && response.data && response.data[0]
-					? response.data[0].embedding
-					: null;
-			if (!Array.isArray(vector)) {
-				throw new Error("Failed to generate embedding vector");
-			}
-			return { embedding: vector, usage: response.usage };
+			return { embedding, model: this.embeddingModelId(), usage };
 		} catch (error) {
-			console.error("OpenAI embedding generation failed:", error.message);
+			console.error(
+				`${this.provider.name} embedding generation failed:`,
+				error.message
+			);
 			throw error;
 		}
 	}
 
+	// Throws once today's estimated cost reaches the daily budget (error code
+	// AI_BUDGET_EXCEEDED)
 	async checkDailyBudget() {
+		let today = null;
 		try {
-			const today = await getTodayAiUsage();
-			if (
-				today &&
-				typeof today.estimated_cost === "number" &&
-				today.estimated_cost >= this.dailyBudgetUSD
-			) {
-				throw new Error("Daily AI budget exceeded");
-			}
-		} catch (err) {
+			today = await getTodayAiUsage();
+		} catch (_) {
 			// If usage table not available yet, allow call to proceed
+			return;
+		}
+		if (
+			today &&
+			typeof today.estimated_cost === "number" &&
+			today.estimated_cost >= this.dailyBudgetUSD
+		) {
+			const error = new Error("Daily AI budget exceeded");
+			error.code = BUDGET_EXCEEDED;
+			throw error;
 		}
 	}
 
@@ -107,165 +137,228 @@ class AIService {
 	}
 
 	async testConnection() {
-		if (!this.client) {
-			throw new Error(
-				"OpenAI client not initialized - check OPENAI_API_KEY environment variable"
-			);
-		}
+		this.requireProvider();
 
 		try {
 			await this.checkDailyBudget();
-			const response = await this.client.chat.completions.create({
-				model: "gpt-4o-mini",
-				messages: [
+			const response = await this.provider.chat(
+				[
 					{
 						role: "user",
 						content:
 							"Hello! Please respond with 'AI service is working' if you can see this message.",
 					},
 				],
-				max_completion_tokens: 50,
-			});
+				{ maxTokens: 50 }
+			);
 
 			await this.recordUsage(response.usage);
 
 			return {
 				success: true,
-				message: response.choices[0].message.content,
+				message: response.content,
 				usage: response.usage,
 			};
 		} catch (error) {
-			console.error("OpenAI API test failed:", error.message);
+			console.error(`${this.provider.name} API test failed:`, error.message);
 			throw error;
 		}
 	}
 
-	async generateSummary(content, context = "") {
-		if (!this.client) {
-			throw new Error(
-				"OpenAI client not initialized - check OPENAI_API_KEY environment variable"
-			);
-		}
+	/**
+	 * Summarize an item's content with the summary prompt template that
+	 * applies (services/promptTemplates)
+	 * @param {string} content
+	 * @param {string} [context] - Source/title line
+	 * @param {Object} [options]
+	 * @param {string} [options.instructions] - Extra prompt lines (e.g. citation format)
+	 * @param {number} [options.maxTokens=200]
+	 * @param {string} [options.sourceType] - Collector id, selects the template
+	 * @param {Object[]} [options.statements] - Active research statements;
+	 *   loaded when not given
+	 * @returns {Promise<{success: boolean, summary: string, usage: Object, prompt_version_id: number|null}>}
+	 */
+	async generateSummary(
+		content,
+		context = "",
+		{ instructions = null, maxTokens = 200, sourceType = null, statements = null } = {}
+	) {
+		this.requireProvider();
 
 		try {
-			const prompt = `Please provide a brief, informative summary of the following content. 
-            Focus on the key points and make it useful for someone interested in AI/LLM and software development topics.
-            
-            ${context ? `Context: ${context}\n\n` : ""}Content: ${content}`;
+			const { variables, statementId } = statementVariables(
+				await loadActiveStatements(statements)
+			);
+			const template = await resolvePromptTemplate("summary", {
+				sourceType,
+				researchStatementId: statementId,
+			});
+			const prompt = renderTemplate(template.body, {
+				...variables,
+				source_type: sourceType,
+				content,
+				context,
+				instructions,
+			});
 			await this.checkDailyBudget();
-			const response = await this.client.chat.completions.create({
-				model: "gpt-4o-mini",
-				messages: [
+			const response = await this.provider.chat(
+				[
 					{
 						role: "user",
 						content: prompt,
 					},
 				],
-				max_completion_tokens: 200,
-			});
+				{ maxTokens }
+			);
 
 			await this.recordUsage(response.usage);
 
 			return {
 				success: true,
-				summary: response.choices[0].message.content,
+				summary: response.content,
 				usage: response.usage,
+				prompt_version_id: template.versionId,
 			};
 		} catch (error) {
-			console.error("OpenAI summary generation failed:", error.message);
+			console.error(
+				`${this.provider.name} summary generation failed:`,
+				error.message
+			);
 			throw error;
 		}
 	}
 
-	async processHackerNewsItem(hnItem) {
-		if (!this.client) {
-			throw new Error(
-				"OpenAI client not initialized - check OPENAI_API_KEY environment variable"
-			);
-		}
+	/**
+	 * Summarize a comment thread ("what the discussion says")
+	 * @param {string} thread - Comments flattened to text, one per line
+	 * @param {string} [context] - Story title/summary the thread belongs to
+	 */
+	async summarizeDiscussion(thread, context = "") {
+		this.requireProvider();
 
 		try {
+			const prompt = `Summarize what the following discussion says about the story. 
+            Cover the prevailing opinion, notable disagreements, first-hand experience with the tool or technique, and alternatives people recommend.
+            Do not repeat the story itself; if the comments say little of substance, say so briefly.
+            
+            ${context ? `Story: ${context}\n\n` : ""}Comments:
+${thread}`;
 			await this.checkDailyBudget();
-			// Define user interest areas for AI/LLM and software development
-			const userInterests = `
-User is interested in:
-- AI/LLM: Large language models, GPT, Claude, Llama, transformers, RAG, embeddings, fine-tuning, AI agents, AI assistants
-- Software Development: Code generation, programming tools, development workflows, software architecture, debugging, testing, deployment, developer productivity tools
-- Emerging Tech: New AI capabilities, breakthrough research, practical applications of AI in software development
-`;
-
-			const prompt = `${userInterests}
+			const response = await this.provider.chat(
+				[
+					{
+						role: "user",
+						content: prompt,
+					},
+				],
+				{ maxTokens: 300 }
+			);
 
-Please analyze this Hacker News story and provide a JSON response with the following structure:
-{
-  "relevance_score": 7,
-  "highlight": true,
-  "relevance_explanation": "Explain relevance succinctly; if highlight is false, set to empty string \"\""
-}
+			await this.recordUsage(response.usage);
 
-Rules:
-- Set highlight to true if relevance_score >= 7, false otherwise.
-- Do NOT create or include a content summary at this stage.
-- Always include the field relevance_explanation. When highlight is false, set it to an empty string "".
+			return {
+				success: true,
+				summary: response.content,
+				usage: response.usage,
+			};
+		} catch (error) {
+			console.error(
+				`${this.provider.name} discussion summary failed:`,
+				error.message
+			);
+			throw error;
+		}
+	}
 
-Hacker News Story:
-Title: ${hnItem.title || "No title"}
-URL: ${hnItem.url || "No URL"}
-Score: ${hnItem.score || 0} points
-Author: ${hnItem.by || "Unknown"}
-${hnItem.text ? `Text: ${hnItem.text}` : ""}
+	/**
+	 * Classify a collected item's relevance to the user's research statements
+	 * with the relevance prompt template that applies
+	 * (services/promptTemplates)
+	 * @param {Object} input - Built by the item's collector (buildAIInput)
+	 * @param {string} input.sourceLabel - e.g. "Hacker News story"
+	 * @param {string} input.title
+	 * @param {string} [input.url]
+	 * @param {string} [input.text] - Self text or excerpt
+	 * @param {Object} [input.details] - Extra "Label: value" lines for the prompt
+	 * @param {Object} [options]
+	 * @param {string} [options.sourceType] - Collector id, selects the template
+	 * @param {Object[]} [options.statements] - Active research statements;
+	 *   loaded when not given
+	 * @param {Object} [options.statement] - Judge relevance to this research
+	 *   statement only (see judgeRelevance)
+	 */
+	async processContentItem(
+		{ sourceLabel = "item", title, url, text, details = {} } = {},
+		{ sourceType = null, statements = null, statement = null } = {}
+	) {
+		this.requireProvider();
 
-Please respond with valid JSON only.`;
+		try {
+			await this.checkDailyBudget();
+			const { variables, statementId } = statementVariables(
+				await loadActiveStatements(statements),
+				statement
+			);
+			const template = await resolvePromptTemplate("relevance", {
+				sourceType,
+				researchStatementId: statementId,
+			});
 
-			const response = await this.client.chat.completions.create({
-				model: "gpt-4o-mini",
-				messages: [
+			const detailLines = Object.entries(details || {})
+				.filter(([, value]) => value !== undefined && value !== null)
+				.map(([label, value]) => `${label}: ${value}`)
+				.join("\n");
+
+			const prompt = `${renderTemplate(template.body, {
+				...variables,
+				source_type: sourceType,
+				source_label: sourceLabel,
+				title: title || "No title",
+				url,
+				text,
+				details: detailLines,
+			})}
+
+${RELEVANCE_RESPONSE_FORMAT}`;
+
+			const response = await this.provider.completeJson(
+				[
 					{
 						role: "user",
 						content: prompt,
 					},
 				],
-				max_completion_tokens: 300,
-				response_format: {
-					type: "json_schema",
-					json_schema: {
-						name: "hacker_news_analysis",
-						strict: true,
-						schema: {
-							type: "object",
-							properties: {
-								relevance_score: { type: "integer", minimum: 1, maximum: 10 },
-								highlight: { type: "boolean" },
-								relevance_explanation: { type: "string" },
-							},
-							required: [
-								"relevance_score",
-								"highlight",
-								"relevance_explanation",
-							],
-							additionalProperties: false,
+				{
+					name: "content_item_analysis",
+					maxTokens: 300,
+					schema: {
+						type: "object",
+						properties: {
+							relevance_score: { type: "integer", minimum: 1, maximum: 10 },
+							highlight: { type: "boolean" },
+							relevance_explanation: { type: "string" },
 						},
+						required: [
+							"relevance_score",
+							"highlight",
+							"relevance_explanation",
+						],
+						additionalProperties: false,
 					},
-				},
-			});
+				}
+			);
 
 			await this.recordUsage(response.usage);
 
-			const content = response.choices[0].message.content;
-			console.log("AI Response content:", content);
+			console.log("AI Response content:", response.content);
 
-			let result;
-			try {
-				result = JSON.parse(content);
-			} catch (parseError) {
-				console.error("JSON parse error:", parseError.message);
-				console.error("Raw content:", content);
-				throw new Error(`Invalid JSON response: ${parseError.message}`);
-			}
+			const result = response.data || {};
+			const score = Number(result.relevance_score);
 
 			return {
 				success: true,
-				highlight: result.highlight,
+				// Local models do not always keep highlight in line with the score
+				highlight: result.highlight === true || score >= HIGHLIGHT_MIN_SCORE,
 				relevance_score: result.relevance_score,
 				relevance_explanation:
 					typeof result.relevance_explanation === "string" &&
@@ -273,15 +366,81 @@ Please respond with valid JSON only.`;
 						? result.relevance_explanation
 						: undefined,
 				usage: response.usage,
+				prompt_version_id: template.versionId,
 			};
 		} catch (error) {
-			console.error("OpenAI Hacker News processing failed:", error.message);
+			console.error(
+				`${this.provider.name} ${sourceLabel} processing failed:`,
+				error.message
+			);
 			throw error;
 		}
 	}
 
+	/**
+	 * Judge an item's relevance to each active research statement separately
+	 * (one processContentItem call per statement). Without active statements
+	 * it is a single call against the built-in interests.
+	 * @param {Object} input - As for processContentItem
+	 * @param {Object} [options]
+	 * @param {string} [options.sourceType]
+	 * @param {Object[]} [options.statements] - Loaded when not given
+	 * @returns {Promise<Object>} processContentItem's result for the statement
+	 *   with the best score (highlight is true when any statement highlights
+	 *   the item), plus judgments: one {research_statement_id, relevance_score,
+	 *   relevance_explanation, highlight, prompt_version_id} per statement
+	 */
+	async judgeRelevance(input, { sourceType = null, statements = null } = {}) {
+		const list = await loadActiveStatements(statements);
+		if (list.length === 0) {
+			const result = await this.processContentItem(input, {
+				sourceType,
+				statements: list,
+			});
+			return { ...result, judgments: [] };
+		}
+
+		const judgments = [];
+		let best = null;
+		let lastError = null;
+		for (const statement of list) {
+			try {
+				const result = await this.processContentItem(input, {
+					sourceType,
+					statements: list,
+					statement,
+				});
+				judgments.push({
+					research_statement_id: statement.id,
+					relevance_score: result.relevance_score,
+					relevance_explanation: result.relevance_explanation || null,
+					highlight: result.highlight,
+					prompt_version_id: result.prompt_version_id,
+				});
+				if (
+					!best ||
+					(Number(result.relevance_score) || 0) > (Number(best.relevance_score) || 0)
+				) {
+					best = result;
+				}
+			} catch (error) {
+				// Keep the judgments that worked; once the budget has run out the
+				// remaining statements would only hit it again
+				lastError = error;
+				if (error.code === BUDGET_EXCEEDED) break;
+			}
+		}
+		if (!best) throw lastError;
+
+		return {
+			...best,
+			highlight: judgments.some((j) => j.highlight),
+			judgments,
+		};
+	}
+
 	isAvailable() {
-		return this.client !== null;
+		return this.provider.isAvailable();
 	}
 }
 
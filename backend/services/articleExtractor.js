@@ -0,0 +1,740 @@
+/**
+ * Main-content extraction for fetched pages (readability-style)
+ *
+ * Parses HTML into a small tree, drops boilerplate (navigation, footers,
+ * cookie/consent banners, share and comment widgets), scores the remaining
+ * blocks by how much prose they hold and keeps the best scoring container
+ * and its related siblings. Page metadata comes from Open Graph/meta tags,
+ * JSON-LD and the markup itself.
+ *
+ * The result is stored as content_items.article for the reader view and its
+ * text becomes page_text, so embeddings and keyword scores only see the
+ * article itself.
+ */
+
+// Upper bound on the text kept in an article's blocks (the reader view);
+// page_text is cut separately to CONTENT_CHAR_LIMIT
+const ARTICLE_CHAR_LIMIT = Number(process.env.ARTICLE_CHAR_LIMIT || 50000);
+// Pages larger than this are cut before parsing
+const MAX_HTML_LENGTH = 2 * 1024 * 1024;
+
+const VOID_TAGS = new Set(
+	"area base br col embed hr img input link meta param source track wbr".split(
+		" "
+	)
+);
+// Contents are not markup; kept as a single text child
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title", "template"]);
+// An open tag of the key implicitly closes an open element of these tags
+const IMPLIED_END = {
+	p: ["p"],
+	li: ["li"],
+	dt: ["dt", "dd"],
+	dd: ["dt", "dd"],
+	tr: ["tr", "td", "th"],
+	td: ["td", "th"],
+	th: ["td", "th"],
+	option: ["option"],
+};
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set(
+	"address article aside blockquote div dl fieldset figure footer form h1 h2 h3 h4 h5 h6 header hr main nav ol pre section table ul".split(
+		" "
+	)
+);
+const BLOCK_TAGS = new Set(
+	"address article aside blockquote body dd details div dl dt fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 header hr li main nav ol p pre section summary table tbody td tfoot th thead tr ul br".split(
+		" "
+	)
+);
+
+// Never part of the article
+const REMOVE_TAGS = new Set(
+	"head title script style noscript template svg canvas iframe object embed form button input select textarea nav footer aside dialog menu".split(
+		" "
+	)
+);
+const REMOVE_ROLES = new Set([
+	"navigation",
+	"banner",
+	"contentinfo",
+	"complementary",
+	"dialog",
+	"alertdialog",
+	"menu",
+	"menubar",
+	"search",
+]);
+// class/id hints, after Mozilla's Readability
+const UNLIKELY_CANDIDATES =
+	/-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|masthead|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|taboola|toolbar|yom-remote/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow|story|entry|post/i;
+const POSITIVE_HINT =
+	/article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_HINT =
+	/-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|cookie|consent|subscribe|newsletter/i;
+const BYLINE_HINT = /byline|author|dateline|writtenby|p-author/i;
+
+// Scored as paragraphs when looking for the main container
+const PARAGRAPH_TAGS = new Set(["p", "pre", "td", "blockquote"]);
+const MIN_PARAGRAPH_LENGTH = 25;
+// Below this the best container is not trusted and the whole body is used
+const MIN_ARTICLE_LENGTH = 250;
+
+const NAMED_ENTITIES = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: '"',
+	apos: "'",
+	nbsp: " ",
+	ndash: "–",
+	mdash: "—",
+	hellip: "…",
+	lsquo: "‘",
+	rsquo: "’",
+	ldquo: "“",
+	rdquo: "”",
+	laquo: "«",
+	raquo: "»",
+	middot: "·",
+	bull: "•",
+	copy: "©",
+	reg: "®",
+	trade: "™",
+	times: "×",
+	deg: "°",
+	euro: "€",
+	pound: "£",
+	shy: "",
+	zwj: "",
+	zwnj: "",
+};
+
+function decodeEntities(text) {
+	return String(text || "").replace(
+		/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi,
+		(match, code) => {
+			if (code[0] === "#") {
+				const n =
+					code[1] === "x" || code[1] === "X"
+						? parseInt(code.slice(2), 16)
+						: parseInt(code.slice(1), 10);
+				try {
+					return Number.isFinite(n) && n > 0 ? String.fromCodePoint(n) : match;
+				} catch (_) {
+					return match;
+				}
+			}
+			const named = NAMED_ENTITIES[code.toLowerCase()];
+			return named !== undefined ? named : match;
+		}
+	);
+}
+
+function collapse(text) {
+	return String(text || "")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function parseAttributes(source) {
+	const attrs = {};
+	const re = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+	let m;
+	while ((m = re.exec(source || ""))) {
+		const name = m[1].toLowerCase();
+		if (name in attrs) continue;
+		attrs[name] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+	}
+	return attrs;
+}
+
+/**
+ * Tolerant HTML parser: enough of the HTML5 rules (void elements, implied
+ * end tags, raw text elements) to recover the structure of real pages
+ * @param {string} html
+ * @returns {{tag: string, attrs: Object, children: Array}} Root node; text
+ *   nodes are {text}
+ */
+function parseHtml(html) {
+	const root = { tag: "#root", attrs: {}, children: [], parent: null };
+	const stack = [root];
+	const current = () => stack[stack.length - 1];
+	const source = String(html || "").slice(0, MAX_HTML_LENGTH);
+	const tagRe =
+		/<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+	const pushText = (text) => {
+		if (text) current().children.push({ text: decodeEntities(text) });
+	};
+	const closeTo = (index) => {
+		stack.length = Math.max(1, index);
+	};
+	let last = 0;
+	let m;
+	while ((m = tagRe.exec(source))) {
+		pushText(source.slice(last, m.index));
+		last = tagRe.lastIndex;
+		if (!m[2]) continue; // comment, doctype, processing instruction
+		const tag = m[2].toLowerCase();
+		if (m[1]) {
+			for (let i = stack.length - 1; i > 0; i--) {
+				if (stack[i].tag === tag) {
+					closeTo(i);
+					break;
+				}
+			}
+			continue;
+		}
+		const implied = IMPLIED_END[tag];
+		if (implied) {
+			// Only look as far as the nearest list/table container
+			for (let i = stack.length - 1; i > 0; i--) {
+				const open = stack[i].tag;
+				if (implied.includes(open)) {
+					closeTo(i);
+					break;
+				}
+				if (/^(ul|ol|dl|table|tbody|thead|tfoot|select|div)$/.test(open)) break;
+			}
+		}
+		if (CLOSES_P.has(tag)) {
+			for (let i = stack.length - 1; i > 0; i--) {
+				if (stack[i].tag === "p") {
+					closeTo(i);
+					break;
+				}
+				if (BLOCK_TAGS.has(stack[i].tag)) break;
+			}
+		}
+		const node = {
+			tag,
+			attrs: parseAttributes(m[3]),
+			children: [],
+			parent: current(),
+		};
+		current().children.push(node);
+		if (RAW_TEXT_TAGS.has(tag)) {
+			const endRe = new RegExp(`</${tag}`, "ig");
+			endRe.lastIndex = last;
+			const endMatch = endRe.exec(source);
+			const end = endMatch ? endMatch.index : -1;
+			const stop = end === -1 ? source.length : end;
+			const raw = source.slice(last, stop);
+			if (raw) {
+				node.children.push({ text: tag === "title" ? decodeEntities(raw) : raw });
+			}
+			const close = end === -1 ? -1 : source.indexOf(">", end);
+			last = close === -1 ? source.length : close + 1;
+			tagRe.lastIndex = last;
+			continue;
+		}
+		if (VOID_TAGS.has(tag) || /\/\s*$/.test(m[3])) continue;
+		stack.push(node);
+	}
+	pushText(source.slice(last));
+	return root;
+}
+
+function* walk(node) {
+	for (const child of node.children || []) {
+		if (child.tag) {
+			yield child;
+			yield* walk(child);
+		}
+	}
+}
+
+function findFirst(node, predicate) {
+	for (const el of walk(node)) if (predicate(el)) return el;
+	return null;
+}
+
+function textOf(node) {
+	if (node.text !== undefined) return node.text;
+	if (RAW_TEXT_TAGS.has(node.tag) && node.tag !== "title") return "";
+	let out = "";
+	for (const child of node.children) {
+		out += textOf(child);
+		if (child.tag && BLOCK_TAGS.has(child.tag)) out += " ";
+	}
+	return out;
+}
+
+function linkTextLength(node) {
+	let total = 0;
+	for (const el of walk(node)) {
+		if (el.tag === "a") total += collapse(textOf(el)).length;
+	}
+	return total;
+}
+
+function linkDensity(node, textLength) {
+	const length =
+		textLength !== undefined ? textLength : collapse(textOf(node)).length;
+	return length > 0 ? linkTextLength(node) / length : 0;
+}
+
+function hintOf(node) {
+	return `${node.attrs.class || ""} ${node.attrs.id || ""}`.trim();
+}
+
+function isHidden(node) {
+	const a = node.attrs;
+	if ("hidden" in a || a["aria-hidden"] === "true") return true;
+	const style = (a.style || "").replace(/\s+/g, "").toLowerCase();
+	return style.includes("display:none") || style.includes("visibility:hidden");
+}
+
+// Boilerplate: dropped before scoring
+function isBoilerplate(node) {
+	if (REMOVE_TAGS.has(node.tag)) return true;
+	if (REMOVE_ROLES.has(String(node.attrs.role || "").toLowerCase())) return true;
+	if (isHidden(node)) return true;
+	if (/^(html|body|article|main)$/.test(node.tag)) return false;
+	if (node.tag === "header") {
+		// Page headers go; a header inside the article holds its title/byline
+		return !findAncestor(node, (p) => p.tag === "article" || p.tag === "main");
+	}
+	const hint = hintOf(node);
+	return Boolean(
+		hint &&
+			UNLIKELY_CANDIDATES.test(hint) &&
+			!MAYBE_CANDIDATE.test(hint) &&
+			!findAncestor(node, (p) => p.tag === "table" || p.tag === "code")
+	);
+}
+
+function findAncestor(node, predicate) {
+	for (let p = node.parent; p; p = p.parent) if (predicate(p)) return p;
+	return null;
+}
+
+function removeBoilerplate(node) {
+	node.children = node.children.filter((child) => {
+		if (!child.tag) return true;
+		if (isBoilerplate(child)) return false;
+		removeBoilerplate(child);
+		return true;
+	});
+}
+
+function classWeight(node) {
+	let weight = 0;
+	for (const value of [node.attrs.class, node.attrs.id]) {
+		if (!value) continue;
+		if (NEGATIVE_HINT.test(value)) weight -= 25;
+		if (POSITIVE_HINT.test(value)) weight += 25;
+	}
+	return weight;
+}
+
+function initialScore(node) {
+	let score = classWeight(node);
+	if (/^(article|main)$/.test(node.tag)) score += 10;
+	else if (node.tag === "div") score += 5;
+	else if (/^(pre|td|blockquote|section)$/.test(node.tag)) score += 3;
+	else if (/^(ol|ul|dl|dd|dt|li|form|address)$/.test(node.tag)) score -= 3;
+	else if (/^(h[1-6]|th)$/.test(node.tag)) score -= 5;
+	if (node.attrs.itemprop === "articleBody") score += 25;
+	return score;
+}
+
+// A <div> with no block-level children reads as a paragraph
+function isParagraphLike(node) {
+	if (PARAGRAPH_TAGS.has(node.tag)) return true;
+	if (node.tag !== "div") return false;
+	return !node.children.some((c) => c.tag && BLOCK_TAGS.has(c.tag) && c.tag !== "br");
+}
+
+/**
+ * Best scoring container: each paragraph adds points (more for commas and
+ * length) to its parent and half as many to its grandparent
+ */
+function findTopCandidate(body) {
+	const scores = new Map();
+	const addScore = (node, amount) => {
+		if (!node || node.tag === "#root") return;
+		if (!scores.has(node)) scores.set(node, initialScore(node));
+		scores.set(node, scores.get(node) + amount);
+	};
+	for (const el of walk(body)) {
+		if (!isParagraphLike(el)) continue;
+		const text = collapse(textOf(el));
+		if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+		const points =
+			1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+		addScore(el.parent, points);
+		addScore(el.parent && el.parent.parent, points / 2);
+	}
+	let top = null;
+	let topScore = -Infinity;
+	for (const [node, score] of scores) {
+		const adjusted = score * (1 - linkDensity(node));
+		scores.set(node, adjusted);
+		if (adjusted > topScore) {
+			top = node;
+			topScore = adjusted;
+		}
+	}
+	return top ? { node: top, score: topScore, scores } : null;
+}
+
+// The top candidate plus siblings that look like more of the same article
+function gatherArticleNodes(candidate) {
+	const { node, score, scores } = candidate;
+	const parent = node.parent;
+	if (!parent || parent.tag === "#root") return [node];
+	const threshold = Math.max(10, score * 0.2);
+	const hint = node.attrs.class;
+	return parent.children.filter((sibling) => {
+		if (sibling === node) return true;
+		if (!sibling.tag) return false;
+		let bonus = 0;
+		if (hint && sibling.attrs.class === hint) bonus += score * 0.2;
+		if ((scores.get(sibling) || 0) + bonus >= threshold) return true;
+		if (sibling.tag === "p") {
+			const text = collapse(textOf(sibling));
+			const density = linkDensity(sibling, text.length);
+			if (text.length > 80 && density < 0.25) return true;
+			if (text.length > 0 && density === 0 && /\.( |$)/.test(text)) return true;
+		}
+		return false;
+	});
+}
+
+/**
+ * Flatten article nodes into reader blocks
+ * @returns {Array<{type: "heading"|"paragraph"|"quote"|"code"|"list", text?: string, level?: number, items?: string[], ordered?: boolean}>}
+ */
+function toBlocks(nodes) {
+	const blocks = [];
+	let inline = "";
+	const flush = () => {
+		const text = collapse(inline);
+		inline = "";
+		if (text) blocks.push({ type: "paragraph", text });
+	};
+	const visit = (node) => {
+		if (node.text !== undefined) {
+			inline += node.text;
+			return;
+		}
+		const tag = node.tag;
+		if (/^h[1-6]$/.test(tag)) {
+			flush();
+			const text = collapse(textOf(node));
+			if (text) blocks.push({ type: "heading", level: Number(tag[1]), text });
+			return;
+		}
+		if (tag === "pre") {
+			flush();
+			const text = textOf(node).replace(/^\n+|\s+$/g, "");
+			if (text.trim()) blocks.push({ type: "code", text });
+			return;
+		}
+		if (tag === "blockquote") {
+			flush();
+			const text = collapse(textOf(node));
+			if (text) blocks.push({ type: "quote", text });
+			return;
+		}
+		if (tag === "ul" || tag === "ol") {
+			flush();
+			const items = node.children
+				.filter((c) => c.tag === "li")
+				.map((li) => collapse(textOf(li)))
+				.filter(Boolean);
+			// Lists that are mostly links are leftover navigation
+			if (items.length && linkDensity(node) < 0.5) {
+				blocks.push({ type: "list", ordered: tag === "ol", items });
+			}
+			return;
+		}
+		if (tag === "img" || tag === "br") {
+			if (tag === "br") inline += "\n";
+			return;
+		}
+		if (tag === "table" && linkDensity(node) > 0.5) return;
+		const isBlock = BLOCK_TAGS.has(tag);
+		if (isBlock) flush();
+		for (const child of node.children) visit(child);
+		if (isBlock) flush();
+	};
+	for (const node of nodes) visit(node);
+	flush();
+	return blocks;
+}
+
+function blocksToText(blocks) {
+	return blocks
+		.map((b) =>
+			b.type === "list"
+				? b.items.map((item) => `- ${item}`).join("\n")
+				: b.text
+		)
+		.join("\n\n");
+}
+
+function limitBlocks(blocks, limit) {
+	const kept = [];
+	let used = 0;
+	for (const block of blocks) {
+		const size = block.type === "list" ? block.items.join(" ").length : block.text.length;
+		if (used + size > limit) {
+			if (kept.length === 0 && block.text) {
+				kept.push({ ...block, text: block.text.slice(0, limit) });
+			}
+			break;
+		}
+		kept.push(block);
+		used += size;
+	}
+	return kept;
+}
+
+// --- Metadata ---
+
+function collectMeta(root) {
+	const meta = {};
+	for (const el of walk(root)) {
+		if (el.tag !== "meta") continue;
+		const key = String(
+			el.attrs.property || el.attrs.name || el.attrs.itemprop || ""
+		).toLowerCase();
+		const value = collapse(el.attrs.content);
+		if (key && value && !(key in meta)) meta[key] = value;
+	}
+	return meta;
+}
+
+// Article-like objects from JSON-LD blocks (including @graph members)
+function collectJsonLd(root) {
+	const found = [];
+	const visit = (value) => {
+		if (!value || typeof value !== "object") return;
+		if (Array.isArray(value)) return value.forEach(visit);
+		const types = [].concat(value["@type"] || []).map(String);
+		if (types.some((t) => /Article|Posting|Report|WebPage|BlogPosting|NewsArticle/i.test(t))) {
+			found.push(value);
+		}
+		if (value["@graph"]) visit(value["@graph"]);
+	};
+	for (const el of walk(root)) {
+		if (el.tag !== "script" || !/ld\+json/i.test(el.attrs.type || "")) continue;
+		try {
+			visit(JSON.parse(el.children.map((c) => c.text || "").join("").trim()));
+		} catch (_) {
+			// malformed JSON-LD is common; ignore it
+		}
+	}
+	// Articles before generic WebPage entries
+	return found.sort((a, b) => {
+		const score = (v) => ([].concat(v["@type"]).some((t) => /WebPage/i.test(t)) ? 1 : 0);
+		return score(a) - score(b);
+	});
+}
+
+function ldNames(value) {
+	return []
+		.concat(value || [])
+		.map((v) => (typeof v === "string" ? v : v && v.name))
+		.filter((v) => typeof v === "string" && v.trim())
+		.map((v) => collapse(v));
+}
+
+function toIsoDate(value) {
+	if (!value) return null;
+	const ms = Date.parse(String(value).trim());
+	return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function resolveUrl(value, baseUrl) {
+	if (!value) return null;
+	try {
+		const resolved = new URL(value, baseUrl || undefined);
+		return /^https?:$/.test(resolved.protocol) ? resolved.toString() : null;
+	} catch (_) {
+		return null;
+	}
+}
+
+// "Article title | Site" -> "Article title" when the rest looks like a site name
+function cleanDocumentTitle(title, siteName) {
+	const text = collapse(title);
+	if (!text) return null;
+	const parts = text.split(/\s+[|\-–—:·»]\s+/);
+	if (parts.length < 2) return text;
+	if (siteName) {
+		const site = siteName.toLowerCase();
+		const kept = parts.filter((p) => p.toLowerCase() !== site);
+		if (kept.length < parts.length && kept.length > 0) return kept.join(" - ");
+	}
+	const first = parts[0];
+	return first.split(/\s+/).length >= 3 ? first : text;
+}
+
+function cleanByline(value) {
+	const text = collapse(value).replace(/^by\s+/i, "");
+	if (!text || text.length > 100 || /^https?:\/\//i.test(text)) return null;
+	return text;
+}
+
+// "Jane Doe and Sam Lee" and "Jane Doe, Sam Lee" name the same authors
+function bylineKey(value) {
+	const text = cleanByline(value);
+	return text ? text.toLowerCase().replace(/\s*(?:,|&|\band\b)\s*/g, ", ") : null;
+}
+
+function findBylineInMarkup(body) {
+	const el = findFirst(
+		body,
+		(node) =>
+			(node.attrs.rel === "author" ||
+				node.attrs.itemprop === "author" ||
+				BYLINE_HINT.test(hintOf(node))) &&
+			collapse(textOf(node)).length > 0 &&
+			collapse(textOf(node)).length <= 100
+	);
+	return el ? cleanByline(textOf(el)) : null;
+}
+
+function findDateInMarkup(body) {
+	const el = findFirst(
+		body,
+		(node) =>
+			node.attrs.itemprop === "datePublished" ||
+			(node.tag === "time" && (node.attrs.datetime || node.attrs.pubdate !== undefined))
+	);
+	if (!el) return null;
+	return toIsoDate(el.attrs.datetime || el.attrs.content || textOf(el));
+}
+
+function countWords(text) {
+	const matches = String(text || "").match(/[\p{L}\p{N}]+/gu);
+	return matches ? matches.length : 0;
+}
+
+/**
+ * Extract the main content and metadata of an HTML page
+ * @param {string} html
+ * @param {string} [url] - Page address, for resolving relative links
+ * @returns {{
+ *   title: string|null, byline: string|null, published_at: string|null,
+ *   site_name: string|null, description: string|null, image: string|null,
+ *   lang: string|null, excerpt: string|null, word_count: number,
+ *   blocks: Array<Object>, text: string
+ * }|null} null for empty input
+ */
+function extractArticle(html, url) {
+	if (!html || typeof html !== "string") return null;
+	const root = parseHtml(html);
+	const htmlEl = findFirst(root, (n) => n.tag === "html");
+	const titleEl = findFirst(root, (n) => n.tag === "title");
+	const meta = collectMeta(root);
+	const [ld = {}] = collectJsonLd(root);
+	const baseEl = findFirst(root, (n) => n.tag === "base" && n.attrs.href);
+	const baseUrl = resolveUrl(baseEl && baseEl.attrs.href, url) || url;
+
+	const body = findFirst(root, (n) => n.tag === "body") || root;
+	removeBoilerplate(body);
+
+	const siteName =
+		meta["og:site_name"] ||
+		ldNames(ld.publisher)[0] ||
+		meta["application-name"] ||
+		null;
+	const h1s = Array.from(walk(body)).filter((n) => n.tag === "h1");
+	const title =
+		collapse(meta["og:title"] || meta["twitter:title"] || ld.headline) ||
+		cleanDocumentTitle(titleEl ? textOf(titleEl) : "", siteName) ||
+		(h1s.length === 1 ? collapse(textOf(h1s[0])) : null) ||
+		null;
+
+	// Preferred containers, else the best scoring one
+	const marked =
+		findFirst(body, (n) => n.attrs.itemprop === "articleBody") ||
+		(() => {
+			const articles = Array.from(walk(body)).filter((n) => n.tag === "article");
+			return articles.length === 1 ? articles[0] : null;
+		})();
+	let nodes = null;
+	if (marked && collapse(textOf(marked)).length >= MIN_ARTICLE_LENGTH) {
+		nodes = [marked];
+	} else {
+		const candidate = findTopCandidate(body);
+		if (candidate) {
+			const gathered = gatherArticleNodes(candidate);
+			const length = gathered.reduce((n, g) => n + collapse(textOf(g)).length, 0);
+			if (length >= MIN_ARTICLE_LENGTH) nodes = gathered;
+		}
+	}
+	let blocks = toBlocks(nodes || [body]);
+	// The title repeated as the first heading adds nothing to the reader view
+	if (
+		blocks[0] &&
+		blocks[0].type === "heading" &&
+		title &&
+		blocks[0].text.toLowerCase() === title.toLowerCase()
+	) {
+		blocks = blocks.slice(1);
+	}
+	const byline =
+		cleanByline(meta.author) ||
+		cleanByline(meta["article:author"]) ||
+		cleanByline(ldNames(ld.author).join(", ")) ||
+		findBylineInMarkup(body) ||
+		null;
+	// ...and so does a "By <author>" line near the top
+	if (byline) {
+		const key = bylineKey(byline);
+		blocks = blocks.filter(
+			(b, i) => !(i < 3 && b.type === "paragraph" && bylineKey(b.text) === key)
+		);
+	}
+	blocks = limitBlocks(blocks, ARTICLE_CHAR_LIMIT);
+	const text = blocksToText(blocks);
+	const description =
+		meta["og:description"] ||
+		meta["twitter:description"] ||
+		meta.description ||
+		(typeof ld.description === "string" ? collapse(ld.description) : null) ||
+		null;
+	const firstParagraph = blocks.find((b) => b.type === "paragraph");
+
+	return {
+		title,
+		byline,
+		published_at:
+			toIsoDate(meta["article:published_time"]) ||
+			toIsoDate(ld.datePublished) ||
+			toIsoDate(
+				meta["og:published_time"] ||
+					meta.pubdate ||
+					meta["publish-date"] ||
+					meta.date ||
+					meta["dc.date"] ||
+					meta["dc.date.issued"] ||
+					meta["parsely-pub-date"]
+			) ||
+			findDateInMarkup(body) ||
+			null,
+		site_name: siteName,
+		description,
+		image: resolveUrl(
+			meta["og:image"] || meta["og:image:url"] || meta["twitter:image"],
+			baseUrl
+		),
+		lang: (htmlEl && htmlEl.attrs.lang) || meta["og:locale"] || null,
+		excerpt: description || (firstParagraph ? firstParagraph.text.slice(0, 300) : null),
+		word_count: countWords(text),
+		blocks,
+		text,
+	};
+}
+
+module.exports = {
+	ARTICLE_CHAR_LIMIT,
+	parseHtml,
+	extractArticle,
+};
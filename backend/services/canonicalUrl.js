@@ -0,0 +1,124 @@
+/**
+ * Canonical URLs for cross-source deduplication
+ *
+ * canonicalizeUrl() turns any link to an article into the key stored in
+ * content_items.canonical_url: tracking parameters dropped, host and scheme
+ * normalized, known aliases (youtu.be, arXiv PDFs) mapped to one form. The
+ * key is for comparison only; items keep their original url for fetching.
+ */
+
+// Query parameters that identify a campaign or a click, never the page.
+// Generic names such as ref (a branch on GitHub) are left alone.
+const TRACKING_PARAM_PATTERN =
+	/^(utm_\w+|mc_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|twclid|igshid|mkt_tok|_hsenc|_hsmi|hsctatracking|sr_share)$/i;
+// Mobile/AMP host prefixes that serve the same page as the bare host
+const HOST_PREFIX_PATTERN = /^(www\d*|m|mobile|amp)\./i;
+
+/**
+ * Remove tracking parameters and the fragment, keeping the URL fetchable
+ * @param {string} value
+ * @returns {string|null} http(s) URL or null when invalid
+ */
+function stripTrackingParams(value) {
+	try {
+		const url = new URL(String(value || "").trim());
+		if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+		url.hash = "";
+		url.hostname = url.hostname.toLowerCase();
+		for (const key of Array.from(url.searchParams.keys())) {
+			if (TRACKING_PARAM_PATTERN.test(key)) url.searchParams.delete(key);
+		}
+		return url.href;
+	} catch (_) {
+		return null;
+	}
+}
+
+// Site-specific aliases of the same resource
+function normalizeKnownHosts(url) {
+	if (url.hostname === "youtu.be") {
+		const id = url.pathname.slice(1);
+		url.hostname = "youtube.com";
+		url.pathname = "/watch";
+		url.search = "";
+		if (id) url.searchParams.set("v", id);
+	} else if (url.hostname === "youtube.com" && url.pathname.startsWith("/shorts/")) {
+		const id = url.pathname.split("/")[2];
+		url.pathname = "/watch";
+		url.search = "";
+		if (id) url.searchParams.set("v", id);
+	} else if (url.hostname === "youtube.com") {
+		// Share links add si=<share id>
+		url.searchParams.delete("si");
+	} else if (url.hostname === "arxiv.org" || url.hostname === "export.arxiv.org") {
+		// /pdf/2401.01234v2(.pdf) and /abs/2401.01234v2 -> /abs/2401.01234
+		url.hostname = "arxiv.org";
+		const match = /^\/(?:abs|pdf)\/(.+?)(?:v\d+)?(?:\.pdf)?$/.exec(url.pathname);
+		if (match) url.pathname = `/abs/${match[1]}`;
+	}
+}
+
+/**
+ * Comparison key for a URL (content_items.canonical_url)
+ * @param {string} value
+ * @returns {string|null}
+ */
+function canonicalizeUrl(value) {
+	const stripped = stripTrackingParams(value);
+	if (!stripped) return null;
+	const url = new URL(stripped);
+	url.protocol = "https:";
+	url.username = "";
+	url.password = "";
+	url.hostname = url.hostname.replace(/\.$/, "").replace(HOST_PREFIX_PATTERN, "");
+	normalizeKnownHosts(url);
+	if (url.searchParams.get("amp") === "1") url.searchParams.delete("amp");
+	url.pathname = url.pathname
+		.replace(/\/{2,}/g, "/")
+		.replace(/\/(amp|index\.html?)$/i, "/")
+		.replace(/(.)\/+$/, "$1");
+	url.searchParams.sort();
+	return url.href;
+}
+
+/**
+ * The page's declared canonical URL (<link rel="canonical">, else og:url)
+ * @param {string} html
+ * @param {string} baseUrl - URL the page was fetched from, for relative links
+ * @returns {string|null}
+ */
+function extractCanonicalLink(html, baseUrl) {
+	const head = String(html || "").slice(0, 200000);
+	const tags = head.match(/<(?:link|meta)\s[^>]*>/gi) || [];
+	const attr = (tag, name) => {
+		const m = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i").exec(tag);
+		return m ? (m[1] || m[2] || "").trim() : null;
+	};
+	let href = null;
+	for (const tag of tags) {
+		if (/^<link/i.test(tag) && /(^|\s)canonical(\s|$)/i.test(attr(tag, "rel") || "")) {
+			href = attr(tag, "href");
+			break;
+		}
+	}
+	if (!href) {
+		const og = tags.find((t) => /^<meta/i.test(t) && attr(t, "property") === "og:url");
+		href = og ? attr(og, "content") : null;
+	}
+	if (!href) return null;
+	try {
+		const resolved = new URL(href.replace(/&amp;/g, "&"), baseUrl);
+		const base = new URL(baseUrl);
+		// Sites that point every page at their home page declare nothing useful
+		if (resolved.pathname === "/" && base.pathname !== "/") return null;
+		return resolved.href;
+	} catch (_) {
+		return null;
+	}
+}
+
+module.exports = {
+	canonicalizeUrl,
+	stripTrackingParams,
+	extractCanonicalLink,
+};
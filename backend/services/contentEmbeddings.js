@@ -1,4 +1,17 @@
+const crypto = require("crypto");
 const AIService = require("./ai");
+const {
+	getContentEmbedding,
+	findContentEmbeddingByHash,
+	upsertContentEmbedding,
+	updateResearchStatementEmbedding,
+} = require("../database");
+const { decodeEmbedding } = require("../db/embeddingBlob");
+const { indexContentEmbedding } = require("./embeddingIndex");
+const { parseChunkedText, sampleChunks } = require("./transcripts");
+
+// Long chunked texts (transcripts) are embedded per chunk and averaged
+const EMBED_MAX_CHUNKS = Number(process.env.EMBED_MAX_CHUNKS || 8);
 
 function extractContentText(item) {
 	try {
@@ -28,44 +41,161 @@ function extractContentText(item) {
 	}
 }
 
+function isChunkedItem(item) {
+	try {
+		const raw =
+			typeof item.raw_content === "string"
+				? JSON.parse(item.raw_content || "{}")
+				: item.raw_content || {};
+		return Boolean(raw && raw.transcript);
+	} catch (_) {
+		return false;
+	}
+}
+
+/**
+ * Texts to embed for an item: one per transcript chunk (spread over the whole
+ * transcript, each prefixed with the title), otherwise extractContentText()
+ * @returns {string[]}
+ */
+function extractContentChunks(item) {
+	if (!isChunkedItem(item) || !item.page_text) {
+		const text = extractContentText(item);
+		return text ? [text] : [];
+	}
+	const MAX_LEN = Number(process.env.EMBED_TEXT_MAX_CHARS || 1000);
+	const title = typeof item.title === "string" ? item.title.trim() : "";
+	const chunks = sampleChunks(parseChunkedText(item.page_text), EMBED_MAX_CHUNKS);
+	return chunks.map((chunk) =>
+		[title, chunk.text].filter(Boolean).join("\n\n").slice(0, MAX_LEN)
+	);
+}
+
+// Mean of the chunk embeddings; a single text is embedded as is
+async function generateEmbeddingForItem(item) {
+	const chunks = extractContentChunks(item);
+	if (chunks.length === 0) throw new Error("Item has no text to embed");
+	if (chunks.length === 1) return generateEmbeddingForText(chunks[0]);
+	const vectors = [];
+	for (const chunk of chunks) {
+		vectors.push(await generateEmbeddingForText(chunk));
+	}
+	const mean = new Array(vectors[0].length).fill(0);
+	for (const vector of vectors) {
+		for (let i = 0; i < mean.length; i++) {
+			mean[i] += vector[i] / vectors.length;
+		}
+	}
+	return mean;
+}
+
+// Identifies the text an item's embedding was made from
+function contentTextHash(chunks) {
+	return crypto
+		.createHash("sha256")
+		.update(JSON.stringify(chunks))
+		.digest("hex");
+}
+
+/**
+ * The item's content embedding, shared by every research statement. It is
+ * stored once per item under the embedding model and a hash of the embedded
+ * text: an unchanged item keeps its embedding, and an item whose text was
+ * already embedded for another item copies that one instead of calling the
+ * provider.
+ * @param {Object} item - Content item row with id
+ * @param {Object} [options]
+ * @param {Object|null} [options.stored] - The item's content_embeddings row
+ *   when the caller already loaded it (getContentEmbeddingsForItems)
+ * @returns {Promise<{embedding: number[], cached: boolean}>}
+ */
+async function ensureItemEmbedding(item, { stored } = {}) {
+	const chunks = extractContentChunks(item);
+	if (chunks.length === 0) throw new Error("Item has no text to embed");
+	const ai = new AIService();
+	const model = ai.embeddingModelId();
+	const textHash = contentTextHash(chunks);
+
+	const current =
+		stored === undefined ? await getContentEmbedding(item.id) : stored;
+	if (current && current.model === model && current.text_hash === textHash) {
+		const embedding = parseEmbeddingPayload(current.embedding);
+		if (embedding) return { embedding, cached: true };
+	}
+
+	const shared = await findContentEmbeddingByHash(model, textHash);
+	let embedding = shared ? parseEmbeddingPayload(shared.embedding) : null;
+	const cached = Boolean(embedding);
+	if (!embedding) embedding = await generateEmbeddingForItem(item);
+	await upsertContentEmbedding({
+		content_item_id: item.id,
+		model,
+		text_hash: textHash,
+		embedding,
+	});
+	indexContentEmbedding(item.id, embedding);
+	return { embedding, cached };
+}
+
+/**
+ * A research statement's embedding under the current embedding model. One
+ * stored by another model (another provider, or a row from before models
+ * were recorded) is re-embedded and saved, so it is never compared with
+ * content embeddings of another dimension.
+ * @param {Object} statement - research_statements row
+ * @returns {Promise<number[]|null>} null when it cannot be embedded
+ */
+async function ensureStatementEmbedding(statement) {
+	if (!statement) return null;
+	const ai = new AIService();
+	const model = ai.embeddingModelId();
+	if (statement.embedding_model === model) {
+		const embedding = parseEmbeddingPayload(statement.embedding);
+		if (embedding && embedding.length > 0) return embedding;
+	}
+	const text = String(statement.statement || "").trim();
+	if (!text || !ai.isAvailable()) return null;
+	try {
+		const { embedding } = await ai.embedText(text);
+		await updateResearchStatementEmbedding(statement.id, embedding, model);
+		console.log(
+			`[${new Date().toISOString()}] Re-embedded research statement ${
+				statement.id
+			} with ${model}`
+		);
+		return embedding;
+	} catch (err) {
+		console.warn(
+			`[${new Date().toISOString()}] Embedding research statement ${
+				statement.id
+			} failed: ${err.message}`
+		);
+		return null;
+	}
+}
+
 async function generateEmbeddingForText(text) {
 	const ai = new AIService();
 	if (!ai.isAvailable()) {
-		throw new Error("AI service not available - set OPENAI_API_KEY");
+		throw new Error("AI service not available - configure an AI provider");
 	}
 	const { embedding } = await ai.embedText(text);
 	return embedding;
 }
 
-// Safely parse an embedding payload that may be a JSON string, array, or null
+// Parse a stored embedding (Float32 BLOB, or JSON text from older rows) into
+// a plain array; null when it cannot be read
 function parseEmbeddingPayload(payload) {
-	try {
-		if (payload == null) return null;
-		if (Array.isArray(payload)) return payload;
-		if (typeof payload === "string") {
-			const parsed = JSON.parse(payload);
-			return Array.isArray(parsed) ? parsed : null;
-		}
-		// Some drivers may hand us Buffers; convert to string then parse
-		if (Buffer.isBuffer(payload)) {
-			const str = payload.toString("utf8");
-			try {
-				const parsed = JSON.parse(str);
-				return Array.isArray(parsed) ? parsed : null;
-			} catch (_) {
-				return null;
-			}
-		}
-		return null;
-	} catch (_) {
-		return null;
-	}
+	const floats = decodeEmbedding(payload);
+	return floats ? Array.from(floats) : null;
 }
 
-// Compute cosine similarity between two numeric vectors
+// Compute cosine similarity between two numeric vectors; 0 when their
+// dimensions differ, since they then come from different embedding models
 function cosineSimilarity(vectorA, vectorB) {
 	if (!Array.isArray(vectorA) || !Array.isArray(vectorB)) return 0;
-	const len = Math.min(vectorA.length, vectorB.length);
+	if (vectorA.length !== vectorB.length) return 0;
+	const len = vectorA.length;
 	if (len === 0) return 0;
 	let dot = 0;
 	let normA = 0;
@@ -101,7 +231,11 @@ function determineRelevanceTier(similarityScore) {
 
 module.exports = {
 	extractContentText,
+	extractContentChunks,
 	generateEmbeddingForText,
+	generateEmbeddingForItem,
+	ensureItemEmbedding,
+	ensureStatementEmbedding,
 	parseEmbeddingPayload,
 	cosineSimilarity,
 	determineRelevanceTier,
@@ -0,0 +1,134 @@
+/**
+ * Content quality checks for fetched pages
+ *
+ * Recognizes HTML pages whose extracted text is not the article itself:
+ * paywalls, cookie/consent walls and JavaScript-only shells. The collection
+ * job records the verdict as content_items.content_status and looks for
+ * fallback text when it is not "ok".
+ *
+ * The markers below only count when the page yielded little text, so an
+ * article that merely mentions cookies or subscriptions is not flagged.
+ */
+
+// Fewer words than this and a page is not worth summarizing on its own
+const MIN_CONTENT_WORDS = Number(process.env.MIN_CONTENT_WORDS || 80);
+// Paywall teasers rarely run longer than this
+const PAYWALL_TEASER_WORDS = 400;
+// Below this the page has practically no text at all
+const EMPTY_PAGE_WORDS = 20;
+
+// schema.org's paywall flag, which publishers set for search engines
+const PAYWALL_FLAG = /"isAccessibleForFree"\s*:\s*"?false"?/i;
+const PAYWALL_MARKUP =
+	/\b(?:class|id)=["'][^"']*\b(?:paywall|piano-(?:inline|offer|paywall)|tp-modal|meter(?:ed)?-?wall|regwall|subscriber-only|premium-wall)\b/i;
+const PAYWALL_TEXT = [
+	/subscribe (?:now |today )?to (?:continue|keep) reading/i,
+	/(?:article|story|content) is (?:only )?(?:available|reserved|exclusive) (?:to|for) (?:paying )?(?:subscribers|members)/i,
+	/already (?:a subscriber|a member|have an account)\?/i,
+	/(?:sign|log) in (?:or (?:subscribe|register) )?to (?:continue reading|read (?:the full|this) (?:article|story))/i,
+	/you(?:'ve| have) (?:reached|used) (?:your|all of your) (?:limit of )?free (?:articles|stories)/i,
+	/create a free account to (?:continue|keep) reading/i,
+];
+
+// consent.google.com, consent.yahoo.com and the like
+const CONSENT_HOST = /^(?:consent|consent-pref|cmp)\./i;
+const CONSENT_TEXT = [
+	/we (?:value|care about) your privacy/i,
+	/(?:accept|agree to|allow) (?:all )?cookies/i,
+	/before you continue to/i,
+	/(?:manage|customi[sz]e) (?:your )?(?:cookie|consent|privacy) (?:settings|preferences|choices)/i,
+	/we and our (?:\d+ )?(?:partners|vendors) (?:store|use|process)/i,
+];
+
+const SHELL_MARKUP = [
+	/<noscript[^>]*>[\s\S]{0,500}?(?:enable|turn on|requires?) javascript/i,
+	/<div[^>]+id=["'](?:root|app|__next|__nuxt|svelte)["'][^>]*>\s*<\/div>/i,
+	/you need to enable javascript to run this app/i,
+];
+
+function countWords(text) {
+	return (String(text || "").match(/[\p{L}\p{N}]+/gu) || []).length;
+}
+
+function hostnameOf(url) {
+	try {
+		return new URL(url).hostname;
+	} catch (_) {
+		return null;
+	}
+}
+
+// Share of the document taken up by inline scripts
+function scriptShare(html) {
+	let scripts = 0;
+	for (const match of html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)) {
+		scripts += match[1].length;
+	}
+	return html.length ? scripts / html.length : 0;
+}
+
+/**
+ * Judge the text extracted from an HTML page
+ * @param {Object} page
+ * @param {string} page.html - Raw document
+ * @param {string|null} page.text - Extracted main text
+ * @param {string} [page.url] - Final URL after redirects
+ * @returns {{status: string, reason: string|null}} status is "ok",
+ *   "paywall", "consent_wall" or "empty_shell"
+ */
+function assessPageContent({ html, text, url }) {
+	const source = String(html || "");
+	const words = countWords(text);
+	const host = hostnameOf(url);
+
+	if (host && CONSENT_HOST.test(host)) {
+		return { status: "consent_wall", reason: `Redirected to ${host}` };
+	}
+	if (words < PAYWALL_TEASER_WORDS) {
+		if (PAYWALL_FLAG.test(source)) {
+			return { status: "paywall", reason: "Marked isAccessibleForFree: false" };
+		}
+		const phrase = PAYWALL_TEXT.find((re) => re.test(text || ""));
+		if (phrase) return { status: "paywall", reason: "Subscription prompt in text" };
+	}
+	if (words < MIN_CONTENT_WORDS * 2) {
+		if (CONSENT_TEXT.some((re) => re.test(text || ""))) {
+			return { status: "consent_wall", reason: "Consent prompt in text" };
+		}
+		if (PAYWALL_MARKUP.test(source)) {
+			return { status: "paywall", reason: "Paywall markup" };
+		}
+	}
+	if (words < MIN_CONTENT_WORDS) {
+		if (SHELL_MARKUP.some((re) => re.test(source))) {
+			return { status: "empty_shell", reason: "Page requires JavaScript" };
+		}
+		if (scriptShare(source) > 0.5) {
+			return { status: "empty_shell", reason: "Page is mostly scripts" };
+		}
+	}
+	if (words < EMPTY_PAGE_WORDS) {
+		return { status: "empty_shell", reason: `Only ${words} words of text` };
+	}
+	return { status: "ok", reason: null };
+}
+
+/**
+ * Whether an item's page_text is only part of the page: a paywall teaser or
+ * a fallback snippet (the archive mirror's copy counts as the full page)
+ * @param {{content_status?: string|null, content_source?: string|null}} item
+ */
+function isPartialContent(item) {
+	return Boolean(
+		item &&
+			item.content_status &&
+			item.content_status !== "ok" &&
+			item.content_source &&
+			item.content_source !== "archive"
+	);
+}
+
+module.exports = {
+	assessPageContent,
+	isPartialContent,
+};
@@ -0,0 +1,223 @@
+/**
+ * In-memory nearest-neighbour index over content embeddings
+ *
+ * Vectors are L2-normalized and packed into one Float32Array, so cosine
+ * similarity is a dot product over contiguous memory and 50k items of 1536
+ * dimensions take about 300 MB. Search is exact (a linear scan keeping the
+ * top k), which is fast enough at this size and needs no SQLite extension.
+ *
+ * contentIndex() holds the shared index of every non-duplicate item, loaded
+ * once from content_embeddings and kept current by ensureItemEmbedding().
+ */
+
+const {
+	eachContentEmbedding,
+	countContentEmbeddings,
+} = require("../database");
+const { decodeEmbedding } = require("../db/embeddingBlob");
+const AIService = require("./ai");
+
+const INITIAL_CAPACITY = 256;
+
+class EmbeddingIndex {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.dims] - Vector dimension; taken from the first
+	 *   vector added when not given
+	 */
+	constructor({ dims = 0 } = {}) {
+		this.dims = Math.max(0, Math.floor(Number(dims) || 0));
+		this.size = 0;
+		this.ids = new Float64Array(0);
+		this.matrix = new Float32Array(0);
+		this.rowById = new Map();
+	}
+
+	// Normalized copy, or null when the vector is empty, all zero or of
+	// another dimension than the index
+	normalize(vector) {
+		const floats = decodeEmbedding(vector);
+		if (!floats || floats.length === 0) return null;
+		if (this.dims && floats.length !== this.dims) return null;
+		let norm = 0;
+		for (let i = 0; i < floats.length; i++) {
+			if (!Number.isFinite(floats[i])) return null;
+			norm += floats[i] * floats[i];
+		}
+		if (norm === 0) return null;
+		const scale = 1 / Math.sqrt(norm);
+		const result = new Float32Array(floats.length);
+		for (let i = 0; i < floats.length; i++) result[i] = floats[i] * scale;
+		return result;
+	}
+
+	grow() {
+		const capacity = Math.max(INITIAL_CAPACITY, this.ids.length * 2);
+		const ids = new Float64Array(capacity);
+		ids.set(this.ids.subarray(0, this.size));
+		const matrix = new Float32Array(capacity * this.dims);
+		matrix.set(this.matrix.subarray(0, this.size * this.dims));
+		this.ids = ids;
+		this.matrix = matrix;
+	}
+
+	/**
+	 * Add or replace an item's vector
+	 * @param {number} id
+	 * @param {number[]|Float32Array|Buffer|string} vector
+	 * @returns {boolean} false when the vector is unusable or its dimension
+	 *   differs from the vectors already indexed
+	 */
+	add(id, vector) {
+		const normalized = this.normalize(vector);
+		if (!normalized) return false;
+		if (!this.dims) this.dims = normalized.length;
+		let row = this.rowById.get(id);
+		if (row === undefined) {
+			if (this.size === this.ids.length) this.grow();
+			row = this.size++;
+			this.ids[row] = id;
+			this.rowById.set(id, row);
+		}
+		this.matrix.set(normalized, row * this.dims);
+		return true;
+	}
+
+	// The stored (normalized) vector of an item
+	vector(id) {
+		const row = this.rowById.get(id);
+		if (row === undefined) return null;
+		return this.matrix.subarray(row * this.dims, (row + 1) * this.dims);
+	}
+
+	// Similarity of two indexed items; null when either is not indexed
+	similarityBetween(idA, idB) {
+		const rowB = this.rowById.get(idB);
+		const vectorA = this.vector(idA);
+		if (!vectorA || rowB === undefined) return null;
+		return Math.min(1, Math.max(-1, this.dot(vectorA, rowB)));
+	}
+
+	dot(query, row) {
+		const offset = row * this.dims;
+		let sum = 0;
+		for (let i = 0; i < this.dims; i++) sum += query[i] * this.matrix[offset + i];
+		return sum;
+	}
+
+	/**
+	 * The k items most similar to a vector
+	 * @param {number[]|Float32Array|Buffer|string} vector
+	 * @param {Object} [options]
+	 * @param {number} [options.k=10]
+	 * @param {number} [options.minSimilarity=-1]
+	 * @param {(id: number) => boolean} [options.filter] - Items to consider
+	 * @returns {Array<{id: number, similarity: number}>} Most similar first
+	 */
+	search(vector, { k = 10, minSimilarity = -1, filter = null } = {}) {
+		const query = this.normalize(vector);
+		const limit = Math.max(0, Math.floor(Number(k) || 0));
+		if (!query || limit === 0) return [];
+		// Kept sorted, most similar first; k is small
+		const top = [];
+		for (let row = 0; row < this.size; row++) {
+			const id = this.ids[row];
+			if (filter && !filter(id)) continue;
+			const similarity = Math.min(1, Math.max(-1, this.dot(query, row)));
+			if (similarity < minSimilarity) continue;
+			if (top.length === limit && similarity <= top[limit - 1].similarity) {
+				continue;
+			}
+			let at = top.length;
+			while (at > 0 && top[at - 1].similarity < similarity) at--;
+			top.splice(at, 0, { id, similarity });
+			if (top.length > limit) top.pop();
+		}
+		return top;
+	}
+
+	/**
+	 * Similarity of a vector to each of the given items that are indexed
+	 * @returns {Map<number, number>}
+	 */
+	similarities(vector, ids) {
+		const result = new Map();
+		const query = this.normalize(vector);
+		if (!query) return result;
+		for (const id of ids) {
+			const row = this.rowById.get(id);
+			if (row === undefined) continue;
+			result.set(id, Math.min(1, Math.max(-1, this.dot(query, row))));
+		}
+		return result;
+	}
+}
+
+let sharedIndex = null;
+let loading = null;
+// Embeddings stored while the index loads, applied once it is ready
+const pending = new Map();
+
+/**
+ * Read the shared index from content_embeddings. Rows embedded with another
+ * model than the current one are left out. The dimension comes from the
+ * provider, or else from the current model's rows, which are read first;
+ * rows moved over from older versions (no model recorded) are then included
+ * when their dimension matches.
+ * @returns {Promise<EmbeddingIndex>}
+ */
+async function loadContentIndex() {
+	const ai = new AIService();
+	const model = ai.embeddingModelId();
+	const index = new EmbeddingIndex({ dims: ai.provider.embeddingDims });
+	const started = Date.now();
+	let skipped = 0;
+	const addRow = (row) => {
+		if (!index.add(row.content_item_id, row.embedding)) skipped += 1;
+	};
+	await eachContentEmbedding(addRow, { model });
+	if (index.dims) {
+		await eachContentEmbedding(addRow, { model: "" });
+	} else {
+		// Nothing to check the older rows against yet
+		skipped += await countContentEmbeddings({ model: "" });
+	}
+	console.log(
+		`[${new Date().toISOString()}] Embedding index loaded: ${
+			index.size
+		} items in ${Date.now() - started} ms${
+			skipped ? `, ${skipped} skipped (not ${index.dims || "?"}-dimensional)` : ""
+		}`
+	);
+	return index;
+}
+
+// The shared index of all non-duplicate items, loaded on first use
+function contentIndex() {
+	if (sharedIndex) return Promise.resolve(sharedIndex);
+	if (!loading) {
+		loading = loadContentIndex()
+			.then((index) => {
+				for (const [id, embedding] of pending) index.add(id, embedding);
+				pending.clear();
+				sharedIndex = index;
+				return index;
+			})
+			.finally(() => {
+				loading = null;
+			});
+	}
+	return loading;
+}
+
+// Keep the shared index current; a no-op until it is first used
+function indexContentEmbedding(contentItemId, embedding) {
+	if (sharedIndex) sharedIndex.add(Number(contentItemId), embedding);
+	else if (loading) pending.set(Number(contentItemId), embedding);
+}
+
+module.exports = {
+	EmbeddingIndex,
+	contentIndex,
+	indexContentEmbedding,
+};
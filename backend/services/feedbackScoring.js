@@ -1,7 +1,22 @@
-const {
-	parseEmbeddingPayload,
-	cosineSimilarity,
-} = require("./contentEmbeddings");
+const { parseEmbeddingPayload } = require("./contentEmbeddings");
+const { EmbeddingIndex } = require("./embeddingIndex");
+
+/**
+ * Index the rated items' embeddings once, for scoring many items against them
+ * @param {Array} ratedItems - Array of {content_item_id, rating, content_embedding} objects
+ * @returns {{index: EmbeddingIndex, ratings: Map<number, number>}}
+ */
+function buildRatedIndex(ratedItems) {
+	const index = new EmbeddingIndex();
+	const ratings = new Map();
+	for (const ratedItem of ratedItems || []) {
+		// Skip items with invalid embeddings
+		if (index.add(ratedItem.content_item_id, ratedItem.content_embedding)) {
+			ratings.set(ratedItem.content_item_id, Number(ratedItem.rating) || 1);
+		}
+	}
+	return { index, ratings };
+}
 
 /**
  * Compute a feedback-based score for a content item based on similarity to previously rated items.
@@ -14,7 +29,7 @@ const {
  * 5. Return weighted average of ratings, normalized to 0-1 scale
  *
  * @param {Array} targetEmbedding - Embedding vector for the item to score
- * @param {Array} ratedItems - Array of {content_item_id, rating, content_embedding} objects
+ * @param {Array|Object} ratedItems - Array of {content_item_id, rating, content_embedding} objects, or buildRatedIndex() of them
  * @param {Object} options - Configuration options
  * @returns {number} Feedback score between 0 and 1
  */
@@ -29,44 +44,23 @@ function computeFeedbackScore(targetEmbedding, ratedItems, options = {}) {
 		return 0;
 	}
 
-	if (!Array.isArray(ratedItems) || ratedItems.length === 0) {
+	const { index, ratings } = Array.isArray(ratedItems)
+		? buildRatedIndex(ratedItems)
+		: ratedItems || {};
+	if (!index || index.size === 0) {
 		return 0; // No feedback data available
 	}
 
-	const similarities = [];
+	// Top N rated items above the minimum similarity, most similar first
+	const topSimilarities = index.search(targetEmbedding, {
+		k: maxSimilarItems,
+		minSimilarity: minSimilarityThreshold,
+	});
 
-	// Calculate similarity to each rated item
-	for (const ratedItem of ratedItems) {
-		try {
-			const ratedEmbedding = parseEmbeddingPayload(ratedItem.content_embedding);
-			if (!Array.isArray(ratedEmbedding) || ratedEmbedding.length === 0) {
-				continue;
-			}
-
-			const similarity = cosineSimilarity(targetEmbedding, ratedEmbedding);
-			
-			// Only consider items above minimum similarity threshold
-			if (similarity >= minSimilarityThreshold) {
-				similarities.push({
-					similarity,
-					rating: Number(ratedItem.rating) || 1,
-					contentItemId: ratedItem.content_item_id,
-				});
-			}
-		} catch (err) {
-			// Skip items with invalid embeddings
-			continue;
-		}
-	}
-
-	if (similarities.length === 0) {
+	if (topSimilarities.length === 0) {
 		return 0; // No similar items found
 	}
 
-	// Sort by similarity (descending) and take top N
-	similarities.sort((a, b) => b.similarity - a.similarity);
-	const topSimilarities = similarities.slice(0, maxSimilarItems);
-
 	// Compute weighted score using exponential decay
 	let weightedSum = 0;
 	let totalWeight = 0;
@@ -77,7 +71,7 @@ function computeFeedbackScore(targetEmbedding, ratedItems, options = {}) {
 		const weight = Math.pow(item.similarity, similarityDecayFactor);
 		
 		// Convert rating (1-4) to normalized score (0-1)
-		const normalizedRating = (item.rating - 1) / 3.0;
+		const normalizedRating = (ratings.get(item.id) - 1) / 3.0;
 		
 		weightedSum += normalizedRating * weight;
 		totalWeight += weight;
@@ -113,10 +107,11 @@ function batchComputeFeedbackScores(targetItems, ratedItems, options = {}) {
 		}));
 	}
 
+	const ratedIndex = buildRatedIndex(ratedItems);
 	for (const targetItem of targetItems) {
 		try {
 			const targetEmbedding = parseEmbeddingPayload(targetItem.content_embedding);
-			const feedbackScore = computeFeedbackScore(targetEmbedding, ratedItems, options);
+			const feedbackScore = computeFeedbackScore(targetEmbedding, ratedIndex, options);
 			
 			results.push({
 				content_item_id: targetItem.content_item_id,
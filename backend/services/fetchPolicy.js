@@ -0,0 +1,364 @@
+/**
+ * Fetch policy for linked pages: robots.txt and per-domain rules
+ *
+ * - robots.txt is fetched once per origin, stored in the robots_txt table
+ *   and re-read after ROBOTS_TXT_TTL_HOURS. Rules are matched the way
+ *   RFC 9309 describes: the group for our product token (else "*"), longest
+ *   matching path wins, Allow wins ties, "*" and "$" wildcards.
+ * - Domain policies (domain_policies table, edited in Settings) apply to a
+ *   domain and its subdomains, the most specific domain winning:
+ *     allow      - fetch (still subject to robots.txt)
+ *     title_only - keep items but never fetch their pages
+ *     deny       - drop items linking there
+ *   plus an optional delay between requests and extra request headers.
+ */
+
+const {
+	getDomainPolicies,
+	upsertDomainPolicy,
+	deleteDomainPolicy,
+	getRobotsTxt,
+	saveRobotsTxt,
+} = require("../database");
+
+const USER_AGENT = "grist-mill-bot/0.1";
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = "grist-mill-bot";
+const RESPECT_ROBOTS_TXT = process.env.RESPECT_ROBOTS_TXT !== "false";
+const ROBOTS_TXT_TTL_HOURS = Number(process.env.ROBOTS_TXT_TTL_HOURS || 24);
+// Unreachable robots.txt (5xx, network errors) blocks the site for this long
+const ROBOTS_TXT_RETRY_HOURS = 1;
+const ROBOTS_TXT_TIMEOUT_MS = 5000;
+const ROBOTS_TXT_MAX_BYTES = 500 * 1024;
+// Crawl-delay values above this are capped rather than stalling a run
+const MAX_CRAWL_DELAY_MS = 60 * 1000;
+// Policies are re-read this often so edits from other processes apply
+const POLICY_RELOAD_MS = 60 * 1000;
+
+const ACCESS_VALUES = ["allow", "title_only", "deny"];
+const HEADER_NAME = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+// Header values never sent back to the browser
+const SENSITIVE_HEADER = /authorization|cookie|token|key|secret|password/i;
+const MAX_HEADERS = 20;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+
+let policies = null;
+let policiesLoadedAt = 0;
+// origin -> { rules, expiresAt }
+const robotsByOrigin = new Map();
+
+function hostOf(url) {
+	try {
+		return new URL(url).hostname.toLowerCase();
+	} catch (_) {
+		return null;
+	}
+}
+
+// "https://Example.com/x" or "*.example.com" -> "example.com"; other
+// subdomains, www. included, are kept so a policy covers only that host
+function normalizeDomain(value) {
+	let text = String(value || "").trim().toLowerCase();
+	if (!text) return null;
+	if (/^[a-z][a-z0-9+.-]*:\/\//.test(text)) text = hostOf(text) || "";
+	text = text.replace(/^\*\./, "").replace(/\.$/, "");
+	return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(text) ? text : null;
+}
+
+async function loadPolicies() {
+	if (!policies || Date.now() - policiesLoadedAt > POLICY_RELOAD_MS) {
+		try {
+			policies = await getDomainPolicies();
+		} catch (_) {
+			// Table missing (script without initializeDatabase): no policies
+			policies = [];
+		}
+		policiesLoadedAt = Date.now();
+	}
+	return policies;
+}
+
+/**
+ * Policy that applies to a URL: the one for its host or the closest parent
+ * domain
+ * @param {string} url
+ * @returns {Promise<{domain: string, access: string, delay_ms: number|null, headers: Object}|null>}
+ */
+async function getDomainPolicy(url) {
+	const host = hostOf(url);
+	if (!host) return null;
+	let best = null;
+	for (const policy of await loadPolicies()) {
+		const matches = host === policy.domain || host.endsWith(`.${policy.domain}`);
+		if (matches && (!best || policy.domain.length > best.domain.length)) {
+			best = policy;
+		}
+	}
+	return best;
+}
+
+/**
+ * Validate a policy from the API
+ * @returns {{policy?: Object, error?: string}}
+ */
+function normalizeDomainPolicy(input, existing) {
+	const domain = normalizeDomain(input && input.domain);
+	if (!domain) return { error: "A valid domain is required" };
+	const access = input.access || "allow";
+	if (!ACCESS_VALUES.includes(access)) {
+		return { error: `access must be one of ${ACCESS_VALUES.join(", ")}` };
+	}
+	let delayMs = null;
+	if (input.delay_ms !== undefined && input.delay_ms !== null && input.delay_ms !== "") {
+		delayMs = Number(input.delay_ms);
+		if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > MAX_DELAY_MS) {
+			return { error: `delay_ms must be a whole number from 0 to ${MAX_DELAY_MS}` };
+		}
+	}
+	const headers = {};
+	const entries = Object.entries(input.headers || {});
+	if (entries.length > MAX_HEADERS) {
+		return { error: `At most ${MAX_HEADERS} headers are allowed` };
+	}
+	for (const [rawName, value] of entries) {
+		const name = String(rawName).trim().toLowerCase();
+		if (!HEADER_NAME.test(name)) return { error: `Invalid header name: ${rawName}` };
+		// null keeps a stored value the browser never saw
+		if (value === null) {
+			const kept = existing && existing.headers && existing.headers[name];
+			if (kept) headers[name] = kept;
+			continue;
+		}
+		const text = String(value);
+		if (/[\r\n]/.test(text)) return { error: `Invalid value for header ${rawName}` };
+		headers[name] = text.trim();
+	}
+	return { policy: { domain, access, delay_ms: delayMs, headers } };
+}
+
+// Sensitive header values are replaced with null for the browser
+function redactPolicy(policy) {
+	const headers = {};
+	for (const [name, value] of Object.entries(policy.headers || {})) {
+		headers[name] = SENSITIVE_HEADER.test(name) ? null : value;
+	}
+	return { ...policy, headers };
+}
+
+async function listDomainPolicies() {
+	policies = null;
+	return (await loadPolicies()).map(redactPolicy);
+}
+
+/**
+ * Create or update a domain policy (replacing the one stored under
+ * previousDomain when the domain itself was edited)
+ * @returns {Promise<{ok: boolean, policy?: Object, error?: string}>}
+ */
+async function saveDomainPolicy(input, { previousDomain } = {}) {
+	const current = await loadPolicies();
+	const previous = normalizeDomain(previousDomain);
+	const existing =
+		current.find((p) => p.domain === (previous || normalizeDomain(input && input.domain))) ||
+		null;
+	const { policy, error } = normalizeDomainPolicy(input, existing);
+	if (error) return { ok: false, error };
+	if (previous && previous !== policy.domain) {
+		await deleteDomainPolicy(previous);
+	}
+	await upsertDomainPolicy(policy);
+	policies = null;
+	return { ok: true, policy: redactPolicy(policy) };
+}
+
+async function removeDomainPolicy(domain) {
+	const normalized = normalizeDomain(domain);
+	if (!normalized) return { ok: false, error: "A valid domain is required" };
+	const removed = await deleteDomainPolicy(normalized);
+	policies = null;
+	return removed > 0 ? { ok: true } : { ok: false, error: "Not found" };
+}
+
+// --- robots.txt ---
+
+/**
+ * Parse robots.txt into the rules that apply to our agent
+ * @param {string} text
+ * @returns {{rules: Array<{allow: boolean, pattern: string}>, crawlDelayMs: number|null}}
+ */
+function parseRobotsTxt(text) {
+	const groups = [];
+	let group = null;
+	let lastWasAgent = false;
+	for (const rawLine of String(text || "").split(/\r\n|\r|\n/)) {
+		const line = rawLine.replace(/#.*$/, "").trim();
+		const match = /^([A-Za-z-]+)\s*:\s*(.*)$/.exec(line);
+		if (!match) continue;
+		const key = match[1].toLowerCase();
+		const value = match[2].trim();
+		if (key === "user-agent") {
+			if (!lastWasAgent || !group) {
+				group = { agents: [], rules: [], crawlDelayMs: null };
+				groups.push(group);
+			}
+			group.agents.push(value.toLowerCase());
+			lastWasAgent = true;
+			continue;
+		}
+		lastWasAgent = false;
+		if (!group) continue;
+		if ((key === "allow" || key === "disallow") && value) {
+			group.rules.push({ allow: key === "allow", pattern: value });
+		} else if (key === "crawl-delay") {
+			const seconds = Number(value);
+			if (Number.isFinite(seconds) && seconds >= 0) {
+				group.crawlDelayMs = Math.min(seconds * 1000, MAX_CRAWL_DELAY_MS);
+			}
+		}
+	}
+
+	// Groups naming our token win over "*"; groups for the same agent merge
+	const ours = groups.filter((g) =>
+		g.agents.some((a) => a.split("/")[0] === ROBOTS_AGENT)
+	);
+	const chosen = ours.length > 0 ? ours : groups.filter((g) => g.agents.includes("*"));
+	return {
+		rules: chosen.flatMap((g) => g.rules),
+		crawlDelayMs: chosen.reduce(
+			(max, g) => (g.crawlDelayMs !== null && (max === null || g.crawlDelayMs > max) ? g.crawlDelayMs : max),
+			null
+		),
+	};
+}
+
+function patternToRegExp(pattern) {
+	const anchored = pattern.endsWith("$");
+	const body = (anchored ? pattern.slice(0, -1) : pattern)
+		.split("*")
+		.map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+		.join(".*");
+	return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Whether the parsed rules allow a path (with query string)
+ * @param {{rules: Array<{allow: boolean, pattern: string}>}} parsed
+ * @param {string} path
+ */
+function robotsAllows(parsed, path) {
+	if (path === "/robots.txt") return true;
+	let best = null;
+	for (const rule of parsed.rules) {
+		if (!patternToRegExp(rule.pattern).test(path)) continue;
+		const length = rule.pattern.length;
+		if (
+			!best ||
+			length > best.length ||
+			(length === best.length && rule.allow && !best.allow)
+		) {
+			best = { length, allow: rule.allow };
+		}
+	}
+	return best ? best.allow : true;
+}
+
+// Fetch, store and parse one origin's robots.txt
+async function refreshRobotsTxt(origin) {
+	const fetchedAt = new Date().toISOString();
+	let entry;
+	try {
+		const res = await fetch(`${origin}/robots.txt`, {
+			headers: { "user-agent": USER_AGENT },
+			signal: AbortSignal.timeout(ROBOTS_TXT_TIMEOUT_MS),
+		});
+		const body = res.ok ? (await res.text()).slice(0, ROBOTS_TXT_MAX_BYTES) : null;
+		if (!res.ok) await res.body?.cancel().catch(() => {});
+		entry = { origin, status: res.status, body, error: null, fetched_at: fetchedAt };
+	} catch (err) {
+		entry = {
+			origin,
+			status: null,
+			body: null,
+			error: err && err.name === "TimeoutError" ? "Timed out" : String(err?.cause?.code || err?.message || err),
+			fetched_at: fetchedAt,
+		};
+	}
+	try {
+		await saveRobotsTxt(entry);
+	} catch (_) {
+		// not persisted; still used for this process
+	}
+	return entry;
+}
+
+// 2xx: its rules; 4xx: no robots.txt, everything allowed; otherwise the
+// site is treated as fully disallowed until it can be read
+function rulesFromEntry(entry) {
+	if (entry.status >= 200 && entry.status < 300) return parseRobotsTxt(entry.body);
+	if (entry.status >= 400 && entry.status < 500) return { rules: [], crawlDelayMs: null };
+	return { rules: [{ allow: false, pattern: "/" }], crawlDelayMs: null, unreachable: true };
+}
+
+function entryExpiresAt(entry) {
+	const fetched = Date.parse(entry.fetched_at) || 0;
+	const hours = rulesFromEntry(entry).unreachable ? ROBOTS_TXT_RETRY_HOURS : ROBOTS_TXT_TTL_HOURS;
+	return fetched + hours * 60 * 60 * 1000;
+}
+
+async function getRobotsRules(origin) {
+	const memo = robotsByOrigin.get(origin);
+	if (memo && memo.expiresAt > Date.now()) return memo.rules;
+	let entry = null;
+	try {
+		entry = await getRobotsTxt(origin);
+	} catch (_) {
+		entry = null;
+	}
+	if (!entry || entryExpiresAt(entry) <= Date.now()) {
+		entry = await refreshRobotsTxt(origin);
+	}
+	const rules = rulesFromEntry(entry);
+	robotsByOrigin.set(origin, { rules, expiresAt: entryExpiresAt(entry) });
+	return rules;
+}
+
+/**
+ * Check a URL against its site's robots.txt
+ * @param {string} url
+ * @returns {Promise<{allowed: boolean, crawlDelayMs: number|null, reason?: string}>}
+ */
+async function checkRobotsTxt(url) {
+	if (!RESPECT_ROBOTS_TXT) return { allowed: true, crawlDelayMs: null };
+	let parsed;
+	try {
+		parsed = new URL(url);
+	} catch (_) {
+		return { allowed: false, crawlDelayMs: null, reason: "Invalid URL" };
+	}
+	if (!/^https?:$/.test(parsed.protocol)) return { allowed: true, crawlDelayMs: null };
+	const rules = await getRobotsRules(parsed.origin);
+	const allowed = robotsAllows(rules, `${parsed.pathname}${parsed.search}`);
+	return {
+		allowed,
+		crawlDelayMs: rules.crawlDelayMs,
+		reason: allowed
+			? undefined
+			: rules.unreachable
+			? "robots.txt could not be read"
+			: "Disallowed by robots.txt",
+	};
+}
+
+module.exports = {
+	USER_AGENT,
+	ACCESS_VALUES,
+	normalizeDomain,
+	getDomainPolicy,
+	listDomainPolicies,
+	saveDomainPolicy,
+	removeDomainPolicy,
+	parseRobotsTxt,
+	patternToRegExp,
+	robotsAllows,
+	checkRobotsTxt,
+};
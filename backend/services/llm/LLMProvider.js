@@ -0,0 +1,121 @@
+/*
+ * LLM provider interface
+ * - AIService reaches language models only through a provider
+ * - chat() returns free text, completeJson() an object matching a JSON
+ *   schema, embed() an embedding vector; each also returns token usage in
+ *   the OpenAI shape ({ prompt_tokens, completion_tokens, total_tokens })
+ * - services/llm/index.js picks the provider from the environment
+ */
+
+/**
+ * @typedef {{role: "system"|"user"|"assistant", content: string}} ChatMessage
+ */
+class LLMProvider {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.id - Stable id ("openai", "openai-compatible", "offline")
+	 * @param {string} options.name - Human readable name for logs and the API
+	 * @param {string|null} [options.chatModel]
+	 * @param {string|null} [options.embeddingModel]
+	 * @param {number|null} [options.embeddingDims] - Dimension of embed()'s
+	 *   vectors, when known ahead of the first call
+	 * @param {number} [options.costPer1kTokensUSD] - Default price used for the
+	 *   daily budget (AI_COST_PER_1K_TOKENS_USD overrides it)
+	 */
+	constructor({
+		id,
+		name,
+		chatModel = null,
+		embeddingModel = null,
+		embeddingDims = null,
+		costPer1kTokensUSD = 0,
+	} = {}) {
+		if (!id || typeof id !== "string") {
+			throw new Error("Provider id is required");
+		}
+		this.id = id;
+		this.name = name || id;
+		this.chatModel = chatModel;
+		this.embeddingModel = embeddingModel;
+		this.embeddingDims = embeddingDims;
+		this.costPer1kTokensUSD = costPer1kTokensUSD;
+	}
+
+	// Whether the provider is configured well enough to take requests
+	isAvailable() {
+		return true;
+	}
+
+	/**
+	 * @param {ChatMessage[]} messages
+	 * @param {Object} [options]
+	 * @param {number} [options.maxTokens]
+	 * @returns {Promise<{content: string, usage: Object|null}>}
+	 */
+	async chat() {
+		throw new Error(`Provider "${this.id}" does not implement chat()`);
+	}
+
+	/**
+	 * @param {ChatMessage[]} messages
+	 * @param {Object} options
+	 * @param {string} options.name - Schema name (letters, digits, _ and -)
+	 * @param {Object} options.schema - JSON schema the answer must match
+	 * @param {number} [options.maxTokens]
+	 * @returns {Promise<{data: Object, content: string, usage: Object|null}>}
+	 */
+	async completeJson() {
+		throw new Error(`Provider "${this.id}" does not implement completeJson()`);
+	}
+
+	/**
+	 * @param {string} text
+	 * @returns {Promise<{embedding: number[], usage: Object|null}>}
+	 */
+	async embed() {
+		throw new Error(`Provider "${this.id}" does not implement embed()`);
+	}
+
+	// Public description for GET /api/ai/test
+	describe() {
+		return {
+			id: this.id,
+			name: this.name,
+			chat_model: this.chatModel,
+			embedding_model: this.embeddingModel,
+			available: this.isAvailable(),
+		};
+	}
+}
+
+/**
+ * Parse a model's JSON answer; local models like to wrap it in a code fence
+ * or add a sentence around it
+ * @param {string} content
+ * @returns {Object}
+ */
+function parseJsonContent(content) {
+	const text = String(content || "").trim();
+	try {
+		return JSON.parse(text);
+	} catch (parseError) {
+		const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+		const start = text.indexOf("{");
+		const end = text.lastIndexOf("}");
+		const candidate = fenced
+			? fenced[1]
+			: start >= 0 && end > start
+				? text.slice(start, end + 1)
+				: null;
+		if (candidate) {
+			try {
+				return JSON.parse(candidate);
+			} catch (_) {
+				// fall through to the original error
+			}
+		}
+		throw new Error(`Invalid JSON response: ${parseError.message}`);
+	}
+}
+
+module.exports = { LLMProvider, parseJsonContent };
@@ -0,0 +1,87 @@
+/*
+ * LLM provider selection
+ * - AI_PROVIDER picks one: "openai", "openai-compatible" or "offline";
+ *   unset, it is "openai-compatible" when AI_BASE_URL is set and "openai"
+ *   otherwise
+ * - AI_CHAT_MODEL / AI_EMBEDDING_MODEL name the models (OpenAI defaults to
+ *   gpt-4o-mini and text-embedding-3-small; other servers need them set)
+ * - The provider is created once per process
+ */
+
+const { LLMProvider } = require("./LLMProvider");
+const { OpenAIProvider } = require("./openai");
+const { OfflineProvider } = require("./offline");
+
+const PROVIDER_IDS = ["openai", "openai-compatible", "offline"];
+
+let provider = null;
+
+function hostOf(url) {
+	try {
+		return new URL(url).host;
+	} catch (_) {
+		return url;
+	}
+}
+
+/**
+ * Build the provider described by the environment
+ * @param {Object} [env=process.env]
+ * @returns {LLMProvider}
+ */
+function createProvider(env = process.env) {
+	const baseURL = (env.AI_BASE_URL || "").trim() || null;
+	const id = (env.AI_PROVIDER || (baseURL ? "openai-compatible" : "openai"))
+		.trim()
+		.toLowerCase();
+
+	if (id === "offline") return new OfflineProvider();
+
+	if (id === "openai-compatible") {
+		if (!baseURL) {
+			console.warn("Warning: AI_PROVIDER=openai-compatible needs AI_BASE_URL");
+		} else if (!env.AI_CHAT_MODEL) {
+			console.warn(`Warning: AI_CHAT_MODEL not set for ${baseURL}`);
+		}
+		return new OpenAIProvider({
+			id,
+			name: `OpenAI-compatible (${hostOf(baseURL)})`,
+			apiKey: env.AI_API_KEY || null,
+			baseURL,
+			chatModel: env.AI_CHAT_MODEL || null,
+			embeddingModel: env.AI_EMBEDDING_MODEL || null,
+			jsonMode: env.AI_JSON_MODE || "json_schema",
+			tokenLimitParam: "max_tokens",
+		});
+	}
+
+	if (id !== "openai") {
+		console.warn(
+			`Warning: unknown AI_PROVIDER "${id}" (expected ${PROVIDER_IDS.join(", ")})`
+		);
+	}
+	const apiKey = env.OPENAI_API_KEY || env.AI_API_KEY || null;
+	if (!apiKey) {
+		console.warn("Warning: OPENAI_API_KEY not found in environment variables");
+	}
+	return new OpenAIProvider({
+		apiKey: id === "openai" ? apiKey : null,
+		chatModel: env.AI_CHAT_MODEL || "gpt-4o-mini",
+		embeddingModel: env.AI_EMBEDDING_MODEL || "text-embedding-3-small",
+		jsonMode: env.AI_JSON_MODE || "json_schema",
+		costPer1kTokensUSD: 0.00015,
+	});
+}
+
+// The process-wide provider
+function getProvider() {
+	if (!provider) provider = createProvider();
+	return provider;
+}
+
+module.exports = {
+	PROVIDER_IDS,
+	LLMProvider,
+	createProvider,
+	getProvider,
+};
@@ -0,0 +1,152 @@
+const { LLMProvider } = require("./LLMProvider");
+
+/*
+ * Deterministic offline provider
+ * - No network and no model: the same input always gives the same output,
+ *   so the whole pipeline runs without an API key and tests can assert on it
+ * - chat() answers with the leading sentences of the content it was given
+ *   (an extractive "summary")
+ * - completeJson() fills the schema; numbers are derived from a hash of the
+ *   prompt so scores spread over their range
+ * - embed() hashes words into a fixed-size vector, so texts sharing words
+ *   are close under cosine similarity
+ */
+
+const EMBEDDING_DIMS = Number(process.env.AI_OFFLINE_EMBEDDING_DIMS || 256);
+// Labels our prompts put in front of the text to work on
+const CONTENT_MARKERS = ["Content:", "Comments:", "Text:"];
+const SUMMARY_SENTENCES = 3;
+
+// 32-bit FNV-1a
+function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+// Rough token count, enough for usage tracking
+function estimateTokens(text) {
+	return Math.ceil(String(text || "").length / 4);
+}
+
+function usageFor(prompt, completion) {
+	const promptTokens = estimateTokens(prompt);
+	const completionTokens = estimateTokens(completion);
+	return {
+		prompt_tokens: promptTokens,
+		completion_tokens: completionTokens,
+		total_tokens: promptTokens + completionTokens,
+	};
+}
+
+function promptOf(messages) {
+	return (messages || []).map((m) => String(m.content || "")).join("\n\n");
+}
+
+// The text after the last content label of the last user message
+function contentOf(messages) {
+	const users = (messages || []).filter((m) => m.role === "user");
+	const last = String((users[users.length - 1] || {}).content || "");
+	let start = -1;
+	let markerLength = 0;
+	for (const marker of CONTENT_MARKERS) {
+		const at = last.lastIndexOf(marker);
+		if (at > start) {
+			start = at;
+			markerLength = marker.length;
+		}
+	}
+	return (start >= 0 ? last.slice(start + markerLength) : last)
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+function leadingSentences(text, count, maxChars) {
+	const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [];
+	let result = "";
+	for (const sentence of sentences.slice(0, count)) {
+		const next = `${result} ${sentence.trim()}`.trim();
+		if (result && next.length > maxChars) break;
+		result = next;
+	}
+	return result.slice(0, maxChars);
+}
+
+// A value of the schema's shape; seed picks numbers and enum members
+function fillSchema(schema, seed, path = "") {
+	const s = schema || {};
+	const pick = hashString(`${seed}:${path}`);
+	if (Array.isArray(s.enum) && s.enum.length) return s.enum[pick % s.enum.length];
+	const type = Array.isArray(s.type) ? s.type.find((t) => t !== "null") : s.type;
+	switch (type) {
+		case "object": {
+			const out = {};
+			for (const [key, sub] of Object.entries(s.properties || {})) {
+				out[key] = fillSchema(sub, seed, `${path}.${key}`);
+			}
+			return out;
+		}
+		case "array":
+			return [];
+		case "integer":
+		case "number": {
+			const min = Number.isFinite(s.minimum) ? s.minimum : 0;
+			const max = Number.isFinite(s.maximum) ? s.maximum : min + 10;
+			if (type === "integer") return min + (pick % (Math.floor(max - min) + 1));
+			return min + ((pick % 1000) / 1000) * (max - min);
+		}
+		case "boolean":
+			return false;
+		case "string":
+			return "";
+		default:
+			return null;
+	}
+}
+
+class OfflineProvider extends LLMProvider {
+	constructor() {
+		super({
+			id: "offline",
+			name: "Offline stub",
+			chatModel: "offline-extractive",
+			embeddingModel: `offline-hash-${EMBEDDING_DIMS}`,
+			embeddingDims: EMBEDDING_DIMS,
+			costPer1kTokensUSD: 0,
+		});
+	}
+
+	async chat(messages, { maxTokens = 300 } = {}) {
+		const content =
+			leadingSentences(contentOf(messages), SUMMARY_SENTENCES, maxTokens * 4) ||
+			"No content to summarize.";
+		return { content, usage: usageFor(promptOf(messages), content) };
+	}
+
+	async completeJson(messages, { schema } = {}) {
+		const prompt = promptOf(messages);
+		const data = fillSchema(schema, hashString(prompt));
+		const content = JSON.stringify(data);
+		return { data, content, usage: usageFor(prompt, content) };
+	}
+
+	async embed(text) {
+		const vector = new Array(EMBEDDING_DIMS).fill(0);
+		const words = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+		for (const word of words) {
+			const hash = hashString(word);
+			// The top bit picks the sign so unrelated words tend to cancel out
+			vector[hash % EMBEDDING_DIMS] += hash & 0x80000000 ? -1 : 1;
+		}
+		const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+		return {
+			embedding: vector.map((v) => v / norm),
+			usage: usageFor(text, ""),
+		};
+	}
+}
+
+module.exports = { OfflineProvider };
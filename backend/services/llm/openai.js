@@ -0,0 +1,141 @@
+const OpenAI = require("openai");
+const { LLMProvider, parseJsonContent } = require("./LLMProvider");
+
+// How completeJson() asks for structured output: "json_schema" (OpenAI,
+// recent Ollama and llama.cpp server), "json_object" (JSON mode plus the
+// schema in the prompt) or "prompt" (the schema in the prompt only)
+const JSON_MODES = ["json_schema", "json_object", "prompt"];
+
+// Dimensions of OpenAI's embedding models; other servers' are learned from
+// the stored embeddings
+const EMBEDDING_DIMS = {
+	"text-embedding-3-small": 1536,
+	"text-embedding-3-large": 3072,
+	"text-embedding-ada-002": 1536,
+};
+
+function schemaInstruction(schema) {
+	return `Respond with a single JSON object matching this JSON schema, and nothing else:\n${JSON.stringify(
+		schema
+	)}`;
+}
+
+/**
+ * OpenAI's API, or any server that implements its chat completions and
+ * embeddings endpoints (Ollama, llama.cpp server, vLLM, LM Studio)
+ */
+class OpenAIProvider extends LLMProvider {
+	/**
+	 * @param {Object} options
+	 * @param {string} [options.apiKey] - Optional for local servers
+	 * @param {string} [options.baseURL] - e.g. http://localhost:11434/v1; the
+	 *   OpenAI API when unset
+	 * @param {string} [options.jsonMode] - One of JSON_MODES
+	 * @param {string} [options.tokenLimitParam] - Request field for the output
+	 *   token limit; many compatible servers only know "max_tokens"
+	 */
+	constructor({
+		id = "openai",
+		name = "OpenAI",
+		apiKey = null,
+		baseURL = null,
+		chatModel = null,
+		embeddingModel = null,
+		jsonMode = "json_schema",
+		tokenLimitParam = "max_completion_tokens",
+		costPer1kTokensUSD = 0,
+	} = {}) {
+		super({
+			id,
+			name,
+			chatModel,
+			embeddingModel,
+			embeddingDims: EMBEDDING_DIMS[embeddingModel] || null,
+			costPer1kTokensUSD,
+		});
+		this.jsonMode = JSON_MODES.includes(jsonMode) ? jsonMode : "json_schema";
+		this.tokenLimitParam = tokenLimitParam;
+		// Local servers ignore the key, but the client insists on one
+		this.client =
+			apiKey || baseURL
+				? new OpenAI({ apiKey: apiKey || "not-needed", baseURL: baseURL || undefined })
+				: null;
+	}
+
+	isAvailable() {
+		return this.client !== null && Boolean(this.chatModel);
+	}
+
+	requireClient() {
+		if (!this.client) {
+			throw new Error(`${this.name} client not initialized - check its API key or base URL`);
+		}
+	}
+
+	async chat(messages, { maxTokens = 300 } = {}) {
+		this.requireClient();
+		const response = await this.client.chat.completions.create({
+			model: this.chatModel,
+			messages,
+			[this.tokenLimitParam]: maxTokens,
+		});
+		return {
+			content: response.choices[0].message.content || "",
+			usage: response.usage || null,
+		};
+	}
+
+	async completeJson(messages, { name, schema, maxTokens = 300 } = {}) {
+		this.requireClient();
+		const request = {
+			model: this.chatModel,
+			messages,
+			[this.tokenLimitParam]: maxTokens,
+		};
+		if (this.jsonMode === "json_schema") {
+			request.response_format = {
+				type: "json_schema",
+				json_schema: { name, strict: true, schema },
+			};
+		} else {
+			request.messages = [
+				...messages,
+				{ role: "system", content: schemaInstruction(schema) },
+			];
+			if (this.jsonMode === "json_object") {
+				request.response_format = { type: "json_object" };
+			}
+		}
+		const response = await this.client.chat.completions.create(request);
+		const content = response.choices[0].message.content || "";
+		return {
+			data: parseJsonContent(content),
+			content,
+			usage: response.usage || null,
+		};
+	}
+
+	async embed(text) {
+		this.requireClient();
+		if (!this.embeddingModel) {
+			throw new Error(`${this.name} has no embedding model - set AI_EMBEDDING_MODEL`);
+		}
+		// The client asks for base64 by default, which local servers may not
+		// support
+		const response = await this.client.embeddings.create({
+			model: this.embeddingModel,
+			input: text,
+			encoding_format: "float",
+		});
+		const vector =
+			response && response.data && response.data[0]
+				? response.data[0].embedding
+				: null;
+		if (!Array.isArray(vector)) {
+			throw new Error("Failed to generate embedding vector");
+		}
+		return { embedding: vector, usage: response.usage || null };
+	}
+}
+
+module.exports = { OpenAIProvider, JSON_MODES };
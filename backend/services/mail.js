@@ -0,0 +1,287 @@
+/**
+ * Minimal RFC 5322 / MIME reading for locally delivered mail
+ *
+ * Enough to read newsletters out of a Maildir or an mbox file: header
+ * unfolding and encoded words, multipart bodies, quoted-printable and base64
+ * transfer encodings, and charset decoding. Attachments are ignored.
+ *
+ * Messages are handled as bytes (Buffers, or "latin1" strings with one
+ * character per byte) until a part's transfer encoding and charset are
+ * known, so 8bit bodies in ISO-8859-1 and the like decode correctly.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// mbox "From " lines carry a local time without a zone; allow for it
+const MBOX_DATE_SLACK_MS = 24 * 60 * 60 * 1000;
+
+function decodeCharset(buffer, charset) {
+	const label = String(charset || "utf-8").toLowerCase();
+	try {
+		return new TextDecoder(label).decode(buffer);
+	} catch (_) {
+		// Unknown label: UTF-8 is the best guess for newsletters
+		return new TextDecoder("utf-8").decode(buffer);
+	}
+}
+
+function decodeQuotedPrintable(text) {
+	const bytes = [];
+	const input = String(text).replace(/=\r?\n/g, "");
+	for (let i = 0; i < input.length; i++) {
+		const ch = input[i];
+		if (ch === "=" && /^[0-9A-Fa-f]{2}$/.test(input.slice(i + 1, i + 3))) {
+			bytes.push(parseInt(input.slice(i + 1, i + 3), 16));
+			i += 2;
+		} else if (ch.charCodeAt(0) < 0x100) {
+			bytes.push(ch.charCodeAt(0));
+		} else {
+			bytes.push(...Buffer.from(ch, "utf8"));
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+function decodeTransfer(body, encoding) {
+	switch (String(encoding || "").toLowerCase()) {
+		case "base64":
+			return Buffer.from(String(body).replace(/\s+/g, ""), "base64");
+		case "quoted-printable":
+			return decodeQuotedPrintable(body);
+		default:
+			return Buffer.from(String(body), "latin1");
+	}
+}
+
+// RFC 2047 encoded words: =?utf-8?B?...?= and =?utf-8?Q?...?=
+function decodeEncodedWords(value) {
+	return String(value || "")
+		.replace(/\?=\s+=\?/g, "?==?")
+		.replace(
+			/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g,
+			(_, charset, kind, data) => {
+				const buffer =
+					kind.toUpperCase() === "B"
+						? Buffer.from(data, "base64")
+						: decodeQuotedPrintable(data.replace(/_/g, " "));
+				return decodeCharset(buffer, charset);
+			}
+		);
+}
+
+// Header block -> { lowercased name: value } (first occurrence wins)
+function parseHeaders(block) {
+	const headers = {};
+	const unfolded = String(block).replace(/\r?\n[ \t]+/g, " ");
+	for (const line of unfolded.split(/\r?\n/)) {
+		const idx = line.indexOf(":");
+		if (idx <= 0) continue;
+		const name = line.slice(0, idx).trim().toLowerCase();
+		if (!(name in headers)) headers[name] = line.slice(idx + 1).trim();
+	}
+	return headers;
+}
+
+// "text/html; charset=UTF-8; boundary=x" -> { type, params }
+function parseContentType(value) {
+	const [type, ...rest] = String(value || "text/plain").split(";");
+	const params = {};
+	for (const part of rest) {
+		const idx = part.indexOf("=");
+		if (idx <= 0) continue;
+		params[part.slice(0, idx).trim().toLowerCase()] = part
+			.slice(idx + 1)
+			.trim()
+			.replace(/^"(.*)"$/, "$1");
+	}
+	return { type: type.trim().toLowerCase() || "text/plain", params };
+}
+
+function splitHeaderAndBody(raw) {
+	const match = /\r?\n\r?\n/.exec(raw);
+	if (!match) return { head: raw, body: "" };
+	return {
+		head: raw.slice(0, match.index),
+		body: raw.slice(match.index + match[0].length),
+	};
+}
+
+// Collect text/plain and text/html leaves of a (possibly nested) MIME
+// entity; raw is a latin1 byte string
+function collectTextParts(raw, parts, depth = 0) {
+	const { head, body } = splitHeaderAndBody(raw);
+	const headers = parseHeaders(head);
+	const { type, params } = parseContentType(headers["content-type"]);
+	const disposition = String(
+		headers["content-disposition"] || ""
+	).toLowerCase();
+
+	if (type.startsWith("multipart/") && params.boundary && depth < 5) {
+		const delimiter = `--${params.boundary}`;
+		const sections = body.split(delimiter).slice(1);
+		for (const section of sections) {
+			if (section.startsWith("--")) break;
+			collectTextParts(section.replace(/^\r?\n/, ""), parts, depth + 1);
+		}
+		return;
+	}
+	if (disposition.startsWith("attachment")) return;
+	if (type !== "text/plain" && type !== "text/html") return;
+	const buffer = decodeTransfer(body, headers["content-transfer-encoding"]);
+	parts.push({ type, text: decodeCharset(buffer, params.charset) });
+}
+
+// "Name <addr@host>" -> { name, address }
+function parseAddress(value) {
+	const decoded = decodeEncodedWords(value);
+	const match = /^\s*"?([^"<]*?)"?\s*<([^>]+)>/.exec(decoded);
+	if (match) {
+		return {
+			name: match[1].trim() || null,
+			address: match[2].trim().toLowerCase(),
+		};
+	}
+	const address = decoded.trim().toLowerCase();
+	return { name: null, address: address || null };
+}
+
+// Buffer -> latin1 byte string; strings are taken as UTF-8 text
+function toByteString(raw) {
+	if (Buffer.isBuffer(raw)) return raw.toString("latin1");
+	return Buffer.from(String(raw || ""), "utf8").toString("latin1");
+}
+
+/**
+ * Parse one raw message
+ * @param {Buffer|string} raw - Full message source, as read from disk or as
+ *   text
+ * @returns {{messageId: string|null, subject: string, from: {name: string|null, address: string|null}, date: string|null, html: string|null, text: string|null, headers: Object}}
+ */
+function parseMessage(raw) {
+	const bytes = toByteString(raw);
+	const { head } = splitHeaderAndBody(bytes);
+	// Unencoded 8bit header text is UTF-8 (RFC 6532)
+	const headers = parseHeaders(
+		decodeCharset(Buffer.from(head, "latin1"), "utf-8")
+	);
+	const parts = [];
+	collectTextParts(bytes, parts);
+	const html = parts.find((p) => p.type === "text/html");
+	const text = parts.find((p) => p.type === "text/plain");
+	const time = Date.parse(headers.date || "");
+	return {
+		messageId: headers["message-id"]
+			? headers["message-id"].replace(/^<|>$/g, "").trim()
+			: null,
+		subject: decodeEncodedWords(headers.subject || "").trim(),
+		from: parseAddress(headers.from || ""),
+		date: Number.isFinite(time) ? new Date(time).toISOString() : null,
+		html: html ? html.text : null,
+		text: text ? text.text : null,
+		headers,
+	};
+}
+
+// "From ada@example.com Mon Jan  1 12:00:00 2024" -> ms, or null
+function mboxFromLineTime(line) {
+	const match = /^From \S+\s+(.+)$/.exec(line);
+	const time = match ? Date.parse(match[1].trim()) : NaN;
+	return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Line-by-line mbox reader: collects the messages whose "From " line is not
+ * older than since. Lines are latin1 strings, so messages keep their bytes.
+ */
+function createMboxSplitter({ since = 0 } = {}) {
+	const messages = [];
+	let current = null;
+	const finish = () => {
+		if (current) messages.push(Buffer.from(current.join("\n"), "latin1"));
+		current = null;
+	};
+	return {
+		messages,
+		line(line) {
+			if (line.startsWith("From ")) {
+				finish();
+				const time = mboxFromLineTime(line);
+				// Without a readable date, keep it for parseMessage to judge
+				const old = since && time !== null && time < since - MBOX_DATE_SLACK_MS;
+				if (!old) current = [];
+				return;
+			}
+			if (current) current.push(line.replace(/^>(>*From )/, "$1"));
+		},
+		end() {
+			finish();
+			return messages;
+		},
+	};
+}
+
+/**
+ * Split an mbox file into raw messages (">From " escaping is undone)
+ * @param {Buffer|string} content - File bytes, or text
+ * @param {Object} [options]
+ * @param {number} [options.since] - Skip messages whose "From " line is
+ *   more than a day older than this (ms)
+ * @returns {Buffer[]}
+ */
+function splitMbox(content, { since = 0 } = {}) {
+	const splitter = createMboxSplitter({ since });
+	for (const line of toByteString(content).split(/\r?\n/)) splitter.line(line);
+	return splitter.end();
+}
+
+// Stream an mbox file so old messages are never held in memory
+async function readMbox(file, since) {
+	const splitter = createMboxSplitter({ since });
+	const lines = readline.createInterface({
+		input: fs.createReadStream(file, { encoding: "latin1" }),
+		crlfDelay: Infinity,
+	});
+	for await (const line of lines) splitter.line(line);
+	return splitter.end();
+}
+
+/**
+ * Raw messages from a Maildir (new/ and cur/) or an mbox file
+ * @param {string} location - Maildir directory or mbox file path
+ * @param {Object} [options]
+ * @param {number} [options.since] - Skip Maildir files modified before this,
+ *   and mbox messages whose "From " line is more than a day older (ms)
+ * @returns {Promise<Buffer[]>}
+ */
+async function readMailbox(location, { since = 0 } = {}) {
+	const stat = await fs.promises.stat(location);
+	if (stat.isFile()) return readMbox(location, since);
+	const messages = [];
+	for (const sub of ["new", "cur"]) {
+		const dir = path.join(location, sub);
+		let names = [];
+		try {
+			names = await fs.promises.readdir(dir);
+		} catch (_) {
+			continue;
+		}
+		for (const name of names) {
+			if (name.startsWith(".")) continue;
+			const file = path.join(dir, name);
+			const fileStat = await fs.promises.stat(file);
+			if (!fileStat.isFile() || fileStat.mtimeMs < since) continue;
+			messages.push(await fs.promises.readFile(file));
+		}
+	}
+	return messages;
+}
+
+module.exports = {
+	decodeEncodedWords,
+	parseHeaders,
+	parseMessage,
+	splitMbox,
+	readMailbox,
+};
@@ -0,0 +1,47 @@
+/**
+ * Score velocity for re-polled items
+ *
+ * Velocity is points gained per hour over a trailing window of snapshots.
+ * An item is "rising" when its velocity reaches RISING_POINTS_PER_HOUR.
+ */
+
+function getVelocityConfig() {
+	return {
+		windowHours: Number(process.env.VELOCITY_WINDOW_HOURS || 6),
+		risingPointsPerHour: Number(process.env.RISING_POINTS_PER_HOUR || 10),
+		// Spans shorter than this are too noisy to extrapolate from
+		minSpanHours: 0.25,
+	};
+}
+
+/**
+ * Points per hour between the oldest snapshot inside the window and the latest
+ * @param {Array<{score: number, recorded_at: string}>} history - Chronological snapshots
+ * @returns {number|null} Velocity, or null with too little history
+ */
+function computeVelocity(history) {
+	const { windowHours, minSpanHours } = getVelocityConfig();
+	const points = (history || [])
+		.map((h) => ({ score: Number(h.score), t: Date.parse(h.recorded_at) }))
+		.filter((p) => Number.isFinite(p.score) && Number.isFinite(p.t));
+	if (points.length < 2) return null;
+
+	const latest = points[points.length - 1];
+	const windowStart = latest.t - windowHours * 60 * 60 * 1000;
+	// Oldest snapshot in the window; the previous one if the window is empty
+	const base =
+		points.find((p) => p.t >= windowStart && p !== latest) ||
+		points[points.length - 2];
+	const spanHours = (latest.t - base.t) / (60 * 60 * 1000);
+	if (spanHours < minSpanHours) return null;
+	return (latest.score - base.score) / spanHours;
+}
+
+function isRising(velocity) {
+	return (
+		Number.isFinite(velocity) &&
+		velocity >= getVelocityConfig().risingPointsPerHour
+	);
+}
+
+module.exports = { getVelocityConfig, computeVelocity, isRising };
@@ -0,0 +1,129 @@
+/**
+ * OPML import/export for feed subscriptions
+ *
+ * Import flattens nested outlines into feed configs, using the enclosing
+ * folder outline(s) as the feed's category. Export groups feeds by category
+ * so other readers recreate the same folders.
+ */
+
+const { XMLParser } = require("fast-xml-parser");
+
+const parser = new XMLParser({
+	ignoreAttributes: false,
+	attributeNamePrefix: "@_",
+	isArray: (name) => name === "outline",
+});
+
+function attr(outline, name) {
+	const value = outline && outline[`@_${name}`];
+	return typeof value === "string" ? value.trim() : "";
+}
+
+// Category from the OPML "category" attribute, e.g. "/Tech/AI" -> "Tech / AI"
+function categoryFromAttribute(outline) {
+	const first = attr(outline, "category").split(",")[0] || "";
+	return first
+		.split("/")
+		.map((s) => s.trim())
+		.filter(Boolean)
+		.join(" / ");
+}
+
+/**
+ * Parse an OPML document into feed entries
+ * @param {string} xml - OPML body
+ * @returns {Array<{url: string, title: string, htmlUrl: string, category: string}>}
+ */
+function parseOpml(xml) {
+	if (!xml || typeof xml !== "string") {
+		throw new Error("OPML body is empty");
+	}
+	const doc = parser.parse(xml);
+	const body = doc && doc.opml && doc.opml.body;
+	if (!body) {
+		throw new Error("Not an OPML document (missing <opml><body>)");
+	}
+
+	const feeds = [];
+	const walk = (outlines, folders) => {
+		for (const outline of outlines || []) {
+			const xmlUrl = attr(outline, "xmlUrl");
+			const label = attr(outline, "title") || attr(outline, "text");
+			if (xmlUrl) {
+				feeds.push({
+					url: xmlUrl,
+					title: label,
+					htmlUrl: attr(outline, "htmlUrl"),
+					category: folders.length
+						? folders.join(" / ")
+						: categoryFromAttribute(outline),
+				});
+			}
+			if (Array.isArray(outline.outline)) {
+				walk(outline.outline, xmlUrl || !label ? folders : [...folders, label]);
+			}
+		}
+	};
+	walk(body.outline, []);
+	return feeds;
+}
+
+function escapeXml(value) {
+	return String(value ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+function feedOutline(feed, indent) {
+	const title = escapeXml(feed.title || feed.url);
+	return `${indent}<outline type="rss" text="${title}" title="${title}" xmlUrl="${escapeXml(
+		feed.url
+	)}"/>`;
+}
+
+/**
+ * Build an OPML 2.0 document from feed configs
+ * @param {Array} feeds - Feed configs ({url, title, category})
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title
+ * @returns {string} OPML XML
+ */
+function buildOpml(feeds, { title = "The Grist Mill subscriptions" } = {}) {
+	const byCategory = new Map();
+	for (const feed of feeds || []) {
+		if (!feed || !feed.url) continue;
+		const category = (feed.category || "").trim();
+		if (!byCategory.has(category)) byCategory.set(category, []);
+		byCategory.get(category).push(feed);
+	}
+
+	const lines = [];
+	for (const [category, group] of byCategory) {
+		if (!category) {
+			for (const feed of group) lines.push(feedOutline(feed, "    "));
+			continue;
+		}
+		const label = escapeXml(category);
+		lines.push(`    <outline text="${label}" title="${label}">`);
+		for (const feed of group) lines.push(feedOutline(feed, "      "));
+		lines.push("    </outline>");
+	}
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<opml version="2.0">',
+		"  <head>",
+		`    <title>${escapeXml(title)}</title>`,
+		`    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+		"  </head>",
+		"  <body>",
+		...lines,
+		"  </body>",
+		"</opml>",
+		"",
+	].join("\n");
+}
+
+module.exports = { parseOpml, buildOpml };
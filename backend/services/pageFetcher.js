@@ -0,0 +1,526 @@
+/**
+ * Page fetching and text extraction shared by all collectors
+ *
+ * Fetches linked pages with a timeout, simple per-domain rate limiting and
+ * a content-type allowlist, then extracts the main content of HTML pages
+ * (services/articleExtractor) or the first pages of PDFs (services/pdfText)
+ * as plain text for summarization, embeddings and keyword scoring
+ * (content_items.page_text).
+ *
+ * Results are cached per URL in the fetch_cache table: fresh entries are
+ * served without a request, stale ones are revalidated with a conditional
+ * GET (ETag/Last-Modified), and failures are recorded with their reason and
+ * not retried until FETCH_FAILURE_RETRY_HOURS have passed.
+ *
+ * Requests follow services/fetchPolicy: robots.txt, and per-domain policies
+ * that can block fetching, slow it down or add request headers.
+ *
+ * HTML pages are also judged by services/contentQuality (paywall, consent
+ * wall, empty shell); a copy can be looked up in a local archive mirror
+ * (ARCHIVE_MIRROR_URL) when the live page is unusable.
+ */
+
+const { extractCanonicalLink } = require("./canonicalUrl");
+const { extractArticle } = require("./articleExtractor");
+const { extractPdfText } = require("./pdfText");
+const { assessPageContent } = require("./contentQuality");
+const {
+	USER_AGENT,
+	getDomainPolicy,
+	checkRobotsTxt,
+} = require("./fetchPolicy");
+const {
+	getFetchCacheEntry,
+	upsertFetchCacheEntry,
+	touchFetchCacheEntry,
+} = require("../database");
+
+// Env-configurable limits with sensible defaults
+const CONTENT_CHAR_LIMIT = Number(process.env.CONTENT_CHAR_LIMIT || 10000);
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 10000);
+const FETCH_MAX_RETRIES = Number(process.env.FETCH_MAX_RETRIES || 1);
+const DOMAIN_RATE_LIMIT_MS = Number(process.env.DOMAIN_RATE_LIMIT_MS || 500);
+// Comma-separated list override; default allowed textual content types
+const TEXT_CONTENT_TYPES = (
+	process.env.TEXT_CONTENT_TYPES || "text/html,text/plain,application/xhtml+xml"
+)
+	.split(",")
+	.map((s) => s.trim().toLowerCase())
+	.filter(Boolean);
+// PDFs are downloaded whole (the text index sits at the end), so cap them
+const PDF_MAX_BYTES = Number(process.env.PDF_MAX_BYTES || 15 * 1024 * 1024);
+const PDF_FETCH_TIMEOUT_MS = Number(process.env.PDF_FETCH_TIMEOUT_MS || 30000);
+// Cached results younger than this are used without asking the site again
+const FETCH_CACHE_TTL_HOURS = Number(process.env.FETCH_CACHE_TTL_HOURS || 24);
+const FETCH_FAILURE_RETRY_HOURS = Number(
+	process.env.FETCH_FAILURE_RETRY_HOURS || 6
+);
+// Local web archive (e.g. pywb or a Wayback Machine mirror); {url} is
+// replaced with the page URL, else the URL is appended
+const ARCHIVE_MIRROR_URL = (process.env.ARCHIVE_MIRROR_URL || "").trim();
+// Response headers kept with a cache entry
+const CACHED_HEADERS = [
+	"content-type",
+	"content-length",
+	"cache-control",
+	"expires",
+	"date",
+	"etag",
+	"last-modified",
+	"server",
+];
+
+// Track last request time per hostname for simple rate limiting
+const lastRequestMsByHost = new Map();
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function hostnameOf(url) {
+	try {
+		return new URL(url).hostname;
+	} catch (_) {
+		return null;
+	}
+}
+
+async function rateLimitForDomain(url, delayMs = DOMAIN_RATE_LIMIT_MS) {
+	const host = hostnameOf(url);
+	if (!host) return;
+	const last = lastRequestMsByHost.get(host) || 0;
+	const now = Date.now();
+	const waitMs = last + delayMs - now;
+	if (waitMs > 0) {
+		await sleep(waitMs);
+	}
+	lastRequestMsByHost.set(host, Date.now());
+}
+
+async function fetchWithTimeout(
+	url,
+	timeoutMs,
+	{ headers = {}, method = "GET" } = {}
+) {
+	const controller = new AbortController();
+	const t = setTimeout(() => controller.abort(), Math.max(1, timeoutMs));
+	try {
+		const res = await fetch(url, {
+			method,
+			signal: controller.signal,
+			headers: { "user-agent": USER_AGENT, ...headers },
+		});
+		return res;
+	} finally {
+		clearTimeout(t);
+	}
+}
+
+function isAllowedTextContentType(contentTypeHeader) {
+	const contentType = String(contentTypeHeader || "").toLowerCase();
+	if (contentType.includes("multipart")) return false;
+	// Allow generic text/* quickly
+	if (contentType.startsWith("text/")) return true;
+	return TEXT_CONTENT_TYPES.some((t) => contentType.includes(t));
+}
+
+// application/pdf, or a generic binary type on a .pdf path
+function isPdfContentType(contentTypeHeader, url) {
+	const contentType = String(contentTypeHeader || "").toLowerCase();
+	if (contentType.includes("application/pdf") || contentType.includes("x-pdf")) {
+		return true;
+	}
+	if (!contentType.includes("octet-stream")) return false;
+	try {
+		return new URL(url).pathname.toLowerCase().endsWith(".pdf");
+	} catch (_) {
+		return false;
+	}
+}
+
+/**
+ * Read a response body, giving up past maxBytes or timeoutMs
+ * @returns {Promise<Buffer|null>} null when the body was too large or slow
+ */
+async function readBodyCapped(res, maxBytes, timeoutMs) {
+	const declared = Number(res.headers.get("content-length"));
+	if (Number.isFinite(declared) && declared > maxBytes) {
+		await res.body?.cancel().catch(() => {});
+		return null;
+	}
+	if (!res.body) return Buffer.alloc(0);
+	const reader = res.body.getReader();
+	const timer = setTimeout(() => reader.cancel().catch(() => {}), timeoutMs);
+	const chunks = [];
+	let size = 0;
+	try {
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) break;
+			size += value.length;
+			if (size > maxBytes) {
+				await reader.cancel().catch(() => {});
+				return null;
+			}
+			chunks.push(Buffer.from(value));
+		}
+	} finally {
+		clearTimeout(timer);
+	}
+	return Buffer.concat(chunks, size);
+}
+
+// Reader-view article for a PDF: its paragraphs under a heading per page
+function pdfArticle(pdf) {
+	const blocks = [];
+	pdf.pages.forEach((paragraphs, i) => {
+		if (paragraphs.length === 0) return;
+		if (pdf.pages.length > 1) {
+			blocks.push({ type: "heading", level: 2, text: `Page ${i + 1}` });
+		}
+		for (const text of paragraphs) blocks.push({ type: "paragraph", text });
+	});
+	const first = pdf.pages.flat()[0] || null;
+	return {
+		title: pdf.title,
+		byline: pdf.author,
+		published_at: pdf.published_at,
+		site_name: null,
+		description: null,
+		image: null,
+		lang: null,
+		excerpt: first ? first.slice(0, 300) : null,
+		word_count: (pdf.text.match(/[\p{L}\p{N}]+/gu) || []).length,
+		blocks,
+		pdf: { pages_read: pdf.pages.length, total_pages: pdf.total_pages },
+	};
+}
+
+async function readPdfPage(res, url) {
+	const body = await readBodyCapped(res, PDF_MAX_BYTES, PDF_FETCH_TIMEOUT_MS);
+	if (!body) {
+		return {
+			error: `PDF larger than ${PDF_MAX_BYTES} bytes or slower than ${PDF_FETCH_TIMEOUT_MS} ms`,
+		};
+	}
+	let pdf = null;
+	try {
+		pdf = await extractPdfText(body, { charLimit: CONTENT_CHAR_LIMIT });
+	} catch (err) {
+		return { error: `Unreadable PDF: ${err.message}` };
+	}
+	if (!pdf) return { error: "Not a PDF" };
+	if (!pdf.text) return { error: "No text in PDF" };
+	// Untitled PDFs usually open with their title
+	const firstParagraph = (pdf.pages[0] || [])[0];
+	const title =
+		pdf.title ||
+		(firstParagraph && firstParagraph.length <= 200 ? firstParagraph : null);
+	return {
+		page: {
+			title,
+			text: pdf.text,
+			url: res.url || url,
+			canonical: null,
+			article: pdfArticle({ ...pdf, title }),
+			content_status: "ok",
+			description: null,
+		},
+	};
+}
+
+// Extract a successful response: { page } or { error } with the reason
+async function readPage(res, url) {
+	const contentType = res.headers.get("content-type") || "";
+	if (isPdfContentType(contentType, res.url || url)) {
+		return readPdfPage(res, url);
+	}
+	if (!isAllowedTextContentType(contentType)) {
+		await res.body?.cancel().catch(() => {});
+		return { error: `Unsupported content type: ${contentType || "none"}` };
+	}
+	const body = await res.text();
+	const isHtml = contentType.includes("html");
+	const finalUrl = res.url || url;
+	if (!isHtml) {
+		const text = stripTags(body);
+		if (!text) return { error: "Empty body" };
+		return {
+			page: {
+				title: null,
+				text,
+				url: finalUrl,
+				canonical: null,
+				article: null,
+				content_status: "ok",
+				description: null,
+			},
+		};
+	}
+	const { text, ...article } = extractArticle(body, finalUrl) || {};
+	const pageText = text ? text.slice(0, CONTENT_CHAR_LIMIT) : stripTags(body);
+	const description = article.description || null;
+	// A shell with a meta description is still worth keeping for the fallback
+	if (!pageText && !description) return { error: "No text extracted" };
+	const quality = assessPageContent({ html: body, text: pageText, url: finalUrl });
+	if (quality.status !== "ok") {
+		console.log(
+			`[${new Date().toISOString()}] ${finalUrl}: ${quality.status} (${quality.reason})`
+		);
+	}
+	return {
+		page: {
+			title: article.title || extractHtmlTitle(body),
+			text: pageText || null,
+			url: finalUrl,
+			canonical: extractCanonicalLink(body, finalUrl),
+			article: text ? article : null,
+			content_status: quality.status,
+			description,
+		},
+	};
+}
+
+// <title> of an HTML document, entity-decoded for the common cases
+function extractHtmlTitle(html) {
+	const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(String(html || ""));
+	if (!match) return null;
+	const title = match[1]
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&quot;/g, '"')
+		.replace(/&#0?39;/g, "'")
+		.replace(/\s+/g, " ")
+		.trim();
+	return title || null;
+}
+
+/**
+ * Fetch a page (or its cached copy) and reduce it to its title and
+ * readable text. Pages on "title_only"/"deny" domains are never fetched.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {boolean} [options.revalidate] - Ask the site even when the cached
+ *   result is fresh (still conditional, so unchanged pages cost a 304)
+ * @returns {Promise<{title: string|null, text: string|null, url: string, canonical: string|null, article: Object|null, content_status: string, description: string|null}|null>}
+ *   null when the page could not be fetched or is neither textual nor a
+ *   readable PDF; url is the address after redirects, canonical the page's
+ *   rel=canonical/og:url, article the extracted content and metadata of
+ *   HTML pages and PDFs (without text), content_status the
+ *   services/contentQuality verdict and description the meta description
+ */
+async function fetchUrlPage(url, { revalidate = false } = {}) {
+	const policy = await getDomainPolicy(url);
+	if (policy && policy.access !== "allow") return null;
+	const cached = await readCacheEntry(url);
+	if (cached && !revalidate) {
+		const age = Date.now() - Date.parse(cached.checked_at);
+		const ttlHours = cached.error ? FETCH_FAILURE_RETRY_HOURS : FETCH_CACHE_TTL_HOURS;
+		if (Number.isFinite(age) && age < ttlHours * 60 * 60 * 1000) {
+			return cached.error ? null : pageFromCache(cached);
+		}
+	}
+	const robots = await checkRobotsTxt(url);
+	if (!robots.allowed) {
+		await writeCache(() =>
+			upsertFetchCacheEntry({
+				url,
+				checked_at: new Date().toISOString(),
+				error: robots.reason,
+				ok: false,
+			})
+		);
+		return null;
+	}
+	const delayMs = Math.max(
+		policy && Number.isFinite(policy.delay_ms) ? policy.delay_ms : DOMAIN_RATE_LIMIT_MS,
+		robots.crawlDelayMs || 0
+	);
+
+	// Validators are only useful while a good result is stored
+	const conditional = {};
+	if (cached && cached.text) {
+		if (cached.etag) conditional["if-none-match"] = cached.etag;
+		if (cached.last_modified) {
+			conditional["if-modified-since"] = cached.last_modified;
+		}
+	}
+
+	let failure = { error: "Not fetched" };
+	for (let attempt = 0; attempt <= Math.max(0, FETCH_MAX_RETRIES); attempt++) {
+		const checkedAt = new Date().toISOString();
+		try {
+			await rateLimitForDomain(url, delayMs);
+			const res = await fetchWithTimeout(url, FETCH_TIMEOUT_MS, {
+				headers: { ...(policy ? policy.headers : {}), ...conditional },
+			});
+			if (res.status === 304 && cached && cached.text) {
+				await writeCache(() => touchFetchCacheEntry(url, checkedAt));
+				return pageFromCache(cached);
+			}
+			const responseInfo = {
+				url,
+				final_url: res.url || url,
+				status: res.status,
+				content_type: res.headers.get("content-type") || null,
+				headers: pickHeaders(res.headers),
+				checked_at: checkedAt,
+			};
+			if (!res.ok) {
+				await res.body?.cancel().catch(() => {});
+				failure = { ...responseInfo, error: `HTTP ${res.status}` };
+				// Client errors will not go away by asking again right now
+				if (res.status < 500 && res.status !== 408 && res.status !== 429) break;
+				continue;
+			}
+			const { page, error } = await readPage(res, url);
+			if (!page) {
+				failure = { ...responseInfo, error };
+				break;
+			}
+			await writeCache(() =>
+				upsertFetchCacheEntry({
+					...responseInfo,
+					ok: true,
+					final_url: page.url,
+					etag: res.headers.get("etag"),
+					last_modified: res.headers.get("last-modified"),
+					title: page.title,
+					text: page.text,
+					canonical: page.canonical,
+					article: page.article,
+					content_status: page.content_status,
+					description: page.description,
+				})
+			);
+			return page;
+		} catch (err) {
+			failure = {
+				url,
+				checked_at: checkedAt,
+				error:
+					err && err.name === "AbortError"
+						? `Timed out after ${FETCH_TIMEOUT_MS} ms`
+						: `Request failed: ${(err && (err.cause?.code || err.message)) || err}`,
+			};
+		}
+	}
+	await writeCache(() =>
+		upsertFetchCacheEntry({
+			url,
+			checked_at: new Date().toISOString(),
+			...failure,
+			ok: false,
+		})
+	);
+	return null;
+}
+
+function pickHeaders(headers) {
+	const picked = {};
+	for (const name of CACHED_HEADERS) {
+		const value = headers.get(name);
+		if (value) picked[name] = value;
+	}
+	return picked;
+}
+
+function pageFromCache(entry) {
+	return {
+		title: entry.title || null,
+		text: entry.text || null,
+		url: entry.final_url || entry.url,
+		canonical: entry.canonical || null,
+		article: entry.article || null,
+		// Entries cached before pages were judged
+		content_status: entry.content_status || "ok",
+		description: entry.description || null,
+	};
+}
+
+// The cache is an optimization: a missing table (scripts that skip
+// initializeDatabase) or a locked database must not break fetching
+async function readCacheEntry(url) {
+	try {
+		return await getFetchCacheEntry(url);
+	} catch (_) {
+		return null;
+	}
+}
+
+async function writeCache(write) {
+	try {
+		await write();
+	} catch (err) {
+		console.error("Failed to update fetch cache:", err.message);
+	}
+}
+
+function archiveUrlFor(url) {
+	if (!ARCHIVE_MIRROR_URL || !url) return null;
+	return ARCHIVE_MIRROR_URL.includes("{url}")
+		? ARCHIVE_MIRROR_URL.replace("{url}", url)
+		: `${ARCHIVE_MIRROR_URL}${url}`;
+}
+
+/**
+ * A page's copy in the local archive mirror, when ARCHIVE_MIRROR_URL is set
+ * and the mirror has a usable one
+ * @param {string} url - Original page URL
+ * @returns {Promise<Object|null>} Like fetchUrlPage(), with url set to the
+ *   original page
+ */
+async function fetchArchivedPage(url) {
+	const archiveUrl = archiveUrlFor(url);
+	if (!archiveUrl) return null;
+	const page = await fetchUrlPage(archiveUrl);
+	if (!page || !page.text || page.content_status !== "ok") return null;
+	return { ...page, url, canonical: null };
+}
+
+async function fetchUrlTextContent(url) {
+	const page = await fetchUrlPage(url);
+	return page ? page.text : null;
+}
+
+/**
+ * Main content of an HTML page or fragment as plain text, paragraphs
+ * separated by blank lines
+ * @param {string} html
+ * @returns {string|null}
+ */
+function extractReadableText(html) {
+	if (!html || typeof html !== "string") return null;
+	const article = extractArticle(html);
+	if (article && article.text) return article.text.slice(0, CONTENT_CHAR_LIMIT);
+	return stripTags(html);
+}
+
+// Fallback when no content was extracted (and for non-HTML text)
+function stripTags(html) {
+	if (!html || typeof html !== "string") return null;
+	// Remove scripts/styles and tags; collapse whitespace
+	const withoutScripts = html
+		.replace(/<script[\s\S]*?<\/script>/gi, " ")
+		.replace(/<style[\s\S]*?<\/style>/gi, " ");
+	const withoutTags = withoutScripts.replace(/<[^>]+>/g, " ");
+	const collapsed = withoutTags.replace(/\s+/g, " ").trim();
+	// Limit size
+	return collapsed.slice(0, CONTENT_CHAR_LIMIT);
+}
+
+module.exports = {
+	CONTENT_CHAR_LIMIT,
+	sleep,
+	hostnameOf,
+	rateLimitForDomain,
+	fetchWithTimeout,
+	isAllowedTextContentType,
+	isPdfContentType,
+	fetchUrlPage,
+	fetchArchivedPage,
+	fetchUrlTextContent,
+	extractReadableText,
+	extractHtmlTitle,
+};
@@ -0,0 +1,171 @@
+/**
+ * PDF text extraction for linked papers and reports
+ *
+ * Uses Mozilla's pdf.js (pdfjs-dist, ESM only, so it is loaded with a
+ * dynamic import) to read the text of the first pages of a document. Lines
+ * are joined back into paragraphs from their vertical spacing, and words
+ * hyphenated across lines are rejoined.
+ */
+
+const path = require("path");
+
+const PDF_MAX_PAGES = Number(process.env.PDF_MAX_PAGES || 5);
+
+let pdfjsPromise = null;
+
+// CJK and other CID fonts need pdf.js's character maps to yield text
+function pdfjsAssetDir(name) {
+	const pkg = require.resolve("pdfjs-dist/package.json");
+	return `${path.join(path.dirname(pkg), name)}${path.sep}`;
+}
+
+function loadPdfjs() {
+	if (!pdfjsPromise) {
+		pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs").catch((err) => {
+			pdfjsPromise = null;
+			throw err;
+		});
+	}
+	return pdfjsPromise;
+}
+
+function isPdfBuffer(buffer) {
+	return (
+		buffer &&
+		buffer.length > 4 &&
+		buffer.subarray(0, 1024).toString("latin1").includes("%PDF-")
+	);
+}
+
+// "D:20240131120000+01'00'" -> ISO time
+function parsePdfDate(value) {
+	const m = /^D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(
+		String(value || "").trim()
+	);
+	if (!m) return null;
+	const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00", sign, oh, om] = m;
+	const offset =
+		sign && sign !== "Z" && sign !== "z" && oh ? `${sign}${oh}:${om || "00"}` : "Z";
+	const ms = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset}`);
+	return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Text items of one page -> paragraphs. A new paragraph starts where the
+ * gap to the previous line is clearly larger than the usual line spacing.
+ */
+function pageParagraphs(items) {
+	const lines = [];
+	let line = null;
+	for (const item of items) {
+		if (typeof item.str !== "string") continue;
+		const y = Array.isArray(item.transform) ? item.transform[5] : null;
+		if (!line) {
+			line = { text: "", y, height: item.height || 0 };
+			lines.push(line);
+		}
+		line.text += item.str;
+		if (item.height > line.height) line.height = item.height;
+		if (item.hasEOL) line = null;
+	}
+
+	const gaps = [];
+	for (let i = 1; i < lines.length; i++) {
+		const gap = lines[i - 1].y - lines[i].y;
+		if (Number.isFinite(gap) && gap > 0) gaps.push(gap);
+	}
+	gaps.sort((a, b) => a - b);
+	const usualGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+	const paragraphs = [];
+	let current = "";
+	lines.forEach((l, i) => {
+		const text = l.text.replace(/\s+/g, " ").trim();
+		const prev = lines[i - 1];
+		const gap = prev ? prev.y - l.y : 0;
+		// Columns and headings jump by more than a line; headings also change
+		// the font size
+		const breaks =
+			!text ||
+			(usualGap > 0 && Number.isFinite(gap) && (gap > usualGap * 1.4 || gap < 0)) ||
+			(prev && prev.height && l.height && Math.abs(prev.height - l.height) > 1);
+		if (breaks && current) {
+			paragraphs.push(current);
+			current = "";
+		}
+		if (!text) return;
+		if (!current) current = text;
+		else if (/[A-Za-z]-$/.test(current)) current = current.slice(0, -1) + text;
+		else current += ` ${text}`;
+	});
+	if (current) paragraphs.push(current);
+	return paragraphs;
+}
+
+/**
+ * Extract the text of the first pages of a PDF
+ * @param {Buffer|Uint8Array} data
+ * @param {Object} [options]
+ * @param {number} [options.maxPages]
+ * @param {number} [options.charLimit] - Stop reading pages once the text
+ *   is this long, and cut it there (pageFetcher passes CONTENT_CHAR_LIMIT)
+ * @returns {Promise<{title: string|null, author: string|null, published_at: string|null, pages: string[][], total_pages: number, text: string}|null>}
+ *   pages holds each read page's paragraphs; null when data is not a PDF
+ */
+async function extractPdfText(
+	data,
+	{ maxPages = PDF_MAX_PAGES, charLimit = Infinity } = {}
+) {
+	const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data || []);
+	if (!isPdfBuffer(buffer)) return null;
+	const pdfjs = await loadPdfjs();
+	const doc = await pdfjs.getDocument({
+		data: new Uint8Array(buffer),
+		isEvalSupported: false,
+		cMapUrl: pdfjsAssetDir("cmaps"),
+		cMapPacked: true,
+		standardFontDataUrl: pdfjsAssetDir("standard_fonts"),
+		disableFontFace: true,
+		useSystemFonts: false,
+		verbosity: 0,
+	}).promise;
+	try {
+		const info = await doc
+			.getMetadata()
+			.then((meta) => (meta && meta.info) || {})
+			.catch(() => ({}));
+		const pages = [];
+		let length = 0;
+		const last = Math.min(doc.numPages, Math.max(1, maxPages));
+		for (let n = 1; n <= last && length < charLimit; n++) {
+			const page = await doc.getPage(n);
+			const content = await page.getTextContent();
+			const paragraphs = pageParagraphs(content.items || []);
+			page.cleanup();
+			pages.push(paragraphs);
+			length += paragraphs.join("\n\n").length;
+		}
+		const clean = (value) =>
+			typeof value === "string" && value.trim() ? value.trim() : null;
+		return {
+			title: clean(info.Title),
+			author: clean(info.Author),
+			published_at: parsePdfDate(info.CreationDate),
+			pages,
+			total_pages: doc.numPages,
+			text: pages
+				.map((paragraphs) => paragraphs.join("\n\n"))
+				.filter(Boolean)
+				.join("\n\n")
+				.slice(0, charLimit),
+		};
+	} finally {
+		await doc.destroy();
+	}
+}
+
+module.exports = {
+	PDF_MAX_PAGES,
+	isPdfBuffer,
+	extractPdfText,
+};
@@ -0,0 +1,348 @@
+/*
+ * Prompt templates for relevance analysis and summaries
+ * - Stored and versioned in the database (db/promptTemplates), edited in
+ *   Settings; the defaults below are seeded on first use
+ * - A template is picked per item: one for the research statement, else one
+ *   for the source type, else the kind's default
+ * - {{variable}} placeholders are filled from the item and the research
+ *   statements; a line whose placeholders all come out empty is dropped
+ * - The JSON answer format of relevance analysis is not part of the
+ *   template: the code depends on it, so AIService appends it
+ */
+
+const {
+	getActiveResearchStatements,
+	getResearchStatementById,
+	getPromptTemplates,
+	getPromptTemplateById,
+	findPromptTemplate,
+	createPromptTemplate,
+	addPromptTemplateVersion,
+	deletePromptTemplate,
+} = require("../database");
+const { getCollector } = require("../collectors");
+const { parseKeywords } = require("./keywordScoring");
+
+const TEMPLATE_KINDS = ["relevance", "summary"];
+
+// Longest template body accepted from Settings
+const MAX_TEMPLATE_LENGTH = 20000;
+
+const STATEMENT_VARIABLES = {
+	research_statements:
+		"The research statement being judged, else all active ones, as a list (the built-in interests when there are none)",
+	statement_name: "Name of the research statement the prompt is written for",
+	statement: "Text of that research statement",
+	keywords: "Its keywords, comma separated",
+	negative_keywords: "Its negative keywords, comma separated",
+	topics: "Names of the active research statements, comma separated",
+};
+
+// Placeholders each kind of template can use, with descriptions for Settings
+const TEMPLATE_VARIABLES = {
+	relevance: {
+		source_type: "Collector id, e.g. hackernews",
+		source_label: "What the item is, e.g. \"Hacker News story\"",
+		title: "Item title",
+		url: "Item URL",
+		text: "Item text or page excerpt",
+		details: "Source-specific \"Label: value\" lines (score, author, ...)",
+		...STATEMENT_VARIABLES,
+	},
+	summary: {
+		source_type: "Collector id, e.g. hackernews",
+		content: "Text to summarize",
+		context: "Source and title line",
+		instructions: "Source-specific instructions (e.g. citation format)",
+		...STATEMENT_VARIABLES,
+	},
+};
+
+// Placeholders a template cannot do without
+const REQUIRED_VARIABLES = {
+	relevance: ["title"],
+	summary: ["content"],
+};
+
+// Used for research_statements and topics while no statement is active
+const DEFAULT_INTERESTS = `User is interested in:
+- AI/LLM: Large language models, GPT, Claude, Llama, transformers, RAG, embeddings, fine-tuning, AI agents, AI assistants
+- Software Development: Code generation, programming tools, development workflows, software architecture, debugging, testing, deployment, developer productivity tools
+- Emerging Tech: New AI capabilities, breakthrough research, practical applications of AI in software development`;
+const DEFAULT_TOPICS = "AI/LLM and software development topics";
+
+const DEFAULT_TEMPLATES = {
+	relevance: `{{research_statements}}
+
+Please analyze this {{source_label}} and rate how relevant it is to the interests above.
+
+Title: {{title}}
+URL: {{url}}
+{{details}}
+Text: {{text}}`,
+	summary: `Please provide a brief, informative summary of the following content.
+Focus on the key points and make it useful for someone interested in {{topics}}.
+{{instructions}}
+Context: {{context}}
+
+Content: {{content}}`,
+};
+
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+function placeholdersOf(text) {
+	return [...String(text || "").matchAll(PLACEHOLDER)].map((m) => m[1]);
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {string} body
+ * @param {Object<string, string>} variables - Missing ones render empty
+ * @returns {string}
+ */
+function renderTemplate(body, variables) {
+	const lines = [];
+	for (const line of String(body || "").split("\n")) {
+		const names = placeholdersOf(line);
+		const values = names.map((name) => {
+			const value = variables[name];
+			return value === undefined || value === null ? "" : String(value).trim();
+		});
+		if (names.length > 0 && values.every((value) => value === "")) continue;
+		let i = 0;
+		lines.push(line.replace(PLACEHOLDER, () => values[i++]));
+	}
+	return lines
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+/**
+ * Check a template body from Settings
+ * @returns {string|null} Error message, null when the template is usable
+ */
+function validateTemplate(kind, body) {
+	if (!TEMPLATE_KINDS.includes(kind)) {
+		return `kind must be one of ${TEMPLATE_KINDS.join(", ")}`;
+	}
+	if (typeof body !== "string" || body.trim().length === 0) {
+		return "Template body is required";
+	}
+	if (body.length > MAX_TEMPLATE_LENGTH) {
+		return `Template body must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+	}
+	const used = placeholdersOf(body);
+	const unknown = [...new Set(used.filter((name) => !(name in TEMPLATE_VARIABLES[kind])))];
+	if (unknown.length > 0) {
+		return `Unknown variable${unknown.length > 1 ? "s" : ""}: ${unknown
+			.map((name) => `{{${name}}}`)
+			.join(", ")}`;
+	}
+	const missing = REQUIRED_VARIABLES[kind].filter((name) => !used.includes(name));
+	if (missing.length > 0) {
+		return `Template must use ${missing.map((name) => `{{${name}}}`).join(", ")}`;
+	}
+	return null;
+}
+
+function formatStatement(statement) {
+	const keywords = parseKeywords(statement.keywords);
+	const negative = parseKeywords(statement.negative_keywords);
+	let line = `- ${statement.name}: ${statement.statement}`;
+	if (keywords.length > 0) line += ` (keywords: ${keywords.join(", ")})`;
+	if (negative.length > 0) line += ` (not about: ${negative.join(", ")})`;
+	return line;
+}
+
+/**
+ * Statement variables for a prompt. With a single statement (or a focus
+ * statement) the prompt is written for it and its scoped template applies;
+ * relevance is judged per statement, so research_statements then lists only
+ * the focus.
+ * @param {Object[]} statements - Active research statements
+ * @param {Object} [focus] - The statement the prompt is for, if any
+ * @returns {{variables: Object<string, string>, statementId: number|null}}
+ */
+function statementVariables(statements, focus = null) {
+	const list = Array.isArray(statements) ? statements : [];
+	const target = focus || (list.length === 1 ? list[0] : null);
+	const listed = focus ? [focus] : list;
+	const variables = {
+		research_statements:
+			listed.length > 0
+				? `User is interested in:\n${listed.map(formatStatement).join("\n")}`
+				: DEFAULT_INTERESTS,
+		topics: list.length > 0 ? list.map((s) => s.name).join(", ") : DEFAULT_TOPICS,
+		statement_name: target ? target.name : "",
+		statement: target ? target.statement : "",
+		keywords: target ? parseKeywords(target.keywords).join(", ") : "",
+		negative_keywords: target
+			? parseKeywords(target.negative_keywords).join(", ")
+			: "",
+	};
+	return { variables, statementId: target ? target.id : null };
+}
+
+async function loadActiveStatements(statements) {
+	if (Array.isArray(statements)) return statements;
+	try {
+		return await getActiveResearchStatements();
+	} catch (_) {
+		return [];
+	}
+}
+
+let seeding = null;
+
+// Create the default (unscoped) template of each kind that has none yet
+function ensureDefaultPromptTemplates() {
+	if (!seeding) {
+		seeding = (async () => {
+			for (const kind of TEMPLATE_KINDS) {
+				// Unscoped lookups only match unscoped templates
+				if (await findPromptTemplate(kind, null, null)) continue;
+				try {
+					await createPromptTemplate({ kind, body: DEFAULT_TEMPLATES[kind] });
+				} catch (err) {
+					// Another caller seeded it first
+					if (!/UNIQUE/i.test(err.message)) throw err;
+				}
+			}
+		})().catch((err) => {
+			seeding = null;
+			throw err;
+		});
+	}
+	return seeding;
+}
+
+/**
+ * The template version to use for an item
+ * @param {string} kind - "relevance" or "summary"
+ * @param {Object} scope
+ * @param {string|null} [scope.sourceType]
+ * @param {number|null} [scope.researchStatementId]
+ * @returns {Promise<{body: string, versionId: number|null, templateId: number|null, version: number|null}>}
+ *   versionId is null when the built-in default had to be used (database
+ *   unavailable)
+ */
+async function resolvePromptTemplate(kind, { sourceType = null, researchStatementId = null } = {}) {
+	try {
+		await ensureDefaultPromptTemplates();
+		const template = await findPromptTemplate(kind, sourceType, researchStatementId);
+		if (template) {
+			return {
+				body: template.body,
+				versionId: template.version_id,
+				templateId: template.id,
+				version: template.current_version,
+			};
+		}
+	} catch (err) {
+		console.warn(
+			`[${new Date().toISOString()}] Prompt template lookup failed, using the built-in ${kind} prompt:`,
+			err.message
+		);
+	}
+	return { body: DEFAULT_TEMPLATES[kind], versionId: null, templateId: null, version: null };
+}
+
+// --- Settings ---
+
+function isDefaultTemplate(template) {
+	return template.source_type == null && template.research_statement_id == null;
+}
+
+async function listPromptTemplates() {
+	await ensureDefaultPromptTemplates();
+	return getPromptTemplates();
+}
+
+/**
+ * Add a template for a source type and/or research statement
+ * @param {{kind: string, source_type?: string|null, research_statement_id?: number|null, body: string}} input
+ * @returns {Promise<{ok: boolean, template?: Object, error?: string, conflict?: boolean}>}
+ */
+async function addPromptTemplate(input) {
+	const { kind, body } = input || {};
+	const sourceType = input && input.source_type ? String(input.source_type) : null;
+	const statementId =
+		input && input.research_statement_id != null && input.research_statement_id !== ""
+			? Number(input.research_statement_id)
+			: null;
+
+	const error = validateTemplate(kind, body);
+	if (error) return { ok: false, error };
+	if (!sourceType && statementId == null) {
+		return {
+			ok: false,
+			error: "Pick a source type or a research statement (the default template is edited in place)",
+		};
+	}
+	if (sourceType && !getCollector(sourceType)) {
+		return { ok: false, error: `Unknown source type: ${sourceType}` };
+	}
+	if (statementId != null) {
+		if (!Number.isInteger(statementId) || !(await getResearchStatementById(statementId))) {
+			return { ok: false, error: "Unknown research statement" };
+		}
+	}
+
+	try {
+		const id = await createPromptTemplate({
+			kind,
+			source_type: sourceType,
+			research_statement_id: statementId,
+			body,
+		});
+		return { ok: true, template: await getPromptTemplateById(id) };
+	} catch (err) {
+		if (/UNIQUE/i.test(err.message)) {
+			return {
+				ok: false,
+				conflict: true,
+				error: "A template for this kind and scope already exists",
+			};
+		}
+		throw err;
+	}
+}
+
+// Save a new version of a template's body (unchanged bodies keep the version)
+async function updatePromptTemplate(id, body) {
+	const template = await getPromptTemplateById(id);
+	if (!template) return { ok: false, error: "Not found" };
+	const error = validateTemplate(template.kind, body);
+	if (error) return { ok: false, error };
+	if (body !== template.body) {
+		await addPromptTemplateVersion(template.id, body);
+	}
+	return { ok: true, template: await getPromptTemplateById(template.id) };
+}
+
+async function removePromptTemplate(id) {
+	const template = await getPromptTemplateById(id);
+	if (!template) return { ok: false, error: "Not found" };
+	if (isDefaultTemplate(template)) {
+		return { ok: false, error: "The default templates cannot be removed" };
+	}
+	await deletePromptTemplate(template.id);
+	return { ok: true };
+}
+
+module.exports = {
+	TEMPLATE_KINDS,
+	TEMPLATE_VARIABLES,
+	DEFAULT_TEMPLATES,
+	renderTemplate,
+	validateTemplate,
+	statementVariables,
+	loadActiveStatements,
+	ensureDefaultPromptTemplates,
+	resolvePromptTemplate,
+	listPromptTemplates,
+	addPromptTemplate,
+	updatePromptTemplate,
+	removePromptTemplate,
+};
@@ -0,0 +1,155 @@
+/**
+ * Near-duplicate clustering ("story clusters")
+ *
+ * Groups items about the same event: five blog posts and two HN threads on a
+ * model release become one cluster shown through a single representative.
+ * Items are linked when their content embeddings are close, or, when either
+ * has no embedding yet, when their titles share most of their words. Links
+ * are only made between items published close together in time.
+ */
+
+const { EmbeddingIndex } = require("./embeddingIndex");
+
+const EMBEDDING_THRESHOLD = Number(
+	process.env.CLUSTER_SIMILARITY_THRESHOLD || 0.86
+);
+const TITLE_THRESHOLD = Number(process.env.CLUSTER_TITLE_THRESHOLD || 0.6);
+// Shared words a title match needs, so short titles do not match by accident
+const TITLE_MIN_SHARED = 3;
+const MAX_GAP_HOURS = Number(process.env.CLUSTER_MAX_GAP_HOURS || 48);
+
+const STOPWORDS = new Set(
+	(
+		"a an the and or but of to in on for with from by at as is are was were be been " +
+		"it its this that these those how why what when who which new now our your their " +
+		"we you they i my me vs via into about after over more than just show ask hn tell " +
+		"launch launches launched introducing announcing released releases release out"
+	).split(" ")
+);
+
+// "OpenAI's GPT-5 is out!" -> Set { "openai", "gpt", "5" }
+function titleTokens(title) {
+	return new Set(
+		String(title || "")
+			.toLowerCase()
+			.replace(/['’]s\b/g, "")
+			.split(/[^\p{L}\p{N}]+/u)
+			.filter((t) => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)))
+	);
+}
+
+/**
+ * Overlap of two titles' significant words (shared / smaller set)
+ * @returns {number} 0..1, or 0 when fewer than TITLE_MIN_SHARED words match
+ */
+function titleSimilarity(a, b) {
+	const ta = a instanceof Set ? a : titleTokens(a);
+	const tb = b instanceof Set ? b : titleTokens(b);
+	if (ta.size === 0 || tb.size === 0) return 0;
+	let shared = 0;
+	for (const t of ta) if (tb.has(t)) shared += 1;
+	if (shared < TITLE_MIN_SHARED) return 0;
+	return shared / Math.min(ta.size, tb.size);
+}
+
+function timeOf(item) {
+	const ms = Date.parse(
+		/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(item.created_at))
+			? `${String(item.created_at).replace(" ", "T")}Z`
+			: item.created_at
+	);
+	return Number.isFinite(ms) ? ms : null;
+}
+
+// Items compared between yields to the event loop, so clustering a few
+// thousand items does not hold up the server's requests
+const ITEMS_PER_SLICE = 20;
+
+const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Group items into story clusters (single-link, union-find). Items with
+ * embeddings find their neighbours through an EmbeddingIndex search; pairs
+ * where either item has no usable embedding compare titles.
+ * @param {Array<{id: number, title: string, created_at: string, embedding: number[]|Float32Array|Buffer|null}>} items
+ *   embedding may be the stored BLOB; the index decodes and normalizes it once
+ * @param {Object} [options]
+ * @param {number} [options.dims] - Embedding dimension; embeddings of another
+ *   dimension fall back to title matching
+ * @returns {Promise<number[][]>} Clusters of two or more item ids
+ */
+async function clusterItems(items, { dims = 0 } = {}) {
+	const index = new EmbeddingIndex({ dims });
+	const nodes = items.map((item, i) => ({
+		i,
+		id: item.id,
+		embedded: Boolean(item.embedding) && index.add(item.id, item.embedding),
+		tokens: titleTokens(item.title),
+		time: timeOf(item),
+	}));
+	const nodeById = new Map(nodes.map((node) => [node.id, node]));
+	const parent = nodes.map((_, i) => i);
+	const find = (i) => {
+		while (parent[i] !== i) {
+			parent[i] = parent[parent[i]];
+			i = parent[i];
+		}
+		return i;
+	};
+	const union = (i, j) => {
+		const ri = find(i);
+		const rj = find(j);
+		if (ri !== rj) parent[rj] = ri;
+	};
+	const maxGapMs = MAX_GAP_HOURS * 60 * 60 * 1000;
+	const closeInTime = (a, b) =>
+		a.time === null || b.time === null || Math.abs(a.time - b.time) <= maxGapMs;
+
+	for (const a of nodes) {
+		if (a.i > 0 && a.i % ITEMS_PER_SLICE === 0) await nextTick();
+		if (a.embedded) {
+			const neighbours = index.search(index.vector(a.id), {
+				k: nodes.length,
+				minSimilarity: EMBEDDING_THRESHOLD,
+				filter: (id) => id !== a.id && closeInTime(a, nodeById.get(id)),
+			});
+			for (const { id } of neighbours) union(a.i, nodeById.get(id).i);
+		}
+		for (let j = a.i + 1; j < nodes.length; j++) {
+			const b = nodes[j];
+			if ((a.embedded && b.embedded) || !closeInTime(a, b)) continue;
+			if (find(a.i) === find(j)) continue;
+			if (titleSimilarity(a.tokens, b.tokens) >= TITLE_THRESHOLD) union(a.i, j);
+		}
+	}
+
+	const groups = new Map();
+	nodes.forEach((node, i) => {
+		const root = find(i);
+		if (!groups.has(root)) groups.set(root, []);
+		groups.get(root).push(node.id);
+	});
+	return Array.from(groups.values()).filter((ids) => ids.length > 1);
+}
+
+/**
+ * The item that stands for a cluster on the timeline: best score across
+ * research statements, then one with a summary, then the earliest
+ * @param {Array<{id: number, best_score: number|null, summary: string|null, created_at: string}>} members
+ */
+function pickRepresentative(members) {
+	return members.slice().sort((a, b) => {
+		const sa = Number.isFinite(a.best_score) ? a.best_score : -Infinity;
+		const sb = Number.isFinite(b.best_score) ? b.best_score : -Infinity;
+		if (sa !== sb) return sb - sa;
+		if (!!a.summary !== !!b.summary) return a.summary ? -1 : 1;
+		return (timeOf(a) || 0) - (timeOf(b) || 0) || a.id - b.id;
+	})[0];
+}
+
+module.exports = {
+	titleTokens,
+	titleSimilarity,
+	clusterItems,
+	pickRepresentative,
+};
@@ -0,0 +1,181 @@
+/**
+ * Transcript parsing and chunking (WebVTT, SRT, plain text)
+ *
+ * Transcripts are stored as page_text in chunks separated by blank lines,
+ * each starting with its "[h:mm:ss]" start time when the source had one.
+ * Embeddings, summaries and citations all work from those chunks.
+ */
+
+const CHUNK_TARGET_CHARS = Number(process.env.TRANSCRIPT_CHUNK_CHARS || 1200);
+const TIMESTAMP_PATTERN = /^\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d+)?)\]?\s+/;
+const CHUNK_MARKER_PATTERN = /^\[((?:\d{1,2}:)?\d{1,2}:\d{2})\]\s*/;
+
+// "01:02:03.500", "02:03,5" or "2:03" -> seconds
+function parseTimestamp(value) {
+	const parts = String(value || "")
+		.trim()
+		.replace(",", ".")
+		.split(":")
+		.map(Number);
+	if (parts.length < 2 || parts.some((p) => !Number.isFinite(p))) return null;
+	return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Seconds -> "m:ss" or "h:mm:ss"
+function formatTimestamp(seconds) {
+	const s = Math.max(0, Math.floor(Number(seconds) || 0));
+	const h = Math.floor(s / 3600);
+	const m = Math.floor((s % 3600) / 60);
+	const sec = String(s % 60).padStart(2, "0");
+	return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+
+function cleanCueText(line) {
+	return String(line)
+		.replace(/<\d{2}:\d{2}[:.\d]*>/g, "") // inline word timings
+		.replace(/<v\s+([^>]+)>/gi, "$1: ") // voice spans keep the speaker
+		.replace(/<[^>]+>/g, "")
+		.replace(/&amp;/g, "&")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&nbsp;/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+}
+
+// Shared by VTT and SRT: blocks with a "start --> end" timing line
+function parseTimedBlocks(content) {
+	const cues = [];
+	let lastLine = null;
+	const blocks = String(content || "")
+		.replace(/\r\n?/g, "\n")
+		.split(/\n{2,}/);
+	for (const block of blocks) {
+		const lines = block.split("\n");
+		const timingIndex = lines.findIndex((l) => l.includes("-->"));
+		if (timingIndex === -1) continue; // header, NOTE, STYLE
+		const [startText, endText] = lines[timingIndex].split("-->");
+		const start = parseTimestamp(startText);
+		const end = parseTimestamp(String(endText || "").trim().split(/\s+/)[0]);
+		const text = [];
+		for (const raw of lines.slice(timingIndex + 1)) {
+			const line = cleanCueText(raw);
+			// Auto-generated captions repeat the previous line in each cue
+			if (!line || line === lastLine) continue;
+			text.push(line);
+			lastLine = line;
+		}
+		if (text.length > 0 && start !== null) {
+			cues.push({ start, end, text: text.join(" ") });
+		}
+	}
+	return cues;
+}
+
+// Plain text: "[00:01:23] text" / "00:01:23 text" lines, else paragraphs
+function parsePlainText(content) {
+	const lines = String(content || "")
+		.replace(/\r\n?/g, "\n")
+		.split("\n");
+	if (!lines.some((l) => TIMESTAMP_PATTERN.test(l.trim()))) {
+		return String(content || "")
+			.split(/\n\s*\n/)
+			.map((p) => p.replace(/\s+/g, " ").trim())
+			.filter(Boolean)
+			.map((text) => ({ start: null, end: null, text }));
+	}
+	const cues = [];
+	for (const raw of lines) {
+		const line = raw.trim();
+		if (!line) continue;
+		const match = TIMESTAMP_PATTERN.exec(line);
+		if (match) {
+			cues.push({
+				start: parseTimestamp(match[1]),
+				end: null,
+				text: line.slice(match[0].length).trim(),
+			});
+		} else if (cues.length > 0) {
+			cues[cues.length - 1].text += ` ${line}`;
+		} else {
+			cues.push({ start: null, end: null, text: line });
+		}
+	}
+	return cues.filter((c) => c.text);
+}
+
+/**
+ * Parse a transcript file's content into cues
+ * @param {string} content
+ * @param {"vtt"|"srt"|"txt"} format
+ * @returns {Array<{start: number|null, end: number|null, text: string}>}
+ */
+function parseTranscript(content, format) {
+	return format === "vtt" || format === "srt"
+		? parseTimedBlocks(content)
+		: parsePlainText(content);
+}
+
+/**
+ * Group cues into chunks of roughly CHUNK_TARGET_CHARS on cue boundaries
+ * @returns {Array<{start: number|null, end: number|null, text: string}>}
+ */
+function chunkCues(cues, targetChars = CHUNK_TARGET_CHARS) {
+	const chunks = [];
+	let current = null;
+	for (const cue of cues) {
+		if (!current || current.text.length >= targetChars) {
+			current = { start: cue.start, end: cue.end, text: cue.text };
+			chunks.push(current);
+			continue;
+		}
+		current.text += ` ${cue.text}`;
+		if (cue.end !== null) current.end = cue.end;
+		else if (cue.start !== null) current.end = cue.start;
+	}
+	return chunks;
+}
+
+// Chunks -> page_text ("[m:ss] text" paragraphs)
+function formatChunks(chunks) {
+	return chunks
+		.map((c) =>
+			c.start !== null ? `[${formatTimestamp(c.start)}] ${c.text}` : c.text
+		)
+		.join("\n\n");
+}
+
+// page_text written by formatChunks -> chunks (start in seconds or null)
+function parseChunkedText(text) {
+	return String(text || "")
+		.split(/\n\s*\n/)
+		.map((p) => p.trim())
+		.filter(Boolean)
+		.map((p) => {
+			const match = CHUNK_MARKER_PATTERN.exec(p);
+			return match
+				? { start: parseTimestamp(match[1]), text: p.slice(match[0].length) }
+				: { start: null, text: p };
+		});
+}
+
+/**
+ * Pick chunks spread evenly over the whole transcript, in order
+ * @param {Array} chunks
+ * @param {number} max - Number of chunks to keep
+ */
+function sampleChunks(chunks, max) {
+	if (chunks.length <= max) return chunks;
+	const step = chunks.length / max;
+	return Array.from({ length: max }, (_, i) => chunks[Math.floor(i * step)]);
+}
+
+module.exports = {
+	parseTimestamp,
+	formatTimestamp,
+	parseTranscript,
+	chunkCues,
+	formatChunks,
+	parseChunkedText,
+	sampleChunks,
+};
@@ -0,0 +1,103 @@
+/**
+ * User settings persistence (backend/config/user-settings.json)
+ *
+ * Settings are grouped into top-level sections, one per collector id
+ * (e.g. "hackernews"). Writes merge sections so that saving one collector's
+ * settings does not wipe another's.
+ *
+ * user-settings.json is tracked by git, so credentials (schema fields marked
+ * `secret`, see BaseCollector) live in config/secrets.json instead, which is
+ * git-ignored and grouped the same way.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SETTINGS_FILE = path.join(__dirname, "..", "config", "user-settings.json");
+const SECRETS_FILE = path.join(__dirname, "..", "config", "secrets.json");
+
+/**
+ * Read settings synchronously (used by collectors at discovery time)
+ * @returns {Object} Parsed settings, or an empty object if missing/corrupt
+ */
+function readUserSettingsSync() {
+	try {
+		const data = fs.readFileSync(SETTINGS_FILE, "utf8");
+		const parsed = JSON.parse(data);
+		return parsed && typeof parsed === "object" ? parsed : {};
+	} catch (_) {
+		return {};
+	}
+}
+
+/**
+ * Read settings asynchronously; throws if the file is missing or corrupt
+ * @returns {Promise<Object>} Parsed settings
+ */
+async function readUserSettings() {
+	const data = await fs.promises.readFile(SETTINGS_FILE, "utf8");
+	return JSON.parse(data);
+}
+
+/**
+ * Merge the given sections into the stored settings and persist them
+ * @param {Object} sections - Top-level sections to replace/merge
+ * @returns {Promise<Object>} The full settings object that was written
+ */
+async function writeUserSettings(sections) {
+	const current = readUserSettingsSync();
+	const next = { ...current };
+	for (const [key, value] of Object.entries(sections || {})) {
+		if (value && typeof value === "object" && !Array.isArray(value)) {
+			next[key] = { ...(current[key] || {}), ...value };
+		} else {
+			next[key] = value;
+		}
+	}
+	await fs.promises.writeFile(SETTINGS_FILE, JSON.stringify(next, null, 2));
+	return next;
+}
+
+/**
+ * Read stored secrets synchronously
+ * @returns {Object} Sections of secrets, or an empty object if none are stored
+ */
+function readSecretsSync() {
+	try {
+		const parsed = JSON.parse(fs.readFileSync(SECRETS_FILE, "utf8"));
+		return parsed && typeof parsed === "object" ? parsed : {};
+	} catch (_) {
+		return {};
+	}
+}
+
+/**
+ * Merge secrets into the store; an empty value removes the secret
+ * @param {Object} sections - e.g. { github: { token: "..." } }
+ */
+async function writeSecrets(sections) {
+	if (!sections || Object.keys(sections).length === 0) return;
+	const next = readSecretsSync();
+	for (const [sectionId, values] of Object.entries(sections || {})) {
+		const section = { ...(next[sectionId] || {}) };
+		for (const [key, value] of Object.entries(values || {})) {
+			if (typeof value === "string" && value.trim()) section[key] = value.trim();
+			else delete section[key];
+		}
+		if (Object.keys(section).length > 0) next[sectionId] = section;
+		else delete next[sectionId];
+	}
+	await fs.promises.writeFile(SECRETS_FILE, JSON.stringify(next, null, 2), {
+		mode: 0o600,
+	});
+}
+
+module.exports = {
+	SETTINGS_FILE,
+	SECRETS_FILE,
+	readUserSettingsSync,
+	readUserSettings,
+	writeUserSettings,
+	readSecretsSync,
+	writeSecrets,
+};
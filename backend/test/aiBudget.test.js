@@ -0,0 +1,49 @@
+// The daily AI budget stops relevance judging midway through the statements
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { initializeDatabase, closeDatabase } = require("../database");
+const AIService = require("../services/ai");
+const { OfflineProvider } = require("../services/llm/offline");
+
+test.before(() => initializeDatabase());
+test.after(() => closeDatabase());
+
+const statements = [1, 2, 3].map((id) => ({
+	id,
+	name: `Topic ${id}`,
+	statement: `Research topic number ${id}`,
+	keywords: "[]",
+	negative_keywords: "[]",
+	is_active: 1,
+}));
+
+test("judgeRelevance stops at the statement where the budget runs out", async (t) => {
+	const provider = new OfflineProvider();
+	const ai = new AIService({ provider });
+	// The first judgment alone costs more than the whole budget
+	ai.dailyBudgetUSD = 0.01;
+	ai.costPerThousandTokensUSD = 1000;
+	const completeJson = t.mock.method(provider, "completeJson");
+	t.mock.method(console, "log", () => {});
+	t.mock.method(console, "error", () => {});
+
+	const result = await ai.judgeRelevance(
+		{ sourceLabel: "Test item", title: "Faster builds" },
+		{ statements }
+	);
+
+	assert.equal(completeJson.mock.callCount(), 1);
+	assert.deepEqual(
+		result.judgments.map((j) => j.research_statement_id),
+		[1]
+	);
+
+	await assert.rejects(
+		ai.judgeRelevance({ sourceLabel: "Test item", title: "Next" }, { statements }),
+		{ code: "AI_BUDGET_EXCEEDED" }
+	);
+	assert.equal(completeJson.mock.callCount(), 1);
+});
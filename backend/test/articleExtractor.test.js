@@ -0,0 +1,121 @@
+// extractArticle on saved pages: main content, boilerplate and metadata
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { parseHtml, extractArticle } = require("../services/articleExtractor");
+
+function readFixture(name) {
+	return fs.readFileSync(path.join(__dirname, "fixtures", "pages", name), "utf8");
+}
+
+// Tree without parent links, for comparing
+function plain(node) {
+	if (node.text !== undefined) return { text: node.text };
+	return { tag: node.tag, attrs: node.attrs, children: node.children.map(plain) };
+}
+
+test("parseHtml closes implied end tags and keeps script text as is", () => {
+	const root = parseHtml(
+		'<ul><li>One &amp; two<li class="x">Three</ul><p>A<p>B &#233;<script>if (a < b) x()</script>'
+	);
+	assert.deepEqual(plain(root).children, [
+		{
+			tag: "ul",
+			attrs: {},
+			children: [
+				{ tag: "li", attrs: {}, children: [{ text: "One & two" }] },
+				{ tag: "li", attrs: { class: "x" }, children: [{ text: "Three" }] },
+			],
+		},
+		{ tag: "p", attrs: {}, children: [{ text: "A" }] },
+		{
+			tag: "p",
+			attrs: {},
+			children: [
+				{ text: "B é" },
+				{ tag: "script", attrs: {}, children: [{ text: "if (a < b) x()" }] },
+			],
+		},
+	]);
+});
+
+test("a news page yields its story without banners, menus, widgets or comments", () => {
+	const article = extractArticle(
+		readFixture("news-article.html"),
+		"https://news.example.com/tech/small-models?utm_source=feed"
+	);
+
+	assert.equal(article.title, "Small models catch up on code review");
+	assert.equal(article.byline, "Jane Doe, Sam Lee");
+	assert.equal(article.published_at, "2024-03-05T08:30:00.000Z");
+	assert.equal(article.site_name, "The Daily Build");
+	assert.equal(article.image, "https://news.example.com/tech/images/review.png");
+	assert.equal(article.lang, "en-GB");
+	assert.equal(
+		article.excerpt,
+		"Distilled models now match larger ones on review comments."
+	);
+
+	// The repeated title and the "By ..." line are dropped from the body
+	assert.deepEqual(
+		article.blocks.map((b) => b.type),
+		["paragraph", "paragraph", "heading", "paragraph", "list", "quote", "paragraph", "paragraph"]
+	);
+	assert.ok(article.blocks[0].text.startsWith("Teams that review hundreds"));
+	assert.deepEqual(article.blocks[2], {
+		type: "heading",
+		level: 2,
+		text: "Where the gap remains",
+	});
+	assert.deepEqual(article.blocks[4].items, [
+		"Single-file changes: no measurable gap",
+		"Multi-file refactors: a gap of eight points",
+	]);
+	assert.ok(article.text.endsWith("kept their code on machines they control."));
+	for (const boilerplate of [
+		"cookies",
+		"Share on",
+		"Opinion",
+		"Related",
+		"Log in to comment",
+		"newsletter",
+		"Privacy",
+	]) {
+		assert.ok(!article.text.includes(boilerplate), boilerplate);
+	}
+	assert.equal(article.word_count, article.text.match(/[\p{L}\p{N}]+/gu).length);
+});
+
+test("a single <article> element is taken as the content", () => {
+	const article = extractArticle(readFixture("article.html"), "https://example.com/build");
+
+	assert.equal(article.title, "Why our build got twice as fast");
+	assert.equal(article.byline, null);
+	assert.equal(article.published_at, null);
+	assert.equal(article.lang, "en");
+	assert.equal(article.blocks.length, 5);
+	assert.ok(article.blocks.every((b) => b.type === "paragraph"));
+	assert.ok(!article.text.includes("Archive"));
+	assert.ok(!article.text.includes("Comments are closed"));
+});
+
+test("the document title loses its site suffix and a <time> gives the date", () => {
+	const html = `<html><head><title>Release notes for 2.0 - Example Blog</title>
+		<meta property="og:site_name" content="Example Blog"></head><body>
+		<div class="post"><time datetime="2024-05-01T12:00:00Z">May 1</time>
+		<p>${"Version 2.0 replaces the plugin loader and drops Node 16. ".repeat(8)}</p></div>
+		</body></html>`;
+	const article = extractArticle(html, "https://blog.example.com/2-0");
+
+	assert.equal(article.title, "Release notes for 2.0");
+	assert.equal(article.published_at, "2024-05-01T12:00:00.000Z");
+});
+
+test("empty input has no article", () => {
+	assert.equal(extractArticle("", "https://example.com/"), null);
+	assert.equal(extractArticle(null), null);
+});
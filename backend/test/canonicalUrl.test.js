@@ -0,0 +1,93 @@
+// Canonical URL keys for cross-source deduplication
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	canonicalizeUrl,
+	stripTrackingParams,
+	extractCanonicalLink,
+} = require("../services/canonicalUrl");
+
+test("canonicalizeUrl drops tracking parameters and keeps the rest", () => {
+	const cases = [
+		[
+			"https://example.com/post?utm_source=hn&utm_medium=social&id=7",
+			"https://example.com/post?id=7",
+		],
+		[
+			"https://example.com/post?fbclid=abc&gclid=def&msclkid=ghi",
+			"https://example.com/post",
+		],
+		[
+			"https://example.com/post?mc_cid=1&mc_eid=2&mc_tc=3&page=2",
+			"https://example.com/post?page=2",
+		],
+		// GitHub branch and tag links are different pages
+		[
+			"https://github.com/acme/tool/blob/main/README.md?ref=v2.0",
+			"https://github.com/acme/tool/blob/main/README.md?ref=v2.0",
+		],
+		["https://example.com/search?q=rag&si=1", "https://example.com/search?q=rag&si=1"],
+		["https://example.com/a?spm=1&ref_src=x", "https://example.com/a?ref_src=x&spm=1"],
+		["https://www.youtube.com/watch?v=abc123&si=share", "https://youtube.com/watch?v=abc123"],
+	];
+	for (const [input, expected] of cases) {
+		assert.equal(canonicalizeUrl(input), expected, input);
+	}
+});
+
+test("canonicalizeUrl normalizes scheme, host, path and parameter order", () => {
+	const cases = [
+		["http://WWW.Example.com/Post/", "https://example.com/Post"],
+		["https://m.example.com/post#comments", "https://example.com/post"],
+		["https://amp.example.com/post/amp", "https://example.com/post"],
+		["https://user:pw@example.com.//a//b/index.html", "https://example.com/a/b"],
+		["https://example.com/post?b=2&a=1&amp=1", "https://example.com/post?a=1&b=2"],
+		["https://youtu.be/abc123?t=10", "https://youtube.com/watch?v=abc123"],
+		["https://www.youtube.com/shorts/abc123", "https://youtube.com/watch?v=abc123"],
+		["http://export.arxiv.org/pdf/2401.01234v2.pdf", "https://arxiv.org/abs/2401.01234"],
+		["https://arxiv.org/abs/2401.01234v3", "https://arxiv.org/abs/2401.01234"],
+	];
+	for (const [input, expected] of cases) {
+		assert.equal(canonicalizeUrl(input), expected, input);
+	}
+});
+
+test("canonicalizeUrl rejects what is not an http(s) URL", () => {
+	for (const input of ["", null, "not a url", "ftp://example.com/file", "mailto:a@b.c"]) {
+		assert.equal(canonicalizeUrl(input), null, String(input));
+	}
+});
+
+test("stripTrackingParams keeps the URL fetchable as given", () => {
+	assert.equal(
+		stripTrackingParams("http://WWW.Example.com/post/?utm_source=x&ref=main#top"),
+		"http://www.example.com/post/?ref=main"
+	);
+});
+
+test("extractCanonicalLink reads rel=canonical, else og:url", () => {
+	const base = "https://example.com/2024/post?utm_source=x";
+	assert.equal(
+		extractCanonicalLink(
+			'<head><link href="/2024/post" rel="canonical"><meta property="og:url" content="https://other.example/"></head>',
+			base
+		),
+		"https://example.com/2024/post"
+	);
+	assert.equal(
+		extractCanonicalLink(
+			"<meta property='og:url' content='https://example.com/p?a=1&amp;b=2'>",
+			base
+		),
+		"https://example.com/p?a=1&b=2"
+	);
+	// A canonical pointing every page at the home page is ignored
+	assert.equal(
+		extractCanonicalLink('<link rel="canonical" href="https://example.com/">', base),
+		null
+	);
+	assert.equal(extractCanonicalLink("<p>No head</p>", base), null);
+});
@@ -0,0 +1,78 @@
+// assessPageContent on saved pages, with text extracted as fetchUrlPage does
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { assessPageContent } = require("../services/contentQuality");
+const { extractReadableText } = require("../services/pageFetcher");
+
+function assessFixture(name, url = "https://news.example.com/story") {
+	const html = fs.readFileSync(
+		path.join(__dirname, "fixtures", "pages", name),
+		"utf8"
+	);
+	return assessPageContent({ html, text: extractReadableText(html), url });
+}
+
+test("a plain article that mentions cookies and subscribing is ok", () => {
+	assert.deepEqual(assessFixture("article.html"), { status: "ok", reason: null });
+});
+
+test("schema.org isAccessibleForFree: false marks a paywall", () => {
+	assert.deepEqual(assessFixture("paywall-flag.html"), {
+		status: "paywall",
+		reason: "Marked isAccessibleForFree: false",
+	});
+});
+
+test("a subscription prompt under a teaser marks a paywall", () => {
+	assert.deepEqual(assessFixture("paywall-text.html"), {
+		status: "paywall",
+		reason: "Subscription prompt in text",
+	});
+});
+
+test("paywall vendor markup around a teaser marks a paywall", () => {
+	assert.deepEqual(assessFixture("paywall-markup.html"), {
+		status: "paywall",
+		reason: "Paywall markup",
+	});
+});
+
+test("a cookie dialog instead of the article is a consent wall", () => {
+	assert.deepEqual(assessFixture("consent.html"), {
+		status: "consent_wall",
+		reason: "Consent prompt in text",
+	});
+});
+
+test("a redirect to a consent host is a consent wall", () => {
+	const result = assessFixture(
+		"article.html",
+		"https://consent.example.com/?continue=https://news.example.com/story"
+	);
+	assert.equal(result.status, "consent_wall");
+});
+
+test("a JavaScript app without server-rendered text is an empty shell", () => {
+	assert.deepEqual(assessFixture("js-shell.html"), {
+		status: "empty_shell",
+		reason: "Page requires JavaScript",
+	});
+});
+
+test("a page that is mostly inline scripts is an empty shell", () => {
+	assert.deepEqual(assessFixture("script-heavy.html"), {
+		status: "empty_shell",
+		reason: "Page is mostly scripts",
+	});
+});
+
+test("a page with only a few words is an empty shell", () => {
+	const result = assessFixture("empty.html");
+	assert.equal(result.status, "empty_shell");
+	assert.match(result.reason, /^Only \d+ words of text$/);
+});
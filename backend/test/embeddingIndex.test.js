@@ -0,0 +1,70 @@
+// The shared similarity index across a change of embedding model
+process.env.DATABASE_PATH = ":memory:";
+process.env.AI_PROVIDER = "offline";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../database");
+const { db: connection } = require("../db/connection");
+const { EmbeddingIndex, contentIndex } = require("../services/embeddingIndex");
+
+const basis = (dims, at) => Array.from({ length: dims }, (_, i) => (i === at ? 1 : 0));
+
+test.before(() => db.initializeDatabase());
+test.after(() => db.closeDatabase());
+
+test("an index of a given dimension rejects vectors of another", () => {
+	const index = new EmbeddingIndex({ dims: 3 });
+	assert.equal(index.add(1, [1, 0]), false);
+	assert.equal(index.add(2, [0, 1, 0]), true);
+	assert.equal(index.add(3, [0.9, 0.1, 0]), true);
+	assert.deepEqual(
+		index.search([1, 0, 0], { k: 1 }).map((hit) => hit.id),
+		[3]
+	);
+	assert.equal(index.similarityBetween(2, 2), 1);
+	assert.equal(index.similarityBetween(2, 99), null);
+});
+
+test("older rows of another dimension do not shut out the current model", async (t) => {
+	const logged = [];
+	t.mock.method(console, "log", (line) => logged.push(String(line)));
+	// Read first by id: rows from before models were recorded, one of them
+	// from an older 1536-dimension model
+	const rows = [
+		[1, "", basis(1536, 0)],
+		[2, "", basis(256, 1)],
+		[3, "offline-hash-256", basis(256, 1)],
+		[4, "offline-hash-256", basis(256, 2)],
+		[5, "text-embedding-3-small", basis(1536, 0)],
+	];
+	for (const [id, model, embedding] of rows) {
+		await new Promise((resolve, reject) => {
+			connection.run(
+				"INSERT INTO content_items (id, source_type, source_id, title) VALUES (?, 'manual', ?, ?)",
+				[id, `item-${id}`, `Item ${id}`],
+				(err) => (err ? reject(err) : resolve())
+			);
+		});
+		await db.upsertContentEmbedding({
+			content_item_id: id,
+			model,
+			text_hash: `hash-${id}`,
+			embedding,
+		});
+	}
+
+	const index = await contentIndex();
+
+	assert.equal(index.dims, 256);
+	assert.deepEqual(
+		index
+			.search(basis(256, 1), { k: 5, minSimilarity: 0.5 })
+			.map((hit) => hit.id)
+			.sort(),
+		[2, 3]
+	);
+	assert.equal(index.size, 3);
+	assert.ok(logged.some((line) => /3 items .* 1 skipped/.test(line)));
+});
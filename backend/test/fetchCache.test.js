@@ -0,0 +1,131 @@
+// fetchUrlPage's on-disk cache and conditional revalidation, against a
+// local server
+process.env.DATABASE_PATH = ":memory:";
+process.env.DOMAIN_RATE_LIMIT_MS = "0";
+process.env.FETCH_MAX_RETRIES = "1";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const {
+	initializeDatabase,
+	closeDatabase,
+	getFetchCacheEntry,
+	getFetchFailures,
+} = require("../database");
+const { fetchUrlPage } = require("../services/pageFetcher");
+
+const ARTICLE = fs.readFileSync(
+	path.join(__dirname, "fixtures", "pages", "article.html"),
+	"utf8"
+);
+const ETAG = '"v1"';
+const LAST_MODIFIED = "Tue, 05 Mar 2024 08:00:00 GMT";
+
+let server;
+let base;
+// Requests for pages (robots.txt is not counted)
+const requests = [];
+
+test.before(async () => {
+	await initializeDatabase();
+	server = http.createServer((req, res) => {
+		if (req.url === "/robots.txt") {
+			res.writeHead(404);
+			return res.end();
+		}
+		requests.push({ url: req.url, headers: req.headers });
+		if (req.url === "/story") {
+			if (req.headers["if-none-match"] === ETAG) {
+				res.writeHead(304, { etag: ETAG });
+				return res.end();
+			}
+			res.writeHead(200, {
+				"content-type": "text/html; charset=utf-8",
+				etag: ETAG,
+				"last-modified": LAST_MODIFIED,
+			});
+			return res.end(ARTICLE);
+		}
+		res.writeHead(req.url === "/broken" ? 500 : 404, { "content-type": "text/plain" });
+		res.end("no");
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+	await new Promise((resolve) => server.close(resolve));
+	await closeDatabase();
+});
+
+function requestsFor(pathname) {
+	return requests.filter((r) => r.url === pathname);
+}
+
+test("a fetched page is stored with its validators and served from the cache", async () => {
+	const url = `${base}/story`;
+	const page = await fetchUrlPage(url);
+	assert.equal(page.title, "Why our build got twice as fast");
+	assert.equal(page.content_status, "ok");
+
+	const entry = await getFetchCacheEntry(url);
+	assert.equal(entry.status, 200);
+	assert.equal(entry.etag, ETAG);
+	assert.equal(entry.last_modified, LAST_MODIFIED);
+	assert.equal(entry.headers["content-type"], "text/html; charset=utf-8");
+	assert.equal(entry.text, page.text);
+	assert.equal(entry.article.title, page.title);
+	assert.equal(entry.error, null);
+
+	// Fresh entries are used without asking the site again
+	const again = await fetchUrlPage(url);
+	assert.deepEqual(again, page);
+	assert.equal(requestsFor("/story").length, 1);
+});
+
+test("revalidate sends a conditional GET and keeps the stored page on 304", async () => {
+	const url = `${base}/story`;
+	const before = await getFetchCacheEntry(url);
+
+	const page = await fetchUrlPage(url, { revalidate: true });
+
+	const [, conditional] = requestsFor("/story");
+	assert.equal(conditional.headers["if-none-match"], ETAG);
+	assert.equal(conditional.headers["if-modified-since"], LAST_MODIFIED);
+	assert.equal(page.text, before.text);
+	const after = await getFetchCacheEntry(url);
+	assert.equal(after.status, 304);
+	assert.equal(after.text, before.text);
+	assert.ok(after.checked_at >= before.checked_at);
+});
+
+test("failures are recorded with their reason and not retried right away", async () => {
+	const missing = `${base}/missing`;
+	const broken = `${base}/broken`;
+
+	assert.equal(await fetchUrlPage(missing), null);
+	assert.equal(await fetchUrlPage(broken), null);
+	// Client errors are not retried; server errors are, FETCH_MAX_RETRIES times
+	assert.equal(requestsFor("/missing").length, 1);
+	assert.equal(requestsFor("/broken").length, 2);
+
+	const entry = await getFetchCacheEntry(missing);
+	assert.equal(entry.status, 404);
+	assert.equal(entry.error, "HTTP 404");
+	assert.equal(entry.fail_count, 1);
+	assert.equal((await getFetchCacheEntry(broken)).error, "HTTP 500");
+
+	// Within FETCH_FAILURE_RETRY_HOURS the recorded failure is the answer
+	assert.equal(await fetchUrlPage(missing), null);
+	assert.equal(requestsFor("/missing").length, 1);
+	// ...unless the caller asks again explicitly
+	assert.equal(await fetchUrlPage(missing, { revalidate: true }), null);
+	assert.equal((await getFetchCacheEntry(missing)).fail_count, 2);
+
+	const failures = (await getFetchFailures()).map((f) => f.url).sort();
+	assert.deepEqual(failures, [broken, missing].sort());
+});
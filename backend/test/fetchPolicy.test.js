@@ -0,0 +1,154 @@
+// robots.txt matching (RFC 9309) and domain policy scope
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { initializeDatabase, closeDatabase } = require("../database");
+const {
+	normalizeDomain,
+	getDomainPolicy,
+	saveDomainPolicy,
+	parseRobotsTxt,
+	patternToRegExp,
+	robotsAllows,
+} = require("../services/fetchPolicy");
+
+test.before(() => initializeDatabase());
+test.after(() => closeDatabase());
+
+test("patternToRegExp matches prefixes, * anywhere and $ at the end", () => {
+	const cases = [
+		["/private", "/private", true],
+		["/private", "/private/page.html", true],
+		["/private", "/privateer", true],
+		["/private", "/public/private", false],
+		["/*.pdf", "/papers/a.pdf", true],
+		["/*.pdf", "/papers/a.pdf?download=1", true],
+		["/*.pdf$", "/papers/a.pdf", true],
+		["/*.pdf$", "/papers/a.pdf?download=1", false],
+		["/a*b*c", "/a-x-b-y-c-z", true],
+		["/a*b*c", "/a-x-c-y-b", false],
+		["/search?q=", "/search?q=test", true],
+		["/search?q=", "/searchXq=test", false],
+		["/$", "/", true],
+		["/$", "/index.html", false],
+	];
+	for (const [pattern, path, expected] of cases) {
+		assert.equal(
+			patternToRegExp(pattern).test(path),
+			expected,
+			`${pattern} against ${path}`
+		);
+	}
+});
+
+test("parseRobotsTxt picks our group, else *, and merges repeated groups", () => {
+	const cases = [
+		{
+			name: "our product token wins over *",
+			text: "User-agent: *\nDisallow: /\n\nUser-agent: grist-mill-bot\nDisallow: /drafts\nCrawl-delay: 2",
+			expected: { rules: [{ allow: false, pattern: "/drafts" }], crawlDelayMs: 2000 },
+		},
+		{
+			name: "* when no group names us",
+			text: "User-agent: otherbot\nDisallow: /\n\nUser-agent: *\nAllow: /public\nDisallow: /",
+			expected: {
+				rules: [
+					{ allow: true, pattern: "/public" },
+					{ allow: false, pattern: "/" },
+				],
+				crawlDelayMs: null,
+			},
+		},
+		{
+			name: "agent lines share a group, versions and case are ignored",
+			text: "User-agent: OtherBot\nUser-Agent: Grist-Mill-Bot/0.1\nDisallow: /a # comment\n\nuser-agent: grist-mill-bot\ndisallow: /b",
+			expected: {
+				rules: [
+					{ allow: false, pattern: "/a" },
+					{ allow: false, pattern: "/b" },
+				],
+				crawlDelayMs: null,
+			},
+		},
+		{
+			name: "empty Disallow allows everything",
+			text: "User-agent: *\nDisallow:",
+			expected: { rules: [], crawlDelayMs: null },
+		},
+		{
+			name: "no groups at all",
+			text: "Sitemap: https://example.com/sitemap.xml\nDisallow: /",
+			expected: { rules: [], crawlDelayMs: null },
+		},
+		{
+			name: "crawl-delay is capped",
+			text: "User-agent: *\nCrawl-delay: 3600",
+			expected: { rules: [], crawlDelayMs: 60000 },
+		},
+	];
+	for (const { name, text, expected } of cases) {
+		assert.deepEqual(parseRobotsTxt(text), expected, name);
+	}
+});
+
+test("robotsAllows: longest match wins and Allow wins ties", () => {
+	const robots = parseRobotsTxt(
+		[
+			"User-agent: *",
+			"Disallow: /shop",
+			"Allow: /shop/catalog",
+			"Disallow: /*.pdf$",
+			"Allow: /papers/*.pdf$",
+			"Disallow: /tie",
+			"Allow: /tie",
+			"Disallow: /page",
+			"Allow: /page$",
+		].join("\n")
+	);
+	const cases = [
+		["/", true],
+		["/robots.txt", true],
+		["/shop", false],
+		["/shop/cart", false],
+		["/shop/catalog/shoes", true],
+		["/files/report.pdf", false],
+		["/files/report.pdf?x=1", true],
+		["/papers/a.pdf", true],
+		["/tie/anything", true],
+		["/page", true],
+		["/page/2", false],
+	];
+	for (const [path, expected] of cases) {
+		assert.equal(robotsAllows(robots, path), expected, path);
+	}
+});
+
+test("normalizeDomain strips *. and keeps other subdomains", () => {
+	const cases = [
+		["Example.com", "example.com"],
+		["*.example.com", "example.com"],
+		["https://www.Example.com/x", "www.example.com"],
+		["www.example.com", "www.example.com"],
+		["blog.example.com.", "blog.example.com"],
+		["not a domain", null],
+		["", null],
+	];
+	for (const [input, expected] of cases) {
+		assert.equal(normalizeDomain(input), expected, input);
+	}
+});
+
+test("a www. policy applies to that host only, a bare domain to subdomains", async () => {
+	await saveDomainPolicy({ domain: "www.example.com", access: "deny" });
+	await saveDomainPolicy({ domain: "example.org", access: "title_only" });
+
+	assert.equal((await getDomainPolicy("https://www.example.com/a")).access, "deny");
+	assert.equal(await getDomainPolicy("https://blog.example.com/a"), null);
+	assert.equal(await getDomainPolicy("https://example.com/a"), null);
+	assert.equal(
+		(await getDomainPolicy("https://news.example.org/a")).access,
+		"title_only"
+	);
+});
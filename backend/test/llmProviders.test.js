@@ -0,0 +1,110 @@
+// Provider selection from the environment, and the offline provider
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createProvider } = require("../services/llm");
+const { OfflineProvider } = require("../services/llm/offline");
+const { OpenAIProvider } = require("../services/llm/openai");
+const { cosineSimilarity } = require("../services/contentEmbeddings");
+
+const RELEVANCE_SCHEMA = {
+	type: "object",
+	properties: {
+		relevance_score: { type: "integer", minimum: 1, maximum: 10 },
+		highlight: { type: "boolean" },
+		relevance_explanation: { type: "string" },
+	},
+};
+
+test("AI_PROVIDER=offline selects the offline provider", () => {
+	const provider = createProvider({ AI_PROVIDER: " Offline ", OPENAI_API_KEY: "sk-x" });
+	assert.ok(provider instanceof OfflineProvider);
+	assert.equal(provider.id, "offline");
+	assert.equal(provider.embeddingModel, "offline-hash-256");
+	assert.equal(provider.isAvailable(), true);
+});
+
+test("an OpenAI key alone selects OpenAI with its default models", () => {
+	const provider = createProvider({ OPENAI_API_KEY: "sk-x" });
+	assert.ok(provider instanceof OpenAIProvider);
+	assert.equal(provider.id, "openai");
+	assert.equal(provider.chatModel, "gpt-4o-mini");
+	assert.equal(provider.embeddingModel, "text-embedding-3-small");
+	assert.equal(provider.isAvailable(), true);
+});
+
+test("AI_BASE_URL alone selects an OpenAI-compatible server", () => {
+	const provider = createProvider({
+		AI_BASE_URL: "http://localhost:11434/v1",
+		AI_CHAT_MODEL: "llama3.1",
+		AI_EMBEDDING_MODEL: "nomic-embed-text",
+	});
+	assert.equal(provider.id, "openai-compatible");
+	assert.equal(provider.name, "OpenAI-compatible (localhost:11434)");
+	assert.equal(provider.chatModel, "llama3.1");
+	assert.equal(provider.embeddingModel, "nomic-embed-text");
+	assert.equal(provider.tokenLimitParam, "max_tokens");
+	assert.equal(provider.isAvailable(), true);
+});
+
+test("a provider without credentials is not available", (t) => {
+	t.mock.method(console, "warn", () => {});
+	assert.equal(createProvider({}).isAvailable(), false);
+	assert.equal(
+		createProvider({ AI_PROVIDER: "openai-compatible" }).isAvailable(),
+		false
+	);
+	// Unknown ids fall back to OpenAI
+	assert.equal(createProvider({ AI_PROVIDER: "nope" }).id, "openai");
+});
+
+test("offline chat answers with the leading sentences of the content", async () => {
+	const provider = new OfflineProvider();
+	const messages = [
+		{ role: "system", content: "You summarize articles." },
+		{
+			role: "user",
+			content:
+				"Summarize this.\n\nContent: Builds got faster. Caching helped most. Tests run in parallel. The linker was swapped.",
+		},
+	];
+	const first = await provider.chat(messages);
+	const second = await provider.chat(messages);
+	assert.equal(
+		first.content,
+		"Builds got faster. Caching helped most. Tests run in parallel."
+	);
+	assert.deepEqual(second, first);
+	assert.ok(first.usage.total_tokens > 0);
+});
+
+test("offline JSON completions fill the schema the same way every time", async () => {
+	const provider = new OfflineProvider();
+	const messages = [{ role: "user", content: "Rate: faster builds" }];
+	const first = await provider.completeJson(messages, { schema: RELEVANCE_SCHEMA });
+	const second = await provider.completeJson(messages, { schema: RELEVANCE_SCHEMA });
+	assert.deepEqual(second, first);
+	assert.ok(Number.isInteger(first.data.relevance_score));
+	assert.ok(first.data.relevance_score >= 1 && first.data.relevance_score <= 10);
+	assert.equal(typeof first.data.highlight, "boolean");
+	assert.deepEqual(JSON.parse(first.content), first.data);
+});
+
+test("offline embeddings are deterministic 256-dimension unit vectors", async () => {
+	const provider = new OfflineProvider();
+	const { embedding } = await provider.embed("Faster builds with parallel tests");
+	const again = await provider.embed("Faster builds with parallel tests");
+	assert.equal(embedding.length, 256);
+	assert.deepEqual(again.embedding, embedding);
+	const norm = Math.sqrt(embedding.reduce((sum, v) => sum + v * v, 0));
+	assert.ok(Math.abs(norm - 1) < 1e-9);
+
+	const related = await provider.embed("Parallel tests make builds faster");
+	const unrelated = await provider.embed("Sourdough bread needs a starter");
+	assert.ok(
+		cosineSimilarity(embedding, related.embedding) >
+			cosineSimilarity(embedding, unrelated.embedding)
+	);
+});
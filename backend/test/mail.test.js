@@ -0,0 +1,89 @@
+// Reading newsletters out of mbox files and parsing MIME messages
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { parseMessage, splitMbox, readMailbox } = require("../services/mail");
+
+const MBOX = path.join(__dirname, "fixtures", "mail", "newsletters.mbox");
+
+test("splitMbox splits on From lines and undoes >From escaping", () => {
+	const messages = splitMbox(fs.readFileSync(MBOX));
+
+	assert.equal(messages.length, 3);
+	assert.ok(messages.every((m) => Buffer.isBuffer(m)));
+	assert.ok(messages[0].toString("latin1").startsWith("From: Old News"));
+	assert.ok(
+		messages[1].toString("latin1").includes("\nFrom the archive: nothing new.")
+	);
+});
+
+test("splitMbox skips messages whose From line is older than since", () => {
+	const since = Date.parse("2024-01-01T00:00:00Z");
+	const subjects = splitMbox(fs.readFileSync(MBOX), { since }).map(
+		(raw) => parseMessage(raw).subject
+	);
+	assert.deepEqual(subjects, ["Café notes", "Issue #12 — agents"]);
+
+	// A From line without a readable date is kept for parseMessage to judge
+	const undated = splitMbox("From someone\nSubject: Undated\n\nBody\n", { since });
+	assert.equal(undated.length, 1);
+});
+
+test("readMailbox streams an mbox file and applies since", async () => {
+	const all = await readMailbox(MBOX);
+	assert.equal(all.length, 3);
+
+	const recent = await readMailbox(MBOX, {
+		since: Date.parse("2024-01-16T00:00:00Z"),
+	});
+	// Jan 15 is within a day of since, so only parseMessage's date rules it out
+	assert.deepEqual(
+		recent.map((raw) => parseMessage(raw).messageId),
+		["latin-1@example.de", "weekly-12@example.com"]
+	);
+});
+
+test("parseMessage decodes an 8bit ISO-8859-1 body and encoded headers", () => {
+	const [, raw] = splitMbox(fs.readFileSync(MBOX));
+	const message = parseMessage(raw);
+
+	assert.equal(message.messageId, "latin-1@example.de");
+	assert.equal(message.subject, "Café notes");
+	assert.deepEqual(message.from, {
+		name: "Jürgen's Digest",
+		address: "digest@example.de",
+	});
+	assert.equal(message.date, "2024-01-15T07:00:00.000Z");
+	assert.equal(message.html, null);
+	assert.equal(
+		message.text,
+		"Grüße aus München, café crème.\nFrom the archive: nothing new.\n"
+	);
+});
+
+test("parseMessage reads multipart text and HTML and skips attachments", () => {
+	const [, , raw] = splitMbox(fs.readFileSync(MBOX));
+	const message = parseMessage(raw);
+
+	assert.equal(message.subject, "Issue #12 — agents");
+	assert.deepEqual(message.from, { name: "AI Weekly", address: "weekly@example.com" });
+	assert.equal(message.text, "Plain text — with an em dash.\n");
+	assert.equal(
+		message.html,
+		'<p>Read <a href="https://example.com/agents">agents</a> — a long line.</p>\n'
+	);
+});
+
+test("parseMessage takes a string as UTF-8 text", () => {
+	const message = parseMessage(
+		"Subject: Grüße\nContent-Type: text/plain; charset=utf-8\n\nMünchen\n"
+	);
+	assert.equal(message.subject, "Grüße");
+	assert.equal(message.text, "München\n");
+	assert.equal(message.date, null);
+	assert.equal(message.messageId, null);
+});
@@ -0,0 +1,66 @@
+// OPML import and export of feed subscriptions
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { parseOpml, buildOpml } = require("../services/opml");
+
+const FEEDS_OPML = fs.readFileSync(
+	path.join(__dirname, "fixtures", "opml", "feeds.opml"),
+	"utf8"
+);
+
+test("parseOpml flattens nested outlines into feeds with folder categories", () => {
+	assert.deepEqual(parseOpml(FEEDS_OPML), [
+		{
+			url: "https://simonwillison.net/atom/everything/",
+			title: "Simon Willison",
+			htmlUrl: "https://simonwillison.net/",
+			category: "",
+		},
+		{
+			url: "https://rss.arxiv.org/rss/cs.CL",
+			title: "arXiv cs.CL",
+			htmlUrl: "",
+			category: "Research",
+		},
+		{
+			url: "https://example.com/feed?a=1&b=2",
+			title: "Research & Notes",
+			htmlUrl: "",
+			category: "Research / Labs",
+		},
+		{
+			url: "https://tagged.example.com/rss",
+			title: "Tagged feed",
+			htmlUrl: "",
+			category: "Tech / AI",
+		},
+	]);
+});
+
+test("parseOpml rejects empty bodies and other XML", () => {
+	assert.throws(() => parseOpml(""), /OPML body is empty/);
+	assert.throws(() => parseOpml("<rss><channel/></rss>"), /Not an OPML document/);
+});
+
+test("buildOpml groups feeds by category and parses back to the same feeds", () => {
+	const feeds = parseOpml(FEEDS_OPML).map(({ url, title, category }) => ({
+		url,
+		title,
+		category,
+	}));
+
+	const xml = buildOpml([...feeds, { title: "No URL" }], { title: "Team <feeds>" });
+
+	assert.match(xml, /<title>Team &lt;feeds&gt;<\/title>/);
+	assert.match(xml, /xmlUrl="https:\/\/example.com\/feed\?a=1&amp;b=2"/);
+	assert.equal((xml.match(/<outline text="Research"/g) || []).length, 1);
+	assert.deepEqual(
+		parseOpml(xml).map(({ url, title, category }) => ({ url, title, category })),
+		feeds
+	);
+});
@@ -0,0 +1,92 @@
+// PDF text extraction, directly and through fetchUrlPage
+process.env.DATABASE_PATH = ":memory:";
+process.env.DOMAIN_RATE_LIMIT_MS = "0";
+// Shorter than the fixture's first page, so reading stops there
+process.env.CONTENT_CHAR_LIMIT = "200";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const { initializeDatabase, closeDatabase } = require("../database");
+const { extractPdfText, isPdfBuffer } = require("../services/pdfText");
+const { fetchUrlPage } = require("../services/pageFetcher");
+
+const pdf = fs.readFileSync(path.join(__dirname, "fixtures", "pdf", "builds.pdf"));
+
+test.before(() => initializeDatabase());
+test.after(() => closeDatabase());
+
+test("a PDF yields its metadata and paragraphs per page", async () => {
+	const result = await extractPdfText(pdf);
+
+	assert.equal(result.title, "Faster Builds");
+	assert.equal(result.author, "Ada Lovelace");
+	assert.equal(result.published_at, "2024-01-31T11:00:00.000Z");
+	assert.equal(result.total_pages, 2);
+	assert.deepEqual(result.pages, [
+		[
+			"Faster Builds with Parallel Tests",
+			"Build times grew with the size of the test suite, so we split the suite across workers and cached the outputs of the compilers between runs.",
+			"Caching helped most. Clean builds went from twelve minutes to four, and incremental builds to under a minute.",
+		],
+		["The linker was swapped last, which saved another thirty seconds on every build."],
+	]);
+	assert.equal(result.text, result.pages.flat().join("\n\n"));
+});
+
+test("reading stops at maxPages or once the text reaches charLimit", async () => {
+	const onePage = await extractPdfText(pdf, { maxPages: 1 });
+	assert.equal(onePage.pages.length, 1);
+	assert.equal(onePage.total_pages, 2);
+
+	const limited = await extractPdfText(pdf, { charLimit: 50 });
+	assert.equal(limited.pages.length, 1);
+	assert.equal(limited.text.length, 50);
+	assert.ok(limited.text.startsWith("Faster Builds with Parallel Tests\n\nBuild"));
+});
+
+test("data that is not a PDF yields null", async () => {
+	const html = Buffer.from("<!doctype html><p>Not a paper</p>");
+	assert.equal(isPdfBuffer(html), false);
+	assert.equal(await extractPdfText(html), null);
+});
+
+function startPdfServer() {
+	const server = http.createServer((req, res) => {
+		if (req.url === "/paper.pdf") {
+			res.writeHead(200, { "content-type": "application/pdf" });
+			return res.end(pdf);
+		}
+		if (req.url === "/download/paper.pdf") {
+			res.writeHead(200, { "content-type": "application/octet-stream" });
+			return res.end(pdf);
+		}
+		res.writeHead(404, { "content-type": "text/plain" });
+		res.end("not found");
+	});
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => resolve(server));
+	});
+}
+
+test("fetchUrlPage reads linked PDFs up to CONTENT_CHAR_LIMIT", async (t) => {
+	const server = await startPdfServer();
+	t.after(() => new Promise((resolve) => server.close(resolve)));
+	const base = `http://127.0.0.1:${server.address().port}`;
+
+	const page = await fetchUrlPage(`${base}/paper.pdf`);
+
+	assert.equal(page.title, "Faster Builds");
+	assert.equal(page.content_status, "ok");
+	assert.equal(page.text.length, 200);
+	assert.ok(page.text.startsWith("Faster Builds with Parallel Tests\n\nBuild times"));
+	assert.deepEqual(page.article.pdf, { pages_read: 1, total_pages: 2 });
+	assert.equal(page.article.byline, "Ada Lovelace");
+
+	// A generic binary type on a .pdf path is read as a PDF too
+	const download = await fetchUrlPage(`${base}/download/paper.pdf`);
+	assert.equal(download.title, "Faster Builds");
+});
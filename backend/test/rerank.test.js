@@ -0,0 +1,68 @@
+// Rerank similarity after a change of embedding model
+process.env.DATABASE_PATH = ":memory:";
+process.env.AI_PROVIDER = "offline";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const db = require("../database");
+const { db: connection } = require("../db/connection");
+const { runRerank } = require("../jobs/rerank");
+
+function run(sql, params = []) {
+	return new Promise((resolve, reject) => {
+		connection.run(sql, params, (err) => (err ? reject(err) : resolve()));
+	});
+}
+
+function all(sql, params = []) {
+	return new Promise((resolve, reject) => {
+		connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+	});
+}
+
+const vector = (dims) => Array.from({ length: dims }, (_, i) => ((i % 5) + 1) / 5);
+
+test.before(() => db.initializeDatabase());
+test.after(() => db.closeDatabase());
+
+test("rerank scores current-model items behind a page of old-model ones", async (t) => {
+	t.mock.method(console, "log", () => {});
+	// Items 1-3 come from an older 1536-dimension model; 6 is a legacy row
+	// (no model) of that dimension
+	const embeddings = [
+		[1, "text-embedding-ada-002", 1536],
+		[2, "text-embedding-ada-002", 1536],
+		[3, "text-embedding-ada-002", 1536],
+		[4, "offline-hash-256", 256],
+		[5, "", 256],
+		[6, "", 1536],
+	];
+	for (const [id, model, dims] of embeddings) {
+		await run(
+			"INSERT INTO content_items (id, source_type, source_id, title) VALUES (?, 'manual', ?, ?)",
+			[id, `item-${id}`, `Item ${id}`]
+		);
+		await db.upsertContentEmbedding({
+			content_item_id: id,
+			model,
+			text_hash: `hash-${id}`,
+			embedding: vector(dims),
+		});
+	}
+	const [statement] = await db.getActiveResearchStatements();
+
+	const result = await runRerank({ statementId: statement.id, batchSize: 2 });
+
+	assert.deepEqual(result, { ok: true });
+	const scored = await all(
+		`SELECT content_item_id FROM content_features
+		 WHERE research_statement_id = ? AND similarity_score IS NOT NULL
+		 ORDER BY content_item_id`,
+		[statement.id]
+	);
+	assert.deepEqual(
+		scored.map((row) => row.content_item_id),
+		[4, 5]
+	);
+});
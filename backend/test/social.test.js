@@ -0,0 +1,127 @@
+// SocialCollector against a local fake Mastodon server and Bluesky AppView
+process.env.DATABASE_PATH = ":memory:";
+process.env.DOMAIN_RATE_LIMIT_MS = "0";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const { initializeDatabase, closeDatabase } = require("../database");
+const { SocialCollector } = require("../collectors/social");
+
+const now = new Date().toISOString();
+
+const mastodonTag = [
+	{
+		id: "1",
+		uri: "https://fake.social/users/ada/statuses/1",
+		url: "https://fake.social/@ada/1",
+		created_at: now,
+		account: { acct: "ada@fake.social", display_name: "Ada" },
+		content:
+			'<p>Worth a read <a href="https://example.com/post?utm_source=mastodon">example.com/post</a> <a class="mention" href="https://fake.social/@bob">@bob</a></p>',
+		card: {
+			url: "https://example.com/post?utm_source=mastodon",
+			title: "A post worth reading",
+			description: "Open Graph description",
+		},
+	},
+	{
+		id: "2",
+		uri: "https://fake.social/users/cy/statuses/2",
+		url: "https://fake.social/@cy/2",
+		created_at: now,
+		account: { acct: "cy@fake.social" },
+		content: '<p>Only I shared this <a href="https://example.org/lonely">link</a></p>',
+		card: null,
+	},
+	{
+		id: "3",
+		uri: "https://fake.social/users/dee/statuses/3",
+		created_at: now,
+		account: { acct: "dee@fake.social" },
+		content: '<p>No links, just a <a class="hashtag" href="https://fake.social/tags/ai">#ai</a></p>',
+	},
+];
+
+const blueskySearch = {
+	posts: [
+		{
+			uri: "at://did:plc:eve/app.bsky.feed.post/abc",
+			author: { did: "did:plc:eve", handle: "eve.bsky.social" },
+			record: { text: "Same link from Bluesky", createdAt: now },
+			embed: {
+				external: {
+					uri: "https://example.com/post#comments",
+					title: "A post worth reading",
+				},
+			},
+		},
+	],
+};
+
+function startFakeServer(requests) {
+	const server = http.createServer((req, res) => {
+		requests.push({ url: req.url, authorization: req.headers.authorization });
+		const { pathname } = new URL(req.url, "http://localhost");
+		let body = null;
+		if (pathname === "/api/v1/timelines/tag/ai") body = mastodonTag;
+		if (pathname === "/xrpc/app.bsky.feed.searchPosts") body = blueskySearch;
+		res.writeHead(body ? 200 : 404, { "content-type": "application/json" });
+		res.end(JSON.stringify(body || { error: "not found" }));
+	});
+	return new Promise((resolve) => {
+		server.listen(0, "127.0.0.1", () => resolve(server));
+	});
+}
+
+test("social collector folds links shared on Mastodon and Bluesky", async (t) => {
+	await initializeDatabase();
+	const requests = [];
+	const server = await startFakeServer(requests);
+	t.after(async () => {
+		await new Promise((resolve) => server.close(resolve));
+		await closeDatabase();
+	});
+	const base = `http://127.0.0.1:${server.address().port}`;
+
+	const collector = new SocialCollector();
+	const settings = {
+		...collector.getSettings(),
+		mastodonInstance: base,
+		mastodonHashtags: ["ai"],
+		mastodonAccounts: [],
+		mastodonLists: [],
+		mastodonToken: "fake-token",
+		blueskyAppView: base,
+		blueskyHashtags: ["ai"],
+		blueskyAccounts: [],
+		blueskyLists: [],
+		minMentions: 2,
+	};
+	collector.getSettings = () => settings;
+
+	const items = await collector.collect();
+
+	const tagRequest = requests.find((r) => r.url.startsWith("/api/v1/timelines/tag/ai"));
+	assert.ok(tagRequest, "Mastodon tag timeline was requested");
+	assert.equal(tagRequest.authorization, "Bearer fake-token");
+	assert.ok(
+		requests.some((r) => r.url.startsWith("/xrpc/app.bsky.feed.searchPosts?")),
+		"Bluesky search was requested"
+	);
+
+	// The lonely link has one account, below minMentions
+	assert.equal(items.length, 1);
+	const [item] = items;
+	assert.equal(item.source_type, "social");
+	assert.equal(item.source_id, "https://example.com/post");
+	assert.equal(item.title, "A post worth reading");
+	const raw = JSON.parse(item.raw_content).social;
+	assert.equal(raw.accounts, 2);
+	assert.deepEqual(raw.networks.sort(), ["bluesky", "mastodon"]);
+	assert.deepEqual(raw.mentions.map((m) => m.account).sort(), [
+		"ada@fake.social",
+		"eve.bsky.social",
+	]);
+});
@@ -0,0 +1,69 @@
+// Research statement embeddings across a change of embedding model
+process.env.DATABASE_PATH = ":memory:";
+process.env.AI_PROVIDER = "offline";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+	initializeDatabase,
+	closeDatabase,
+	createResearchStatement,
+	getResearchStatementById,
+	updateResearchStatementEmbedding,
+} = require("../database");
+const {
+	ensureStatementEmbedding,
+	cosineSimilarity,
+} = require("../services/contentEmbeddings");
+
+test.before(() => initializeDatabase());
+test.after(() => closeDatabase());
+
+async function statementEmbeddedBy(model, dims) {
+	const id = await createResearchStatement({
+		name: "Build tooling",
+		statement: "Compilers, linkers and build system performance",
+		keywords: "[]",
+		negative_keywords: "[]",
+	});
+	const vector = Array.from({ length: dims }, (_, i) => (i % 7) / 7);
+	await updateResearchStatementEmbedding(id, vector, model);
+	return getResearchStatementById(id);
+}
+
+test("a statement embedded by another model is re-embedded and saved", async () => {
+	const stored = await statementEmbeddedBy("text-embedding-3-small", 1536);
+
+	const embedding = await ensureStatementEmbedding(stored);
+
+	assert.equal(embedding.length, 256);
+	const row = await getResearchStatementById(stored.id);
+	assert.equal(row.embedding_model, "offline-hash-256");
+	assert.equal(JSON.parse(row.embedding).length, 256);
+});
+
+test("a statement embedded by the current model is used as stored", async () => {
+	const stored = await statementEmbeddedBy("offline-hash-256", 256);
+
+	const embedding = await ensureStatementEmbedding(stored);
+
+	assert.equal(embedding.length, 256);
+	assert.ok(Math.abs(embedding[1] - 1 / 7) < 1e-6);
+});
+
+test("a statement from before models were recorded is re-embedded", async () => {
+	const stored = await statementEmbeddedBy(null, 256);
+
+	await ensureStatementEmbedding(stored);
+
+	const row = await getResearchStatementById(stored.id);
+	assert.equal(row.embedding_model, "offline-hash-256");
+});
+
+test("vectors of different dimensions have no similarity", () => {
+	const a = Array.from({ length: 256 }, () => 1);
+	const b = Array.from({ length: 1536 }, () => 1);
+	assert.equal(cosineSimilarity(a, b), 0);
+	assert.equal(cosineSimilarity(a, a.slice()), 1);
+});
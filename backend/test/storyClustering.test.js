@@ -0,0 +1,67 @@
+// Story clustering over the embedding index, with the title fallback
+process.env.DATABASE_PATH = ":memory:";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { clusterItems } = require("../services/storyClustering");
+const { encodeEmbedding } = require("../db/embeddingBlob");
+
+const at = (hour) => new Date(Date.UTC(2026, 0, 1, hour)).toISOString();
+
+test("items with close embeddings cluster, stored BLOBs included", async () => {
+	const clusters = await clusterItems([
+		{ id: 1, title: "Model release", created_at: at(0), embedding: [1, 0.1, 0] },
+		{
+			id: 2,
+			title: "Different words entirely",
+			created_at: at(2),
+			embedding: encodeEmbedding([0.98, 0.12, 0.01]),
+		},
+		{ id: 3, title: "Unrelated", created_at: at(3), embedding: [0, 0, 1] },
+	]);
+	assert.deepEqual(clusters, [[1, 2]]);
+});
+
+test("items without embeddings are matched by title", async () => {
+	const clusters = await clusterItems([
+		{ id: 1, title: "Acme ships Rocket compiler 2.0", created_at: at(0), embedding: [1, 0] },
+		{ id: 2, title: "Rocket compiler 2.0 from Acme", created_at: at(1), embedding: null },
+	]);
+	assert.deepEqual(clusters, [[1, 2]]);
+});
+
+test("close embeddings far apart in time do not cluster", async () => {
+	const clusters = await clusterItems([
+		{ id: 1, title: "A", created_at: at(0), embedding: [1, 0] },
+		{ id: 2, title: "B", created_at: at(72), embedding: [1, 0] },
+	]);
+	assert.deepEqual(clusters, []);
+});
+
+test("embeddings of another dimension fall back to title matching", async () => {
+	const clusters = await clusterItems(
+		[
+			{ id: 1, title: "Older model row", created_at: at(0), embedding: [1, 0, 0, 0] },
+			{ id: 2, title: "Current row", created_at: at(1), embedding: [1, 0] },
+			{ id: 3, title: "Another current row", created_at: at(2), embedding: [0.99, 0.1] },
+		],
+		{ dims: 2 }
+	);
+	assert.deepEqual(clusters, [[2, 3]]);
+});
+
+test("clustering yields to the event loop between slices of items", async () => {
+	const items = Array.from({ length: 100 }, (_, i) => ({
+		id: i + 1,
+		title: `Story ${i}`,
+		created_at: at(i % 24),
+		embedding: [Math.cos(i), Math.sin(i), 0],
+	}));
+	let otherWorkRan = false;
+	setImmediate(() => {
+		otherWorkRan = true;
+	});
+	const ranDuringClustering = await clusterItems(items).then(() => otherWorkRan);
+	assert.equal(ranDuringClustering, true);
+});
@@ -6,6 +6,8 @@ import UsageModal from "./components/modals/UsageModal";
 import { getRelevanceScore } from "./utils/items";
 import HeaderBar from "./components/HeaderBar/HeaderBar";
 import Timeline from "./components/Timeline/Timeline";
+import SubmitPage from "./components/SubmitPage/SubmitPage";
+import ReaderPage from "./components/ReaderPage/ReaderPage";
 import useFeed from "./hooks/useFeed";
 import useSearch from "./hooks/useSearch";
 import useSettings from "./hooks/useSettings";
@@ -141,8 +143,8 @@ function Dashboard() {
 
 	const sortedItems = Array.isArray(displayItems)
 		? [...displayItems].sort((a, b) => {
-				const aScore = getRelevanceScore(a);
-				const bScore = getRelevanceScore(b);
+				const aScore = getRelevanceScore(a, activeResearchStatementId);
+				const bScore = getRelevanceScore(b, activeResearchStatementId);
 				const normA = typeof aScore === "number" ? aScore : -1;
 				const normB = typeof bScore === "number" ? bScore : -1;
 				if (normA !== normB) return normB - normA; // relevance desc
@@ -243,6 +245,9 @@ function Dashboard() {
 }
 
 function App() {
+	// Bookmarklet / share target page
+	if (window.location.pathname === "/submit") return <SubmitPage />;
+	if (window.location.pathname === "/read") return <ReaderPage />;
 	return <Dashboard />;
 }
 
@@ -5,6 +5,7 @@ import {
 	Settings as SettingsIcon,
 	RefreshCcw,
 	DollarSign,
+	Plus,
 } from "lucide-react";
 
 function SearchBar({ onSearch, onClear, isLoading, currentQuery }) {
@@ -198,6 +199,14 @@ export default function HeaderBar({
 						<RefreshCcw size={18} aria-hidden color="var(--dark-3)" />
 					)}
 				</button>
+				<a
+					className="toolbar-icon-button"
+					href="/submit"
+					title="Submit a link"
+					aria-label="Submit a link"
+				>
+					<Plus size={18} aria-hidden color="var(--dark-3)" />
+				</a>
 				<button
 					className="toolbar-icon-button"
 					title="View AI usage"
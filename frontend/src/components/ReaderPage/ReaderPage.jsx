@@ -0,0 +1,158 @@
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import "./ReaderPage.css";
+import { fetchArticle } from "../../services/api";
+import { extractDomain } from "../../utils/items";
+
+// Why the page's article is missing or cut short (unless an archived copy
+// stood in for it)
+const PARTIAL_NOTICES = {
+	paywall: "This page is paywalled; only the text before the paywall is shown.",
+	consent_wall:
+		"This page is behind a consent wall; its article could not be read.",
+	empty_shell: "This page has no readable text without JavaScript.",
+};
+
+function getItemId() {
+	try {
+		const id = Number(new URL(window.location.href).searchParams.get("id"));
+		return Number.isFinite(id) && id > 0 ? id : null;
+	} catch {
+		return null;
+	}
+}
+
+function formatPublished(isoString) {
+	const date = new Date(isoString);
+	return Number.isNaN(date.getTime()) ? null : format(date, "MMMM d, yyyy");
+}
+
+function ArticleBlock({ block }) {
+	switch (block.type) {
+		case "heading": {
+			// The article title is the page's h1
+			const Heading = `h${Math.min(Math.max(block.level || 2, 2), 4)}`;
+			return <Heading>{block.text}</Heading>;
+		}
+		case "quote":
+			return <blockquote>{block.text}</blockquote>;
+		case "code":
+			return (
+				<pre>
+					<code>{block.text}</code>
+				</pre>
+			);
+		case "list": {
+			const List = block.ordered ? "ol" : "ul";
+			return (
+				<List>
+					{(block.items || []).map((text, i) => (
+						<li key={i}>{text}</li>
+					))}
+				</List>
+			);
+		}
+		default:
+			return <p>{block.text}</p>;
+	}
+}
+
+export default function ReaderPage() {
+	const [itemId] = useState(getItemId);
+	const [data, setData] = useState(null);
+	const [loading, setLoading] = useState(Boolean(itemId));
+	const [error, setError] = useState(itemId ? null : "No item selected");
+
+	useEffect(() => {
+		if (!itemId) return;
+		let cancelled = false;
+		fetchArticle(itemId)
+			.then((result) => {
+				if (!cancelled) setData(result);
+			})
+			.catch((err) => {
+				if (!cancelled) setError(err.message || String(err));
+			})
+			.finally(() => {
+				if (!cancelled) setLoading(false);
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, [itemId]);
+
+	useEffect(() => {
+		const title = data?.article?.title || data?.title;
+		if (title) document.title = title;
+	}, [data]);
+
+	const article = data?.article || null;
+	const notice =
+		data?.content_source !== "archive"
+			? PARTIAL_NOTICES[data?.content_status] || null
+			: null;
+	const published = article?.published_at
+		? formatPublished(article.published_at)
+		: null;
+	const meta = [
+		article?.byline,
+		article?.site_name || extractDomain(data?.url),
+		published,
+		article?.pdf
+			? article.pdf.pages_read < article.pdf.total_pages
+				? `PDF, first ${article.pdf.pages_read} of ${article.pdf.total_pages} pages`
+				: `PDF, ${article.pdf.total_pages} pages`
+			: null,
+		article?.word_count
+			? `${Math.max(1, Math.round(article.word_count / 220))} min read`
+			: null,
+	].filter(Boolean);
+
+	return (
+		<div className="container reader-page">
+			<nav className="reader-nav">
+				<a href="/">Back to timeline</a>
+				{data?.url && (
+					<a href={data.url} target="_blank" rel="noreferrer">
+						Original page
+					</a>
+				)}
+			</nav>
+
+			{loading && (
+				<p className="loading-line">
+					<span className="spinner" aria-hidden /> Loading article…
+				</p>
+			)}
+			{error && (
+				<div className="error-alert" role="alert">
+					{error}
+				</div>
+			)}
+
+			{data && (
+				<article className="reader-article" lang={article?.lang || undefined}>
+					<header>
+						<h1>{article?.title || data.title || data.url}</h1>
+						{meta.length > 0 && (
+							<p className="reader-meta">{meta.join(" · ")}</p>
+						)}
+					</header>
+					{notice && <p className="reader-notice">{notice}</p>}
+					{article?.image && (
+						<img className="reader-lead-image" src={article.image} alt="" />
+					)}
+					{article ? (
+						(article.blocks || []).map((block, i) => (
+							<ArticleBlock key={i} block={block} />
+						))
+					) : (
+						<p className="reader-empty">
+							No article text could be extracted from this page.
+						</p>
+					)}
+				</article>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from "react";
+import "./SubmitPage.css";
+import { submitItem } from "../../services/api";
+
+// Share targets often put the link inside "text" instead of "url"
+function findUrl(...values) {
+	for (const value of values) {
+		const match = /https?:\/\/\S+/i.exec(value || "");
+		if (match) return match[0];
+	}
+	return "";
+}
+
+function getInitialFields() {
+	try {
+		const params = new URL(window.location.href).searchParams;
+		const text = params.get("text") || "";
+		const url = findUrl(params.get("url"), text);
+		return {
+			url,
+			note: params.get("note") || (text && text !== url ? text : ""),
+			title: params.get("title") || "",
+		};
+	} catch {
+		return { url: "", note: "", title: "" };
+	}
+}
+
+// Opens this page in a small window with the current page and selection
+function buildBookmarklet(origin) {
+	return (
+		"javascript:void(window.open(" +
+		`'${origin}/submit?url='+encodeURIComponent(location.href)` +
+		"+'&title='+encodeURIComponent(document.title)" +
+		"+'&note='+encodeURIComponent(String(window.getSelection()))," +
+		"'grist-mill-submit','width=560,height=620'))"
+	);
+}
+
+export default function SubmitPage() {
+	const [fields] = useState(getInitialFields);
+	const [url, setUrl] = useState(fields.url);
+	const [note, setNote] = useState(fields.note);
+	const [submitting, setSubmitting] = useState(false);
+	const [error, setError] = useState(null);
+	const [result, setResult] = useState(null);
+	const bookmarkletRef = useRef(null);
+
+	// React refuses javascript: hrefs, so set it on the element directly
+	useEffect(() => {
+		bookmarkletRef.current?.setAttribute(
+			"href",
+			buildBookmarklet(window.location.origin)
+		);
+	}, []);
+
+	async function handleSubmit(e) {
+		e.preventDefault();
+		if (!url.trim()) return;
+		setSubmitting(true);
+		setError(null);
+		setResult(null);
+		try {
+			const data = await submitItem({ url: url.trim(), note: note.trim() });
+			setResult({ ...data.item, merged: !!data.merged });
+		} catch (err) {
+			setError(err.message || String(err));
+		} finally {
+			setSubmitting(false);
+		}
+	}
+
+	return (
+		<div className="container submit-page">
+			<h1 className="submit-title">Add a link to the timeline</h1>
+			{fields.title && <p className="submit-page-name">{fields.title}</p>}
+
+			<form onSubmit={handleSubmit}>
+				<div className="form-group">
+					<label htmlFor="submit-url">URL</label>
+					<input
+						id="submit-url"
+						type="url"
+						value={url}
+						onChange={(e) => setUrl(e.target.value)}
+						placeholder="https://example.com/article"
+						required
+						disabled={submitting}
+					/>
+				</div>
+				<div className="form-group">
+					<label htmlFor="submit-note">Note (optional)</label>
+					<textarea
+						id="submit-note"
+						rows={4}
+						value={note}
+						onChange={(e) => setNote(e.target.value)}
+						placeholder="Why is this worth reading?"
+						disabled={submitting}
+					/>
+					<small>
+						The page is fetched, summarized and scored for every active topic.
+						This can take a little while.
+					</small>
+				</div>
+				<div className="submit-actions">
+					<a className="cancel-button" href="/">
+						Back to timeline
+					</a>
+					<button
+						type="submit"
+						className="save-button"
+						disabled={submitting || !url.trim()}
+					>
+						{submitting ? "Submitting…" : "Submit"}
+					</button>
+				</div>
+			</form>
+
+			{submitting && (
+				<p className="loading-line">
+					<span className="spinner" aria-hidden /> Fetching and scoring…
+				</p>
+			)}
+			{error && (
+				<div className="error-alert" role="alert">
+					{error}
+				</div>
+			)}
+			{result && (
+				<div className="submit-result" role="status">
+					<div className="submit-result-title">
+						{result.merged ? "Already in the timeline" : "Added"}:{" "}
+						{result.title}
+					</div>
+					{result.merged && (
+						<p className="submit-result-muted">
+							Your submission was added as another source of this item.
+						</p>
+					)}
+					{result.summary ? (
+						<p>{result.summary}</p>
+					) : (
+						<p className="submit-result-muted">
+							No summary yet; the item is in the timeline without one.
+						</p>
+					)}
+				</div>
+			)}
+
+			<div className="submit-bookmarklet">
+				<p>
+					Drag this link to your bookmarks bar to submit the page you are
+					reading (selected text becomes the note):
+				</p>
+				<a ref={bookmarkletRef} className="bookmarklet-link" href="/submit">
+					+ Grist Mill
+				</a>
+			</div>
+		</div>
+	);
+}
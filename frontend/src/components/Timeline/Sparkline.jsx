@@ -0,0 +1,32 @@
+// Tiny inline trend line for a series of numbers (e.g. HN points over time)
+export default function Sparkline({ values, width = 56, height = 16, title }) {
+	const points = (values || []).filter((v) => Number.isFinite(v));
+	if (points.length < 2) return null;
+
+	const min = Math.min(...points);
+	const max = Math.max(...points);
+	const range = max - min || 1;
+	const step = width / (points.length - 1);
+	const coords = points
+		.map((v, i) => {
+			const x = i * step;
+			// 1px inset so the stroke is not clipped at the edges
+			const y = height - 1 - ((v - min) / range) * (height - 2);
+			return `${x.toFixed(1)},${y.toFixed(1)}`;
+		})
+		.join(" ");
+
+	return (
+		<svg
+			className="sparkline"
+			width={width}
+			height={height}
+			viewBox={`0 0 ${width} ${height}`}
+			role="img"
+			aria-label={title}
+		>
+			{title && <title>{title}</title>}
+			<polyline points={coords} fill="none" strokeWidth="1.5" />
+		</svg>
+	);
+}
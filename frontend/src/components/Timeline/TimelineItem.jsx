@@ -1,9 +1,21 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Heart } from "lucide-react";
 import ReactMarkdown from "react-markdown";
-import { getRelevanceScore, extractDomain } from "../../utils/items";
+import {
+	getRelevanceJudgment,
+	extractDomain,
+	getCommentsUrl,
+	getSubmitterNote,
+	getNewsletterProvenance,
+	getPartialContentNotice,
+} from "../../utils/items";
 import { markdownPlugins, markdownComponents } from "../../utils/markdown";
-import { rateItem, toggleFavorite } from "../../services/api";
+import {
+	rateItem,
+	toggleFavorite,
+	fetchSimilarItems,
+} from "../../services/api";
+import Sparkline from "./Sparkline";
 import "./TimelineItem.css";
 
 export default function TimelineItem({
@@ -12,13 +24,25 @@ export default function TimelineItem({
 	isActive = false,
 	onActivate,
 }) {
-	const relevance = getRelevanceScore(item);
+	// The judgment for the topic being viewed, when there is one
+	const judgment = getRelevanceJudgment(item, activeResearchStatementId);
+	const relevance = judgment.score;
 	const isHighRelevance =
-		item.highlight || (typeof relevance === "number" && relevance >= 7);
+		judgment.highlight || (typeof relevance === "number" && relevance >= 7);
 	const domain = extractDomain(item.url);
+	const submitterNote = getSubmitterNote(item);
+	const newsletter = getNewsletterProvenance(item);
+	const partialContentNotice = getPartialContentNotice(item);
+	const commentsUrl = getCommentsUrl(item);
+	const metrics = item.metrics || null;
+	const mentions = item.mentions || null;
+	const cluster = item.cluster || null;
 	const [isFavorite, setIsFavorite] = useState(!!item.is_favorite);
 	const [ratingTier, setRatingTier] = useState(item.user_rating || null);
 	const [menuOpen, setMenuOpen] = useState(false);
+	// "More like this", fetched the first time it is opened
+	const [similar, setSimilar] = useState(null);
+	const [similarError, setSimilarError] = useState(null);
 	const menuRef = useRef(null);
 
 	// Sync local state with item prop changes
@@ -32,9 +56,41 @@ export default function TimelineItem({
 		const type = sourceType.toLowerCase();
 		if (type === "hackernews" || type === "hn") return "hn";
 		if (type === "bluesky" || type === "bs") return "bs";
+		if (type === "arxiv") return "arxiv";
+		if (type === "github") return "github";
+		if (type === "lobsters") return "lobsters";
+		if (type === "manual") return "manual";
+		if (type === "newsletter") return "newsletter";
+		if (type === "transcripts") return "transcripts";
+		if (type === "social") return "social";
 		return "default";
 	};
 
+	const getSourceLabel = (sourceType) => {
+		const labels = {
+			hackernews: "HN",
+			bluesky: "BS",
+			arxiv: "arXiv",
+			github: "GitHub",
+			lobsters: "Lobsters",
+			manual: "Submitted",
+			newsletter: "Newsletter",
+			transcripts: "Transcript",
+			social: "Social",
+		};
+		return labels[sourceType] || sourceType.toUpperCase();
+	};
+
+	// Every source that found this story (merged duplicates included)
+	const sources =
+		Array.isArray(item.sources) && item.sources.length > 0
+			? item.sources
+			: [{ id: item.id, source_type: item.source_type, comments_url: commentsUrl }];
+	const sourceTypes = [
+		...new Set(sources.map((src) => src.source_type).filter(Boolean)),
+	];
+	const hasManySources = sourceTypes.length > 1;
+
 	const tierToLabel = useMemo(
 		() => ({
 			1: "Not Relevant",
@@ -80,6 +136,19 @@ export default function TimelineItem({
 		}
 	}, [isFavorite, item?.id, activeResearchStatementId]);
 
+	const handleSimilarToggle = useCallback(
+		async (e) => {
+			if (!e.currentTarget.open || similar) return;
+			setSimilarError(null);
+			try {
+				setSimilar(await fetchSimilarItems(item.id));
+			} catch (err) {
+				setSimilarError(err.message || String(err));
+			}
+		},
+		[item?.id, similar]
+	);
+
 	// Keyboard shortcuts: only when this item is active
 	useEffect(() => {
 		if (!isActive) return;
@@ -141,6 +210,19 @@ export default function TimelineItem({
 
 				{domain && <div className="item-url">{domain}</div>}
 
+				{newsletter && (
+					<div className="item-provenance">
+						via{" "}
+						{[newsletter.name, newsletter.subject]
+							.filter(Boolean)
+							.join(" — ")}
+					</div>
+				)}
+
+				{submitterNote && (
+					<div className="item-submitter-note">Note: {submitterNote}</div>
+				)}
+
 				{isHighRelevance && item.summary && (
 					<div className="item-description">
 						<ReactMarkdown
@@ -150,25 +232,179 @@ export default function TimelineItem({
 						>
 							{item.summary}
 						</ReactMarkdown>
+						{partialContentNotice && (
+							<p className="item-partial-content">{partialContentNotice}</p>
+						)}
 					</div>
 				)}
 
+				{isHighRelevance && judgment.explanation && (
+					<p className="item-relevance-explanation">
+						Why it's relevant: {judgment.explanation}
+					</p>
+				)}
+
+				{item.discussion_summary && (
+					<details className="item-discussion">
+						<summary>
+							What the discussion says
+							{item.discussion_comment_count
+								? ` (${item.discussion_comment_count} comments read)`
+								: ""}
+						</summary>
+						<ReactMarkdown
+							remarkPlugins={markdownPlugins.remarkPlugins}
+							rehypePlugins={markdownPlugins.rehypePlugins}
+							components={markdownComponents}
+						>
+							{item.discussion_summary}
+						</ReactMarkdown>
+					</details>
+				)}
+
+				{mentions && mentions.count > 0 && (
+					<details className="item-mentions">
+						<summary>
+							Mentioned by {mentions.count}{" "}
+							{mentions.count === 1 ? "account" : "accounts"}
+						</summary>
+						<ul>
+							{mentions.posts.map((post) => (
+								<li key={`${post.network}:${post.post_url || post.account}`}>
+									<a
+										href={post.post_url || undefined}
+										target="_blank"
+										rel="noreferrer"
+									>
+										{post.account_name || post.account}
+									</a>{" "}
+									<span className="mention-network">
+										{post.network === "bluesky" ? "Bluesky" : "Mastodon"}
+									</span>
+								</li>
+							))}
+						</ul>
+					</details>
+				)}
+
+				{cluster && cluster.items.length > 0 && (
+					<details className="item-cluster">
+						<summary>
+							{cluster.items.length} more{" "}
+							{cluster.items.length === 1 ? "story" : "stories"} about this
+						</summary>
+						<ul>
+							{cluster.items.map((related) => (
+								<li key={related.id}>
+									<a
+										href={related.url || related.comments_url || undefined}
+										target="_blank"
+										rel="noreferrer"
+									>
+										{related.title || related.url}
+									</a>{" "}
+									<span className="cluster-meta">
+										{getSourceLabel(related.source_type)}
+										{related.url ? ` · ${extractDomain(related.url)}` : ""}
+									</span>
+								</li>
+							))}
+						</ul>
+					</details>
+				)}
+
+				<details className="item-similar" onToggle={handleSimilarToggle}>
+					<summary>More like this</summary>
+					{similarError && <p>{similarError}</p>}
+					{!similar && !similarError && <p>Loading…</p>}
+					{similar && similar.length === 0 && (
+						<p>No similar items yet; this item has no embedding.</p>
+					)}
+					{similar && similar.length > 0 && (
+						<ul>
+							{similar.map((related) => (
+								<li key={related.id}>
+									<a
+										href={related.url || undefined}
+										target="_blank"
+										rel="noreferrer"
+									>
+										{related.title || related.url}
+									</a>{" "}
+									<span className="cluster-meta">
+										{getSourceLabel(related.source_type)}
+										{related.url ? ` · ${extractDomain(related.url)}` : ""}
+										{` · ${Math.round(related.similarity * 100)}% similar`}
+									</span>
+								</li>
+							))}
+						</ul>
+					)}
+				</details>
+
 				{/* Footer: badge and date on left, controls on right */}
 				<div className="item-footer">
 					<div className="footer-left">
-						{item.source_type && (
+						{sourceTypes.map((type) => (
 							<span
-								className={`source-badge ${getSourceBadgeClass(
-									item.source_type
-								)}`}
+								key={type}
+								className={`source-badge ${getSourceBadgeClass(type)}`}
 							>
-								{item.source_type === "hackernews"
-									? "HN"
-									: item.source_type === "bluesky"
-									? "BS"
-									: item.source_type.toUpperCase()}
+								{getSourceLabel(type)}
 							</span>
+						))}
+						{metrics && (
+							<span className="item-metrics">
+								{metrics.score ?? 0} pts · {metrics.comment_count ?? 0}{" "}
+								comments
+								<Sparkline
+									values={metrics.score_history}
+									title={`Points over time: ${(metrics.score_history || []).join(
+										", "
+									)}`}
+								/>
+								{metrics.rising && (
+									<span
+										className="rising-badge"
+										title={`${Math.round(metrics.velocity)} points/hour`}
+									>
+										Rising
+									</span>
+								)}
+							</span>
+						)}
+						{item.url && (
+							<a
+								className="discussion-link"
+								href={`/read?id=${item.id}`}
+								target="_blank"
+								rel="noreferrer"
+								onClick={(e) => e.stopPropagation()}
+								title={
+									item.has_article
+										? "Read the extracted article"
+										: "Extract and read the article"
+								}
+							>
+								Reader view
+							</a>
 						)}
+						{sources
+							.filter((src) => src.comments_url)
+							.map((src) => (
+								<a
+									key={src.id}
+									className="discussion-link"
+									href={src.comments_url}
+									target="_blank"
+									rel="noreferrer"
+									onClick={(e) => e.stopPropagation()}
+								>
+									{hasManySources
+										? `${getSourceLabel(src.source_type)} discussion`
+										: "Discussion"}
+								</a>
+							))}
 					</div>
 					<div className="footer-controls" ref={menuRef}>
 						<button
@@ -0,0 +1,193 @@
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import useDomainPolicies from "../../hooks/useDomainPolicies";
+import {
+	ACCESS_OPTIONS,
+	draftToPolicy,
+	policyToDraft,
+} from "../../utils/domainPolicies";
+
+function robotsStatus(robots) {
+	if (!robots) return "robots.txt not fetched yet";
+	const when = formatDistanceToNow(new Date(robots.fetched_at), {
+		addSuffix: true,
+	});
+	if (robots.error) return `robots.txt unreachable (${robots.error}), ${when}`;
+	if (robots.status >= 200 && robots.status < 300) {
+		return `robots.txt found (${robots.size || 0} bytes), ${when}`;
+	}
+	return `No robots.txt (HTTP ${robots.status}), ${when}`;
+}
+
+function PolicyFields({ id, draft, onChange, disabled }) {
+	return (
+		<>
+			<div className="feed-grid">
+				<div>
+					<label htmlFor={`${id}-domain`}>Domain</label>
+					<input
+						id={`${id}-domain`}
+						type="text"
+						value={draft.domain}
+						onChange={(e) => onChange({ domain: e.target.value })}
+						disabled={disabled}
+						placeholder="example.com"
+					/>
+				</div>
+				<div>
+					<label htmlFor={`${id}-access`}>Access</label>
+					<select
+						id={`${id}-access`}
+						value={draft.access}
+						onChange={(e) => onChange({ access: e.target.value })}
+						disabled={disabled}
+					>
+						{ACCESS_OPTIONS.map((o) => (
+							<option key={o.value} value={o.value}>
+								{o.label}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label htmlFor={`${id}-delay`}>Delay between requests (ms)</label>
+					<input
+						id={`${id}-delay`}
+						type="number"
+						min="0"
+						step="100"
+						value={draft.delayMs}
+						onChange={(e) => onChange({ delayMs: e.target.value })}
+						disabled={disabled}
+						placeholder="(default)"
+					/>
+				</div>
+			</div>
+			<label htmlFor={`${id}-headers`}>Extra request headers</label>
+			<textarea
+				id={`${id}-headers`}
+				rows={2}
+				value={draft.headers}
+				onChange={(e) => onChange({ headers: e.target.value })}
+				disabled={disabled}
+				placeholder="Name: value (one per line)"
+			/>
+		</>
+	);
+}
+
+function PolicyRow({ policy, onSave, onRemove, disabled }) {
+	const [draft, setDraft] = useState(() => policyToDraft(policy));
+	const [formError, setFormError] = useState(null);
+
+	async function handleSave() {
+		setFormError(null);
+		const { policy: next, error } = draftToPolicy(draft);
+		if (error) return setFormError(error);
+		const result = await onSave(next, policy.domain);
+		if (result.ok) setDraft(policyToDraft(result.data));
+	}
+
+	return (
+		<li className="topic-item">
+			<PolicyFields
+				id={`policy-${policy.domain}`}
+				draft={draft}
+				onChange={(patch) => setDraft((p) => ({ ...p, ...patch }))}
+				disabled={disabled}
+			/>
+			<div className="topic-meta">
+				<small>{robotsStatus(policy.robots)}</small>
+			</div>
+			{formError && <p className="error-inline">{formError}</p>}
+			<div className="topic-actions">
+				<button
+					type="button"
+					className="settings-button"
+					onClick={handleSave}
+					disabled={disabled}
+				>
+					Save
+				</button>
+				<button
+					type="button"
+					className="settings-button"
+					onClick={() => onRemove(policy.domain)}
+					disabled={disabled}
+				>
+					Remove
+				</button>
+			</div>
+		</li>
+	);
+}
+
+function DomainPolicySettings({ disabled }) {
+	const { policies, loading, error, saving, save, remove } = useDomainPolicies({
+		autoLoad: true,
+	});
+	const [draft, setDraft] = useState(() => policyToDraft(null));
+	const [formError, setFormError] = useState(null);
+
+	async function addPolicy() {
+		setFormError(null);
+		const { policy, error: invalid } = draftToPolicy(draft);
+		if (invalid) return setFormError(invalid);
+		const result = await save(policy);
+		if (result.ok) setDraft(policyToDraft(null));
+	}
+
+	const busy = disabled || saving;
+
+	return (
+		<div className="form-group domain-policies">
+			<label>Domain Fetch Policies</label>
+			{loading && <p>Loading policies…</p>}
+			{error && <p className="error-inline">{error}</p>}
+			{Array.isArray(policies) && policies.length > 0 ? (
+				<ul className="topic-list">
+					{policies.map((p) => (
+						<PolicyRow
+							key={`${p.domain}-${p.updated_at}`}
+							policy={p}
+							onSave={save}
+							onRemove={remove}
+							disabled={busy}
+						/>
+					))}
+				</ul>
+			) : (
+				!loading && (
+					<p className="empty-inline">
+						No policies. Every domain is fetched with the defaults.
+					</p>
+				)
+			)}
+
+			<PolicyFields
+				id="policy-new"
+				draft={draft}
+				onChange={(patch) => setDraft((p) => ({ ...p, ...patch }))}
+				disabled={busy}
+			/>
+			{formError && <p className="error-inline">{formError}</p>}
+			<div className="feed-toolbar">
+				<button
+					type="button"
+					className="settings-button"
+					onClick={addPolicy}
+					disabled={busy}
+				>
+					Add Policy
+				</button>
+			</div>
+			<small>
+				A policy covers the domain and its subdomains and is saved right away.
+				"Title only" keeps items without fetching their pages; "Deny" skips
+				them. robots.txt is respected on top of these policies.
+			</small>
+		</div>
+	);
+}
+
+export default DomainPolicySettings;
@@ -0,0 +1,205 @@
+import { useState } from "react";
+import { isHttpUrl, feedsToDrafts } from "../../utils/feeds";
+import { importOpml, OPML_EXPORT_URL } from "../../services/api";
+
+const EMPTY_FEED = {
+	url: "",
+	title: "",
+	category: "",
+	pollIntervalMinutes: 60,
+	keywords: "",
+	enabled: true,
+};
+
+function FeedSettings({ feeds, onChange, disabled }) {
+	const [draft, setDraft] = useState(EMPTY_FEED);
+	const [formError, setFormError] = useState(null);
+	const [importing, setImporting] = useState(false);
+	const [importMessage, setImportMessage] = useState(null);
+
+	function updateFeed(index, patch) {
+		onChange(feeds.map((f, i) => (i === index ? { ...f, ...patch } : f)));
+	}
+
+	function removeFeed(index) {
+		onChange(feeds.filter((_, i) => i !== index));
+	}
+
+	function addFeed() {
+		setFormError(null);
+		const url = draft.url.trim();
+		if (!isHttpUrl(url)) {
+			setFormError("Feed URL must start with http:// or https://");
+			return;
+		}
+		if (feeds.some((f) => f.url.trim().toLowerCase() === url.toLowerCase())) {
+			setFormError("That feed is already in the list");
+			return;
+		}
+		onChange([...feeds, { ...draft, url }]);
+		setDraft(EMPTY_FEED);
+	}
+
+	async function handleImportFile(e) {
+		const file = e.target.files && e.target.files[0];
+		e.target.value = "";
+		if (!file) return;
+		setFormError(null);
+		setImportMessage(null);
+		setImporting(true);
+		try {
+			const result = await importOpml(await file.text());
+			// Keep unsaved local edits; append feeds the server now knows about
+			const known = new Set(feeds.map((f) => f.url.trim().toLowerCase()));
+			const incoming = feedsToDrafts(result.feeds).filter(
+				(f) => !known.has(f.url.trim().toLowerCase())
+			);
+			onChange([...feeds, ...incoming]);
+			const skipped = result.duplicates + (result.invalid || []).length;
+			setImportMessage(
+				`Imported ${result.imported} feed${result.imported === 1 ? "" : "s"}` +
+					(skipped ? ` (${skipped} skipped as duplicate or invalid)` : "")
+			);
+		} catch (err) {
+			setFormError(err.message || "Failed to import OPML");
+		} finally {
+			setImporting(false);
+		}
+	}
+
+	return (
+		<div className="form-group feed-settings">
+			<label>RSS / Atom Feeds</label>
+			{feeds.length > 0 ? (
+				<ul className="topic-list">
+					{feeds.map((f, index) => (
+						<li key={f.url} className="topic-item">
+							<div className="topic-main">
+								<strong className="topic-name">{f.title || f.url}</strong>
+								<label className="feed-enabled">
+									<input
+										type="checkbox"
+										checked={!!f.enabled}
+										onChange={(e) =>
+											updateFeed(index, { enabled: e.target.checked })
+										}
+										disabled={disabled}
+									/>{" "}
+									Enabled
+								</label>
+							</div>
+							{f.title && (
+								<div className="topic-meta">
+									<small>{f.url}</small>
+								</div>
+							)}
+							<div className="feed-grid">
+								<div>
+									<label htmlFor={`feed-interval-${index}`}>
+										Poll every (minutes)
+									</label>
+									<input
+										id={`feed-interval-${index}`}
+										type="number"
+										min="5"
+										max="10080"
+										value={f.pollIntervalMinutes}
+										onChange={(e) =>
+											updateFeed(index, {
+												pollIntervalMinutes: parseInt(e.target.value, 10) || 5,
+											})
+										}
+										disabled={disabled}
+									/>
+								</div>
+								<div>
+									<label htmlFor={`feed-keywords-${index}`}>
+										Keyword filter
+									</label>
+									<input
+										id={`feed-keywords-${index}`}
+										type="text"
+										value={f.keywords}
+										onChange={(e) =>
+											updateFeed(index, { keywords: e.target.value })
+										}
+										disabled={disabled}
+										placeholder="(all entries)"
+									/>
+								</div>
+							</div>
+							<div className="topic-actions">
+								<button
+									type="button"
+									className="settings-button"
+									onClick={() => removeFeed(index)}
+									disabled={disabled}
+								>
+									Remove
+								</button>
+							</div>
+						</li>
+					))}
+				</ul>
+			) : (
+				<p className="empty-inline">No feeds yet. Add one below.</p>
+			)}
+
+			<div className="feed-grid">
+				<div>
+					<label htmlFor="feed-url">Feed URL</label>
+					<input
+						id="feed-url"
+						type="url"
+						value={draft.url}
+						onChange={(e) => setDraft((p) => ({ ...p, url: e.target.value }))}
+						disabled={disabled}
+						placeholder="https://example.com/feed.xml"
+					/>
+				</div>
+				<div>
+					<label htmlFor="feed-title">Title (optional)</label>
+					<input
+						id="feed-title"
+						type="text"
+						value={draft.title}
+						onChange={(e) =>
+							setDraft((p) => ({ ...p, title: e.target.value }))
+						}
+						disabled={disabled}
+					/>
+				</div>
+			</div>
+			{formError && <p className="error-inline">{formError}</p>}
+			{importMessage && <p className="empty-inline">{importMessage}</p>}
+			<div className="feed-toolbar">
+				<button
+					type="button"
+					className="settings-button"
+					onClick={addFeed}
+					disabled={disabled}
+				>
+					Add Feed
+				</button>
+				<label className="settings-button feed-import">
+					{importing ? "Importing…" : "Import OPML"}
+					<input
+						type="file"
+						accept=".opml,.xml,text/x-opml,text/xml"
+						onChange={handleImportFile}
+						disabled={disabled || importing}
+					/>
+				</label>
+				<a className="settings-button" href={OPML_EXPORT_URL} download>
+					Export OPML
+				</a>
+			</div>
+			<small>
+				Each feed is checked on its own interval. Entries must match the
+				keyword filter, when set, to be collected.
+			</small>
+		</div>
+	);
+}
+
+export default FeedSettings;
@@ -0,0 +1,306 @@
+import { useEffect, useState } from "react";
+import usePromptTemplates from "../../hooks/usePromptTemplates";
+import { fetchCollectors, fetchPromptTemplateVersions } from "../../services/api";
+import {
+	KIND_OPTIONS,
+	isDefaultTemplate,
+	kindLabel,
+	templateScopeLabel,
+} from "../../utils/promptTemplates";
+import { formatDateTime } from "../../utils/dates";
+
+function VariableList({ variables }) {
+	const entries = Object.entries(variables || {});
+	if (entries.length === 0) return null;
+	return (
+		<ul className="prompt-variables">
+			{entries.map(([name, description]) => (
+				<li key={name}>
+					<code>{`{{${name}}}`}</code> {description}
+				</li>
+			))}
+		</ul>
+	);
+}
+
+function TemplateRow({ template, scope, variables, onSave, onRemove, disabled }) {
+	const [body, setBody] = useState(template.body);
+	const [versions, setVersions] = useState(null);
+	const [historyError, setHistoryError] = useState(null);
+	const [showVariables, setShowVariables] = useState(false);
+
+	async function toggleHistory() {
+		if (versions) return setVersions(null);
+		setHistoryError(null);
+		try {
+			setVersions(await fetchPromptTemplateVersions(template.id));
+		} catch (err) {
+			setHistoryError(err.message || String(err));
+		}
+	}
+
+	async function handleSave() {
+		const result = await onSave(template.id, body);
+		if (result.ok) {
+			setBody(result.data.body);
+			setVersions(null);
+		}
+	}
+
+	const id = `prompt-template-${template.id}`;
+
+	return (
+		<li className="topic-item">
+			<div className="topic-main">
+				<label htmlFor={id} className="topic-name">
+					{kindLabel(template.kind)} · {scope}
+				</label>
+				<small>v{template.current_version}</small>
+			</div>
+			<textarea
+				id={id}
+				rows={8}
+				value={body}
+				onChange={(e) => setBody(e.target.value)}
+				disabled={disabled}
+			/>
+			{showVariables && <VariableList variables={variables} />}
+			{historyError && <p className="error-inline">{historyError}</p>}
+			{versions && (
+				<ul className="prompt-versions">
+					{versions.map((v) => (
+						<li key={v.id}>
+							<span>
+								v{v.version}, {formatDateTime(v.created_at)}
+							</span>
+							<button
+								type="button"
+								className="settings-button"
+								onClick={() => setBody(v.body)}
+								disabled={disabled || v.body === body}
+							>
+								Load
+							</button>
+						</li>
+					))}
+				</ul>
+			)}
+			<div className="topic-actions">
+				<button
+					type="button"
+					className="settings-button"
+					onClick={handleSave}
+					disabled={disabled || body === template.body}
+				>
+					Save as v{template.current_version + 1}
+				</button>
+				<button
+					type="button"
+					className="settings-button"
+					onClick={() => setBody(template.body)}
+					disabled={disabled || body === template.body}
+				>
+					Revert
+				</button>
+				<button
+					type="button"
+					className="settings-button"
+					onClick={toggleHistory}
+					disabled={disabled}
+				>
+					{versions ? "Hide history" : "History"}
+				</button>
+				<button
+					type="button"
+					className="settings-button"
+					onClick={() => setShowVariables((v) => !v)}
+				>
+					{showVariables ? "Hide variables" : "Variables"}
+				</button>
+				{!isDefaultTemplate(template) && (
+					<button
+						type="button"
+						className="settings-button"
+						onClick={() => onRemove(template.id)}
+						disabled={disabled}
+					>
+						Remove
+					</button>
+				)}
+			</div>
+		</li>
+	);
+}
+
+const EMPTY_DRAFT = {
+	kind: "relevance",
+	source_type: "",
+	research_statement_id: "",
+	body: "",
+};
+
+function PromptTemplateSettings({ topics, disabled }) {
+	const { templates, variables, loading, error, saving, create, update, remove } =
+		usePromptTemplates({ autoLoad: true });
+	const [collectors, setCollectors] = useState([]);
+	const [draft, setDraft] = useState(EMPTY_DRAFT);
+	const [formError, setFormError] = useState(null);
+
+	useEffect(() => {
+		let cancelled = false;
+		fetchCollectors()
+			.then((list) => {
+				if (!cancelled && Array.isArray(list)) setCollectors(list);
+			})
+			.catch(() => {
+				// Source types then show by id
+			});
+		return () => {
+			cancelled = true;
+		};
+	}, []);
+
+	const defaults = (templates || []).filter(isDefaultTemplate);
+
+	function startFromDefault() {
+		const base = defaults.find((t) => t.kind === draft.kind);
+		if (base) setDraft((p) => ({ ...p, body: base.body }));
+	}
+
+	async function addTemplate() {
+		setFormError(null);
+		if (!draft.source_type && !draft.research_statement_id) {
+			return setFormError("Pick a source type, a research topic or both.");
+		}
+		if (!draft.body.trim()) {
+			return setFormError("Template text is required.");
+		}
+		const result = await create({
+			kind: draft.kind,
+			source_type: draft.source_type || null,
+			research_statement_id: draft.research_statement_id
+				? Number(draft.research_statement_id)
+				: null,
+			body: draft.body,
+		});
+		if (result.ok) setDraft(EMPTY_DRAFT);
+	}
+
+	const busy = disabled || saving;
+
+	return (
+		<div className="form-group prompt-templates">
+			<label>Prompt Templates</label>
+			{loading && <p>Loading templates…</p>}
+			{error && <p className="error-inline">{error}</p>}
+			{Array.isArray(templates) && templates.length > 0 && (
+				<ul className="topic-list">
+					{templates.map((t) => (
+						<TemplateRow
+							key={`${t.id}-${t.current_version}`}
+							template={t}
+							scope={templateScopeLabel(t, collectors, topics)}
+							variables={variables[t.kind]}
+							onSave={update}
+							onRemove={remove}
+							disabled={busy}
+						/>
+					))}
+				</ul>
+			)}
+
+			<div className="feed-grid">
+				<div>
+					<label htmlFor="prompt-new-kind">Kind</label>
+					<select
+						id="prompt-new-kind"
+						value={draft.kind}
+						onChange={(e) => setDraft((p) => ({ ...p, kind: e.target.value }))}
+						disabled={busy}
+					>
+						{KIND_OPTIONS.map((o) => (
+							<option key={o.value} value={o.value}>
+								{o.label}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label htmlFor="prompt-new-source">Source type</label>
+					<select
+						id="prompt-new-source"
+						value={draft.source_type}
+						onChange={(e) =>
+							setDraft((p) => ({ ...p, source_type: e.target.value }))
+						}
+						disabled={busy}
+					>
+						<option value="">Any source</option>
+						{collectors.map((c) => (
+							<option key={c.id} value={c.id}>
+								{c.name}
+							</option>
+						))}
+					</select>
+				</div>
+				<div>
+					<label htmlFor="prompt-new-topic">Research topic</label>
+					<select
+						id="prompt-new-topic"
+						value={draft.research_statement_id}
+						onChange={(e) =>
+							setDraft((p) => ({ ...p, research_statement_id: e.target.value }))
+						}
+						disabled={busy}
+					>
+						<option value="">Any topic</option>
+						{(topics || []).map((t) => (
+							<option key={t.id} value={t.id}>
+								{t.name}
+							</option>
+						))}
+					</select>
+				</div>
+			</div>
+			<label htmlFor="prompt-new-body">Template</label>
+			<textarea
+				id="prompt-new-body"
+				rows={6}
+				value={draft.body}
+				onChange={(e) => setDraft((p) => ({ ...p, body: e.target.value }))}
+				disabled={busy}
+				placeholder="Use {{variables}} from the list below"
+			/>
+			<VariableList variables={variables[draft.kind]} />
+			{formError && <p className="error-inline">{formError}</p>}
+			<div className="feed-toolbar">
+				<button
+					type="button"
+					className="settings-button"
+					onClick={startFromDefault}
+					disabled={busy || defaults.length === 0}
+				>
+					Start from default
+				</button>
+				<button
+					type="button"
+					className="settings-button"
+					onClick={addTemplate}
+					disabled={busy}
+				>
+					Add Template
+				</button>
+			</div>
+			<small>
+				Templates are saved right away and every save is kept as a version;
+				items record the version that analyzed and summarized them. A template
+				for a research topic applies while it is the only active topic and
+				beats one for a source type, which beats the default. Lines whose
+				variables are all empty are left out, and the relevance answer format
+				is added automatically.
+			</small>
+		</div>
+	);
+}
+
+export default PromptTemplateSettings;
@@ -2,11 +2,38 @@ import { useEffect, useState } from "react";
 import "./Modal.css";
 import "./SettingsModal.css";
 import useResearchStatements from "../../hooks/useResearchStatements";
+import FeedSettings from "./FeedSettings";
+import DomainPolicySettings from "./DomainPolicySettings";
+import PromptTemplateSettings from "./PromptTemplateSettings";
+import { feedsToDrafts, draftsToFeeds } from "../../utils/feeds";
+import { joinFollows, splitFollows } from "../../utils/social";
 
 function SettingsModal({ settings, loading, error, saving, onClose, onSave }) {
 	const [formData, setFormData] = useState({
 		maxItems: 50,
 		keywords: "",
+		fetchComments: false,
+		syncMode: "lists",
+	});
+	const [feeds, setFeeds] = useState([]);
+	const [arxivCategories, setArxivCategories] = useState("");
+	const [github, setGithub] = useState({
+		repos: "",
+		token: "",
+		tokenConfigured: false,
+		clearToken: false,
+	});
+	const [lobsters, setLobsters] = useState({ listing: "hottest", tags: "" });
+	const [newsletter, setNewsletter] = useState({ mailboxes: "", senders: "" });
+	const [transcripts, setTranscripts] = useState({ directory: "", feeds: "" });
+	const [social, setSocial] = useState({
+		mastodonInstance: "",
+		mastodonToken: "",
+		mastodonTokenConfigured: false,
+		clearMastodonToken: false,
+		mastodonFollows: "",
+		blueskyFollows: "",
+		minMentions: 1,
 	});
 
 	// Research Topics (beta)
@@ -37,8 +64,40 @@ function SettingsModal({ settings, loading, error, saving, onClose, onSave }) {
 			setFormData({
 				maxItems: settings.hackernews.maxItems || 50,
 				keywords: (settings.hackernews.keywords || []).join(", "),
+				fetchComments: !!settings.hackernews.fetchComments,
+				syncMode: settings.hackernews.syncMode || "lists",
 			});
 		}
+		setFeeds(feedsToDrafts(settings?.rss?.feeds));
+		setArxivCategories((settings?.arxiv?.categories || []).join(", "));
+		setGithub({
+			repos: (settings?.github?.repos || []).join("\n"),
+			token: "",
+			tokenConfigured: !!settings?.github?.tokenConfigured,
+			clearToken: false,
+		});
+		setLobsters({
+			listing: settings?.lobsters?.listing || "hottest",
+			tags: (settings?.lobsters?.tags || []).join(", "),
+		});
+		setNewsletter({
+			mailboxes: (settings?.newsletter?.mailboxes || []).join("\n"),
+			senders: (settings?.newsletter?.senders || []).join(", "),
+		});
+		setTranscripts({
+			directory: settings?.transcripts?.directory || "",
+			feeds: (settings?.transcripts?.feeds || []).join("\n"),
+		});
+		const s = settings?.social || {};
+		setSocial({
+			mastodonInstance: s.mastodonInstance || "",
+			mastodonToken: "",
+			mastodonTokenConfigured: !!s.mastodonTokenConfigured,
+			clearMastodonToken: false,
+			mastodonFollows: joinFollows(s, "mastodon"),
+			blueskyFollows: joinFollows(s, "bluesky"),
+			minMentions: s.minMentions || 1,
+		});
 	}, [settings]);
 
 	function handleSubmit(e) {
@@ -52,6 +111,65 @@ function SettingsModal({ settings, loading, error, saving, onClose, onSave }) {
 			hackernews: {
 				maxItems: parseInt(formData.maxItems, 10),
 				keywords: keywordArray,
+				fetchComments: !!formData.fetchComments,
+				syncMode: formData.syncMode,
+			},
+			rss: {
+				feeds: draftsToFeeds(feeds),
+			},
+			arxiv: {
+				categories: arxivCategories
+					.split(",")
+					.map((c) => c.trim())
+					.filter((c) => c.length > 0),
+			},
+			github: {
+				repos: github.repos
+					.split(/[\n,]/)
+					.map((r) => r.trim())
+					.filter((r) => r.length > 0),
+				// The stored token is never sent back; only send a new one or a clear
+				...(github.token.trim()
+					? { token: github.token.trim() }
+					: github.clearToken
+					? { token: "" }
+					: {}),
+			},
+			lobsters: {
+				listing: lobsters.listing,
+				tags: lobsters.tags
+					.split(",")
+					.map((t) => t.trim())
+					.filter((t) => t.length > 0),
+			},
+			newsletter: {
+				mailboxes: newsletter.mailboxes
+					.split("\n")
+					.map((m) => m.trim())
+					.filter((m) => m.length > 0),
+				senders: newsletter.senders
+					.split(",")
+					.map((s) => s.trim())
+					.filter((s) => s.length > 0),
+			},
+			transcripts: {
+				directory: transcripts.directory.trim(),
+				feeds: transcripts.feeds
+					.split("\n")
+					.map((f) => f.trim())
+					.filter((f) => f.length > 0),
+			},
+			social: {
+				mastodonInstance: social.mastodonInstance.trim(),
+				...splitFollows(social.mastodonFollows, "mastodon"),
+				...splitFollows(social.blueskyFollows, "bluesky"),
+				minMentions: social.minMentions,
+				// Same as the GitHub token: only send a new one or a clear
+				...(social.mastodonToken.trim()
+					? { mastodonToken: social.mastodonToken.trim() }
+					: social.clearMastodonToken
+					? { mastodonToken: "" }
+					: {}),
 			},
 		};
 
@@ -208,6 +326,348 @@ function SettingsModal({ settings, loading, error, saving, onClose, onSave }) {
 								<small>Stories matching these keywords will be collected</small>
 							</div>
 
+							<div className="form-group">
+								<label htmlFor="syncMode">HN Sync Mode:</label>
+								<select
+									id="syncMode"
+									value={formData.syncMode}
+									onChange={(e) =>
+										setFormData((prev) => ({
+											...prev,
+											syncMode: e.target.value,
+										}))
+									}
+									disabled={saving}
+								>
+									<option value="lists">Top and recent lists (daily)</option>
+									<option value="incremental">
+										Incremental, every new item (hourly)
+									</option>
+								</select>
+								<small>
+									Incremental sync remembers the last HN item it read and
+									catches up after downtime. Schedule changes apply after a
+									server restart.
+								</small>
+							</div>
+
+							<div className="form-group">
+								<label className="checkbox-label">
+									<input
+										type="checkbox"
+										checked={formData.fetchComments}
+										onChange={(e) =>
+											setFormData((prev) => ({
+												...prev,
+												fetchComments: e.target.checked,
+											}))
+										}
+										disabled={saving}
+									/>{" "}
+									Fetch HN comment threads
+								</label>
+								<small>
+									Highlighted and high-tier stories get a summary of what the
+									discussion says
+								</small>
+							</div>
+
+							<FeedSettings
+								feeds={feeds}
+								onChange={setFeeds}
+								disabled={saving}
+							/>
+
+							<div className="form-group">
+								<label htmlFor="arxivCategories">
+									arXiv Categories (comma-separated):
+								</label>
+								<input
+									id="arxivCategories"
+									type="text"
+									value={arxivCategories}
+									onChange={(e) => setArxivCategories(e.target.value)}
+									disabled={saving}
+									placeholder="cs.CL, cs.LG, cs.SE"
+								/>
+								<small>New submissions in these categories will be collected</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="githubRepos">
+									GitHub Repositories (one per line):
+								</label>
+								<textarea
+									id="githubRepos"
+									rows={4}
+									value={github.repos}
+									onChange={(e) =>
+										setGithub((p) => ({ ...p, repos: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="openai/openai-node"
+								/>
+								<small>New releases and tags of these repositories will be collected</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="githubToken">GitHub Token (optional):</label>
+								<input
+									id="githubToken"
+									type="password"
+									autoComplete="off"
+									value={github.token}
+									onChange={(e) =>
+										setGithub((p) => ({
+											...p,
+											token: e.target.value,
+											clearToken: false,
+										}))
+									}
+									disabled={saving}
+									placeholder={
+										github.tokenConfigured && !github.clearToken
+											? "Token saved — type to replace"
+											: "Raises the API rate limit"
+									}
+								/>
+								{github.tokenConfigured && !github.clearToken && (
+									<button
+										type="button"
+										className="settings-button"
+										onClick={() =>
+											setGithub((p) => ({ ...p, token: "", clearToken: true }))
+										}
+										disabled={saving}
+									>
+										Remove saved token
+									</button>
+								)}
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="lobstersListing">Lobsters Listing:</label>
+								<select
+									id="lobstersListing"
+									value={lobsters.listing}
+									onChange={(e) =>
+										setLobsters((p) => ({ ...p, listing: e.target.value }))
+									}
+									disabled={saving}
+								>
+									<option value="hottest">Hottest</option>
+									<option value="newest">Newest</option>
+								</select>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="lobstersTags">
+									Lobsters Tags (comma-separated):
+								</label>
+								<input
+									id="lobstersTags"
+									type="text"
+									value={lobsters.tags}
+									onChange={(e) =>
+										setLobsters((p) => ({ ...p, tags: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="(all tags)"
+								/>
+								<small>Only stories with one of these tags will be collected</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="newsletterMailboxes">
+									Newsletter Mailboxes (one per line):
+								</label>
+								<textarea
+									id="newsletterMailboxes"
+									rows={3}
+									value={newsletter.mailboxes}
+									onChange={(e) =>
+										setNewsletter((p) => ({ ...p, mailboxes: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="/home/me/Mail/newsletters"
+								/>
+								<small>
+									Maildir directories or mbox files on the server; each issue is
+									split into its linked stories
+								</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="newsletterSenders">
+									Newsletter Senders (comma-separated):
+								</label>
+								<input
+									id="newsletterSenders"
+									type="text"
+									value={newsletter.senders}
+									onChange={(e) =>
+										setNewsletter((p) => ({ ...p, senders: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="(all senders), e.g. @deeplearning.ai"
+								/>
+								<small>Only mail from matching addresses will be read</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="transcriptsDirectory">Transcript Directory:</label>
+								<input
+									id="transcriptsDirectory"
+									type="text"
+									value={transcripts.directory}
+									onChange={(e) =>
+										setTranscripts((p) => ({ ...p, directory: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="/home/me/transcripts"
+								/>
+								<small>
+									.vtt, .srt and .txt files on the server, e.g. from yt-dlp or
+									Whisper
+								</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="transcriptsFeeds">
+									Podcast / Channel Feeds (one per line):
+								</label>
+								<textarea
+									id="transcriptsFeeds"
+									rows={3}
+									value={transcripts.feeds}
+									onChange={(e) =>
+										setTranscripts((p) => ({ ...p, feeds: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="https://www.youtube.com/feeds/videos.xml?channel_id=…"
+								/>
+								<small>
+									Episode titles, links and dates for transcripts without a
+									.info.json file
+								</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="socialMastodonInstance">Mastodon Server:</label>
+								<input
+									id="socialMastodonInstance"
+									type="text"
+									value={social.mastodonInstance}
+									onChange={(e) =>
+										setSocial((p) => ({ ...p, mastodonInstance: e.target.value }))
+									}
+									disabled={saving}
+									placeholder="https://mastodon.social"
+								/>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="socialMastodonToken">
+									Mastodon Access Token (for lists):
+								</label>
+								<input
+									id="socialMastodonToken"
+									type="password"
+									autoComplete="off"
+									value={social.mastodonToken}
+									onChange={(e) =>
+										setSocial((p) => ({
+											...p,
+											mastodonToken: e.target.value,
+											clearMastodonToken: false,
+										}))
+									}
+									disabled={saving}
+									placeholder={
+										social.mastodonTokenConfigured && !social.clearMastodonToken
+											? "Token saved — type to replace"
+											: "Needs the read:lists scope"
+									}
+								/>
+								{social.mastodonTokenConfigured && !social.clearMastodonToken && (
+									<button
+										type="button"
+										className="settings-button"
+										onClick={() =>
+											setSocial((p) => ({
+												...p,
+												mastodonToken: "",
+												clearMastodonToken: true,
+											}))
+										}
+										disabled={saving}
+									>
+										Remove saved token
+									</button>
+								)}
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="socialMastodonFollows">
+									Mastodon Follows (one per line):
+								</label>
+								<textarea
+									id="socialMastodonFollows"
+									rows={3}
+									value={social.mastodonFollows}
+									onChange={(e) =>
+										setSocial((p) => ({ ...p, mastodonFollows: e.target.value }))
+									}
+									disabled={saving}
+									placeholder={"#llm\n@someone@hachyderm.io\nlist:12345"}
+								/>
+								<small>#hashtags, @accounts and list:&lt;id&gt; entries</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="socialBlueskyFollows">
+									Bluesky Follows (one per line):
+								</label>
+								<textarea
+									id="socialBlueskyFollows"
+									rows={3}
+									value={social.blueskyFollows}
+									onChange={(e) =>
+										setSocial((p) => ({ ...p, blueskyFollows: e.target.value }))
+									}
+									disabled={saving}
+									placeholder={
+										"#machinelearning\n@someone.bsky.social\nhttps://bsky.app/profile/…/lists/…"
+									}
+								/>
+								<small>#hashtags, @handles and list links</small>
+							</div>
+
+							<div className="form-group">
+								<label htmlFor="socialMinMentions">
+									Minimum Accounts Sharing a Link:
+								</label>
+								<input
+									id="socialMinMentions"
+									type="number"
+									min="1"
+									max="100"
+									value={social.minMentions}
+									onChange={(e) =>
+										setSocial((p) => ({
+											...p,
+											minMentions: parseInt(e.target.value, 10) || 1,
+										}))
+									}
+									disabled={saving}
+								/>
+								<small>
+									Posts linking the same page are folded into one item
+								</small>
+							</div>
+
+							<DomainPolicySettings disabled={saving} />
+
 							{/* Research Topics (beta) */}
 							<div className="form-group research-topics">
 								<label>Research Topics (beta)</label>
@@ -528,6 +988,8 @@ function SettingsModal({ settings, loading, error, saving, onClose, onSave }) {
 								)}
 							</div>
 
+							<PromptTemplateSettings topics={topics} disabled={saving} />
+
 							<div className="form-actions">
 								<button
 									type="button"
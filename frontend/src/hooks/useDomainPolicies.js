@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+	fetchDomainPolicies,
+	saveDomainPolicy,
+	deleteDomainPolicy,
+} from "../services/api";
+
+export default function useDomainPolicies({ autoLoad = false } = {}) {
+	const [policies, setPolicies] = useState(null);
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const [saving, setSaving] = useState(false);
+	const isMountedRef = useRef(true);
+
+	useEffect(() => {
+		isMountedRef.current = true;
+		if (autoLoad) void load();
+		return () => {
+			isMountedRef.current = false;
+		};
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [autoLoad]);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const list = await fetchDomainPolicies();
+			if (!isMountedRef.current) return;
+			setPolicies(list);
+		} catch (err) {
+			if (!isMountedRef.current) return;
+			setError(err.message || String(err));
+		} finally {
+			if (isMountedRef.current) setLoading(false);
+		}
+	}, []);
+
+	// previousDomain renames an existing policy
+	const save = useCallback(async (policy, previousDomain = null) => {
+		setSaving(true);
+		setError(null);
+		try {
+			const saved = await saveDomainPolicy({
+				...policy,
+				previous_domain: previousDomain,
+			});
+			setPolicies((prev) => {
+				const rest = (prev || []).filter(
+					(p) => p.domain !== saved.domain && p.domain !== previousDomain
+				);
+				const old = (prev || []).find(
+					(p) => p.domain === (previousDomain || saved.domain)
+				);
+				return [...rest, { ...saved, robots: old?.robots || null }].sort(
+					(a, b) => a.domain.localeCompare(b.domain)
+				);
+			});
+			return { ok: true, data: saved };
+		} catch (err) {
+			setError(err.message || String(err));
+			return { ok: false, error: err };
+		} finally {
+			setSaving(false);
+		}
+	}, []);
+
+	const remove = useCallback(async (domain) => {
+		setSaving(true);
+		setError(null);
+		try {
+			await deleteDomainPolicy(domain);
+			setPolicies((prev) => (prev || []).filter((p) => p.domain !== domain));
+			return { ok: true };
+		} catch (err) {
+			setError(err.message || String(err));
+			return { ok: false, error: err };
+		} finally {
+			setSaving(false);
+		}
+	}, []);
+
+	return { policies, loading, error, saving, load, save, remove };
+}
@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+	fetchPromptTemplates,
+	createPromptTemplate,
+	updatePromptTemplate,
+	deletePromptTemplate,
+} from "../services/api";
+
+export default function usePromptTemplates({ autoLoad = false } = {}) {
+	const [templates, setTemplates] = useState(null);
+	const [variables, setVariables] = useState({});
+	const [loading, setLoading] = useState(false);
+	const [error, setError] = useState(null);
+	const [saving, setSaving] = useState(false);
+	const isMountedRef = useRef(true);
+
+	useEffect(() => {
+		isMountedRef.current = true;
+		if (autoLoad) void load();
+		return () => {
+			isMountedRef.current = false;
+		};
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [autoLoad]);
+
+	const load = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const data = await fetchPromptTemplates();
+			if (!isMountedRef.current) return;
+			setTemplates(data.templates);
+			setVariables(data.variables);
+		} catch (err) {
+			if (!isMountedRef.current) return;
+			setError(err.message || String(err));
+		} finally {
+			if (isMountedRef.current) setLoading(false);
+		}
+	}, []);
+
+	const create = useCallback(async (template) => {
+		setSaving(true);
+		setError(null);
+		try {
+			const created = await createPromptTemplate(template);
+			setTemplates((prev) => [...(prev || []), created]);
+			return { ok: true, data: created };
+		} catch (err) {
+			setError(err.message || String(err));
+			return { ok: false, error: err };
+		} finally {
+			setSaving(false);
+		}
+	}, []);
+
+	// Saves body as a new version of the template
+	const update = useCallback(async (id, body) => {
+		setSaving(true);
+		setError(null);
+		try {
+			const updated = await updatePromptTemplate(id, body);
+			setTemplates((prev) =>
+				(prev || []).map((t) => (t.id === updated.id ? updated : t))
+			);
+			return { ok: true, data: updated };
+		} catch (err) {
+			setError(err.message || String(err));
+			return { ok: false, error: err };
+		} finally {
+			setSaving(false);
+		}
+	}, []);
+
+	const remove = useCallback(async (id) => {
+		setSaving(true);
+		setError(null);
+		try {
+			await deletePromptTemplate(id);
+			setTemplates((prev) => (prev || []).filter((t) => t.id !== id));
+			return { ok: true };
+		} catch (err) {
+			setError(err.message || String(err));
+			return { ok: false, error: err };
+		} finally {
+			setSaving(false);
+		}
+	}, []);
+
+	return {
+		templates,
+		variables,
+		loading,
+		error,
+		saving,
+		load,
+		create,
+		update,
+		remove,
+	};
+}
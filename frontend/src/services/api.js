@@ -42,19 +42,31 @@ export async function fetchUsage(days = 14) {
 	return res.json();
 }
 
-export async function triggerHNCollection() {
-	const res = await fetch("/api/collectors/hackernews", {
+export async function fetchCollectors() {
+	const res = await fetch("/api/collectors");
+	if (!res.ok) {
+		throw new Error(`Failed to fetch collectors: ${res.status}`);
+	}
+	return res.json();
+}
+
+export async function triggerCollection(name) {
+	const res = await fetch(`/api/collectors/${encodeURIComponent(name)}`, {
 		method: "POST",
 		headers: {
 			"Content-Type": "application/json",
 		},
 	});
 	if (!res.ok) {
-		throw new Error(`Failed to trigger HN collection: ${res.status}`);
+		throw new Error(`Failed to trigger ${name} collection: ${res.status}`);
 	}
 	return res.json();
 }
 
+export async function triggerHNCollection() {
+	return triggerCollection("hackernews");
+}
+
 export async function fetchSettings() {
 	const res = await fetch("/api/settings");
 	if (!res.ok) {
@@ -78,6 +90,79 @@ export async function updateSettings(settings) {
 	return res.json();
 }
 
+// OPML import/export for feed subscriptions
+export const OPML_EXPORT_URL = "/api/export/opml";
+
+export async function importOpml(opmlText) {
+	const res = await fetch("/api/import/opml", {
+		method: "POST",
+		headers: { "Content-Type": "text/x-opml" },
+		body: opmlText,
+	});
+	if (!res.ok) {
+		const text = await res.text().catch(() => "");
+		const error = new Error(`Failed to import OPML: ${res.status}`);
+		error.status = res.status;
+		error.body = text;
+		throw error;
+	}
+	return res.json();
+}
+
+// Manual submission; resolves with { success, ai_processed, item }
+export async function submitItem({ url, note } = {}) {
+	const res = await fetch("/api/items/submit", {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify({ url, note: note || undefined }),
+	});
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const error = new Error(
+			data.error || `Failed to submit item: ${res.status}`
+		);
+		error.status = res.status;
+		error.itemId = data.item_id;
+		throw error;
+	}
+	return data;
+}
+
+// Reader view; resolves with { id, title, url, ..., article } where article
+// is null when no content could be extracted
+export async function fetchArticle(id) {
+	const res = await fetch(`/api/items/${encodeURIComponent(id)}/article`);
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const error = new Error(
+			data.error || `Failed to fetch article: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return data;
+}
+
+// "More like this"; resolves with the nearest items by content embedding,
+// each with a similarity in -1..1 (empty when the item has no embedding)
+export async function fetchSimilarItems(id, { limit } = {}) {
+	const params = new URLSearchParams();
+	if (limit != null) params.set("limit", String(limit));
+	const query = params.toString();
+	const res = await fetch(
+		`/api/items/${encodeURIComponent(id)}/similar${query ? `?${query}` : ""}`
+	);
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const error = new Error(
+			data.error || `Failed to fetch similar items: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return data;
+}
+
 export async function searchItems({ query, source, limit, offset } = {}) {
 	const params = new URLSearchParams();
 	if (!query || query.trim().length === 0) {
@@ -181,6 +266,131 @@ export async function regenerateResearchStatementEmbedding(id) {
 	return res.json();
 }
 
+// Domain fetch policies API
+
+export async function fetchDomainPolicies() {
+	const res = await fetch("/api/domain-policies");
+	if (!res.ok) {
+		const error = new Error(`Failed to fetch domain policies: ${res.status}`);
+		error.status = res.status;
+		throw error;
+	}
+	const data = await res.json();
+	return Array.isArray(data.policies) ? data.policies : [];
+}
+
+// Create or update a policy; previous_domain renames an existing one
+export async function saveDomainPolicy(policy) {
+	const res = await fetch("/api/domain-policies", {
+		method: "PUT",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(policy),
+	});
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const error = new Error(
+			data.error || `Failed to save domain policy: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return data.policy;
+}
+
+export async function deleteDomainPolicy(domain) {
+	const res = await fetch(
+		`/api/domain-policies/${encodeURIComponent(domain)}`,
+		{ method: "DELETE" }
+	);
+	if (!res.ok) {
+		const data = await res.json().catch(() => ({}));
+		const error = new Error(
+			data.error || `Failed to delete domain policy: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return { ok: true };
+}
+
+// Prompt templates: { templates, variables } where variables maps each kind
+// to its placeholders and their descriptions
+export async function fetchPromptTemplates() {
+	const res = await fetch("/api/prompt-templates");
+	if (!res.ok) {
+		const error = new Error(`Failed to fetch prompt templates: ${res.status}`);
+		error.status = res.status;
+		throw error;
+	}
+	const data = await res.json();
+	return {
+		templates: Array.isArray(data.templates) ? data.templates : [],
+		variables: data.variables || {},
+	};
+}
+
+async function sendPromptTemplate(url, method, payload, action) {
+	const res = await fetch(url, {
+		method,
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(payload),
+	});
+	const data = await res.json().catch(() => ({}));
+	if (!res.ok) {
+		const error = new Error(
+			data.error || `Failed to ${action} prompt template: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return data.template;
+}
+
+// { kind, source_type, research_statement_id, body }
+export async function createPromptTemplate(template) {
+	return sendPromptTemplate("/api/prompt-templates", "POST", template, "create");
+}
+
+// Saves body as the template's next version
+export async function updatePromptTemplate(id, body) {
+	return sendPromptTemplate(
+		`/api/prompt-templates/${encodeURIComponent(id)}`,
+		"PUT",
+		{ body },
+		"update"
+	);
+}
+
+export async function fetchPromptTemplateVersions(id) {
+	const res = await fetch(
+		`/api/prompt-templates/${encodeURIComponent(id)}/versions`
+	);
+	if (!res.ok) {
+		const error = new Error(
+			`Failed to fetch prompt template versions: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	const data = await res.json();
+	return Array.isArray(data.versions) ? data.versions : [];
+}
+
+export async function deletePromptTemplate(id) {
+	const res = await fetch(`/api/prompt-templates/${encodeURIComponent(id)}`, {
+		method: "DELETE",
+	});
+	if (!res.ok) {
+		const data = await res.json().catch(() => ({}));
+		const error = new Error(
+			data.error || `Failed to delete prompt template: ${res.status}`
+		);
+		error.status = res.status;
+		throw error;
+	}
+	return { ok: true };
+}
+
 // Feedback / Ratings API
 export async function rateItem({
 	content_item_id,
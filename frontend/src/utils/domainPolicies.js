@@ -0,0 +1,63 @@
+// Sensitive header values come back from the server as null; they are shown
+// as this placeholder and sent back as null so the stored value is kept
+export const HIDDEN_HEADER_VALUE = "••••••";
+
+export const ACCESS_OPTIONS = [
+	{ value: "allow", label: "Allow" },
+	{ value: "title_only", label: "Title only" },
+	{ value: "deny", label: "Deny" },
+];
+
+// { "X-Api": "1" } -> "X-Api: 1" lines
+export function headersToText(headers) {
+	return Object.entries(headers || {})
+		.map(([name, value]) => `${name}: ${value == null ? HIDDEN_HEADER_VALUE : value}`)
+		.join("\n");
+}
+
+// "Name: value" lines -> headers object; returns { error } on a bad line
+export function textToHeaders(text) {
+	const headers = {};
+	for (const raw of String(text || "").split("\n")) {
+		const line = raw.trim();
+		if (!line) continue;
+		const colon = line.indexOf(":");
+		const name = colon > 0 ? line.slice(0, colon).trim() : "";
+		if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+			return { error: `Not a "Name: value" header: ${line}` };
+		}
+		const value = line.slice(colon + 1).trim();
+		headers[name] = value === HIDDEN_HEADER_VALUE ? null : value;
+	}
+	return { headers };
+}
+
+export function policyToDraft(policy) {
+	return {
+		domain: policy?.domain || "",
+		access: policy?.access || "allow",
+		delayMs: policy?.delay_ms == null ? "" : String(policy.delay_ms),
+		headers: headersToText(policy?.headers),
+	};
+}
+
+// Draft -> PUT /api/domain-policies body; returns { error } when invalid
+export function draftToPolicy(draft) {
+	const domain = draft.domain.trim();
+	if (!domain) return { error: "Domain is required" };
+	const delay = draft.delayMs.trim();
+	const delayMs = delay === "" ? null : Number(delay);
+	if (delayMs != null && (!Number.isInteger(delayMs) || delayMs < 0)) {
+		return { error: "Delay must be a whole number of milliseconds" };
+	}
+	const parsed = textToHeaders(draft.headers);
+	if (parsed.error) return { error: parsed.error };
+	return {
+		policy: {
+			domain,
+			access: draft.access,
+			delay_ms: delayMs,
+			headers: parsed.headers,
+		},
+	};
+}
@@ -0,0 +1,35 @@
+// Convert stored feed configs into editable drafts (keywords as text)
+export function feedsToDrafts(feeds) {
+	return (Array.isArray(feeds) ? feeds : []).map((f) => ({
+		url: f.url || "",
+		title: f.title || "",
+		category: f.category || "",
+		pollIntervalMinutes: f.pollIntervalMinutes || 60,
+		keywords: (f.keywords || []).join(", "),
+		enabled: f.enabled !== false,
+	}));
+}
+
+// Convert drafts back into the shape PUT /api/settings expects
+export function draftsToFeeds(drafts) {
+	return drafts.map((d) => ({
+		url: d.url.trim(),
+		title: d.title.trim(),
+		category: d.category.trim(),
+		pollIntervalMinutes: parseInt(d.pollIntervalMinutes, 10) || 60,
+		keywords: d.keywords
+			.split(",")
+			.map((k) => k.trim())
+			.filter((k) => k.length > 0),
+		enabled: !!d.enabled,
+	}));
+}
+
+export function isHttpUrl(value) {
+	try {
+		const u = new URL(value);
+		return u.protocol === "http:" || u.protocol === "https:";
+	} catch {
+		return false;
+	}
+}
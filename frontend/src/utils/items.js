@@ -1,32 +1,115 @@
-export function getRelevanceScore(item) {
+function getAiProcessing(item) {
 	try {
 		if (!item || !item.raw_content) return null;
 		const raw =
 			typeof item.raw_content === "string"
 				? JSON.parse(item.raw_content)
 				: item.raw_content;
-		const score = raw?.ai_processing?.relevance_score;
-		return typeof score === "number" ? score : null;
+		return raw?.ai_processing || null;
 	} catch {
 		return null;
 	}
 }
 
-export function getRelevanceExplanation(item) {
+/**
+ * The AI's relevance verdict for an item. Viewing a research topic, items
+ * carry that topic's judgment (ai_relevance_*); without one (items collected
+ * before the topic existed) the score and highlight fall back to the
+ * item-wide verdict, but its explanation is not about this topic and is left
+ * out.
+ * @param {Object} item
+ * @param {number|null} [researchStatementId] - Topic being viewed
+ * @returns {{score: number|null, explanation: string|null, highlight: boolean}}
+ */
+export function getRelevanceJudgment(item, researchStatementId = null) {
+	if (researchStatementId && typeof item?.ai_relevance_score === "number") {
+		const exp = item.ai_relevance_explanation;
+		return {
+			score: item.ai_relevance_score,
+			explanation: typeof exp === "string" && exp.trim().length > 0 ? exp : null,
+			highlight: !!item.ai_highlight,
+		};
+	}
+	const ai = getAiProcessing(item);
+	const score = ai?.relevance_score;
+	const exp = ai?.relevance_explanation;
+	return {
+		score: typeof score === "number" ? score : null,
+		explanation:
+			!researchStatementId && typeof exp === "string" && exp.trim().length > 0
+				? exp
+				: null,
+		highlight: !!item?.highlight,
+	};
+}
+
+export function getRelevanceScore(item, researchStatementId = null) {
+	return getRelevanceJudgment(item, researchStatementId).score;
+}
+
+export function getRelevanceExplanation(item, researchStatementId = null) {
+	return getRelevanceJudgment(item, researchStatementId).explanation;
+}
+
+// Note left by whoever submitted the item by hand (source_type "manual")
+export function getSubmitterNote(item) {
+	try {
+		if (!item || !item.raw_content) return null;
+		const raw =
+			typeof item.raw_content === "string"
+				? JSON.parse(item.raw_content)
+				: item.raw_content;
+		const note = raw?.manual?.note;
+		return typeof note === "string" && note.trim().length > 0 ? note : null;
+	} catch {
+		return null;
+	}
+}
+
+const CONTENT_STATUS_LABELS = {
+	paywall: "the page is paywalled",
+	consent_wall: "the page is behind a consent wall",
+	empty_shell: "the page has no readable text",
+	fetch_failed: "the page could not be fetched",
+};
+
+const CONTENT_SOURCE_LABELS = {
+	page: "its teaser",
+	hn_text: "the text of the HN submission",
+	og_description: "the page's description",
+};
+
+// Why an item's summary rests on partial content (mirrors the backend's
+// isPartialContent); null when it was written from the full page
+export function getPartialContentNotice(item) {
+	const status = item?.content_status;
+	const source = item?.content_source;
+	if (!status || status === "ok" || !source || source === "archive") {
+		return null;
+	}
+	return `Summary based on partial content: ${
+		CONTENT_STATUS_LABELS[status] || status
+	}, so it was written from ${CONTENT_SOURCE_LABELS[source] || source}.`;
+}
+
+// Newsletter issue a story was linked from (source_type "newsletter")
+export function getNewsletterProvenance(item) {
 	try {
 		if (!item || !item.raw_content) return null;
 		const raw =
 			typeof item.raw_content === "string"
 				? JSON.parse(item.raw_content)
 				: item.raw_content;
-		const exp = raw?.ai_processing?.relevance_explanation;
-		return typeof exp === "string" && exp.trim().length > 0 ? exp : null;
+		const nl = raw?.newsletter;
+		if (!nl || (!nl.name && !nl.subject)) return null;
+		return { name: nl.name || null, subject: nl.subject || null };
 	} catch {
 		return null;
 	}
 }
 
-export function getHNCommentsUrl(item) {
+// Discussion page derived by the backend from the item's collector
+export function getCommentsUrl(item) {
 	return item && typeof item.comments_url === "string" && item.comments_url
 		? item.comments_url
 		: null;
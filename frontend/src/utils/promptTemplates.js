@@ -0,0 +1,40 @@
+export const KIND_OPTIONS = [
+	{ value: "relevance", label: "Relevance analysis" },
+	{ value: "summary", label: "Summary" },
+];
+
+export function kindLabel(kind) {
+	const option = KIND_OPTIONS.find((o) => o.value === kind);
+	return option ? option.label : kind;
+}
+
+// Templates without a source type or research statement are the defaults
+export function isDefaultTemplate(template) {
+	return (
+		template.source_type == null && template.research_statement_id == null
+	);
+}
+
+/**
+ * Where a template applies, e.g. "Hacker News · Rust"
+ * @param {Object} template
+ * @param {Array<{id: string, name: string}>} collectors
+ * @param {Array<{id: number, name: string}>} topics - Research statements
+ */
+export function templateScopeLabel(template, collectors, topics) {
+	if (isDefaultTemplate(template)) return "Default";
+	const parts = [];
+	if (template.source_type) {
+		const collector = (collectors || []).find(
+			(c) => c.id === template.source_type
+		);
+		parts.push(collector ? collector.name : template.source_type);
+	}
+	if (template.research_statement_id != null) {
+		const topic = (topics || []).find(
+			(t) => t.id === template.research_statement_id
+		);
+		parts.push(topic ? topic.name : `Topic #${template.research_statement_id}`);
+	}
+	return parts.join(" · ");
+}
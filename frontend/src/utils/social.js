@@ -0,0 +1,40 @@
+// Social collector follows are edited as one list per network:
+// "#tag", "@account" and lists ("list:<id>" on Mastodon, at:// or
+// bsky.app links on Bluesky). Settings store them as three arrays.
+
+function isListEntry(entry, network) {
+	if (network === "mastodon") return entry.startsWith("list:");
+	return entry.startsWith("at://") || /^https?:\/\//.test(entry);
+}
+
+// Stored settings section -> textarea value for one network
+export function joinFollows(section, network) {
+	const list = (key) => (Array.isArray(section?.[key]) ? section[key] : []);
+	return [
+		...list(`${network}Hashtags`).map((t) => `#${t}`),
+		...list(`${network}Accounts`).map((a) => `@${a}`),
+		...list(`${network}Lists`).map((l) =>
+			network === "mastodon" ? `list:${l}` : l
+		),
+	].join("\n");
+}
+
+// Textarea value -> { <network>Hashtags, <network>Accounts, <network>Lists }
+export function splitFollows(text, network) {
+	const hashtags = [];
+	const accounts = [];
+	const lists = [];
+	for (const line of String(text || "").split("\n")) {
+		const entry = line.trim();
+		if (!entry) continue;
+		if (entry.startsWith("#")) hashtags.push(entry.slice(1));
+		else if (isListEntry(entry, network)) {
+			lists.push(network === "mastodon" ? entry.slice(5).trim() : entry);
+		} else accounts.push(entry.replace(/^@/, ""));
+	}
+	return {
+		[`${network}Hashtags`]: hashtags,
+		[`${network}Accounts`]: accounts,
+		[`${network}Lists`]: lists,
+	};
+}